@@ -1,6 +1,8 @@
 module.exports = {
     testEnvironment: 'node',
+    testMatch: ['**/test/**/*.test.js'],
     testPathIgnorePatterns: ['/node_modules/', '/dist/'],
-    setupFiles: ['dotenv/config'],
+    coveragePathIgnorePatterns: ['/node_modules/'],
+    setupFiles: ['dotenv/config', '<rootDir>/test/setup-env.js'],
     verbose: true
 };
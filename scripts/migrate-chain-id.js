@@ -0,0 +1,60 @@
+/**
+ * Migration Script: Stamp existing documents with the primary chain ID
+ *
+ * Games, portfolios, transactions, game crons and transaction jobs now record
+ * the chain they live on. Everything created before multi-chain support ran on
+ * the single configured chain, so documents without a chainId get CHAIN_ID.
+ * Safe to run more than once.
+ *
+ * Run: node scripts/migrate-chain-id.js [--dry-run]
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function migrateChainId() {
+  try {
+    console.log("=".repeat(60));
+    console.log(`  MIGRATE CHAIN ID${DRY_RUN ? " (DRY RUN)" : ""}`);
+    console.log("=".repeat(60));
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("\n✅ Connected to MongoDB");
+
+    const config = require("../src/config");
+    const models = [
+      require("../src/models/Game"),
+      require("../src/models/Portfolio"),
+      require("../src/models/Transaction"),
+      require("../src/models/GameCron"),
+      require("../src/models/TransactionJob"),
+    ];
+
+    const chainId = config.blockchain.chainId;
+    console.log(`\nPrimary chain: ${chainId} (${config.blockchain.chainName})`);
+
+    let total = 0;
+    for (const Model of models) {
+      const filter = { chainId: null };
+      const count = await Model.countDocuments(filter);
+      if (!DRY_RUN && count > 0) {
+        await Model.updateMany(filter, { $set: { chainId } });
+      }
+      total += count;
+      console.log(`  ✅ ${Model.modelName}: ${count} document(s)`);
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`  Documents ${DRY_RUN ? "to update" : "updated"}: ${total}`);
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("\n❌ Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateChainId();
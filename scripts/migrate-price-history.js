@@ -0,0 +1,80 @@
+/**
+ * Migration Script: Move Asset.priceHistory into the price tick store
+ *
+ * Asset documents used to embed their price history in an unbounded
+ * `priceHistory` array. Prices are now stored as PriceTick documents (with
+ * TTL retention) and rolled up into PriceCandle documents.
+ *
+ * This script copies every embedded entry that is still inside the retention
+ * window into the tick store, rolls it into candles, then removes the array.
+ *
+ * Run: node scripts/migrate-price-history.js [--dry-run]
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function migratePriceHistory() {
+  try {
+    console.log("=".repeat(60));
+    console.log(`  MIGRATE PRICE HISTORY${DRY_RUN ? " (DRY RUN)" : ""}`);
+    console.log("=".repeat(60));
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("\n✅ Connected to MongoDB");
+
+    const config = require("../src/config");
+    const Asset = require("../src/models/Asset");
+    const priceHistoryService = require("../src/services/price-history.service");
+
+    const cutoff = new Date(Date.now() - config.game.historyRetentionDays * 24 * 60 * 60 * 1000);
+
+    // priceHistory is no longer in the schema, so read the raw documents
+    const assets = await Asset.collection
+      .find({ priceHistory: { $exists: true } })
+      .project({ assetId: 1, symbol: 1, type: 1, priceHistory: 1 })
+      .toArray();
+
+    console.log(`\nFound ${assets.length} assets with embedded price history`);
+
+    let migratedTicks = 0;
+    let skippedTicks = 0;
+
+    for (const asset of assets) {
+      const entries = (asset.priceHistory || [])
+        .filter((entry) => entry && isFinite(entry.price) && entry.timestamp)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const recent = entries.filter((entry) => new Date(entry.timestamp) >= cutoff);
+      skippedTicks += entries.length - recent.length;
+
+      if (!DRY_RUN) {
+        for (const entry of recent) {
+          await priceHistoryService.recordTick(
+            asset,
+            { price: entry.price, change24h: 0, source: "migrated" },
+            new Date(entry.timestamp)
+          );
+        }
+        await Asset.collection.updateOne({ _id: asset._id }, { $unset: { priceHistory: "" } });
+      }
+
+      migratedTicks += recent.length;
+      console.log(`  ✅ ${asset.symbol}: ${recent.length} ticks (${entries.length - recent.length} past retention)`);
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`  Ticks migrated: ${migratedTicks}`);
+    console.log(`  Ticks skipped (past retention): ${skippedTicks}`);
+    console.log("=".repeat(60));
+  } catch (error) {
+    console.error("\n❌ Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migratePriceHistory();
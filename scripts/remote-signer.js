@@ -0,0 +1,120 @@
+/**
+ * Remote Signer: Local stand-in for the remote signer protocol
+ *
+ * Holds keys in memory and answers the requests sent by the "remote" signer
+ * backend (see src/services/signers/remote.service.js). For development and
+ * tests only - a production signer keeps its keys in an HSM or KMS.
+ *
+ *   REMOTE_SIGNER_KEYS=0xadminkey,0xoperatorkey REMOTE_SIGNER_TOKEN=secret \
+ *     node scripts/remote-signer.js
+ *
+ * Then run the backend with:
+ *
+ *   SIGNER_BACKEND=remote REMOTE_SIGNER_URL=http://127.0.0.1:8645 REMOTE_SIGNER_TOKEN=secret \
+ *     ADMIN_SIGNER_ADDRESS=<address printed below>
+ *
+ * Run: node scripts/remote-signer.js
+ */
+
+require("dotenv").config();
+const express = require("express");
+const { ethers } = require("ethers");
+
+function startRemoteSigner() {
+  const keys = (process.env.REMOTE_SIGNER_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (keys.length === 0) {
+    console.error("❌ REMOTE_SIGNER_KEYS is not set");
+    process.exitCode = 1;
+    return;
+  }
+
+  const token = process.env.REMOTE_SIGNER_TOKEN;
+  const port = parseInt(process.env.REMOTE_SIGNER_PORT || "8645");
+  const wallets = new Map(
+    keys.map((key) => {
+      const wallet = new ethers.Wallet(key);
+      return [wallet.address, wallet];
+    })
+  );
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  });
+
+  // Resolve the wallet for the request's address
+  const withWallet = (handler) => async (req, res) => {
+    try {
+      const address = ethers.utils.getAddress(req.body.address || "");
+      const wallet = wallets.get(address);
+      if (!wallet) {
+        return res.status(404).json({ error: `No key for ${address}` });
+      }
+      const result = await handler(wallet, req.body);
+      console.log(`[REMOTE-SIGNER] ${req.path} for ${address}`);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+
+  app.get("/health", (req, res) => {
+    res.json({ addresses: [...wallets.keys()] });
+  });
+
+  app.post(
+    "/sign-transaction",
+    withWallet(async (wallet, { transaction }) => {
+      const tx = ethers.utils.parseTransaction(transaction);
+      const unsigned = {
+        type: tx.type,
+        chainId: tx.chainId,
+        nonce: tx.nonce,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+      };
+      if (tx.type === 2) {
+        unsigned.maxFeePerGas = tx.maxFeePerGas;
+        unsigned.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+        unsigned.accessList = tx.accessList;
+      } else {
+        unsigned.gasPrice = tx.gasPrice;
+        if (tx.type === 1) unsigned.accessList = tx.accessList;
+      }
+      return { signedTransaction: await wallet.signTransaction(unsigned) };
+    })
+  );
+
+  app.post(
+    "/sign-message",
+    withWallet(async (wallet, { message }) => ({
+      signature: await wallet.signMessage(ethers.utils.arrayify(message)),
+    }))
+  );
+
+  app.post(
+    "/sign-typed-data",
+    withWallet(async (wallet, { domain, types, value }) => ({
+      signature: await wallet._signTypedData(domain, types, value),
+    }))
+  );
+
+  app.listen(port, "127.0.0.1", () => {
+    console.log(`🔐 Remote signer stand-in listening on http://127.0.0.1:${port}`);
+    for (const address of wallets.keys()) {
+      console.log(`   ${address}`);
+    }
+  });
+}
+
+startRemoteSigner();
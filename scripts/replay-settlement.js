@@ -0,0 +1,91 @@
+/**
+ * Settlement Replay: Verify a settled game's rankings and payouts
+ *
+ * Recomputes every portfolio's final value from the game's SETTLEMENT price
+ * snapshot (or the stored values for games settled before snapshots existed),
+ * re-runs the game's win-condition calculator without side effects, and diffs
+ * the result against Game.winners and Portfolio.gameOutcome.
+ *
+ * Nothing is written to the database or the chain.
+ *
+ * Run: node scripts/replay-settlement.js <gameId> [--json]
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const JSON_OUTPUT = process.argv.includes("--json");
+const gameId = parseInt(process.argv.slice(2).find((arg) => !arg.startsWith("--")));
+
+const formatUSDC = (wei) => `$${(Number(wei) / 1e18).toFixed(2)}`;
+
+async function replaySettlement() {
+  try {
+    if (!gameId) {
+      throw new Error("Usage: node scripts/replay-settlement.js <gameId> [--json]");
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const settlementReplayService = require("../src/services/settlement-replay.service");
+    const report = await settlementReplayService.replayGame(gameId);
+
+    if (JSON_OUTPUT) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exitCode = report.matches ? 0 : 2;
+      return;
+    }
+
+    console.log("=".repeat(60));
+    console.log(`  SETTLEMENT REPLAY: Game ${report.gameId} (${report.gameType}, ${report.winCondition})`);
+    console.log("=".repeat(60));
+    console.log(`Status: ${report.status}`);
+    console.log(`Prize Pool: ${formatUSDC(report.totalPrizePool)}`);
+    console.log(
+      report.settlementSnapshot
+        ? `Prices: SETTLEMENT snapshot taken ${report.settlementSnapshot.takenAt.toISOString()}`
+        : "Prices: no settlement snapshot - using stored portfolio values"
+    );
+
+    if (report.calculatorError) {
+      console.log(`\n❌ Calculator error: ${report.calculatorError}`);
+    }
+
+    console.log(`\nWinners stored:   ${report.winners.stored.join(", ") || "-"}`);
+    console.log(`Winners replayed: ${report.winners.replayed.join(", ") || "-"}`);
+    if (report.winners.missing.length > 0) {
+      console.log(`❌ Missing from Game.winners: ${report.winners.missing.join(", ")}`);
+    }
+    if (report.winners.unexpected.length > 0) {
+      console.log(`❌ Unexpected in Game.winners: ${report.winners.unexpected.join(", ")}`);
+    }
+
+    const mismatched = report.portfolios.filter((p) => p.differences.length > 0);
+    console.log(`\nPortfolios: ${report.summary.portfolios}, mismatched: ${mismatched.length}`);
+
+    for (const p of mismatched) {
+      console.log(`\n  Portfolio ${p.portfolioId} "${p.portfolioName}" (${p.valueSource})`);
+      for (const field of p.differences) {
+        const stored = field === "reward" ? formatUSDC(p.stored[field]) : p.stored[field];
+        const replayed = field === "reward" ? formatUSDC(p.replayed[field]) : p.replayed[field];
+        console.log(`    ${field}: stored ${stored} → replayed ${replayed}`);
+      }
+      if (p.missingAssets.length > 0) {
+        console.log(`    missing snapshot prices: ${p.missingAssets.join(", ")}`);
+      }
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(report.matches ? "  ✅ Stored settlement matches the replay" : "  ❌ Stored settlement differs");
+    console.log("=".repeat(60));
+
+    process.exitCode = report.matches ? 0 : 2;
+  } catch (error) {
+    console.error("\n❌ Replay failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+replaySettlement();
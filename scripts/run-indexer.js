@@ -0,0 +1,44 @@
+/**
+ * Chain Indexer: Index FusioFantasyGameV2 events until caught up
+ *
+ * Runs the same indexer as the every-minute cron, in a loop, until the cursor
+ * reaches (head - INDEXER_CONFIRMATIONS). Useful for the first backfill on a
+ * fresh database and for exercising the indexer against a local node:
+ *
+ *   BLOCKCHAIN_RPC_URL=http://127.0.0.1:8545 CHAIN_ID=31337 INDEXER_CONFIRMATIONS=0 \
+ *     node scripts/run-indexer.js
+ *
+ * Pass a chain ID to index another configured chain (default: CHAIN_ID).
+ *
+ * Run: node scripts/run-indexer.js [chainId]
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+async function runIndexer() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const chainIndexer = require("../src/services/chain-indexer.service").forChain(process.argv[2]);
+
+    let result;
+    do {
+      result = await chainIndexer.run();
+      console.log(
+        `Chain ${result.chainId}: blocks ${result.fromBlock}-${result.toBlock} of ${result.head}, ${
+          result.events
+        } event(s), ${result.handled} handled, ${result.expired} expired${result.reorged ? ", reorg rewound" : ""}`
+      );
+    } while (!result.caughtUp);
+
+    console.log("\n✅ Indexer caught up");
+  } catch (error) {
+    console.error("\n❌ Indexer failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+runIndexer();
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { initializeCronJobs } = require('../cron');
+const transactionQueue = require('../services/transaction-queue.service');
 
 const connectDB = async (app, config) => {
     try {
@@ -15,6 +16,15 @@ const connectDB = async (app, config) => {
         await mongoose.connect(config.mongodb.uri, config.mongodb.options);
         console.log('Connected to MongoDB');
 
+        // Pick up blockchain transactions left unfinished by the previous process, on every chain
+        for (const queue of transactionQueue.getQueues()) {
+            try {
+                await queue.resume();
+            } catch (error) {
+                console.error(`Transaction queue resume error (chain ${queue.chainId}):`, error.message || error);
+            }
+        }
+
         // Initialize cron jobs after database connection
         initializeCronJobs();
 
@@ -1,4 +1,31 @@
 require("dotenv").config();
+const path = require("path");
+
+// Parse a comma-separated provider list from the environment
+const parseProviderList = (value, fallback) =>
+  (value || fallback)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// Public BSC mainnet RPCs tried after BLOCKCHAIN_RPC_URL when no fallbacks are configured on chain 56
+const BSC_MAINNET_RPC_FALLBACKS = [
+  "https://bsc-dataseed1.binance.org",
+  "https://bsc-dataseed2.binance.org",
+  "https://bsc-dataseed3.binance.org",
+  "https://bsc-dataseed4.binance.org",
+  "https://bsc-dataseed1.defibit.io",
+  "https://bsc-dataseed2.defibit.io",
+  "https://bsc-dataseed1.ninicoin.io",
+  "https://bsc-dataseed2.ninicoin.io",
+];
+
+// Parse a comma-separated list of keys, files or addresses from the environment
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
 
 const config = {
   // Node environment
@@ -35,14 +62,72 @@ const config = {
   blockchain: {
     rpcUrl: process.env.BLOCKCHAIN_RPC_URL || "https://data-seed-prebsc-1-s1.binance.org:8545/",
     chainId: parseInt(process.env.CHAIN_ID || "56"), // BSC Testnet
+    chainName: process.env.CHAIN_NAME || "bsc",
+    nativeSymbol: process.env.CHAIN_NATIVE_SYMBOL || "BNB", // gas token, priced in USD from its Asset
+    rpcFallbackUrls: parseList(process.env.BLOCKCHAIN_RPC_FALLBACK_URLS), // tried in order after rpcUrl
     contractAddress: process.env.CONTRACT_ADDRESS,
     usdcAddress: process.env.USDC_ADDRESS,
+    // Further networks run by the same backend (same signer keys), as a JSON array of
+    // { chainId, name, rpcUrls: [...], contractAddress, usdcAddress, indexerStartBlock, nativeSymbol }
+    additionalChains: JSON.parse(process.env.BLOCKCHAIN_CHAINS || "[]"),
     privateKey: process.env.ADMIN_PRIVATE_KEY,
+    withdrawalPrivateKey: process.env.WITHDRAWAL_WALLET_PRIVATE_KEY, // optional, DEFAULT_ADMIN_ROLE wallet
+    // Extra wallets holding GAME_MANAGER_ROLE; each gets its own transaction queue lane next to the admin wallet
+    operators: {
+      privateKeys: parseList(process.env.OPERATOR_PRIVATE_KEYS),
+      minGasBalance: process.env.OPERATOR_MIN_GAS_BALANCE || "0.05", // native (BNB) balance below which we alert
+    },
+    // Where the admin, operator and withdrawal keys live (see src/services/signers):
+    // env (the raw private keys above), keystore (encrypted JSON keystore files) or remote (HTTP signer)
+    signer: {
+      backend: (process.env.SIGNER_BACKEND || "env").toLowerCase(),
+      keystore: {
+        adminFile: process.env.ADMIN_KEYSTORE_FILE,
+        operatorFiles: parseList(process.env.OPERATOR_KEYSTORE_FILES),
+        withdrawalFile: process.env.WITHDRAWAL_KEYSTORE_FILE,
+        // One passphrase unlocks every file; prefer a file (e.g. a mounted secret) over the env var
+        passphraseFile: process.env.KEYSTORE_PASSPHRASE_FILE,
+        passphrase: process.env.KEYSTORE_PASSPHRASE,
+      },
+      remote: {
+        url: process.env.REMOTE_SIGNER_URL,
+        token: process.env.REMOTE_SIGNER_TOKEN,
+        timeoutMs: parseInt(process.env.REMOTE_SIGNER_TIMEOUT_MS || "10000"),
+        // Addresses of the keys held by the remote signer
+        adminAddress: process.env.ADMIN_SIGNER_ADDRESS,
+        operatorAddresses: parseList(process.env.OPERATOR_SIGNER_ADDRESSES),
+        withdrawalAddress: process.env.WITHDRAWAL_SIGNER_ADDRESS,
+      },
+    },
     gasLimit: parseInt(process.env.GAS_LIMIT || "3000000"),
     gasPrice: process.env.GAS_PRICE || "auto",
     confirmations: parseInt(process.env.CONFIRMATIONS || "1"),
     timeoutBlocks: parseInt(process.env.TIMEOUT_BLOCKS || "50"),
     networkPollingInterval: parseInt(process.env.NETWORK_POLLING_INTERVAL || "4000"),
+    // Stuck transaction handling in the transaction queue
+    txQueue: {
+      stuckTimeoutSeconds: parseInt(process.env.TX_STUCK_TIMEOUT_SECONDS || "180"), // unmined this long -> gas bump
+      gasBumpPercent: parseFloat(process.env.TX_GAS_BUMP_PERCENT || "15"), // most nodes require at least 10
+      maxGasPriceGwei: parseFloat(process.env.TX_MAX_GAS_PRICE_GWEI || "20"), // never replace above this price
+      maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || "5"), // automatic speed-ups per transaction
+      pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS || "5000"),
+    },
+    // Event indexer for the game contract
+    indexer: {
+      startBlock: parseInt(process.env.INDEXER_START_BLOCK || "0"), // first block to index on a fresh database
+      // Blocks kept behind the chain head; also how far the cursor rewinds on a reorg
+      confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || "12"),
+      batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || "2000"), // max blocks per getLogs call
+      // Minutes of indexed chain time after which a PENDING_LOCK_BALANCE portfolio with no event fails
+      pendingTimeoutMinutes: parseInt(process.env.INDEXER_PENDING_TIMEOUT_MINUTES || "30"),
+    },
+    // Scheduled comparison of games, portfolios and rewards in the database with the contract
+    reconciliation: {
+      lookbackDays: parseInt(process.env.RECONCILE_LOOKBACK_DAYS || "14"), // games that ended within this window
+      gamesPerRun: parseInt(process.env.RECONCILE_GAMES_PER_RUN || "20"), // least recently checked first
+      // Reward checks wait this long after the last game update, so an in-flight distribution is not reported
+      settleGraceMinutes: parseInt(process.env.RECONCILE_SETTLE_GRACE_MINUTES || "30"),
+    },
   },
 
   // API Keys
@@ -55,9 +140,39 @@ const config = {
     openai: process.env.OPENAI_API_KEY, // Optional - enables GPT-powered Marlow AI
   },
 
+  // Price feed configuration
+  prices: {
+    // Ordered provider names per asset type - the first provider with a quote wins
+    providers: {
+      DEFI: parseProviderList(process.env.PRICE_PROVIDERS_DEFI, "cryptocompare"),
+      TRADFI: parseProviderList(process.env.PRICE_PROVIDERS_TRADFI, "alphavantage"),
+    },
+    // JSON file served by the "fixture" provider (offline development / CI)
+    fixtureFile: process.env.PRICE_FIXTURE_FILE || path.join(__dirname, "price-fixtures.json"),
+    // Exchange sessions, weekends and holidays of TRADFI assets (market-aware game scheduling)
+    marketCalendarFile: process.env.MARKET_CALENDAR_FILE || path.join(__dirname, "market-calendar.json"),
+    // Consensus across providers when several are configured for a type
+    consensus: {
+      maxDeviationPercent: parseFloat(process.env.PRICE_MAX_DEVIATION_PERCENT || "2"),
+      minSources: parseInt(process.env.PRICE_MIN_SOURCES || "1"),
+    },
+    // Staleness policy: max age of Asset.lastUpdated (minutes) before a price blocks
+    // game activation, final value updates and winner calculation
+    maxAgeMinutes: {
+      DEFI: parseInt(process.env.PRICE_MAX_AGE_DEFI_MINUTES || "15"),
+      TRADFI: parseInt(process.env.PRICE_MAX_AGE_TRADFI_MINUTES || "30"),
+    },
+    // Retention for hourly and daily candles (ticks, 1m and 5m candles use game.historyRetentionDays)
+    candleRetentionDays: {
+      "1h": parseInt(process.env.PRICE_CANDLE_RETENTION_1H_DAYS || "90"),
+      "1d": parseInt(process.env.PRICE_CANDLE_RETENTION_1D_DAYS || "730"),
+    },
+  },
+
   // Discord Webhooks
   discord: {
     marlowWebhook: process.env.DISCORD_MARLOW_WEBHOOK_URL, // Webhook for Marlow AI announcements
+    opsWebhook: process.env.DISCORD_OPS_WEBHOOK_URL, // Webhook for operational alerts (low operator gas)
     enabled: !!process.env.DISCORD_MARLOW_WEBHOOK_URL,
   },
 
@@ -80,15 +195,29 @@ const config = {
     entryFee: 5, // USDC
     gasFee: 0.1, // USDC
     adminFeePercentage: 10,
+    // Default portfolio rules; a GameCron's portfolioRules override them for its games
+    minAssets: 8,
     maxAssets: 8,
     initialPortfolioValue: 100000,
-    minAllocation: 1,
+    minAllocation: 1, // % of initialPortfolioValue per asset
     maxAllocation: 100,
+    allowShort: false,
+    maxLeverage: 1, // 1 = no leverage
+    leverageCap: 10, // highest maxLeverage a game cron can set
+    maxSwaps: 0, // mid-game swaps per portfolio (0 = none)
     gameStartTime: "03:00", // UTC
     gameEndTime: "23:59", // UTC
     priceUpdateInterval: 60000, // 1 minute
     leaderboardUpdateInterval: 300000, // 5 minutes
     historyRetentionDays: 7,
+    // Entry fees of cancelled games are refunded; FAILED games are cancelled automatically
+    refunds: {
+      autoRefundFailedGames: process.env.AUTO_REFUND_FAILED_GAMES !== "false",
+      failedGameGraceMinutes: parseInt(process.env.REFUND_FAILED_GAME_GRACE_MINUTES || "60"), // time to fix the game first
+      failedGameLookbackDays: parseInt(process.env.REFUND_FAILED_GAME_LOOKBACK_DAYS || "7"), // older FAILED games are left alone
+      gamesPerRun: parseInt(process.env.REFUND_GAMES_PER_RUN || "3"),
+      portfoliosPerRun: parseInt(process.env.REFUND_PORTFOLIOS_PER_RUN || "10"), // portfolios taken out of a game
+    },
   },
 
   // Cache configuration
@@ -135,6 +264,33 @@ const config = {
   },
 };
 
+// Every network the backend runs against, default chain (CHAIN_ID) first
+config.blockchain.chains = [
+  {
+    chainId: config.blockchain.chainId,
+    name: config.blockchain.chainName,
+    nativeSymbol: config.blockchain.nativeSymbol,
+    rpcUrls: [
+      config.blockchain.rpcUrl,
+      ...(config.blockchain.rpcFallbackUrls.length > 0 || config.blockchain.chainId !== 56
+        ? config.blockchain.rpcFallbackUrls
+        : BSC_MAINNET_RPC_FALLBACKS),
+    ],
+    contractAddress: config.blockchain.contractAddress,
+    usdcAddress: config.blockchain.usdcAddress,
+    indexerStartBlock: config.blockchain.indexer.startBlock,
+  },
+  ...config.blockchain.additionalChains.map((chain) => ({
+    chainId: parseInt(chain.chainId),
+    name: chain.name || `chain-${chain.chainId}`,
+    nativeSymbol: chain.nativeSymbol || null,
+    rpcUrls: chain.rpcUrls || [],
+    contractAddress: chain.contractAddress,
+    usdcAddress: chain.usdcAddress,
+    indexerStartBlock: parseInt(chain.indexerStartBlock || "0"),
+  })),
+];
+
 // Environment-specific configurations
 if (config.nodeEnv === "development") {
   // Add development-specific configurations here
@@ -147,9 +303,6 @@ const requiredEnvVars = [
   "MONGODB_URI",
   "CONTRACT_ADDRESS",
   "USDC_ADDRESS",
-  "ADMIN_PRIVATE_KEY",
-  "CRYPTOCOMPARE_API_KEY",
-  "ALPHAVANTAGE_API_KEY",
   "JWT_SECRET",
   "AWS_ACCESS_KEY_ID",
   "AWS_SECRET_ACCESS_KEY",
@@ -167,12 +320,41 @@ if (!config.blockchain.contractAddress || !config.blockchain.usdcAddress) {
   throw new Error("Invalid blockchain configuration: Missing contract addresses");
 }
 
-if (!config.blockchain.privateKey) {
+for (const chain of config.blockchain.chains) {
+  if (!chain.chainId || chain.rpcUrls.length === 0 || !chain.contractAddress || !chain.usdcAddress) {
+    throw new Error(
+      `Invalid blockchain configuration: Chain ${chain.name} needs chainId, rpcUrls and contract addresses`
+    );
+  }
+  if (config.blockchain.chains.filter((c) => c.chainId === chain.chainId).length > 1) {
+    throw new Error(`Invalid blockchain configuration: Chain ${chain.chainId} is configured twice`);
+  }
+}
+
+// Validate the admin key for the configured signer backend
+const { signer } = config.blockchain;
+if (!["env", "keystore", "remote"].includes(signer.backend)) {
+  throw new Error(`Invalid blockchain configuration: Unknown signer backend ${signer.backend}`);
+}
+if (signer.backend === "env" && !config.blockchain.privateKey) {
   throw new Error("Invalid blockchain configuration: Missing admin private key");
 }
+if (signer.backend === "keystore" && !signer.keystore.adminFile) {
+  throw new Error("Invalid blockchain configuration: Missing ADMIN_KEYSTORE_FILE");
+}
+if (signer.backend === "keystore" && !signer.keystore.passphraseFile && !signer.keystore.passphrase) {
+  throw new Error("Invalid blockchain configuration: Missing keystore passphrase");
+}
+if (signer.backend === "remote" && (!signer.remote.url || !signer.remote.adminAddress)) {
+  throw new Error("Invalid blockchain configuration: Missing REMOTE_SIGNER_URL or ADMIN_SIGNER_ADDRESS");
+}
 
-// Validate API keys
-if (!config.apiKeys.cryptoCompare || !config.apiKeys.alphaVantage) {
+// Validate API keys for the price providers that are actually in use
+const configuredProviders = Object.values(config.prices.providers).flat();
+if (
+  (configuredProviders.includes("cryptocompare") && !config.apiKeys.cryptoCompare) ||
+  (configuredProviders.includes("alphavantage") && !config.apiKeys.alphaVantage)
+) {
   throw new Error("Invalid API configuration: Missing API keys");
 }
 
@@ -1,23 +1,25 @@
 const { asyncHandler } = require("../middleware/error");
 const Asset = require("../models/Asset");
+const PriceCandle = require("../models/PriceCandle");
+const priceHistoryService = require("../services/price-history.service");
 
 const assetController = {
-  // Get assets by type (DEFI or TRADFI)
+  // Get assets by type (DEFI or TRADFI, or HYBRID for both)
   getAssetsByType: asyncHandler(async (req, res) => {
     const { type } = req.params;
 
-    if (!["DEFI", "TRADFI"].includes(type.toUpperCase())) {
+    if (!["DEFI", "TRADFI", "HYBRID"].includes(type.toUpperCase())) {
       return res
         .status(400)
-        .json({ error: "Invalid asset type. Must be DEFI or TRADFI" });
+        .json({ error: "Invalid asset type. Must be DEFI, TRADFI or HYBRID" });
     }
 
     const assets = await Asset.find({
-      type: type.toUpperCase(),
+      type: { $in: Asset.typesForGame(type.toUpperCase()) },
       isActive: true,
     })
       .select(
-        "assetId symbol name currentPrice change24h lastUpdated imageUrl ape"
+        "assetId symbol name type currentPrice change24h lastUpdated imageUrl ape"
       )
       .sort("assetId");
     res.json(assets);
@@ -46,6 +48,8 @@ const assetController = {
       return res.status(404).json({ error: "Asset not found" });
     }
 
+    const history = await priceHistoryService.getHistory([asset.assetId]);
+
     res.json({
       assetId: asset.assetId,
       symbol: asset.symbol,
@@ -53,7 +57,7 @@ const assetController = {
       type: asset.type,
       currentPrice: asset.currentPrice,
       change24h: asset.change24h,
-      priceHistory: asset.priceHistory,
+      priceHistory: history[asset.assetId],
       lastUpdated: asset.lastUpdated,
       imageUrl: asset.imageUrl,
     });
@@ -78,6 +82,7 @@ const assetController = {
     }
 
     const assets = await Asset.find(query);
+    const history = await priceHistoryService.getHistory(assets.map((asset) => asset.assetId));
 
     const priceHistory = {};
     assets.forEach((asset) => {
@@ -85,25 +90,67 @@ const assetController = {
         currentPrice: asset.currentPrice,
         change24h: asset.change24h,
         type: asset.type,
-        history: asset.priceHistory,
+        history: history[asset.assetId],
       };
     });
 
     res.json(priceHistory);
   }),
 
+  // Get OHLC candles for an asset
+  getCandles: asyncHandler(async (req, res) => {
+    const { assetId } = req.params;
+    const { interval = "1h", from, to, limit } = req.query;
+
+    if (!PriceCandle.getIntervalMs(interval)) {
+      return res.status(400).json({
+        error: `Invalid interval. Must be one of ${PriceCandle.getIntervals().join(", ")}`,
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: "Invalid from/to date. Use ISO 8601 format" });
+    }
+
+    const parsedLimit = limit ? parseInt(limit) : null;
+    if (limit && (!Number.isInteger(parsedLimit) || parsedLimit < 1)) {
+      return res.status(400).json({ error: "Limit must be a positive integer" });
+    }
+
+    const asset = await Asset.findOne({ assetId, isActive: true }).select("assetId symbol type");
+    if (!asset) {
+      return res.status(404).json({ error: "Asset not found" });
+    }
+
+    const candles = await priceHistoryService.getCandles(asset.assetId, interval, {
+      from: fromDate,
+      to: toDate,
+      limit: parsedLimit,
+    });
+
+    res.json({
+      assetId: asset.assetId,
+      symbol: asset.symbol,
+      type: asset.type,
+      interval,
+      candles,
+    });
+  }),
+
   // Get 24h price changes by type
   get24hChangesByType: asyncHandler(async (req, res) => {
     const { type } = req.params;
 
-    if (!["DEFI", "TRADFI"].includes(type.toUpperCase())) {
+    if (!["DEFI", "TRADFI", "HYBRID"].includes(type.toUpperCase())) {
       return res
         .status(400)
-        .json({ error: "Invalid asset type. Must be DEFI or TRADFI" });
+        .json({ error: "Invalid asset type. Must be DEFI, TRADFI or HYBRID" });
     }
 
     const assets = await Asset.find({
-      type: type.toUpperCase(),
+      type: { $in: Asset.typesForGame(type.toUpperCase()) },
       isActive: true,
     }).select("symbol currentPrice change24h");
 
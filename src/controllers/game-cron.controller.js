@@ -1,5 +1,12 @@
 const { asyncHandler } = require('../middleware/error');
 const GameCron = require('../models/GameCron');
+const config = require('../config');
+const portfolioRulesService = require('../services/portfolio-rules.service');
+
+// Games can only be created on a chain the backend is configured for
+function isConfiguredChain(chainId) {
+    return config.blockchain.chains.some((chain) => chain.chainId === Number(chainId));
+}
 
 // Helper function to validate winCondition config based on type
 function validateWinCondition(winCondition) {
@@ -39,6 +46,32 @@ function validateWinCondition(winCondition) {
                 return { valid: false, message: 'Invalid tiers config for TIERED winCondition' };
             }
             break;
+        case 'CURVE': {
+            const { topWinnersPercentage, curve, ratio, weights } = winCondition.config;
+            if (typeof topWinnersPercentage !== 'number' || topWinnersPercentage <= 0 || topWinnersPercentage > 100) {
+                return { valid: false, message: 'Invalid topWinnersPercentage for CURVE winCondition' };
+            }
+            if (!['LINEAR', 'GEOMETRIC', 'WEIGHTS'].includes(curve)) {
+                return { valid: false, message: 'winCondition.config.curve must be LINEAR, GEOMETRIC or WEIGHTS' };
+            }
+            if (curve === 'GEOMETRIC' && (typeof ratio !== 'number' || ratio <= 0 || ratio > 1)) {
+                return { valid: false, message: 'winCondition.config.ratio must be > 0 and <= 1 for a GEOMETRIC curve' };
+            }
+            if (
+                curve === 'WEIGHTS' &&
+                (!Array.isArray(weights) ||
+                    weights.length === 0 ||
+                    !weights.every((w, i) => typeof w === 'number' && w > 0 && (i === 0 || w <= weights[i - 1])))
+            ) {
+                return { valid: false, message: 'winCondition.config.weights must be positive and non-increasing' };
+            }
+            break;
+        }
+        case 'HEAD_TO_HEAD':
+            if (!['EARLIER_ENTRY', 'SPLIT'].includes(winCondition.config.tieBreaker)) {
+                return { valid: false, message: 'winCondition.config.tieBreaker must be EARLIER_ENTRY or SPLIT for HEAD_TO_HEAD' };
+            }
+            break;
         default:
             return { valid: false, message: 'Invalid winCondition.type' };
     }
@@ -95,6 +128,19 @@ exports.createGameCron = asyncHandler(async (req, res) => {
     }
   }
 
+  if (req.body.winCondition && req.body.winCondition.type === "CURVE" && req.body.winCondition.config) {
+    const config = req.body.winCondition.config;
+    if (typeof config.topWinnersPercentage === "string") {
+      config.topWinnersPercentage = Number(config.topWinnersPercentage);
+    }
+    if (typeof config.ratio === "string") {
+      config.ratio = Number(config.ratio);
+    }
+    if (Array.isArray(config.weights)) {
+      config.weights = config.weights.map((w) => (typeof w === "string" ? Number(w) : w));
+    }
+  }
+
   // Validate winCondition
   const validation = validateWinCondition(req.body.winCondition);
   if (!validation.valid) {
@@ -102,6 +148,19 @@ exports.createGameCron = asyncHandler(async (req, res) => {
     throw new Error(`Invalid winCondition: ${validation.message}`);
   }
 
+  if (req.body.chainId !== undefined && !isConfiguredChain(req.body.chainId)) {
+    res.status(400);
+    throw new Error(`Chain ${req.body.chainId} is not configured`);
+  }
+
+  if (req.body.portfolioRules !== undefined) {
+    const rulesValidation = portfolioRulesService.validateRules(req.body.portfolioRules);
+    if (!rulesValidation.valid) {
+      res.status(400);
+      throw new Error(`Invalid portfolioRules: ${rulesValidation.message}`);
+    }
+  }
+
   const gameCron = await GameCron.create(req.body);
   res.status(201).json(gameCron);
 });
@@ -144,6 +203,19 @@ exports.updateGameCron = asyncHandler(async (req, res) => {
         throw new Error('Game cron not found');
     }
 
+    if (req.body.chainId !== undefined && !isConfiguredChain(req.body.chainId)) {
+        res.status(400);
+        throw new Error(`Chain ${req.body.chainId} is not configured`);
+    }
+
+    if (req.body.portfolioRules !== undefined) {
+        const rulesValidation = portfolioRulesService.validateRules(req.body.portfolioRules);
+        if (!rulesValidation.valid) {
+            res.status(400);
+            throw new Error(`Invalid portfolioRules: ${rulesValidation.message}`);
+        }
+    }
+
     const updatedGameCron = await GameCron.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -1,12 +1,21 @@
+const mongoose = require("mongoose");
 const { asyncHandler } = require("../middleware/error");
 const Game = require("../models/Game");
 const User = require("../models/User");
 const Portfolio = require("../models/Portfolio");
+const Asset = require("../models/Asset");
+const GamePriceSnapshot = require("../models/GamePriceSnapshot");
 const gameService = require("../services/game.service");
 const portfolioService = require("../services/portfolio.service");
 const priceService = require("../services/price.service");
 const transactionService = require("../services/transaction.service");
 const blockchainService = require("../services/blockchain.service");
+const settlementReplayService = require("../services/settlement-replay.service");
+const transactionQueue = require("../services/transaction-queue.service");
+const reconciliationService = require("../services/reconciliation.service");
+const ledgerService = require("../services/ledger.service");
+const refundService = require("../services/refund.service");
+const config = require("../config");
 
 const gameController = {
   // Get current game status with type filter
@@ -132,7 +141,7 @@ const gameController = {
         status: "ACTIVE",
         endTime: { $lte: now },
       })
-        .select("gameId name status startTime endTime updatedAt error winCondition apePortfolio")
+        .select("gameId name status startTime endTime updatedAt error winCondition apePortfolio stalePrices")
         .lean();
 
       // Enrich with portfolio counts
@@ -149,6 +158,13 @@ const gameController = {
 
           const possibleReasons = [];
           if (game.error) possibleReasons.push(`Game error: ${game.error}`);
+          if (game.stalePrices?.assets?.length) {
+            possibleReasons.push(
+              `Stale prices blocking ${game.stalePrices.stage}: ${game.stalePrices.assets
+                .map((a) => a.symbol || a.assetId)
+                .join(", ")}`
+            );
+          }
           if (!portfoliosByStatus.LOCKED && !portfoliosByStatus.WON && !portfoliosByStatus.LOST) {
             possibleReasons.push("No locked portfolios to process");
           }
@@ -172,7 +188,7 @@ const gameController = {
         updatedAt: { $lte: new Date(now.getTime() - 5 * 60 * 1000) },
       })
         .select(
-          "gameId name status startTime endTime updatedAt hasCalculatedWinners isFullyDistributed error lastProcessedWinnerIndex winCondition"
+          "gameId name status startTime endTime updatedAt hasCalculatedWinners isFullyDistributed error lastProcessedWinnerIndex winCondition stalePrices"
         )
         .lean();
 
@@ -189,6 +205,13 @@ const gameController = {
 
           const possibleReasons = [];
           if (game.error) possibleReasons.push(`Game error: ${game.error}`);
+          if (game.stalePrices?.assets?.length) {
+            possibleReasons.push(
+              `Stale prices blocking ${game.stalePrices.stage}: ${game.stalePrices.assets
+                .map((a) => a.symbol || a.assetId)
+                .join(", ")}`
+            );
+          }
 
           if (game.status === "UPDATE_VALUES") {
             if (!portfoliosByStatus.LOCKED) {
@@ -229,7 +252,7 @@ const gameController = {
         status: "UPCOMING",
         startTime: { $lte: now },
       })
-        .select("gameId name status startTime endTime updatedAt winCondition apePortfolio error")
+        .select("gameId name status startTime endTime updatedAt winCondition apePortfolio error stalePrices")
         .lean();
 
       const upcomingGamesEnriched = await Promise.all(
@@ -248,6 +271,13 @@ const gameController = {
 
           const possibleReasons = [];
           if (game.error) possibleReasons.push(`Game error: ${game.error}`);
+          if (game.stalePrices?.assets?.length) {
+            possibleReasons.push(
+              `Stale prices blocking ${game.stalePrices.stage}: ${game.stalePrices.assets
+                .map((a) => a.symbol || a.assetId)
+                .join(", ")}`
+            );
+          }
 
           // Check if game requires APE portfolio but doesn't have one
           if (game.winCondition?.type === "MARLOW_BANES") {
@@ -971,7 +1001,7 @@ const gameController = {
       .limit(limit);
 
     // Get current prices and update portfolio values
-    const assets = await Asset.find({ type: game.gameType });
+    const assets = await Asset.find({ type: { $in: Asset.typesForGame(game.gameType) } });
     const prices = await priceService.getCurrentPrices(assets);
     await Promise.all(portfolios.map((p) => p.calculateValue(prices)));
 
@@ -997,7 +1027,9 @@ const gameController = {
       assets: p.assets.map((asset) => ({
         symbol: asset.symbol,
         allocation: asset.allocation,
-        currentValue: asset.tokenQty * prices[asset.symbol].price,
+        direction: asset.direction,
+        leverage: asset.leverage,
+        currentValue: Portfolio.positionValue(asset, prices[asset.symbol].price),
       })),
     }));
 
@@ -1025,6 +1057,27 @@ const gameController = {
     });
   }),
 
+  // Get the lock and settlement price snapshots for a game
+  getGameSnapshots: asyncHandler(async (req, res) => {
+    const { gameId } = req.params;
+
+    const game = await Game.findOne({ gameId }).select("gameId gameType status");
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const snapshots = await GamePriceSnapshot.getGameSnapshots(game.gameId).lean();
+    const byKind = (kind) => snapshots.find((snapshot) => snapshot.kind === kind) || null;
+
+    res.json({
+      gameId: game.gameId,
+      gameType: game.gameType,
+      status: game.status,
+      lock: byKind("LOCK"),
+      settlement: byKind("SETTLEMENT"),
+    });
+  }),
+
   // Get game history with filters
   getGameHistory: asyncHandler(async (req, res) => {
     const ethers = require("ethers");
@@ -1176,9 +1229,9 @@ const gameController = {
   getAvailableAssets: asyncHandler(async (req, res) => {
     const { type = "DEFI" } = req.query;
     const assets = await Asset.find({
-      type: type.toUpperCase(),
+      type: { $in: Asset.typesForGame(type.toUpperCase()) },
       isActive: true,
-    }).select("assetId symbol name currentPrice change24h");
+    }).select("assetId symbol name type currentPrice change24h");
 
     const prices = await priceService.getCurrentPrices(assets);
 
@@ -1196,8 +1249,10 @@ const gameController = {
     const { gameId } = req.params;
     const userAddress = req.user.address;
     try {
-      const balance = await blockchainService.getUSDCBalance(userAddress);
-      const approvalData = await blockchainService.checkUSDCAllowance(userAddress, gameId);
+      // Balance and allowance on the chain the game runs on
+      const chainService = await blockchainService.forGame(parseInt(gameId));
+      const balance = await chainService.getUSDCBalance(userAddress);
+      const approvalData = await chainService.checkUSDCAllowance(userAddress, gameId);
 
       // Return wei strings for frontend blockchain interactions
       res.json({
@@ -1211,12 +1266,20 @@ const gameController = {
     }
   }),
 
-  // Get USDC balance for the user
+  // Get USDC balance for the user (?chainId=56, defaults to the primary chain)
   getUSDCBalance: asyncHandler(async (req, res) => {
     const ethers = require("ethers");
     const address = req.user.wallet;
+
+    let chainService;
     try {
-      const balance = await blockchainService.getUSDCBalance(address);
+      chainService = blockchainService.forChain(req.query.chainId);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const balance = await chainService.getUSDCBalance(address);
 
       // Helper function to convert wei to USDC dollars
       const weiToUSDC = (weiValue) => {
@@ -1237,7 +1300,8 @@ const gameController = {
     const { gameId } = req.params;
     const address = req.user.address;
     try {
-      const approvalData = await blockchainService.checkUSDCAllowance(address, gameId);
+      const chainService = await blockchainService.forGame(parseInt(gameId));
+      const approvalData = await chainService.checkUSDCAllowance(address, gameId);
 
       // Helper function to convert wei to USDC dollars
       const weiToUSDC = (weiValue) => {
@@ -1262,9 +1326,8 @@ const gameController = {
     const config = require("../config");
 
     try {
-      // Derive admin wallet address from private key (same as blockchain service)
-      const adminWallet = new ethers.Wallet(config.blockchain.privateKey);
-      const adminWalletAddress = adminWallet.address;
+      // Admin wallet address from the blockchain service's signer
+      const adminWalletAddress = blockchainService.adminWallet.address;
 
       if (!adminWalletAddress) {
         return res.status(400).json({ error: "Admin wallet address not configured" });
@@ -1426,7 +1489,7 @@ const gameController = {
       for (const game of marlowGames) {
         try {
           // Get prize pool info from blockchain
-          const gameDetails = await blockchainService.getGameDetails(game.gameId);
+          const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
           const totalPrizePool = parseFloat(ethers.utils.formatUnits(gameDetails.totalPrizePool, 18));
           const totalDistributed = parseFloat(ethers.utils.formatUnits(gameDetails.totalRewardDistributed, 18));
           const availableToWithdraw = totalPrizePool - totalDistributed;
@@ -1556,7 +1619,7 @@ const gameController = {
       // Get current prize pool info from blockchain
       let gameDetails;
       try {
-        gameDetails = await blockchainService.getGameDetails(parseInt(gameId));
+        gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(parseInt(gameId));
       } catch (err) {
         return res.status(400).json({
           error: "Game does not exist on blockchain",
@@ -1596,7 +1659,7 @@ const gameController = {
         `[MARLOW] Withdrawing ${ethers.utils.formatUnits(availableToWithdraw.toString(), 18)} USDC from game ${gameId}`
       );
 
-      const receipt = await blockchainService.withdrawFromPrizePool(parseInt(gameId), availableToWithdraw.toString());
+      const receipt = await blockchainService.forChain(game.chainId).withdrawFromPrizePool(parseInt(gameId), availableToWithdraw.toString());
 
       // Mark the game as withdrawn in the database
       game.adminWithdrawal = {
@@ -1607,6 +1670,12 @@ const gameController = {
         withdrawnBy: receipt.withdrawalWallet || "unknown",
       };
       await game.save();
+      await ledgerService.recordMarlowWithdrawal({
+        chainId: game.chainId,
+        gameId: game.gameId,
+        transactionHash: receipt.transactionHash,
+        amount: availableToWithdraw.toString(),
+      });
 
       console.log(`[MARLOW] Game ${gameId} marked as withdrawn in database`);
 
@@ -1677,7 +1746,7 @@ const gameController = {
       // Get blockchain data if game has started
       let blockchainData = null;
       try {
-        const gameDetails = await blockchainService.getGameDetails(parseInt(gameId));
+        const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(parseInt(gameId));
         blockchainData = {
           totalPrizePool: weiToUSDC(gameDetails.totalPrizePool),
           totalRewardDistributed: weiToUSDC(gameDetails.totalRewardDistributed),
@@ -2137,7 +2206,7 @@ const gameController = {
       // Get blockchain data
       let blockchainData = null;
       try {
-        const gameDetails = await blockchainService.getGameDetails(parseInt(gameId));
+        const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(parseInt(gameId));
         blockchainData = {
           totalPrizePool: weiToUSDC(gameDetails.totalPrizePool),
           totalPrizePoolWei: gameDetails.totalPrizePool,
@@ -2216,6 +2285,271 @@ const gameController = {
     }
   }),
 
+  /**
+   * Preview Winners - Projected ranks and payouts for a live game from the latest portfolio values
+   * GET /api/game/admin/preview-winners/:gameId
+   */
+  previewWinners: asyncHandler(async (req, res) => {
+    const game = await Game.findOne({ gameId: parseInt(req.params.gameId) });
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    try {
+      const preview = await gameService.previewWinners(game);
+      res.json({ success: true, ...preview });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Transaction Queue - Persisted blockchain transaction jobs and the live queue
+   * GET /api/game/admin/tx-queue?status=FAILED&chainId=56&limit=50
+   */
+  getTransactionQueue: asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const chainId = req.query.chainId ? parseInt(req.query.chainId) : undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (status && !["QUEUED", "SENT", "MINED", "FAILED"].includes(status)) {
+      return res.status(400).json({ error: "status must be one of QUEUED, SENT, MINED, FAILED" });
+    }
+
+    const result = await transactionQueue.getJobs({ status, chainId, limit });
+    res.json({ success: true, ...result });
+  }),
+
+  /**
+   * Cancel Transaction Job - Replace a stuck SENT job with a 0-value self-transfer at its nonce
+   * POST /api/game/admin/tx-queue/:jobId/cancel
+   */
+  cancelTransactionJob: asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ error: "Invalid job id" });
+    }
+
+    try {
+      const job = await transactionQueue.cancelJob(req.params.jobId);
+      res.json({ success: true, message: "Cancel requested - it is broadcast by the transaction queue", job });
+    } catch (error) {
+      const statusCode = error.message.includes("not found") ? 404 : 400;
+      res.status(statusCode).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Operator Wallets - Gas balance, GAME_MANAGER_ROLE and queue lane of each operator wallet, on every chain
+   * GET /api/game/admin/operators
+   */
+  getOperatorWallets: asyncHandler(async (req, res) => {
+    try {
+      const chains = blockchainService.getChains();
+      const operators = (await Promise.all(chains.map((chain) => chain.getOperatorStatus()))).flat();
+      res.json({
+        success: true,
+        minGasBalance: config.blockchain.operators.minGasBalance,
+        lowBalanceCount: operators.filter((operator) => operator.isLowBalance).length,
+        operators,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Retry Transaction Job - Re-queue a FAILED job of a registered kind
+   * POST /api/game/admin/tx-queue/:jobId/retry
+   */
+  retryTransactionJob: asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ error: "Invalid job id" });
+    }
+
+    try {
+      const job = await transactionQueue.retryJob(req.params.jobId);
+      res.json({ success: true, job });
+    } catch (error) {
+      const statusCode = error.message.includes("not found") ? 404 : 400;
+      res.status(statusCode).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Reconciliation Drifts - Differences between the database and the contract found by the reconciler
+   * GET /api/game/admin/reconciliation?status=OPEN&kind=PRIZE_POOL&gameId=42&chainId=56&limit=100
+   */
+  getReconciliationDrifts: asyncHandler(async (req, res) => {
+    const { status, kind } = req.query;
+    const gameId = req.query.gameId ? parseInt(req.query.gameId) : undefined;
+    const chainId = req.query.chainId ? parseInt(req.query.chainId) : undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (status && !["OPEN", "RESOLVED", "REPAIRED"].includes(status)) {
+      return res.status(400).json({ error: "status must be one of OPEN, RESOLVED, REPAIRED" });
+    }
+
+    const report = await reconciliationService.getReport({ status, kind, gameId, chainId, limit });
+    res.json({ success: true, ...report });
+  }),
+
+  /**
+   * Run Reconciliation - Check one game now, or the next batch of games when no gameId is given
+   * POST /api/game/admin/reconciliation/run { gameId }
+   */
+  runReconciliation: asyncHandler(async (req, res) => {
+    try {
+      if (req.body.gameId === undefined) {
+        const summary = await reconciliationService.run();
+        return res.json({ success: true, summary });
+      }
+
+      const game = await Game.findOne({ gameId: parseInt(req.body.gameId) });
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+      const { drifts, opened, resolved } = await reconciliationService.reconcileGame(game);
+      res.json({ success: true, gameId: game.gameId, opened, resolved, drifts });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Repair Drift - Run an OPEN drift's one-click repair action
+   * POST /api/game/admin/reconciliation/:driftId/repair
+   */
+  repairReconciliationDrift: asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.driftId)) {
+      return res.status(400).json({ error: "Invalid drift id" });
+    }
+
+    try {
+      const drift = await reconciliationService.repair(req.params.driftId, req.admin.email);
+      res.json({ success: true, drift });
+    } catch (error) {
+      const statusCode = error.message.includes("not found") ? 404 : 400;
+      res.status(statusCode).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Cancel Game - Cancel a game and refund its entry fees to the players
+   * POST /api/game/admin/cancel-game/:gameId { reason }
+   * The refunds are paid by the refund cron job, one transaction per portfolio
+   */
+  cancelGame: asyncHandler(async (req, res) => {
+    const game = await Game.findOne({ gameId: parseInt(req.params.gameId) });
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const reason = (req.body.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    try {
+      await refundService.cancelGame(game, { reason, requestedBy: req.admin.email });
+      res.json({ success: true, gameId: game.gameId, status: game.status, refund: game.refund });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Refund Status - Refund progress of a cancelled game and its portfolios
+   * GET /api/game/admin/refund-status/:gameId
+   */
+  getRefundStatus: asyncHandler(async (req, res) => {
+    const game = await Game.findOne({ gameId: parseInt(req.params.gameId) }).select("gameId name status refund").lean();
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const portfolios = await Portfolio.find({ gameId: game.gameId, isApe: { $ne: true } })
+      .select("portfolioId portfolioName userId status refund")
+      .lean();
+
+    res.json({
+      success: true,
+      gameId: game.gameId,
+      name: game.name,
+      status: game.status,
+      refund: game.refund || null,
+      portfolios,
+    });
+  }),
+
+  /**
+   * Trial Balance - Debit and credit totals of every internal ledger account
+   * GET /api/game/admin/ledger/trial-balance?chainId=&asOf=
+   */
+  getLedgerTrialBalance: asyncHandler(async (req, res) => {
+    const chainId = req.query.chainId ? parseInt(req.query.chainId) : undefined;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : undefined;
+
+    if (asOf && isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: "asOf must be a date" });
+    }
+
+    const trialBalance = await ledgerService.getTrialBalance({ chainId, asOf });
+    res.json({ success: true, ...trialBalance });
+  }),
+
+  /**
+   * Account Statement - Movements of one internal ledger account with a running balance
+   * GET /api/game/admin/ledger/accounts/:account?subject=&chainId=&startDate=&endDate=&limit=
+   * subject is the User _id (USER_WALLET, USER_LOCKED) or gameId (GAME_POOL)
+   */
+  getLedgerAccountStatement: asyncHandler(async (req, res) => {
+    const { account } = req.params;
+    const { subject } = req.query;
+    const chainId = req.query.chainId ? parseInt(req.query.chainId) : undefined;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : undefined;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({ error: "startDate and endDate must be dates" });
+    }
+
+    try {
+      const statement = await ledgerService.getAccountStatement({
+        account,
+        subject,
+        chainId,
+        startDate,
+        endDate,
+        limit,
+      });
+      res.json({ success: true, ...statement });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }),
+
+  /**
+   * Replay Settlement - Recompute final values, ranks and rewards for a settled game
+   * and diff them against Game.winners and Portfolio.gameOutcome (read-only)
+   * GET /api/game/admin/replay-settlement/:gameId
+   */
+  replaySettlement: asyncHandler(async (req, res) => {
+    const gameId = parseInt(req.params.gameId);
+
+    const game = await Game.findOne({ gameId }).select("gameId");
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    try {
+      const report = await settlementReplayService.replayGame(gameId);
+      res.json({ success: true, ...report });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }),
+
   /**
    * Process Remaining Rewards - Manually trigger reward distribution for a game
    * POST /api/game/admin/process-rewards/:gameId
@@ -2423,8 +2757,8 @@ const gameController = {
 
     try {
       // Note: Assets only support DEFI and TRADFI types
-      if (!["DEFI", "TRADFI"].includes(gameType.toUpperCase())) {
-        return res.status(400).json({ error: "Invalid game type. Use DEFI or TRADFI" });
+      if (!["DEFI", "TRADFI", "HYBRID"].includes(gameType.toUpperCase())) {
+        return res.status(400).json({ error: "Invalid game type. Use DEFI, TRADFI or HYBRID" });
       }
 
       console.log(`[ADMIN] Marlow AI preview requested for ${gameType}`);
@@ -2517,6 +2851,8 @@ const gameController = {
             allocation: a.allocation,
             percentage: `${(a.allocation / 1000).toFixed(1)}%`,
             tokenQty: a.tokenQty,
+            direction: a.direction,
+            leverage: a.leverage,
           })),
         },
         aiMetadata: portfolio.metadata || {
@@ -8,6 +8,9 @@ const GamePopupTracker = require("../models/GamePopupTracker");
 const Transaction = require("../models/Transaction");
 const priceService = require("../services/price.service");
 const blockchainService = require("../services/blockchain.service");
+const ledgerService = require("../services/ledger.service");
+const portfolioRulesService = require("../services/portfolio-rules.service");
+const swapService = require("../services/swap.service");
 const config = require("../config");
 const { ethers } = require("ethers");
 
@@ -137,50 +140,20 @@ const portfolioController = {
 
     const { assets, gameType, portfolioName } = req.body;
 
-    const formattedAssets = assets.map((asset) => asset.symbol);
-    if (!formattedAssets || !Array.isArray(formattedAssets) || formattedAssets.length !== 8) {
-      return res.status(400).json({ error: "Must provide exactly 8 assets" });
+    if (!gameType || !["DEFI", "TRADFI", "HYBRID"].includes(gameType)) {
+      return res.status(400).json({ error: "Invalid game type. Must be DEFI, TRADFI or HYBRID" });
     }
 
-    if (!gameType || !["DEFI", "TRADFI"].includes(gameType)) {
-      return res.status(400).json({ error: "Invalid game type. Must be either DEFI or TRADFI" });
-    }
-
-    // Check for unique assets
-    const uniqueAssets = new Set(formattedAssets);
-    if (uniqueAssets.size !== formattedAssets.length) {
-      return res.status(400).json({ error: "All assets must be unique" });
-    }
-
-    // Verify assets in database
-    const dbAssets = await Asset.find({
-      symbol: { $in: formattedAssets },
-      type: gameType,
-      isActive: true,
-    });
-
-    if (dbAssets.length !== formattedAssets.length) {
-      const foundSymbols = dbAssets.map((a) => a.symbol);
-      const missingAssets = formattedAssets.filter((a) => !foundSymbols.includes(a));
-      return res.status(400).json({
-        error: `Some assets were not found or are inactive: ${missingAssets.join(", ")}`,
-      });
+    // The contract picks the game when the portfolio is locked, so the default rules apply
+    const { error: assetsError, assets: portfolioAssets } = await portfolioRulesService.buildAssets(
+      assets,
+      gameType,
+      portfolioRulesService.getRules(null)
+    );
+    if (assetsError) {
+      return res.status(400).json({ error: assetsError });
     }
 
-    // Predefined allocation values
-    const allocations = [20000, 20000, 15000, 15000, 10000, 10000, 5000, 5000];
-
-    // Map assets to allocations
-    const portfolioAssets = formattedAssets.map((symbol, index) => {
-      const dbAsset = dbAssets.find((a) => a.symbol === symbol);
-      return {
-        assetId: dbAsset.assetId,
-        symbol: symbol,
-        allocation: allocations[index],
-        tokenQty: 0, // Initial token quantities will be calculated by smart contract
-      };
-    });
-
     // Validate user wallet
     if (!req.user.address) {
       return res.status(400).json({
@@ -209,6 +182,7 @@ const portfolioController = {
       await Transaction.create({
         transactionHash: transactionHash,
         userId: req.user._id,
+        chainId: blockchainService.chainId,
         type: "ENTRY_FEE",
         amount: ethers.utils.parseUnits("4.5", 18).toString(),
         status: "COMPLETED",
@@ -220,6 +194,12 @@ const portfolioController = {
         gasPrice: receipt.effectiveGasPrice.toString(),
         networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
       });
+      await ledgerService.recordFundsLocked({
+        chainId: blockchainService.chainId,
+        userId: req.user._id,
+        transactionHash,
+        amount: ethers.utils.parseUnits("4.5", 18).toString(),
+      });
 
       // Get user's locked balance from blockchain
       const lockedBalanceStr = await blockchainService.getUserLockedBalance(req.user.address);
@@ -256,6 +236,7 @@ const portfolioController = {
         portfolioName: portfolioName,
         gameId: 0,
         gameType: gameType,
+        chainId: blockchainService.chainId,
         portfolioId: nextPortfolioId,
         assets: portfolioAssets,
         status: "PENDING",
@@ -383,9 +364,14 @@ const portfolioController = {
       })
     );
 
+    // Swaps made so far, and how many the game still allows
+    const game = portfolio.gameId ? await Game.findOne({ gameId: portfolio.gameId }) : null;
+    const { maxSwaps } = portfolioRulesService.getRules(game);
+
     const enrichedPortfolio = {
       ...portfolio.toJSON(),
       assets: enrichedAssets,
+      swapsRemaining: Math.max(0, maxSwaps - portfolio.swaps.length),
     };
 
     res.json({
@@ -393,6 +379,38 @@ const portfolioController = {
     });
   }),
 
+  // Swap one asset of a portfolio in a live game for another at the current price
+  swapAsset: asyncHandler(async (req, res) => {
+    const portfolioId = Number(req.params.portfolioId);
+    const { fromSymbol, toSymbol } = req.body;
+
+    if (isNaN(portfolioId)) {
+      return res.status(400).json({
+        error: "Invalid portfolioId parameter. Must be a number.",
+      });
+    }
+
+    const portfolio = await Portfolio.findOne({
+      portfolioId,
+      userId: req.user._id,
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+
+    try {
+      const { portfolio: updatedPortfolio, swap } = await swapService.swapAsset(portfolio, { fromSymbol, toSymbol });
+      res.json({
+        message: `Swapped ${fromSymbol} for ${toSymbol}`,
+        swap,
+        portfolio: updatedPortfolio.toJSON(),
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }),
+
   // Get portfolio performance history
   getPortfolioHistory: asyncHandler(async (req, res) => {
     const { portfolioId } = req.params;
@@ -552,7 +570,8 @@ const portfolioController = {
     }
 
     try {
-      const receipt = await blockchainService.provider.getTransactionReceipt(portfolio.transactionHash);
+      const chainService = blockchainService.forChain(portfolio.chainId);
+      const receipt = await chainService.provider.getTransactionReceipt(portfolio.transactionHash);
       console.log(`Checking transaction status for ${portfolio.transactionHash}`, receipt);
       if (!receipt) {
         return res.json({
@@ -564,7 +583,7 @@ const portfolioController = {
       const decodedEvents = receipt.logs
         .map((log) => {
           try {
-            return blockchainService.contract.interface.parseLog(log);
+            return chainService.contract.interface.parseLog(log);
           } catch (err) {
             return null;
           }
@@ -595,6 +614,7 @@ const portfolioController = {
         await Transaction.create({
           transactionHash: portfolio.transactionHash,
           userId: portfolio.userId,
+          chainId: chainService.chainId,
           type: "ENTRY_FEE",
           amount: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.entryFee.toString() : "0",
           adminFee: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.adminFee.toString() : "0",
@@ -606,11 +626,20 @@ const portfolioController = {
           blockNumber: receipt.blockNumber,
           blockTimestamp: new Date(),
           fromAddress: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.payer : null,
-          toAddress: config.blockchain.contractAddress,
+          toAddress: chainService.contractAddress,
           gasUsed: receipt.gasUsed.toString(),
           gasPrice: receipt.effectiveGasPrice.toString(),
           networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
         });
+        await ledgerService.recordEntryFee({
+          chainId: chainService.chainId,
+          userId: portfolio.userId._id,
+          gameId: portfolioCreatedEvent.args.gameId.toNumber(),
+          portfolioId: portfolio.portfolioId,
+          transactionHash: portfolio.transactionHash,
+          entryFee: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.entryFee.toString() : "0",
+          adminFee: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.adminFee.toString() : "0",
+        });
 
         // New code to update game participantCount and totalPrizePool
         const gameId = portfolioCreatedEvent.args.gameId.toNumber();
@@ -739,50 +768,19 @@ const portfolioController = {
       return res.status(400).json({ error: "Game already started." });
     }
 
-    const formattedAssets = assets.map((asset) => asset.symbol);
-    if (!formattedAssets || !Array.isArray(formattedAssets) || formattedAssets.length !== 8) {
-      return res.status(400).json({ error: "Must provide exactly 8 assets" });
-    }
-
-    if (!gameType || !["DEFI", "TRADFI"].includes(gameType)) {
-      return res.status(400).json({ error: "Invalid game type. Must be either DEFI or TRADFI" });
-    }
-
-    // Check for unique assets
-    const uniqueAssets = new Set(formattedAssets);
-    if (uniqueAssets.size !== formattedAssets.length) {
-      return res.status(400).json({ error: "All assets must be unique" });
+    if (!gameType || !["DEFI", "TRADFI", "HYBRID"].includes(gameType)) {
+      return res.status(400).json({ error: "Invalid game type. Must be DEFI, TRADFI or HYBRID" });
     }
 
-    // Verify assets in database
-    const dbAssets = await Asset.find({
-      symbol: { $in: formattedAssets },
-      type: gameType,
-      isActive: true,
-    });
-
-    if (dbAssets.length !== formattedAssets.length) {
-      const foundSymbols = dbAssets.map((a) => a.symbol);
-      const missingAssets = formattedAssets.filter((a) => !foundSymbols.includes(a));
-      return res.status(400).json({
-        error: `Some assets were not found or are inactive: ${missingAssets.join(", ")}`,
-      });
+    const { error: assetsError, assets: portfolioAssets } = await portfolioRulesService.buildAssets(
+      assets,
+      gameType,
+      portfolioRulesService.getRules(game)
+    );
+    if (assetsError) {
+      return res.status(400).json({ error: assetsError });
     }
 
-    // Predefined allocation values
-    const allocations = [20000, 20000, 15000, 15000, 10000, 10000, 5000, 5000];
-
-    // Map assets to allocations
-    const portfolioAssets = formattedAssets.map((symbol, index) => {
-      const dbAsset = dbAssets.find((a) => a.symbol === symbol);
-      return {
-        assetId: dbAsset.assetId,
-        symbol: symbol,
-        allocation: allocations[index],
-        tokenQty: 0,
-      };
-    });
-
     try {
       // Get next portfolioId dynamically
       const maxPortfolio = await Portfolio.findOne().sort({ portfolioId: -1 }).select("portfolioId");
@@ -794,6 +792,7 @@ const portfolioController = {
         portfolioName: portfolioName,
         gameId: gameId,
         gameType: gameType,
+        chainId: game.chainId,
         portfolioId: nextPortfolioId,
         assets: portfolioAssets,
         status: "PENDING_LOCK_BALANCE",
@@ -838,47 +837,17 @@ const portfolioController = {
 
     // Update assets if provided
     if (assets) {
-      const formattedAssets = assets.map((asset) => asset.symbol);
-
-      // Validate assets array length
-      if (formattedAssets.length !== 8) {
-        return res.status(400).json({ error: "Must provide exactly 8 assets" });
-      }
-
-      // Check for unique assets
-      const uniqueAssets = new Set(formattedAssets);
-      if (uniqueAssets.size !== formattedAssets.length) {
-        return res.status(400).json({ error: "All assets must be unique" });
-      }
-
-      // Verify assets in database
-      const dbAssets = await Asset.find({
-        symbol: { $in: formattedAssets },
-        type: portfolio.gameType,
-        isActive: true,
-      });
-
-      if (dbAssets.length !== formattedAssets.length) {
-        const foundSymbols = dbAssets.map((a) => a.symbol);
-        const missingAssets = formattedAssets.filter((a) => !foundSymbols.includes(a));
-        return res.status(400).json({
-          error: `Some assets were not found or are inactive: ${missingAssets.join(", ")}`,
-        });
+      const game = portfolio.gameId ? await Game.findOne({ gameId: portfolio.gameId }) : null;
+      const { error: assetsError, assets: portfolioAssets } = await portfolioRulesService.buildAssets(
+        assets,
+        portfolio.gameType,
+        portfolioRulesService.getRules(game)
+      );
+      if (assetsError) {
+        return res.status(400).json({ error: assetsError });
       }
 
-      // Predefined allocation values
-      const allocations = [20000, 20000, 15000, 15000, 10000, 10000, 5000, 5000];
-
-      // Map assets to allocations
-      portfolio.assets = formattedAssets.map((symbol, index) => {
-        const dbAsset = dbAssets.find((a) => a.symbol === symbol);
-        return {
-          assetId: dbAsset.assetId,
-          symbol: symbol,
-          allocation: allocations[index],
-          tokenQty: 0, // Reset token quantities as they will be recalculated
-        };
-      });
+      portfolio.assets = portfolioAssets;
     }
 
     // Save the updated portfolio
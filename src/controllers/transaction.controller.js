@@ -15,7 +15,8 @@ const transactionController = {
 
         // Check if user has sufficient USDC allowance
         const user = await User.findById(userId);
-        const allowanceCheck = await blockchainService.checkUSDCAllowance(user.address, gameId);
+        const chainService = await blockchainService.forGame(Number(gameId));
+        const allowanceCheck = await chainService.checkUSDCAllowance(user.address, gameId);
 
         if (allowanceCheck.needsApproval) {
             const ethers = require('ethers');
@@ -172,17 +173,24 @@ const transactionController = {
         });
     }),
 
-    // Get user balance
+    // Get user balance (on the game's chain when gameId is given, otherwise ?chainId or the primary chain)
     getUserBalance: asyncHandler(async (req, res) => {
         const ethers = require('ethers');
         const userId = req.user._id;
-        const { gameId } = req.query;
+        const { gameId, chainId } = req.query;
         const user = await User.findById(userId);
 
+        let chainService;
+        try {
+            chainService = gameId ? await blockchainService.forGame(Number(gameId)) : blockchainService.forChain(chainId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
         // Fetch both balances from blockchain (source of truth)
         const [balance, lockedBalanceWei] = await Promise.all([
-            blockchainService.getUSDCBalance(user.address),
-            blockchainService.getUserLockedBalance(user.address),
+            chainService.getUSDCBalance(user.address),
+            chainService.getUserLockedBalance(user.address),
         ]);
 
         // Helper function to convert wei to USDC dollars
@@ -193,13 +201,14 @@ const transactionController = {
         };
 
         const response = {
+            chainId: chainService.chainId,
             balance: weiToUSDC(balance),
             lockedBalance: weiToUSDC(lockedBalanceWei),
         };
 
         // Only check allowance if gameId is provided
         if (gameId) {
-            const allowance = await blockchainService.checkUSDCAllowance(user.address, gameId);
+            const allowance = await chainService.checkUSDCAllowance(user.address, gameId);
             response.allowance = weiToUSDC(allowance.currentAllowance);
             response.requiredAllowance = weiToUSDC(allowance.requiredAmount);
             response.needsApproval = allowance.needsApproval;
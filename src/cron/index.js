@@ -1,14 +1,16 @@
 const cron = require("node-cron");
 const gameService = require("../services/game.service");
 const priceService = require("../services/price.service");
-const blockchainService = require("../services/blockchain.service");
 const transactionService = require("../services/transaction.service");
 const discordService = require("../services/discord.service");
+const chainIndexer = require("../services/chain-indexer.service");
+const transactionQueue = require("../services/transaction-queue.service");
+const reconciliationService = require("../services/reconciliation.service");
+const refundService = require("../services/refund.service");
+const blockchainService = require("../services/blockchain.service");
+const config = require("../config");
 const Game = require("../models/Game");
-const Notification = require("../models/Notification");
-const Transaction = require("../models/Transaction");
 const Portfolio = require("../models/Portfolio");
-const config = require("../config");
 const GameCron = require("../models/GameCron");
 
 // Helper function to validate cron expressions
@@ -28,8 +30,14 @@ const logCronExecution = (jobName) => {
 const cronLocks = {
   rewardDistribution: false,
   winnerCalculation: false,
+  chainIndexer: false,
+  reconciliation: false,
+  refunds: false,
 };
 
+// Operator wallets already reported low on gas; cleared once topped up so the next drop alerts again
+const lowGasAlerted = new Set();
+
 // Initialize all cron jobs
 exports.initializeCronJobs = () => {
   try {
@@ -53,11 +61,17 @@ exports.initializeCronJobs = () => {
         console.log(`Found ${dueCrons.length} due cron jobs to process.`);
         for (const cronJob of dueCrons) {
           try {
-            // Create game from cron
-            const game = await gameService.createGameFromCron(cronJob);
-            if (!game) {
-              console.log(`Failed to create game.`);
-              continue;
+            // TRADFI games that would run entirely while the market is closed may be skipped
+            const gameWindow = await gameService.getGameWindow(cronJob);
+            if (gameWindow.skipReason) {
+              console.warn(`[CRON] GameCron ${cronJob._id} skipped: ${gameWindow.skipReason}`);
+            } else {
+              // Create game from cron
+              const game = await gameService.createGameFromCron(cronJob, gameWindow);
+              if (!game) {
+                console.log(`Failed to create game.`);
+                continue;
+              }
             }
 
             if (cronJob.cronType === "ONCE") {
@@ -91,9 +105,22 @@ exports.initializeCronJobs = () => {
           .sort({ updatedAt: 1 })
           .limit(5);
         for (const game of games) {
-          await gameService.updateLockedPortfolioValues(game);
-          game.status = "CALCULATING_WINNERS";
-          await game.save();
+          try {
+            // Final values decide the winners - never settle on stale prices
+            const pricesAreFresh = await gameService.checkPriceFreshness(game, "UPDATE_VALUES");
+            if (!pricesAreFresh) {
+              console.warn(`[CRON] Game ${game.gameId} final value update postponed - stale prices`);
+              continue;
+            }
+
+            // Settle against an immutable snapshot so the final values are reproducible
+            const settlementSnapshot = await gameService.takePriceSnapshot(game, "SETTLEMENT");
+            await gameService.updateLockedPortfolioValues(game, settlementSnapshot.getPriceMap());
+            game.status = "CALCULATING_WINNERS";
+            await game.save();
+          } catch (error) {
+            console.error(`[CRON] ✗ Error updating final values of game ${game.gameId}:`, error.message);
+          }
         }
       } catch (error) {
         console.error("Final portfolio value update cron job error:", error);
@@ -150,7 +177,8 @@ exports.initializeCronJobs = () => {
     });
 
     // Distribute rewards in batches every minute
-    // IMPORTANT: Process ONE game at a time to prevent contract nonce collisions
+    // Games are distributed side by side, up to one per operator lane; their signed
+    // batchAssignRewards calls still take turns on the contract nonce in the queue
     // Uses mutex lock to prevent overlapping runs
     validateCronExpression("* * * * *");
     cron.schedule("* * * * *", async () => {
@@ -164,21 +192,24 @@ exports.initializeCronJobs = () => {
 
       try {
         logCronExecution("Reward Distribution");
-        // Process only 1 game at a time to ensure sequential blockchain transactions
-        const game = await Game.findOne({
+        const games = await Game.find({
           status: "CALCULATING_WINNERS",
           hasCalculatedWinners: true,
           isFullyDistributed: false,
-        }).sort({ endTime: 1 }); // Process oldest first
-
-        if (game) {
-          try {
-            logCronExecution(`Distributing rewards for game ${game.gameId}`);
-            await gameService.distributeGameRewards(game);
-          } catch (error) {
-            console.error(`Error distributing rewards for game ${game.gameId}:`, error);
-          }
-        }
+        })
+          .sort({ endTime: 1 }) // Process oldest first
+          .limit(transactionQueue.getQueues().reduce((sum, queue) => sum + queue.lanes.length, 0));
+
+        await Promise.all(
+          games.map(async (game) => {
+            try {
+              logCronExecution(`Distributing rewards for game ${game.gameId}`);
+              await gameService.distributeGameRewards(game);
+            } catch (error) {
+              console.error(`Error distributing rewards for game ${game.gameId}:`, error);
+            }
+          })
+        );
       } catch (error) {
         console.error("Reward distribution cron job error:", error);
       } finally {
@@ -204,6 +235,15 @@ exports.initializeCronJobs = () => {
           try {
             console.log(`[CRON] Processing game ${game.gameId} (${game.name}) for UPCOMING → ACTIVE`);
 
+            if (await refundService.isBelowMinPlayers(game)) {
+              await refundService.cancelGame(game, {
+                reason: `Fewer than ${game.minPlayers} players joined`,
+                requestedBy: "system",
+              });
+              console.log(`[CRON] ✗ Game ${game.gameId} cancelled: below ${game.minPlayers} players`);
+              continue;
+            }
+
             // Check if Ape portfolio already exists for this game
             const existingApePortfolio = await Portfolio.findOne({
               gameId: game.gameId,
@@ -303,231 +343,141 @@ exports.initializeCronJobs = () => {
       }
     });
 
+    // Index contract events; confirms pending portfolios and syncs games from the chain
     validateCronExpression("* * * * *");
     cron.schedule("* * * * *", async () => {
-      try {
-        logCronExecution("Check Pending Lock Balance Transactions");
-
-        const pendingPortfolios = await Portfolio.find({
-          status: "PENDING_LOCK_BALANCE",
-          transactionHash: { $exists: true, $ne: null },
-        }).populate("userId");
-
-        for (const portfolio of pendingPortfolios) {
-          try {
-            const receipt = await blockchainService.provider.getTransactionReceipt(portfolio.transactionHash);
-
-            if (!receipt || !receipt.logs) {
-              console.error(`No receipt or logs found for transaction ${portfolio.transactionHash}`);
-              continue;
-            }
-
-            // Decode logs into events
-            const decodedEvents = receipt.logs
-              .map((log) => {
-                try {
-                  return blockchainService.contract.interface.parseLog(log);
-                } catch (err) {
-                  return null;
-                }
-              })
-              .filter((event) => event !== null);
-
-            const portfolioCreatedEvent = decodedEvents.find((e) => e.name === "PortfolioCreated");
-            const portfolioEntryFeePaidEvent = decodedEvents.find((e) => e.name === "PortfolioEntryFeePaid");
-
-            if (!portfolioCreatedEvent) {
-              console.error(`PortfolioCreated event not found in transaction ${portfolio.transactionHash}`);
-              portfolio.status = "FAILED";
-              portfolio.error = "PortfolioCreated event not found in transaction";
-              await portfolio.save();
-              continue;
-            }
-
-            if (receipt.status) {
-              // Validate event data matches portfolio data
-              if (
-                portfolioCreatedEvent.args.portfolioId.toNumber() !== portfolio.portfolioId ||
-                portfolioCreatedEvent.args.gameId.toNumber() !== portfolio.gameId ||
-                portfolio.userId.address.toLowerCase() !== portfolioCreatedEvent.args.owner.toLowerCase()
-              ) {
-                console.error(`PortfolioCreated event data does not match portfolio ${portfolio._id}`);
-                portfolio.status = "FAILED";
-                portfolio.error = "PortfolioCreated event data does not match portfolio";
-                await portfolio.save();
-                continue;
-              }
-
-              await Transaction.create({
-                transactionHash: portfolio.transactionHash,
-                userId: portfolio.userId,
-                type: "ENTRY_FEE",
-                amount: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.entryFee.toString() : "0",
-                adminFee: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.adminFee.toString() : "0",
-                gameId: portfolioCreatedEvent.args.gameId.toNumber(),
-                portfolioId: portfolioEntryFeePaidEvent
-                  ? portfolioEntryFeePaidEvent.args.portfolioId.toNumber()
-                  : portfolio.portfolioId,
-                status: "COMPLETED",
-                blockNumber: receipt.blockNumber,
-                blockTimestamp: new Date(),
-                fromAddress: portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.payer : null,
-                toAddress: config.blockchain.contractAddress,
-                gasUsed: receipt.gasUsed.toString(),
-                gasPrice: receipt.effectiveGasPrice.toString(),
-                networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
-              });
-
-              const gameId = portfolioCreatedEvent.args.gameId.toNumber();
-              const gameEntryCount = portfolioCreatedEvent.args.entryCount
-                ? parseInt(portfolioCreatedEvent.args.entryCount.toString())
-                : 0;
-
-              const prizePool = portfolioCreatedEvent.args.prizePool
-                ? parseInt(portfolioCreatedEvent.args.prizePool.toString())
-                : 0;
+      if (cronLocks.chainIndexer) {
+        console.log("[CRON] Chain indexer already running, skipping...");
+        return;
+      }
+      cronLocks.chainIndexer = true;
 
-              const game = await Game.findOne({ gameId: gameId });
-              if (game) {
-                game.participantCount = Math.max(game.participantCount || 0, gameEntryCount);
-                game.totalPrizePool = Math.max(game.totalPrizePool || 0, prizePool);
-                await game.save();
-              }
-              portfolio.status = "PENDING";
-              await portfolio.save();
-
-              await new Notification({
-                userId: portfolio.userId,
-                type: "PORTFOLIO_CREATED",
-                message: `Portfolio ${portfolio.portfolioName} created successfully`,
-              }).save();
-            } else {
-              portfolio.status = "FAILED";
-              portfolio.error = "Transaction failed on blockchain";
-              await portfolio.save();
-
-              await new Notification({
-                userId: portfolio.userId,
-                type: "TRANSACTION_FAILED",
-                message: `Transaction failed for portfolio ${portfolio.portfolioName}`,
-              }).save();
-            }
-          } catch (error) {
-            console.error(`Error processing portfolio:`, error);
+      try {
+        logCronExecution("Chain Event Indexer");
+        const results = await chainIndexer.runAll();
+        for (const result of results) {
+          if (!result.error && (result.events > 0 || result.reorged || !result.caughtUp)) {
+            console.log(
+              `[INDEXER] Chain ${result.chainId} indexed to block ${result.toBlock} (head ${result.head}): ${
+                result.events
+              } event(s), ${result.handled} handled${result.reorged ? ", reorg rewound" : ""}`
+            );
           }
         }
       } catch (error) {
-        console.error("Pending lock balance check cron job error:", error);
+        console.error("Chain indexer cron job error:", error);
+      } finally {
+        cronLocks.chainIndexer = false;
       }
     });
 
-    validateCronExpression("*/2 * * * *");
-    cron.schedule("*/2 * * * *", async () => {
+    // Record receipts for sent transactions the queue stopped waiting for
+    validateCronExpression("* * * * *");
+    cron.schedule("* * * * *", async () => {
       try {
-        logCronExecution("Check Pending Lock Balance Without Transaction Hash");
+        let mined = 0;
+        for (const queue of transactionQueue.getQueues()) {
+          mined += await queue.monitorSentJobs();
+        }
+        if (mined > 0) {
+          logCronExecution(`Transaction Queue Monitor: ${mined} sent job(s) mined`);
+        }
+      } catch (error) {
+        console.error("Transaction queue monitor cron job error:", error);
+      }
+    });
 
-        const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
-        const pendingPortfolios = await Portfolio.find({
-          status: "PENDING_LOCK_BALANCE",
-          transactionHash: { $exists: false },
-          $or: [{ retryCount: 0 }, { retryCount: { $lt: 5 }, lastRetryAt: { $lt: twoMinutesAgo } }],
-        }).populate("userId");
+    // Check operator wallet gas balances every 10 minutes
+    validateCronExpression("*/10 * * * *");
+    cron.schedule("*/10 * * * *", async () => {
+      try {
+        logCronExecution("Operator Gas Check");
+        const operators = [];
+        for (const chain of blockchainService.getChains()) {
+          operators.push(...(await chain.getOperatorStatus()));
+        }
+        const low = operators.filter((operator) => operator.isLowBalance);
+        // The same wallet can be an operator on several chains, with a separate balance on each
+        const alertKey = (operator) => `${operator.chainId}:${operator.address}`;
 
-        for (const portfolio of pendingPortfolios) {
-          try {
-            // Call getPortfolioOwner from smart contract
-            const portfolioOwner = await blockchainService.getPortfolioOwner(portfolio.portfolioId);
+        for (const operator of operators) {
+          if (!operator.isLowBalance) lowGasAlerted.delete(alertKey(operator));
+          if (!operator.hasGameManagerRole) {
+            console.warn(
+              `[OPERATORS] ${operator.address} is missing GAME_MANAGER_ROLE on chain ${operator.chainId} - its transactions will revert`
+            );
+          }
+        }
 
-            const zeroAddress = "0x0000000000000000000000000000000000000000";
-            const userAddress = portfolio.userId.address.toLowerCase();
+        if (low.length > 0) {
+          console.warn(
+            `[OPERATORS] Low gas: ${low
+              .map((operator) => `${operator.address} on chain ${operator.chainId} (${operator.balance})`)
+              .join(", ")}`
+          );
+        }
 
-            if (portfolioOwner.toLowerCase() === userAddress) {
-              // Portfolio owner matches user address - mark as successful
-              console.log(`Portfolio ${portfolio.portfolioId} owner matches user ${portfolio.userId.address}`);
+        const newlyLow = low.filter((operator) => !lowGasAlerted.has(alertKey(operator)));
+        if (newlyLow.length > 0) {
+          await discordService.postOperatorLowBalance(newlyLow, config.blockchain.operators.minGasBalance);
+          newlyLow.forEach((operator) => lowGasAlerted.add(alertKey(operator)));
+        }
+      } catch (error) {
+        console.error("Operator gas check cron job error:", error);
+      }
+    });
 
-              // Get game details
-              const gameDetails = await blockchainService.getGameDetails(portfolio.gameId);
+    // Compare games, portfolios and rewards with the contract every 30 minutes
+    validateCronExpression("*/30 * * * *");
+    cron.schedule("*/30 * * * *", async () => {
+      if (cronLocks.reconciliation) {
+        console.log("[CRON] Reconciliation already running, skipping...");
+        return;
+      }
+      cronLocks.reconciliation = true;
 
-              // Update game with participant count and prize pool
-              const game = await Game.findOne({ gameId: portfolio.gameId });
-              if (game) {
-                game.participantCount = Math.max(game.participantCount || 0, gameDetails.entryCount);
-                game.totalPrizePool = Math.max(game.totalPrizePool || 0, parseInt(gameDetails.totalPrizePool));
-                await game.save();
-              }
+      try {
+        logCronExecution("Reconciliation");
+        const summary = await reconciliationService.run();
+        if (summary.opened > 0 || summary.resolved > 0 || summary.failed.length > 0) {
+          console.log(
+            `[RECONCILE] ${summary.games} game(s) checked: ${summary.drifts} drift(s), ${summary.opened} new, ${summary.resolved} resolved, ${summary.failed.length} failed`
+          );
+        }
+      } catch (error) {
+        console.error("Reconciliation cron job error:", error);
+      } finally {
+        cronLocks.reconciliation = false;
+      }
+    });
 
-              portfolio.status = "PENDING";
-              portfolio.retryCount = 0;
-              portfolio.lastRetryAt = null;
-              portfolio.retryError = null;
-              await portfolio.save();
-
-              // Calculate entry fee and admin fee properly in wei
-              const { ethers } = require("ethers");
-              const entryFeeWei = ethers.utils.parseUnits(game.entryPrice.toString(), 18);
-              const adminFeeWei = entryFeeWei.mul(10).div(100); // 10% admin fee
-
-              await Transaction.create({
-                transactionHash: "MANUAL_ENTRY_NO_TX_HASH",
-                userId: portfolio.userId,
-                type: "ENTRY_FEE",
-                amount: entryFeeWei.toString(),
-                adminFee: adminFeeWei.toString(),
-                gameId: portfolio.gameId,
-                portfolioId: portfolio.portfolioId,
-                status: "COMPLETED",
-                blockNumber: 0, // Manual entry, no blockchain block
-                blockTimestamp: new Date(),
-                fromAddress: userAddress,
-                toAddress: config.blockchain.contractAddress,
-                gasUsed: "0",
-                gasPrice: "0",
-                networkFee: "0",
-              });
+    // Refund entry fees of cancelled games (and FAILED games nobody fixed), and of portfolios
+    // taken out of their game, every minute
+    validateCronExpression("* * * * *");
+    cron.schedule("* * * * *", async () => {
+      if (cronLocks.refunds) {
+        console.log("[CRON] Refunds already running, skipping...");
+        return;
+      }
+      cronLocks.refunds = true;
 
-              await new Notification({
-                userId: portfolio.userId,
-                type: "PORTFOLIO_CREATED",
-                message: `Portfolio ${portfolio.portfolioName} created successfully`,
-              }).save();
-            } else if (portfolioOwner.toLowerCase() === zeroAddress) {
-              // Portfolio owner is zero address - mark as failed
-              console.log(`Portfolio ${portfolio.portfolioId} owner is zero address - marking as failed`);
-
-              if (portfolio.retryCount < 5) {
-                portfolio.retryCount += 1;
-                portfolio.lastRetryAt = new Date();
-                portfolio.retryError = `Portfolio ${portfolio.portfolioId} owner is zero address - marking as failed`;
-                await portfolio.save();
-              } else {
-                portfolio.status = "FAILED";
-                portfolio.error = "Max retries exceeded";
-                portfolio.retryError = `Portfolio ${portfolio.portfolioId} owner is zero address - marking as failed`;
-                await portfolio.save();
-                await new Notification({
-                  userId: portfolio.userId,
-                  type: "TRANSACTION_FAILED",
-                  message: `Portfolio creation failed for ${portfolio.portfolioName}`,
-                }).save();
-              }
-            }
-          } catch (error) {
-            console.error(`Error processing portfolio ${portfolio.portfolioId}:`, error);
-            if (portfolio.retryCount < 5) {
-              portfolio.retryCount += 1;
-              portfolio.lastRetryAt = new Date();
-              portfolio.retryError = error.message || String(error);
-              await portfolio.save();
-            } else {
-              portfolio.status = "FAILED";
-              portfolio.error = "Max retries exceeded";
-              portfolio.retryError = error.message || String(error);
-              await portfolio.save();
-            }
-          }
+      try {
+        logCronExecution("Game Refunds");
+        const summary = await refundService.run();
+        if (summary.cancelled > 0 || summary.refunded > 0 || summary.failed > 0) {
+          console.log(
+            `[REFUND] ${summary.cancelled} FAILED game(s) cancelled, ${summary.refunded} game(s) refunded, ${summary.failed} failed`
+          );
+        }
+        if (summary.portfoliosRefunded > 0 || summary.portfoliosFailed > 0) {
+          console.log(
+            `[REFUND] ${summary.portfoliosRefunded} portfolio(s) refunded alone, ${summary.portfoliosFailed} failed`
+          );
         }
       } catch (error) {
-        console.error("Pending lock balance check cron job error:", error);
+        console.error("Refund cron job error:", error);
+      } finally {
+        cronLocks.refunds = false;
       }
     });
 
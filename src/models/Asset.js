@@ -25,13 +25,6 @@ const assetSchema = new mongoose.Schema({
         required: true,
         default: 0
     },
-    priceHistory: [{
-        price: Number,
-        timestamp: {
-            type: Date,
-            default: Date.now
-        }
-    }],
     change24h: {
         type: Number,
         default: 0
@@ -40,6 +33,18 @@ const assetSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    // Providers whose quotes formed the current price (comma-separated)
+    priceSource: {
+        type: String,
+        default: null
+    },
+    // Share of configured providers that agreed on the current price (0-1)
+    priceConfidence: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -64,6 +69,11 @@ const assetSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Asset types a game of this type may hold: HYBRID games mix both
+assetSchema.statics.typesForGame = function(gameType) {
+    return gameType === 'HYBRID' ? ['DEFI', 'TRADFI'] : [gameType];
+};
+
 const Asset = mongoose.model('Asset', assetSchema);
 
 module.exports = Asset;
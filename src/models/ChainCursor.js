@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Last block processed by the chain indexer for one contract on one chain.
+// blockHash is kept so the next run can tell whether that block was reorged away.
+const chainCursorSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    blockHash: {
+      type: String,
+      default: null,
+    },
+    blockTimestamp: {
+      type: Date,
+      default: null,
+    },
+    reorgCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReorgAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+chainCursorSchema.index({ chainId: 1, contractAddress: 1 }, { unique: true });
+
+const ChainCursor = mongoose.model("ChainCursor", chainCursorSchema);
+
+module.exports = ChainCursor;
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// A decoded contract event written by the chain indexer. Events from blocks that
+// were reorged away are kept with removed = true rather than deleted.
+const chainEventSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Event arguments by name; uint256 values are stored as decimal strings
+    args: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    blockHash: {
+      type: String,
+      required: true,
+    },
+    blockTimestamp: {
+      type: Date,
+    },
+    transactionHash: {
+      type: String,
+      required: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+    },
+    removed: {
+      type: Boolean,
+      default: false,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+chainEventSchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ chainId: 1, blockNumber: 1 });
+chainEventSchema.index({ name: 1, "args.gameId": 1 });
+chainEventSchema.index({ name: 1, "args.portfolioId": 1 });
+
+// Statics
+chainEventSchema.statics.getTransactionEvents = function (chainId, transactionHash) {
+  return this.find({ chainId, transactionHash, removed: false }).sort({ logIndex: 1 });
+};
+
+const ChainEvent = mongoose.model("ChainEvent", chainEventSchema);
+
+module.exports = ChainEvent;
@@ -6,6 +6,10 @@ const gameSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Chain the game contract call was made on (config.blockchain.chains)
+    chainId: {
+      type: Number,
+    },
     name: {
       type: String,
       default: "Game",
@@ -15,7 +19,7 @@ const gameSchema = new mongoose.Schema(
     },
     gameType: {
       type: String,
-      enum: ["DEFI", "TRADFI"],
+      enum: ["DEFI", "TRADFI", "HYBRID"],
       required: true,
     },
     status: {
@@ -30,6 +34,7 @@ const gameSchema = new mongoose.Schema(
         "DISTRIBUTING_REWARDS",
         "COMPLETED",
         "FAILED",
+        "CANCELLED",
       ],
       default: "TRX-PENDING",
     },
@@ -49,6 +54,23 @@ const gameSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Result of the last price staleness check - non-empty `assets` blocks the game from advancing
+    stalePrices: {
+      stage: {
+        type: String,
+        enum: ["ACTIVATION", "UPDATE_VALUES", "WINNER_CALCULATION"],
+      },
+      assets: [
+        {
+          _id: false,
+          assetId: Number,
+          symbol: String,
+          lastUpdated: Date,
+          ageMinutes: Number,
+        },
+      ],
+      checkedAt: Date,
+    },
     startTime: {
       type: Date,
       required: true,
@@ -65,16 +87,88 @@ const gameSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Minimum prize pool in USDC (from GameCron) - 0 means no guarantee
+    guaranteedPrizePool: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // House top-up paid into the prize pool to meet guaranteedPrizePool
+    overlay: {
+      amount: {
+        type: String, // Wei amount
+        default: "0",
+      },
+      transactionHash: String,
+      addedAt: Date,
+    },
     entryCap: {
       type: Number,
       default: 0,
     },
+    // Minimum players at start time (from GameCron) - 0 means no minimum
+    minPlayers: {
+      type: Number,
+      default: 0,
+    },
+    // Portfolio construction rules (from GameCron) - unset rules use config.game
+    portfolioRules: {
+      minAssets: Number,
+      maxAssets: Number,
+      minAllocation: Number, // % of the initial portfolio value
+      maxAllocation: Number,
+      allowShort: Boolean,
+      maxLeverage: Number,
+      maxSwaps: Number,
+    },
+    // Entry fees returned to players of a cancelled or FAILED game.
+    // PENDING -> IN_PROGRESS -> COMPLETED; refunds are paid per portfolio (see refund.service)
+    refund: {
+      status: {
+        type: String,
+        enum: ["PENDING", "IN_PROGRESS", "COMPLETED", null],
+        default: null,
+      },
+      reason: String,
+      requestedBy: String, // Admin email, or "system" for automatic cancellations
+      requestedAt: Date,
+      completedAt: Date,
+      // Admin wallet top-up covering the admin fees that left the prize pool
+      topUpAmount: {
+        type: String, // Wei amount
+        default: "0",
+      },
+      topUpTransactionHash: String,
+      refundedCount: {
+        type: Number,
+        default: 0,
+      },
+      refundedAmount: {
+        type: String, // Wei amount
+        default: "0",
+      },
+      error: {
+        type: String,
+        default: null,
+      },
+    },
     apePortfolio: {
       portfolioId: {
         type: Number,
         required: false,
       },
     },
+    // HEAD_TO_HEAD pairing drawn at lock time - recompute with createPairings(portfolioIds, seed)
+    headToHead: {
+      seed: String,
+      portfolioIds: [Number],
+      pairs: [[Number]],
+      byePortfolioId: {
+        type: Number,
+        default: null,
+      },
+      pairedAt: Date,
+    },
     gameCronId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "GameCron",
@@ -84,7 +178,7 @@ const gameSchema = new mongoose.Schema(
     winCondition: {
       type: {
         type: String,
-        enum: ["MARLOW_BANES", "EQUAL_DISTRIBUTE", "TIERED"],
+        enum: ["MARLOW_BANES", "EQUAL_DISTRIBUTE", "TIERED", "HEAD_TO_HEAD", "CURVE"],
         required: true,
       },
       config: {
@@ -115,6 +209,11 @@ const gameSchema = new mongoose.Schema(
         distributionTransactionHash: String,
       },
     ],
+    // Last time the reconciler compared this game with the contract
+    reconciledAt: {
+      type: Date,
+      default: null,
+    },
     // Track admin withdrawal of undistributed prize pool (for MARLOW_BANES games)
     adminWithdrawal: {
       isWithdrawn: {
@@ -145,6 +244,7 @@ const gameSchema = new mongoose.Schema(
 
 // Indexes
 gameSchema.index({ gameId: 1 });
+gameSchema.index({ chainId: 1, status: 1 });
 gameSchema.index({ status: 1 });
 gameSchema.index({ gameType: 1 });
 
@@ -60,9 +60,14 @@ const gameCronSchema = new mongoose.Schema(
   {
     gameType: {
       type: String,
-      enum: ["DEFI", "TRADFI"],
+      enum: ["DEFI", "TRADFI", "HYBRID"], // HYBRID games mix DEFI and TRADFI assets
       required: true,
     },
+    // Chain the created games run on; defaults to the primary chain (CHAIN_ID)
+    chainId: {
+      type: Number,
+      required: false,
+    },
     customGameName: {
       type: String,
       required: false,
@@ -101,6 +106,81 @@ const gameCronSchema = new mongoose.Schema(
         message: "Game duration must be an integer",
       },
     },
+    // Minimum prize pool in USDC - the house covers any shortfall from entries (0 = none)
+    guaranteedPrizePool: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Games with fewer players than this at start time are cancelled and refunded (0 = no minimum)
+    minPlayers: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Portfolio construction rules for the cron's games; unset rules use config.game
+    // (allocations are % of the initial portfolio value)
+    portfolioRules: {
+      minAssets: {
+        type: Number,
+        min: 1,
+        validate: {
+          validator: (v) => v == null || Number.isInteger(v),
+          message: "minAssets must be an integer",
+        },
+      },
+      maxAssets: {
+        type: Number,
+        min: 1,
+        validate: {
+          validator: (v) => v == null || Number.isInteger(v),
+          message: "maxAssets must be an integer",
+        },
+      },
+      minAllocation: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      maxAllocation: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      // SHORT positions, e.g. for a bear market game
+      allowShort: {
+        type: Boolean,
+      },
+      // Highest leverage per position (1 = none)
+      maxLeverage: {
+        type: Number,
+        min: 1,
+      },
+      // Mid-game swaps per portfolio (0 = none)
+      maxSwaps: {
+        type: Number,
+        min: 0,
+        validate: {
+          validator: (v) => v == null || Number.isInteger(v),
+          message: "maxSwaps must be an integer",
+        },
+      },
+    },
+    // Market hours of TRADFI assets (exchange calendar: config.prices.marketCalendarFile)
+    marketHours: {
+      // Games with TRADFI assets (TRADFI, HYBRID) start at a market open and end at a close
+      alignToSession: {
+        type: Boolean,
+        default: false,
+      },
+      // A TRADFI game that would run entirely while the market is closed is moved to
+      // the next open (SHIFT) or not created (SKIP)
+      whenClosed: {
+        type: String,
+        enum: ["SHIFT", "SKIP"],
+        default: "SHIFT",
+      },
+    },
     entryCap: {
       type: Number,
       required: true,
@@ -129,7 +209,7 @@ const gameCronSchema = new mongoose.Schema(
     winCondition: {
       type: {
         type: String,
-        enum: ["MARLOW_BANES", "EQUAL_DISTRIBUTE", "TIERED"],
+        enum: ["MARLOW_BANES", "EQUAL_DISTRIBUTE", "TIERED", "HEAD_TO_HEAD", "CURVE"],
         required: true,
       },
       config: {
@@ -166,6 +246,37 @@ const gameCronSchema = new mongoose.Schema(
                     0
                   ) <= 100
                 );
+              case "HEAD_TO_HEAD":
+                // Drawn match: earlier entry takes the pot, or both get their entry back
+                return ["EARLIER_ENTRY", "SPLIT"].includes(config.tieBreaker);
+              case "CURVE":
+                if (
+                  typeof config.topWinnersPercentage !== "number" ||
+                  config.topWinnersPercentage <= 0 ||
+                  config.topWinnersPercentage > 100
+                ) {
+                  return false;
+                }
+                switch (config.curve) {
+                  case "LINEAR":
+                    return true;
+                  case "GEOMETRIC":
+                    return typeof config.ratio === "number" && config.ratio > 0 && config.ratio <= 1;
+                  case "WEIGHTS":
+                    // Decaying: positive and non-increasing by position
+                    return (
+                      Array.isArray(config.weights) &&
+                      config.weights.length > 0 &&
+                      config.weights.every(
+                        (weight, i) =>
+                          typeof weight === "number" &&
+                          weight > 0 &&
+                          (i === 0 || weight <= config.weights[i - 1])
+                      )
+                    );
+                  default:
+                    return false;
+                }
               default:
                 return false;
             }
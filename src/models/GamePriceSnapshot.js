@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// Immutable record of the exact prices used to lock (game start) and settle (game end)
+// a game. One document per game per kind. A recorded price never changes; the only
+// write after creation is appendPrices(), which adds assets the snapshot has no price for.
+const gamePriceSnapshotSchema = new mongoose.Schema(
+  {
+    gameId: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    kind: {
+      type: String,
+      enum: ["LOCK", "SETTLEMENT"],
+      required: true,
+      immutable: true,
+    },
+    prices: {
+      type: [
+        {
+          _id: false,
+          assetId: { type: Number, required: true },
+          symbol: { type: String, required: true },
+          price: { type: Number, required: true },
+          source: String,
+          confidence: Number,
+          lastUpdated: Date,
+          addedAt: Date, // Set when appended after the snapshot was taken
+        },
+      ],
+      immutable: true,
+    },
+    takenAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+gamePriceSnapshotSchema.index({ gameId: 1, kind: 1 }, { unique: true });
+
+// Snapshots are write-once: reject every update path
+const rejectUpdate = function (next) {
+  next(new Error("Game price snapshots are immutable"));
+};
+gamePriceSnapshotSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectUpdate);
+gamePriceSnapshotSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Game price snapshots are immutable"));
+  }
+  next();
+});
+
+// Methods
+gamePriceSnapshotSchema.methods.getPriceMap = function () {
+  return this.prices.reduce((acc, entry) => {
+    acc[entry.assetId] = entry.price;
+    return acc;
+  }, {});
+};
+
+// Statics
+gamePriceSnapshotSchema.statics.getGameSnapshots = function (gameId) {
+  return this.find({ gameId }).sort({ takenAt: 1 });
+};
+
+// Add prices for assets the snapshot does not cover. Each push only matches while the
+// asset is still missing, so a concurrent run can never record a second price for it.
+// Goes through the driver because the update hooks above reject every other write.
+gamePriceSnapshotSchema.statics.appendPrices = async function (gameId, kind, entries) {
+  for (const entry of entries) {
+    await this.collection.updateOne(
+      { gameId, kind, "prices.assetId": { $ne: entry.assetId } },
+      { $push: { prices: entry } }
+    );
+  }
+  return this.findOne({ gameId, kind });
+};
+
+const GamePriceSnapshot = mongoose.model("GamePriceSnapshot", gamePriceSnapshotSchema);
+
+module.exports = GamePriceSnapshot;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// Gas paid for one mined transaction signed by a backend wallet (admin, operator
+// or withdrawal). Reverted and cancelled transactions are recorded too - they still
+// cost gas. The USD price of the gas token is taken when the entry is recorded.
+const gasLedgerEntrySchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    transactionHash: {
+      type: String,
+      required: true,
+    },
+    // Contract function (or queue job kind) the transaction called, e.g. "createGame"
+    operation: {
+      type: String,
+      default: "unknown",
+    },
+    // null for transactions not sent for a game (e.g. mintUSDC)
+    gameId: {
+      type: Number,
+      default: null,
+    },
+    fromAddress: {
+      type: String,
+      lowercase: true,
+    },
+    // null for transactions sent outside the queue (withdrawFromPrizePool)
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransactionJob",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["MINED", "FAILED"],
+      default: "MINED",
+    },
+    blockNumber: {
+      type: Number,
+    },
+    // Wei amounts - must be String for precision
+    gasUsed: {
+      type: String,
+      required: true,
+    },
+    effectiveGasPrice: {
+      type: String,
+      default: "0",
+    },
+    gasCost: {
+      type: String,
+      required: true,
+    },
+    // gasCost in the chain's gas token (e.g. BNB), for rollups
+    gasCostNative: {
+      type: Number,
+      default: 0,
+    },
+    nativeSymbol: {
+      type: String,
+      default: null,
+    },
+    // null when the gas token has no price
+    nativePriceUSD: {
+      type: Number,
+      default: null,
+    },
+    gasCostUSD: {
+      type: Number,
+      default: null,
+    },
+    minedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+gasLedgerEntrySchema.index({ chainId: 1, transactionHash: 1 }, { unique: true });
+gasLedgerEntrySchema.index({ minedAt: -1 });
+gasLedgerEntrySchema.index({ gameId: 1 });
+
+const GasLedgerEntry = mongoose.model("GasLedgerEntry", gasLedgerEntrySchema);
+
+module.exports = GasLedgerEntry;
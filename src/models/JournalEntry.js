@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+// Internal ledger accounts. An account is a type plus, for per-user and per-game
+// accounts, a subject (User _id or gameId):
+// - USER_WALLET: a user's withdrawable balance in the contract
+// - USER_LOCKED: a user's funds locked for game entries
+// - GAME_POOL: a game's prize pool
+// - HOUSE_FEES: admin and gas fees taken from entries
+// - MARLOW_EARNINGS: prize pools of MARLOW_BANES games withdrawn by the house
+// - EXTERNAL: USDC outside the contract (user and admin wallets) - the other side of
+//   every deposit, withdrawal and top-up
+const ACCOUNT_TYPES = ["USER_WALLET", "USER_LOCKED", "GAME_POOL", "HOUSE_FEES", "MARLOW_EARNINGS", "EXTERNAL"];
+
+// One balanced movement of funds. Each line debits (money into the account) or
+// credits (money out of the account); total debits always equal total credits.
+const journalEntrySchema = new mongoose.Schema(
+  {
+    // Idempotency key, e.g. "ENTRY_FEE:1234" - posting the same movement twice is a no-op
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["FUNDS_LOCKED", "ENTRY_FEE", "REWARD", "REFUND", "WITHDRAWAL", "MARLOW_WITHDRAWAL", "PRIZE_POOL_TOP_UP"],
+      required: true,
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    gameId: {
+      type: Number,
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    transactionHash: {
+      type: String,
+      default: null,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    lines: [
+      {
+        _id: false,
+        account: {
+          type: String,
+          enum: ACCOUNT_TYPES,
+          required: true,
+        },
+        // User _id or gameId as a string; null for house and external accounts
+        subject: {
+          type: String,
+          default: null,
+        },
+        // Wei amounts - must be String for precision
+        debit: {
+          type: String,
+          default: "0",
+        },
+        credit: {
+          type: String,
+          default: "0",
+        },
+      },
+    ],
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+journalEntrySchema.index({ "lines.account": 1, "lines.subject": 1, postedAt: 1 });
+journalEntrySchema.index({ chainId: 1, postedAt: 1 });
+journalEntrySchema.index({ gameId: 1 });
+journalEntrySchema.index({ userId: 1 });
+
+// Reject unbalanced or empty entries before they are stored
+journalEntrySchema.pre("validate", function (next) {
+  let debits = 0n;
+  let credits = 0n;
+  for (const line of this.lines) {
+    const debit = BigInt(line.debit || "0");
+    const credit = BigInt(line.credit || "0");
+    if (debit < 0n || credit < 0n || (debit > 0n && credit > 0n) || debit + credit === 0n) {
+      return next(new Error(`Journal line for ${line.account} must have exactly one positive side`));
+    }
+    debits += debit;
+    credits += credit;
+  }
+  if (this.lines.length < 2 || debits !== credits) {
+    return next(new Error(`Unbalanced journal entry ${this.reference}: debits ${debits}, credits ${credits}`));
+  }
+  next();
+});
+
+journalEntrySchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+const JournalEntry = mongoose.model("JournalEntry", journalEntrySchema);
+
+module.exports = JournalEntry;
@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['BALANCE_LOCKED','TRANSACTION_FAILED','PORTFOLIO_CREATED', 'PORTFOLIO_WON', 'PORTFOLIO_LOST']
+    enum: ['BALANCE_LOCKED','TRANSACTION_FAILED','PORTFOLIO_CREATED', 'PORTFOLIO_WON', 'PORTFOLIO_LOST', 'PORTFOLIO_REFUNDED']
   },
   message: {
     type: String,
@@ -20,6 +20,10 @@ const portfolioSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Same chain as the portfolio's game
+    chainId: {
+      type: Number,
+    },
     status: {
       type: String,
       enum: [
@@ -32,6 +36,7 @@ const portfolioSchema = new mongoose.Schema(
         "FAILED",
         "WON",
         "LOST",
+        "REFUNDED",
       ],
       default: "PENDING",
     },
@@ -54,9 +59,22 @@ const portfolioSchema = new mongoose.Schema(
       rewardTransactionHash: String,
       settledAt: Date,
     },
+    // Entry fee returned when the game was cancelled or failed, or when the portfolio
+    // was taken out of its game (reason and requestedAt set, see refund.service)
+    refund: {
+      amount: String, // Wei amount
+      transactionHash: String,
+      refundedAt: Date,
+      reason: String,
+      requestedAt: Date,
+      // Admin fee put back into the prize pool before a single portfolio's refund
+      topUpAmount: String, // Wei amount
+      topUpTransactionHash: String,
+      error: String,
+    },
     gameType: {
       type: String,
-      enum: ["DEFI", "TRADFI"],
+      enum: ["DEFI", "TRADFI", "HYBRID"],
       required: true,
     },
     assets: [
@@ -77,6 +95,26 @@ const portfolioSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        // SHORT gains when the price falls; only in games whose portfolioRules allow it
+        direction: {
+          type: String,
+          enum: ["LONG", "SHORT"],
+          default: "LONG",
+        },
+        // Multiplies the position's gain or loss; capped by portfolioRules.maxLeverage
+        leverage: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        // Price in the LOCK snapshot the position was opened at
+        entryPrice: {
+          type: Number,
+        },
+        // Set once the position's value reached zero; it stays at zero from then on
+        liquidatedAt: {
+          type: Date,
+        },
       },
     ],
     initialValue: {
@@ -102,6 +140,30 @@ const portfolioSchema = new mongoose.Schema(
         },
       },
     ],
+    // Mid-game swaps, oldest first. A swap closes a whole position at the current
+    // price and opens the new asset with its value, same direction and leverage.
+    swaps: [
+      {
+        _id: false,
+        fromAssetId: Number,
+        fromSymbol: String,
+        fromTokenQty: Number,
+        fromPrice: Number,
+        toAssetId: Number,
+        toSymbol: String,
+        toTokenQty: Number,
+        toPrice: Number,
+        value: Number, // USD moved from one position to the other
+        portfolioValue: Number,
+        swappedAt: Date,
+        // The admin wallet's signature over `message` (see swap.service)
+        audit: {
+          message: String,
+          signature: String,
+          signer: String,
+        },
+      },
+    ],
     isLocked: {
       type: Boolean,
       default: false,
@@ -153,21 +215,56 @@ const portfolioSchema = new mongoose.Schema(
 portfolioSchema.index({ portfolioId: 1 });
 portfolioSchema.index({ userId: 1 });
 portfolioSchema.index({ gameId: 1 });
+portfolioSchema.index({ chainId: 1, status: 1 });
 portfolioSchema.index({ status: 1 });
 portfolioSchema.index({ "assets.assetId": 1 });
 
+// SHORT and leveraged positions are valued against their entry price and can be liquidated
+portfolioSchema.statics.isMarginPosition = function (asset) {
+  return (asset.direction || "LONG") !== "LONG" || (asset.leverage || 1) !== 1;
+};
+
+// Value of one position at a price. LONG x1 is worth price * tokenQty; otherwise the
+// gain or loss against the position's cost (tokenQty * entryPrice) is multiplied by the
+// leverage and reversed for SHORT. A position can lose no more than its cost: at zero
+// it is liquidated.
+portfolioSchema.statics.positionValue = function (asset, price) {
+  if (asset.liquidatedAt) {
+    return 0;
+  }
+
+  const direction = asset.direction || "LONG";
+  const leverage = asset.leverage || 1;
+  if (!this.isMarginPosition(asset)) {
+    return price * asset.tokenQty;
+  }
+  if (!asset.entryPrice) {
+    throw new Error(`No entry price for ${direction} ${asset.symbol} x${leverage}`);
+  }
+
+  const cost = asset.tokenQty * asset.entryPrice;
+  const change = asset.tokenQty * price - cost;
+  const value = cost + (direction === "SHORT" ? -change : change) * leverage;
+  return Math.max(0, value);
+};
+
 // Methods
 portfolioSchema.methods.calculateValue = async function (prices) {
   let totalValue = 0;
   const Asset = require("./Asset");
+  const liquidatedAssetIds = [];
 
   for (const asset of this.assets) {
+    if (asset.liquidatedAt) {
+      continue;
+    }
+
     let price = prices[asset.assetId];
 
     // If price is missing, try to get last known price from Asset model
-    if (!price || !isFinite(price)) {
+    if (!(price > 0) || !isFinite(price)) {
       const assetDoc = await Asset.findOne({ assetId: asset.assetId });
-      if (assetDoc && assetDoc.currentPrice) {
+      if (assetDoc && assetDoc.currentPrice > 0 && isFinite(assetDoc.currentPrice)) {
         price = assetDoc.currentPrice;
         console.warn(`Using last known price for asset ${asset.assetId}: $${price}`);
       } else {
@@ -176,7 +273,13 @@ portfolioSchema.methods.calculateValue = async function (prices) {
       }
     }
 
-    totalValue += price * asset.tokenQty;
+    const value = this.constructor.positionValue(asset, price);
+    // Only SHORT and leveraged positions can be wiped out; a LONG x1 at a real price never reaches 0
+    if (value === 0 && asset.tokenQty > 0 && this.constructor.isMarginPosition(asset)) {
+      liquidatedAssetIds.push(asset.assetId);
+      console.log(`Portfolio ${this.portfolioId}: ${asset.direction} ${asset.symbol} x${asset.leverage} liquidated`);
+    }
+    totalValue += value;
   }
 
   const currentValue = totalValue;
@@ -188,23 +291,28 @@ portfolioSchema.methods.calculateValue = async function (prices) {
     timestamp: new Date(),
   };
 
-  // Use atomic update to avoid version conflicts
-  return mongoose.model("Portfolio").findOneAndUpdate(
-    { _id: this._id },
-    {
-      $set: {
-        currentValue: currentValue,
-        performancePercentage: performancePercentage,
-      },
-      $push: {
-        valueHistory: {
-          $each: [newValueEntry],
-          $slice: -20,
-        },
+  const update = {
+    $set: {
+      currentValue: currentValue,
+      performancePercentage: performancePercentage,
+    },
+    $push: {
+      valueHistory: {
+        $each: [newValueEntry],
+        $slice: -20,
       },
     },
-    { new: true }
-  );
+  };
+  const options = { new: true };
+
+  // Matched by assetId, not index: a swap may have replaced the position since this document was read
+  if (liquidatedAssetIds.length > 0) {
+    update.$set["assets.$[liquidated].liquidatedAt"] = new Date();
+    options.arrayFilters = [{ "liquidated.assetId": { $in: liquidatedAssetIds } }];
+  }
+
+  // Use atomic update to avoid version conflicts
+  return mongoose.model("Portfolio").findOneAndUpdate({ _id: this._id }, update, options);
 };
 
 portfolioSchema.methods.lock = function (transactionHash) {
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Supported rollup intervals and their length in milliseconds
+const CANDLE_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// OHLC rollup of price ticks, one document per asset per interval bucket
+const priceCandleSchema = new mongoose.Schema({
+    assetId: {
+        type: Number,
+        required: true
+    },
+    symbol: {
+        type: String,
+        required: true
+    },
+    interval: {
+        type: String,
+        enum: Object.keys(CANDLE_INTERVALS),
+        required: true
+    },
+    openTime: {
+        type: Date,
+        required: true
+    },
+    open: {
+        type: Number,
+        required: true
+    },
+    high: {
+        type: Number,
+        required: true
+    },
+    low: {
+        type: Number,
+        required: true
+    },
+    close: {
+        type: Number,
+        required: true
+    },
+    tickCount: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+priceCandleSchema.index({ assetId: 1, interval: 1, openTime: 1 }, { unique: true });
+priceCandleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Statics
+priceCandleSchema.statics.getIntervals = function() {
+    return Object.keys(CANDLE_INTERVALS);
+};
+
+priceCandleSchema.statics.getIntervalMs = function(interval) {
+    return CANDLE_INTERVALS[interval] || null;
+};
+
+// Start of the bucket that contains `date` for the given interval
+priceCandleSchema.statics.getBucketStart = function(date, interval) {
+    const intervalMs = CANDLE_INTERVALS[interval];
+    return new Date(Math.floor(new Date(date).getTime() / intervalMs) * intervalMs);
+};
+
+const PriceCandle = mongoose.model('PriceCandle', priceCandleSchema);
+
+module.exports = PriceCandle;
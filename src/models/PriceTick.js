@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One stored quote per asset per price update.
+// Documents expire at `expiresAt` (set from config.game.historyRetentionDays).
+const priceTickSchema = new mongoose.Schema({
+    assetId: {
+        type: Number,
+        required: true
+    },
+    symbol: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['DEFI', 'TRADFI'],
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true
+    },
+    change24h: {
+        type: Number,
+        default: 0
+    },
+    source: {
+        type: String,
+        default: null
+    },
+    confidence: {
+        type: Number,
+        default: null
+    },
+    timestamp: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+priceTickSchema.index({ assetId: 1, timestamp: -1 });
+priceTickSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PriceTick = mongoose.model('PriceTick', priceTickSchema);
+
+module.exports = PriceTick;
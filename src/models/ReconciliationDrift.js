@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// One difference between the database and the contract found by the reconciler.
+// There is a single document per (chain, game, kind, portfolio): it is reopened
+// when the same drift comes back, so its repair history stays in one place.
+// OPEN -> RESOLVED (no longer seen) | REPAIRED (an admin ran repairAction)
+const reconciliationDriftSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    gameId: {
+      type: Number,
+      required: true,
+    },
+    // null for game-level drifts
+    portfolioId: {
+      type: Number,
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: [
+        "PRIZE_POOL", // Game.totalPrizePool != on-chain prize pool
+        "ENTRY_COUNT", // Game.participantCount != on-chain entry count
+        "PORTFOLIO_MISSING", // portfolio past locking has no owner on chain
+        "PORTFOLIO_OWNER", // on-chain owner is not the portfolio user's wallet
+        "PORTFOLIO_GAME", // portfolio belongs to another game on chain
+        "REWARD_NOT_ASSIGNED", // winner marked distributed, reward not assigned on chain
+        "REWARD_UNRECORDED", // reward assigned on chain, winner not marked distributed
+        "REWARD_AMOUNT", // RewardAssigned amount != Portfolio.gameOutcome.reward / Game.winners[].reward
+      ],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["OPEN", "RESOLVED", "REPAIRED"],
+      default: "OPEN",
+    },
+    // Values as last seen; wei amounts are strings
+    dbValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    chainValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // One-click repair the admin endpoint can run; null when it needs a human
+    repairAction: {
+      type: String,
+      enum: [
+        "SYNC_PRIZE_POOL",
+        "SYNC_ENTRY_COUNT",
+        "SYNC_PORTFOLIO_OWNER",
+        "REQUEUE_REWARD",
+        "MARK_REWARD_DISTRIBUTED",
+        "SYNC_REWARD_AMOUNT",
+        null,
+      ],
+      default: null,
+    },
+    firstSeenAt: {
+      type: Date,
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    repairs: [
+      {
+        _id: false,
+        action: String,
+        repairedBy: String, // Admin email
+        repairedAt: Date,
+        detail: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+reconciliationDriftSchema.index({ chainId: 1, gameId: 1, kind: 1, portfolioId: 1 }, { unique: true });
+reconciliationDriftSchema.index({ status: 1, lastSeenAt: -1 });
+
+const ReconciliationDrift = mongoose.model("ReconciliationDrift", reconciliationDriftSchema);
+
+module.exports = ReconciliationDrift;
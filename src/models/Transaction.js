@@ -29,6 +29,10 @@ const transactionSchema = new mongoose.Schema(
       type: Number,
       required: false,
     },
+    chainId: {
+      type: Number,
+      required: false,
+    },
     portfolioId: {
       type: Number,
       required: false,
@@ -86,6 +90,7 @@ const transactionSchema = new mongoose.Schema(
 transactionSchema.index({ transactionHash: 1 });
 transactionSchema.index({ userId: 1 });
 transactionSchema.index({ gameId: 1 });
+transactionSchema.index({ chainId: 1 });
 transactionSchema.index({ portfolioId: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ status: 1 });
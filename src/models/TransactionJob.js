@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+
+// One blockchain transaction sent (or to be sent) by the transaction queue.
+// QUEUED -> SENT (hash known, not mined) -> MINED | FAILED
+const transactionJobSchema = new mongoose.Schema(
+  {
+    // Registered job kind the transaction can be rebuilt from after a restart;
+    // null for one-off transactions that only exist as an in-memory callback
+    kind: {
+      type: String,
+      default: null,
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    idempotencyKey: {
+      type: String,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // What the transaction does (contract function, e.g. "createGame") and the
+    // game it was sent for; copied to the gas ledger once mined
+    operation: {
+      type: String,
+      default: null,
+    },
+    gameId: {
+      type: Number,
+      default: null,
+    },
+    // Chain the transaction is sent on; each chain has its own queue
+    chainId: {
+      type: Number,
+    },
+    // Picks the operator lane (e.g. "game:42"); null for the primary lane
+    routingKey: {
+      type: String,
+      default: null,
+    },
+    // Signed against the contract's nonce() - holds the cross-lane lock until mined
+    usesContractNonce: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["QUEUED", "SENT", "MINED", "FAILED"],
+      default: "QUEUED",
+    },
+    fromAddress: {
+      type: String,
+      lowercase: true,
+    },
+    walletNonce: {
+      type: Number,
+    },
+    // Hash of the first broadcast; once mined, the hash that actually mined
+    transactionHash: {
+      type: String,
+      default: null,
+    },
+    // What was signed, so a stuck transaction can be re-broadcast at the same nonce
+    request: {
+      to: String,
+      data: String,
+      value: String,
+      gasLimit: String,
+      gasPrice: String, // Wei - maxFeePerGas for EIP-1559 transactions
+    },
+    // Every re-broadcast at walletNonce, oldest first
+    replacements: [
+      {
+        _id: false,
+        kind: {
+          type: String,
+          enum: ["SPEED_UP", "CANCEL"],
+        },
+        transactionHash: String,
+        replacedTransactionHash: String,
+        gasPrice: String,
+        sentAt: Date,
+      },
+    ],
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    receipt: {
+      blockNumber: Number,
+      gasUsed: String, // Wei amounts - must be String for precision
+      effectiveGasPrice: String,
+      status: Number,
+    },
+    sentAt: {
+      type: Date,
+    },
+    minedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+transactionJobSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+transactionJobSchema.index({ status: 1, createdAt: 1 });
+transactionJobSchema.index({ chainId: 1, status: 1 });
+transactionJobSchema.index({ transactionHash: 1 });
+
+// Methods
+transactionJobSchema.methods.markSent = function (tx, walletNonce) {
+  this.status = "SENT";
+  this.transactionHash = tx.hash;
+  this.fromAddress = tx.from;
+  this.walletNonce = walletNonce;
+  this.request = {
+    to: tx.to,
+    data: tx.data,
+    value: tx.value ? tx.value.toString() : "0",
+    gasLimit: tx.gasLimit ? tx.gasLimit.toString() : null,
+    gasPrice: (tx.gasPrice || tx.maxFeePerGas || "0").toString(),
+  };
+  this.sentAt = new Date();
+  this.error = null;
+  return this.save();
+};
+
+transactionJobSchema.methods.recordReplacement = function (kind, tx, gasPrice) {
+  this.replacements.push({
+    kind,
+    transactionHash: tx.hash,
+    replacedTransactionHash: this.getTransactionHashes()[0],
+    gasPrice: gasPrice.toString(),
+    sentAt: new Date(),
+  });
+  return this.save();
+};
+
+// Every hash broadcast at walletNonce, newest first - any one of them may be the one that mines
+transactionJobSchema.methods.getTransactionHashes = function () {
+  const hashes = [this.transactionHash, ...this.replacements.map((r) => r.transactionHash)].filter(Boolean);
+  return [...new Set(hashes)].reverse();
+};
+
+transactionJobSchema.methods.getLastBroadcast = function () {
+  const last = this.replacements[this.replacements.length - 1];
+  return last
+    ? { sentAt: last.sentAt, gasPrice: last.gasPrice, kind: last.kind }
+    : { sentAt: this.sentAt, gasPrice: this.request?.gasPrice, kind: null };
+};
+
+transactionJobSchema.methods.markMined = function (receipt) {
+  const cancelled = this.replacements.some((r) => r.kind === "CANCEL" && r.transactionHash === receipt.transactionHash);
+
+  this.status = receipt.status === 0 || cancelled ? "FAILED" : "MINED";
+  this.transactionHash = receipt.transactionHash || this.transactionHash;
+  this.receipt = {
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+    status: receipt.status,
+  };
+  this.minedAt = new Date();
+  if (cancelled) {
+    this.error = `Cancelled: wallet nonce ${this.walletNonce} was used by a 0-value self-transfer`;
+  } else if (receipt.status === 0) {
+    this.error = "Transaction reverted on chain";
+  }
+  return this.save();
+};
+
+transactionJobSchema.methods.markFailed = function (error) {
+  this.status = "FAILED";
+  this.error = error;
+  return this.save();
+};
+
+// Statics
+transactionJobSchema.statics.getUnfinishedJobs = function (chainId) {
+  return this.find({ chainId, status: { $in: ["QUEUED", "SENT"] } }).sort({ createdAt: 1 });
+};
+
+const TransactionJob = mongoose.model("TransactionJob", transactionJobSchema);
+
+module.exports = TransactionJob;
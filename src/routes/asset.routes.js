@@ -5,7 +5,7 @@ const assetController = require('../controllers/asset.controller');
 // Get all assets
 router.get('/', assetController.getAllAssets);
 
-// Get assets by type (DEFI or TRADFI)
+// Get assets by type (DEFI, TRADFI or HYBRID)
 router.get('/type/:type', assetController.getAssetsByType);
 
 // Get 24h changes by type
@@ -17,6 +17,10 @@ router.get('/changes/24h', assetController.get24hChanges);
 // Get specific asset details
 router.get('/:assetId', assetController.getAssetDetails);
 
+// Get OHLC candles for an asset
+// Query: interval (1m, 5m, 1h, 1d), from, to (ISO 8601), limit
+router.get('/:assetId/candles', assetController.getCandles);
+
 // Get price history for multiple assets
 // Can include type in request body to filter by type
 router.post('/price-history', assetController.getPriceHistory);
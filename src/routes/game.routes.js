@@ -28,6 +28,19 @@ router.post("/admin/fix-marlow-rewards", isAdmin, gameController.fixMarlowReward
 router.get("/admin/reward-status/:gameId", isAdmin, gameController.getGameRewardStatus);
 router.post("/admin/process-rewards/:gameId", isAdmin, gameController.processRemainingRewards);
 router.get("/admin/all-rewards-summary", isAdmin, gameController.getAllGamesRewardSummary);
+router.get("/admin/replay-settlement/:gameId", isAdmin, gameController.replaySettlement);
+router.get("/admin/preview-winners/:gameId", isAdmin, gameController.previewWinners);
+router.get("/admin/tx-queue", isAdmin, gameController.getTransactionQueue);
+router.post("/admin/tx-queue/:jobId/retry", isAdmin, gameController.retryTransactionJob);
+router.post("/admin/tx-queue/:jobId/cancel", isAdmin, gameController.cancelTransactionJob);
+router.get("/admin/operators", isAdmin, gameController.getOperatorWallets);
+router.get("/admin/reconciliation", isAdmin, gameController.getReconciliationDrifts);
+router.post("/admin/reconciliation/run", isAdmin, gameController.runReconciliation);
+router.post("/admin/reconciliation/:driftId/repair", isAdmin, gameController.repairReconciliationDrift);
+router.post("/admin/cancel-game/:gameId", isAdmin, gameController.cancelGame);
+router.get("/admin/refund-status/:gameId", isAdmin, gameController.getRefundStatus);
+router.get("/admin/ledger/trial-balance", isAdmin, gameController.getLedgerTrialBalance);
+router.get("/admin/ledger/accounts/:account", isAdmin, gameController.getLedgerAccountStatement);
 
 // Marlow AI Routes
 router.get("/admin/marlow-ai/preview/:gameType", isAdmin, gameController.previewMarlowAI);
@@ -40,6 +53,7 @@ router.get("/stats/leaderboard", gameController.getGlobalLeaderboard);
 router.get("/stats/ape", gameController.getApeStats);
 router.get("/stats/week-highlights", gameController.getWeekHighlights);
 router.get("/:gameId/leaderboard", gameController.getGameLeaderboard);
+router.get("/:gameId/snapshots", gameController.getGameSnapshots);
 router.get("/history", authenticate, gameController.getGameHistory);
 router.get("/upcoming", gameController.getUpcomingGames);
 router.get("/:gameId", gameController.getGameDetails);
@@ -77,6 +77,15 @@ router.get('/:portfolioId', portfolioController.getPortfolioDetails);
  */
 router.get('/:portfolioId/history', portfolioController.getPortfolioHistory);
 
+/**
+ * @route POST /api/portfolio/:portfolioId/swap
+ * @desc Swap one asset for another at the current price during a live game
+ * @param portfolioId - Portfolio ID (number)
+ * @body fromSymbol, toSymbol
+ * @access Private
+ */
+router.post('/:portfolioId/swap', portfolioController.swapAsset);
+
 /**
  * @route GET /api/portfolio/:portfolioId/compare
  * @desc Get portfolio comparison with Ape
@@ -2,6 +2,7 @@ const Transaction = require("../models/Transaction");
 const User = require("../models/User");
 const Portfolio = require("../models/Portfolio");
 const Game = require("../models/Game");
+const gasLedgerService = require("./gas-ledger.service");
 const mongoose = require("mongoose");
 
 class AdminAnalyticsService {
@@ -144,6 +145,77 @@ class AdminAnalyticsService {
       createdAt: { $gte: startDate, $lte: endDate },
     });
 
+    // Guaranteed-prize overlays: house money added to prize pools in the period
+    const overlayGames = await Game.find({
+      "overlay.addedAt": { $gte: startDate, $lte: endDate },
+    })
+      .select("overlay.amount")
+      .lean();
+
+    let overlayPaidUSDC = 0;
+    for (const game of overlayGames) {
+      const overlayUSDC = parseFloat(String(game.overlay.amount)) / 1e18;
+      if (isFinite(overlayUSDC) && overlayUSDC > 0) {
+        overlayPaidUSDC += overlayUSDC;
+      }
+    }
+
+    const guaranteedGamesCount = await Game.countDocuments({
+      createdAt: { $gte: startDate, $lte: endDate },
+      guaranteedPrizePool: { $gt: 0 },
+    });
+
+    // Gas paid by the backend wallets in the period, from the gas ledger.
+    // USD amounts use the gas token price at the time each transaction was recorded.
+    const gas = await gasLedgerService.getSummary(startDate, endDate);
+
+    // Per-game net: admin fees taken from entries, minus overlay and all gas spent on the game.
+    // Covers the games that paid gas in the period, least profitable first.
+    const gasGameIds = gas.byGame.map((row) => row.gameId);
+    const gameFeeTransactions = await Transaction.find({
+      type: "ENTRY_FEE",
+      status: "COMPLETED",
+      gameId: { $in: gasGameIds },
+    })
+      .select("gameId adminFee")
+      .lean();
+    const gasGames = await Game.find({ gameId: { $in: gasGameIds } })
+      .select("gameId name entryPrice participantCount overlay.amount")
+      .lean();
+
+    const feesByGame = new Map();
+    for (const tx of gameFeeTransactions) {
+      const feeUSDC = parseFloat(String(tx.adminFee)) / 1e18;
+      if (isFinite(feeUSDC) && feeUSDC > 0) {
+        feesByGame.set(tx.gameId, (feesByGame.get(tx.gameId) || 0) + feeUSDC);
+      }
+    }
+    const gamesById = new Map(gasGames.map((game) => [game.gameId, game]));
+
+    const gameProfitability = gas.byGame
+      .map((row) => {
+        const game = gamesById.get(row.gameId) || {};
+        const fees = feesByGame.get(row.gameId) || 0;
+        const overlayUSDC = game.overlay?.amount ? parseFloat(String(game.overlay.amount)) / 1e18 : 0;
+        const overlay = isFinite(overlayUSDC) ? overlayUSDC : 0;
+        return {
+          gameId: row.gameId,
+          name: game.name || null,
+          entryPrice: game.entryPrice ?? null,
+          participants: game.participantCount || 0,
+          feesCollected: Number(fees.toFixed(2)),
+          overlayPaid: Number(overlay.toFixed(2)),
+          gasTransactions: row.transactions,
+          gasCostNative: Number(row.gasCostNative.toFixed(6)),
+          gasCost: Number(row.gasCostUSD.toFixed(2)),
+          net: Number((fees - overlay - row.gasCostUSD).toFixed(2)),
+        };
+      })
+      .sort((a, b) => a.net - b.net);
+
+    const gasCost = gas.total.gasCostUSD;
+    const netFeesAfterGas = transactionFeesCollected - gasCost;
+
     // Portfolio creations: count of portfolios created in the period
     const portfolioCreationsCount = await Portfolio.countDocuments({
       createdAt: { $gte: startDate, $lte: endDate },
@@ -162,6 +234,34 @@ class AdminAnalyticsService {
       walletConnects: walletConnectsCount || 0,
       gamesPlayed: gamesPlayedCount || 0,
       portfolioCreations: portfolioCreationsCount || 0,
+      guaranteedGames: guaranteedGamesCount || 0,
+      overlayGames: overlayGames.length,
+      overlayPaid: isFinite(overlayPaidUSDC) ? Number(overlayPaidUSDC.toFixed(2)) : 0,
+      gasCost: isFinite(gasCost) ? Number(gasCost.toFixed(2)) : 0,
+      gasTransactions: gas.total.transactions,
+      gasFailedTransactions: gas.total.failedTransactions,
+      gasUnpricedTransactions: gas.total.unpricedTransactions,
+      netFeesAfterGas: isFinite(netFeesAfterGas) ? Number(netFeesAfterGas.toFixed(2)) : 0,
+      gasByChain: gas.byChain.map((row) => ({
+        chainId: row.chainId,
+        nativeSymbol: row.nativeSymbol,
+        transactions: row.transactions,
+        gasCostNative: Number(row.gasCostNative.toFixed(6)),
+        gasCost: Number(row.gasCostUSD.toFixed(2)),
+      })),
+      gasByOperation: gas.byOperation.map((row) => ({
+        operation: row.operation,
+        transactions: row.transactions,
+        failedTransactions: row.failedTransactions,
+        gasCost: Number(row.gasCostUSD.toFixed(2)),
+      })),
+      gasByDay: gas.byDay.map((row) => ({
+        date: row.date,
+        transactions: row.transactions,
+        gasCost: Number(row.gasCostUSD.toFixed(2)),
+      })),
+      gameProfitability,
+      unprofitableGames: gameProfitability.filter((game) => game.net < 0).length,
     };
   }
 }
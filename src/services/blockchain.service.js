@@ -1,27 +1,36 @@
 const { ethers } = require("ethers");
 const config = require("../config");
 const transactionQueue = require("./transaction-queue.service");
+const gasLedgerService = require("./gas-ledger.service");
+const ledgerService = require("./ledger.service");
+const signers = require("./signers");
 const FusioFantasyGameV2 = require("../config/FusioFantasyGameV2.json");
 const USDC = require("../config/MockUSDC.json");
+const Game = require("../models/Game");
 const Transaction = require("../models/Transaction");
 const User = require("../models/User");
 
-// Fallback RPC endpoints for BSC mainnet
-const BSC_RPC_ENDPOINTS = [
-  process.env.BLOCKCHAIN_RPC_URL || config.blockchain.rpcUrl,
-  "https://bsc-dataseed1.binance.org",
-  "https://bsc-dataseed2.binance.org",
-  "https://bsc-dataseed3.binance.org",
-  "https://bsc-dataseed4.binance.org",
-  "https://bsc-dataseed1.defibit.io",
-  "https://bsc-dataseed2.defibit.io",
-  "https://bsc-dataseed1.ninicoin.io",
-  "https://bsc-dataseed2.ninicoin.io",
-].filter(Boolean);
+// Transactions with the same routing key share an operator lane, so each game's transactions stay in order
+const gameRoutingKey = (gameId) => `game:${gameId}`;
+
+// Role hashes from the contract
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero; // 0x0000...
+const GAME_MANAGER_ROLE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("GAME_MANAGER_ROLE"));
+
+// chainId -> BlockchainService, one per configured network (filled at the bottom of this file)
+const services = new Map();
 
 class BlockchainService {
-  constructor() {
-    this.chainId = config.blockchain.chainId || 56;
+  /**
+   * @param {Object} chain - Entry of config.blockchain.chains
+   */
+  constructor(chain) {
+    this.chainId = chain.chainId;
+    this.chainName = chain.name;
+    this.rpcEndpoints = chain.rpcUrls;
+    this.contractAddress = chain.contractAddress;
+    this.usdcAddress = chain.usdcAddress;
+    this.transactionQueue = transactionQueue.forChain(this.chainId);
     this.currentRpcIndex = 0;
     this.maxRetries = 3;
     this.retryDelay = 1000; // Start with 1 second
@@ -31,47 +40,57 @@ class BlockchainService {
     // Initialize provider with retry logic
     this._initializeProvider();
 
-    // Setup admin wallet (for game management: rewards, portfolio creation, etc.)
-    this.adminWallet = new ethers.Wallet(config.blockchain.privateKey, this.provider);
-
-    // Setup withdrawal wallet (contract owner with DEFAULT_ADMIN_ROLE for withdrawals)
-    const withdrawalKey = process.env.WITHDRAWAL_WALLET_PRIVATE_KEY;
-    if (withdrawalKey) {
-      this.withdrawalWallet = new ethers.Wallet(withdrawalKey, this.provider);
+    // Setup admin, operator and withdrawal wallets from the configured signer backend
+    this._setupWallets();
+    console.log(`[BLOCKCHAIN] Signer backend: ${signers.getBackend().name}, admin wallet: ${this.adminWallet.address}`);
+    if (this.withdrawalWallet !== this.adminWallet) {
       console.log(`[BLOCKCHAIN] Withdrawal wallet configured: ${this.withdrawalWallet.address}`);
     } else {
-      // Fallback to admin wallet if no separate withdrawal wallet
-      this.withdrawalWallet = this.adminWallet;
       console.log(`[BLOCKCHAIN] No separate withdrawal wallet - using admin wallet`);
     }
 
     // Initialize transaction queue
-    transactionQueue.initialize(this.provider, this.adminWallet);
+    this.transactionQueue.initialize(this.provider, this.operatorWallets);
+
+    // Jobs the queue can rebuild from stored params after a restart
+    this.transactionQueue.registerJob(
+      "BATCH_ASSIGN_REWARDS",
+      (walletNonce, params, wallet) => this._sendBatchAssignRewards(walletNonce, params, wallet),
+      { contractNonce: true }
+    );
+    // Refunds are reward assignments of the entry fee, one portfolio per transaction
+    this.transactionQueue.registerJob(
+      "REFUND_ENTRY_FEE",
+      (walletNonce, params, wallet) => this._sendBatchAssignRewards(walletNonce, params, wallet),
+      { contractNonce: true }
+    );
+    this.transactionQueue.registerJob("DISTRIBUTE_REWARDS", (walletNonce, { gameId, start, end }, wallet) =>
+      this.contract.connect(wallet).distributeRewards(gameId, start, end, { gasLimit: 1000000, nonce: walletNonce })
+    );
 
     // Setup contract instances
-    this.contract = new ethers.Contract(config.blockchain.contractAddress, FusioFantasyGameV2.abi, this.adminWallet);
+    this.contract = new ethers.Contract(this.contractAddress, FusioFantasyGameV2.abi, this.adminWallet);
 
     // Contract instance connected to withdrawal wallet (for admin withdrawals)
-    this.withdrawalContract = new ethers.Contract(
-      config.blockchain.contractAddress,
-      FusioFantasyGameV2.abi,
-      this.withdrawalWallet
-    );
+    this.withdrawalContract = new ethers.Contract(this.contractAddress, FusioFantasyGameV2.abi, this.withdrawalWallet);
 
-    this.usdcContract = new ethers.Contract(config.blockchain.usdcAddress, USDC.abi, this.adminWallet);
+    this.usdcContract = new ethers.Contract(this.usdcAddress, USDC.abi, this.adminWallet);
+
+    // Receipts from the queue carry decoded events for these contracts
+    this.transactionQueue.setEventContracts([this.contract, this.usdcContract]);
 
     // Constants
     // ENTRY_FEE is now dynamic - retrieved from game
     this.GAS_FEE = ethers.utils.parseUnits("0.1", 18); // 0.1 USDC (can be made dynamic later)
 
-    console.log(`[BLOCKCHAIN] Service initialized with chainId ${this.chainId}, RPC: ${BSC_RPC_ENDPOINTS[0]}`);
+    console.log(`[BLOCKCHAIN] Service initialized with chainId ${this.chainId}, RPC: ${this.rpcEndpoints[0]}`);
   }
 
   /**
    * Initialize provider with the current RPC endpoint
    */
   _initializeProvider() {
-    const rpcUrl = BSC_RPC_ENDPOINTS[this.currentRpcIndex];
+    const rpcUrl = this.rpcEndpoints[this.currentRpcIndex];
     console.log(`[BLOCKCHAIN] Initializing provider with RPC: ${rpcUrl}`);
 
     this.provider = new ethers.providers.JsonRpcProvider(
@@ -94,8 +113,8 @@ class BlockchainService {
    * Switch to the next available RPC endpoint
    */
   _switchRpcEndpoint() {
-    this.currentRpcIndex = (this.currentRpcIndex + 1) % BSC_RPC_ENDPOINTS.length;
-    const newRpc = BSC_RPC_ENDPOINTS[this.currentRpcIndex];
+    this.currentRpcIndex = (this.currentRpcIndex + 1) % this.rpcEndpoints.length;
+    const newRpc = this.rpcEndpoints[this.currentRpcIndex];
     console.log(`[BLOCKCHAIN] Switching to RPC endpoint: ${newRpc}`);
 
     this._initializeProvider();
@@ -106,26 +125,36 @@ class BlockchainService {
    * Reconnect wallets and contracts to new provider
    */
   _reconnectWallets() {
-    this.adminWallet = new ethers.Wallet(config.blockchain.privateKey, this.provider);
-
-    const withdrawalKey = process.env.WITHDRAWAL_WALLET_PRIVATE_KEY;
-    if (withdrawalKey) {
-      this.withdrawalWallet = new ethers.Wallet(withdrawalKey, this.provider);
-    } else {
-      this.withdrawalWallet = this.adminWallet;
-    }
+    this._setupWallets();
 
     // Reconnect contracts
-    this.contract = new ethers.Contract(config.blockchain.contractAddress, FusioFantasyGameV2.abi, this.adminWallet);
-    this.withdrawalContract = new ethers.Contract(
-      config.blockchain.contractAddress,
-      FusioFantasyGameV2.abi,
-      this.withdrawalWallet
-    );
-    this.usdcContract = new ethers.Contract(config.blockchain.usdcAddress, USDC.abi, this.adminWallet);
+    this.contract = new ethers.Contract(this.contractAddress, FusioFantasyGameV2.abi, this.adminWallet);
+    this.withdrawalContract = new ethers.Contract(this.contractAddress, FusioFantasyGameV2.abi, this.withdrawalWallet);
+    this.usdcContract = new ethers.Contract(this.usdcAddress, USDC.abi, this.adminWallet);
+    this.transactionQueue.setEventContracts([this.contract, this.usdcContract]);
 
     // Reinitialize transaction queue with new provider
-    transactionQueue.initialize(this.provider, this.adminWallet);
+    this.transactionQueue.initialize(this.provider, this.operatorWallets);
+  }
+
+  /**
+   * Create the wallets from the signer backend (env key, keystore or remote signer),
+   * connected to the current provider
+   * - adminWallet: game management (rewards, portfolio creation, etc.)
+   * - operatorWallets: admin wallet first, then the operators - one transaction queue lane each
+   * - withdrawalWallet: contract owner with DEFAULT_ADMIN_ROLE, falls back to the admin wallet
+   */
+  _setupWallets() {
+    const { admin, operators, withdrawal } = signers.createSigners(this.provider);
+
+    this.adminWallet = admin;
+    this.operatorWallets = [admin];
+    for (const wallet of operators) {
+      if (!this.operatorWallets.some((w) => w.address === wallet.address)) {
+        this.operatorWallets.push(wallet);
+      }
+    }
+    this.withdrawalWallet = withdrawal || admin;
   }
 
   /**
@@ -138,7 +167,7 @@ class BlockchainService {
   async _executeWithRetry(operation, operationName, maxRetries = this.maxRetries) {
     let lastError;
     let totalAttempts = 0;
-    const maxTotalAttempts = maxRetries * BSC_RPC_ENDPOINTS.length;
+    const maxTotalAttempts = maxRetries * this.rpcEndpoints.length;
 
     // Check if provider needs refresh (periodic refresh to avoid stale connections)
     if (Date.now() - this.lastProviderRefresh > this.providerRefreshInterval) {
@@ -158,7 +187,7 @@ class BlockchainService {
 
           console.warn(
             `[BLOCKCHAIN] ${operationName} failed (attempt ${attempt}/${maxRetries}, RPC ${this.currentRpcIndex + 1}/${
-              BSC_RPC_ENDPOINTS.length
+              this.rpcEndpoints.length
             }): ${error.message}`
           );
 
@@ -234,7 +263,7 @@ class BlockchainService {
     try {
       const [requiredAmount, currentAllowance] = await this._executeWithRetry(async () => {
         const required = await this.contract.getRequiredUSDCApproval(userAddress, gameId);
-        const allowance = await this.usdcContract.allowance(userAddress, config.blockchain.contractAddress);
+        const allowance = await this.usdcContract.allowance(userAddress, this.contractAddress);
         return [required, allowance];
       }, `checkUSDCAllowance(${userAddress}, ${gameId})`);
 
@@ -272,6 +301,18 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Sign an off-chain audit record with the admin wallet. Anyone can check it with
+   * ethers.utils.verifyMessage(arrayify(keccak256(toUtf8Bytes(message))), signature).
+   * @param {string} message - Canonical record, e.g. JSON
+   * @returns {Promise<Object>} { message, signature, signer }
+   */
+  async signAuditRecord(message) {
+    const messageHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(message));
+    const signature = await this.adminWallet.signMessage(ethers.utils.arrayify(messageHash));
+    return { message, signature, signer: this.adminWallet.address };
+  }
+
   async liveGameFunds(userId, userAddress, gameId) {
     try {
       // Get the actual game to retrieve correct entry fee
@@ -284,12 +325,16 @@ class BlockchainService {
       // Calculate entry fee from game's actual price
       const entryFeeWei = ethers.utils.parseUnits(game.entryPrice.toString(), 18);
 
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        return await this.contract.liveGameFunds(userAddress, {
-          gasLimit: 500000,
-          nonce,
-        });
-      }, `LiveGameFunds for user ${userAddress}`);
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce, wallet) => {
+          return await this.contract.connect(wallet).liveGameFunds(userAddress, {
+            gasLimit: 500000,
+            nonce,
+          });
+        },
+        `LiveGameFunds for user ${userAddress}`,
+        { routingKey: gameRoutingKey(gameId), operation: "liveGameFunds", gameId }
+      );
 
       // Create transaction record with actual amounts
       // Calculate total amount using BigNumber (entry fee + gas)
@@ -298,6 +343,7 @@ class BlockchainService {
       await Transaction.create({
         transactionHash: receipt.transactionHash,
         userId,
+        chainId: this.chainId,
         type: "ENTRY_FEE",
         amount: totalAmount.toString(),
         gameId: gameId,
@@ -305,7 +351,7 @@ class BlockchainService {
         blockNumber: receipt.blockNumber,
         blockTimestamp: new Date(),
         fromAddress: userAddress,
-        toAddress: config.blockchain.contractAddress,
+        toAddress: this.contractAddress,
         gasUsed: receipt.gasUsed.toString(),
         gasPrice: receipt.effectiveGasPrice.toString(),
         networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
@@ -315,6 +361,14 @@ class BlockchainService {
           adminFee: entryFeeWei.mul(10).div(100).toString(), // 10% admin fee
         },
       });
+      await ledgerService.recordFundsLocked({
+        chainId: this.chainId,
+        userId,
+        gameId,
+        transactionHash: receipt.transactionHash,
+        amount: entryFeeWei.toString(),
+        gasFee: this.GAS_FEE.toString(),
+      });
 
       return receipt;
     } catch (error) {
@@ -323,37 +377,68 @@ class BlockchainService {
   }
 
   // Portfolio Management
-  async createAndLockPortfolio(userId, userAddress, symbols, allocations, tokenQtys, gameType, isApe) {
+  // Directions are signed as uint8 (0 = LONG, 1 = SHORT) and leverages as uint256 with 18 decimals
+  async createAndLockPortfolio(
+    userId,
+    userAddress,
+    symbols,
+    allocations,
+    tokenQtys,
+    directions,
+    leverages,
+    gameType,
+    isApe
+  ) {
     try {
       // Convert symbols to bytes32
       const bytes32Symbols = symbols.map((symbol) => ethers.utils.formatBytes32String(symbol));
+      const directionCodes = directions.map((direction) => (direction === "SHORT" ? 1 : 0));
+      const leveragesWei = leverages.map((leverage) => ethers.utils.parseUnits(String(leverage), 18));
+
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce, wallet) => {
+          // Get current nonce from contract
+          const ownerNonce = await this.contract.nonce();
+
+          // Create message hash for signing
+          const messageHash = ethers.utils.solidityKeccak256(
+            ["address", "bytes32[]", "uint256[]", "uint8[]", "uint256[]", "uint8", "bool", "uint256"],
+            [
+              userAddress,
+              bytes32Symbols,
+              tokenQtys,
+              directionCodes,
+              leveragesWei,
+              gameType === "DEFI" ? 0 : 1,
+              isApe,
+              ownerNonce,
+            ]
+          );
 
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        // Get current nonce from contract
-        const ownerNonce = await this.contract.nonce();
-
-        // Create message hash for signing
-        const messageHash = ethers.utils.solidityKeccak256(
-          ["address", "bytes32[]", "uint256[]", "uint8", "bool", "uint256"],
-          [userAddress, bytes32Symbols, tokenQtys, gameType === "DEFI" ? 0 : 1, isApe, ownerNonce]
-        );
-
-        // Sign the message
-        const signature = await this.adminWallet.signMessage(ethers.utils.arrayify(messageHash));
-
-        return await this.contract.createAndLockPortfolio(
-          userAddress,
-          bytes32Symbols,
-          tokenQtys,
-          gameType === "DEFI" ? 0 : 1,
-          isApe,
-          signature,
-          {
-            gasLimit: 1000000,
-            nonce,
-          }
-        );
-      }, `CreateAndLockPortfolio for user ${userAddress}`);
+          // Sign the message
+          const signature = await wallet.signMessage(ethers.utils.arrayify(messageHash));
+
+          return await this.contract
+            .connect(wallet)
+            .createAndLockPortfolio(
+              userAddress,
+              bytes32Symbols,
+              tokenQtys,
+              directionCodes,
+              leveragesWei,
+              gameType === "DEFI" ? 0 : 1,
+              isApe,
+              signature,
+              {
+                gasLimit: 1000000,
+                nonce,
+              }
+            );
+        },
+        `CreateAndLockPortfolio for user ${userAddress}`,
+        // The contract picks the game, so one user's portfolios are kept in order instead
+        { routingKey: `user:${userAddress.toLowerCase()}`, contractNonce: true, operation: "createAndLockPortfolio" }
+      );
 
       // Get portfolio ID and entry fee from events
       const portfolioCreatedEvent = receipt.events.find((e) => e.event === "PortfolioCreated");
@@ -362,6 +447,7 @@ class BlockchainService {
       console.log("event.args -", portfolioCreatedEvent.args);
       const portfolioId = portfolioCreatedEvent.args.portfolioId.toNumber();
       const gameId = portfolioCreatedEvent.args.gameId.toNumber();
+      await gasLedgerService.assignGame(this.chainId, receipt.transactionHash, gameId);
 
       // Get actual entry fee from blockchain event (this is the REAL amount charged)
       const actualEntryFee = portfolioEntryFeePaidEvent ? portfolioEntryFeePaidEvent.args.entryFee.toString() : "0";
@@ -371,6 +457,7 @@ class BlockchainService {
       await Transaction.create({
         transactionHash: receipt.transactionHash,
         userId,
+        chainId: this.chainId,
         type: "CREATE_PORTFOLIO",
         amount: isApe ? "0" : actualEntryFee,
         adminFee: isApe ? "0" : actualAdminFee,
@@ -380,11 +467,20 @@ class BlockchainService {
         blockNumber: receipt.blockNumber,
         blockTimestamp: new Date(),
         fromAddress: userAddress,
-        toAddress: config.blockchain.contractAddress,
+        toAddress: this.contractAddress,
         gasUsed: receipt.gasUsed.toString(),
         gasPrice: receipt.effectiveGasPrice.toString(),
         networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
       });
+      await ledgerService.recordEntryFee({
+        chainId: this.chainId,
+        userId,
+        gameId,
+        portfolioId,
+        transactionHash: receipt.transactionHash,
+        entryFee: isApe ? "0" : actualEntryFee,
+        adminFee: isApe ? "0" : actualAdminFee,
+      });
 
       return { portfolioId, receipt };
     } catch (error) {
@@ -417,19 +513,25 @@ class BlockchainService {
         throw new Error("Gas estimate too high, transaction likely to fail");
       }
 
-      const txResponse = await transactionQueue.addTransaction(async (nonce) => {
-        return await this.contract.createGame(
-          gameId,
-          Math.floor(startTime.getTime() / 1000),
-          Math.floor(endTime.getTime() / 1000),
-          entryFeeInWei,
-          entryCap.toString(),
-          {
-            gasLimit: 600000,
-            nonce,
-          }
-        );
-      }, `CreateGame for gameId ${gameId}`);
+      const txResponse = await this.transactionQueue.addTransaction(
+        async (nonce, wallet) => {
+          return await this.contract
+            .connect(wallet)
+            .createGame(
+              gameId,
+              Math.floor(startTime.getTime() / 1000),
+              Math.floor(endTime.getTime() / 1000),
+              entryFeeInWei,
+              entryCap.toString(),
+              {
+                gasLimit: 600000,
+                nonce,
+              }
+            );
+        },
+        `CreateGame for gameId ${gameId}`,
+        { routingKey: gameRoutingKey(gameId), operation: "createGame", gameId }
+      );
 
       // Get game ID from event
       const event = txResponse.events.find((e) => e.event === "GameCreated");
@@ -539,12 +641,16 @@ class BlockchainService {
 
   async calculateWinners(gameId, batchSize = 50) {
     try {
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        return await this.contract.calculateWinners(gameId, batchSize, {
-          gasLimit: 1000000,
-          nonce,
-        });
-      }, `CalculateWinners for game ${gameId}`);
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce, wallet) => {
+          return await this.contract.connect(wallet).calculateWinners(gameId, batchSize, {
+            gasLimit: 1000000,
+            nonce,
+          });
+        },
+        `CalculateWinners for game ${gameId}`,
+        { routingKey: gameRoutingKey(gameId), operation: "calculateWinners", gameId }
+      );
 
       // Get progress from events
       const progressEvent = receipt.events.find((e) => e.event === "WinnersCalculationProgress");
@@ -575,16 +681,28 @@ class BlockchainService {
 
   async distributeRewards(gameId, start, end) {
     try {
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        return await this.contract.distributeRewards(gameId, start, end, {
-          gasLimit: 1000000,
-          nonce,
-        });
-      }, `DistributeRewards for game ${gameId} (${start}-${end})`);
-
-      // Get reward distribution details from events
-      const distributionEvents = receipt.events
-        .filter((e) => e.event === "RewardDistributed")
+      const receipt = await this.transactionQueue.addJob(
+        "DISTRIBUTE_REWARDS",
+        { gameId, start, end },
+        `DistributeRewards for game ${gameId} (${start}-${end})`,
+        {
+          idempotencyKey: `DISTRIBUTE_REWARDS:${gameId}:${start}-${end}`,
+          routingKey: gameRoutingKey(gameId),
+          operation: "distributeRewards",
+          gameId,
+        }
+      );
+
+      // Decode from the raw logs - an idempotent repeat returns a plain provider receipt
+      const distributionEvents = receipt.logs
+        .map((log) => {
+          try {
+            return this.contract.interface.parseLog(log);
+          } catch (err) {
+            return null;
+          }
+        })
+        .filter((e) => e !== null && e.name === "RewardDistributed")
         .map((e) => ({
           portfolioId: e.args.portfolioId.toNumber(),
           amount: e.args.amount.toString(),
@@ -616,24 +734,28 @@ class BlockchainService {
     try {
       const parsedValue = ethers.utils.parseUnits(currentValue.toString(), 6);
 
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        // Get current nonce from contract
-        const ownerNonce = await this.contract.nonce();
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce, wallet) => {
+          // Get current nonce from contract
+          const ownerNonce = await this.contract.nonce();
 
-        // Create message hash for signing
-        const messageHash = ethers.utils.solidityKeccak256(
-          ["uint256", "uint256", "uint256", "uint256"],
-          [portfolioId, parsedValue, gameId, ownerNonce]
-        );
+          // Create message hash for signing
+          const messageHash = ethers.utils.solidityKeccak256(
+            ["uint256", "uint256", "uint256", "uint256"],
+            [portfolioId, parsedValue, gameId, ownerNonce]
+          );
 
-        // Sign the message
-        const signature = await this.adminWallet.signMessage(ethers.utils.arrayify(messageHash));
+          // Sign the message
+          const signature = await wallet.signMessage(ethers.utils.arrayify(messageHash));
 
-        return await this.contract.updatePortfolioValue(portfolioId, parsedValue, gameId, signature, {
-          gasLimit: 500000,
-          nonce,
-        });
-      }, `UpdatePortfolioValue for portfolio ${portfolioId} in game ${gameId}`);
+          return await this.contract.connect(wallet).updatePortfolioValue(portfolioId, parsedValue, gameId, signature, {
+            gasLimit: 500000,
+            nonce,
+          });
+        },
+        `UpdatePortfolioValue for portfolio ${portfolioId} in game ${gameId}`,
+        { routingKey: gameRoutingKey(gameId), contractNonce: true, operation: "updatePortfolioValue", gameId }
+      );
       return receipt;
     } catch (error) {
       throw new Error(`Failed to update portfolio value: ${error.message}`);
@@ -672,7 +794,23 @@ class BlockchainService {
       });
 
       console.log(`[BLOCKCHAIN] Withdrawal tx sent: ${tx.hash}`);
-      const receipt = await tx.wait();
+      const ledgerEntry = {
+        chainId: this.chainId,
+        operation: "adminWithdrawFromPrizePool",
+        gameId,
+        fromAddress: this.withdrawalWallet.address,
+      };
+      let receipt;
+      try {
+        receipt = await tx.wait();
+      } catch (error) {
+        // Reverted on chain - the gas is spent all the same
+        if (error.receipt) {
+          await gasLedgerService.record({ ...ledgerEntry, receipt: error.receipt, failed: true });
+        }
+        throw error;
+      }
+      await gasLedgerService.record({ ...ledgerEntry, receipt });
 
       console.log(`[BLOCKCHAIN] Withdrawal successful: ${receipt.transactionHash}`);
 
@@ -687,18 +825,70 @@ class BlockchainService {
     }
   }
 
+  // Top up a game's prize pool from the admin wallet (guaranteed prize overlay)
+  async addToPrizePool(gameId, amount) {
+    try {
+      console.log(`[BLOCKCHAIN] Adding ${amount} to game ${gameId} prize pool`);
+
+      // The contract pulls the USDC from the admin wallet, so it needs an allowance first.
+      // Both transactions stay on the primary lane: only the admin wallet holds the USDC.
+      const allowance = await this._executeWithRetry(
+        () => this.usdcContract.allowance(this.adminWallet.address, this.contractAddress),
+        `allowance(${this.adminWallet.address})`
+      );
+      if (allowance.lt(amount)) {
+        await this.transactionQueue.addTransaction(
+          async (nonce) => {
+            return await this.usdcContract.approve(this.contractAddress, amount, {
+              gasLimit: 100000,
+              nonce,
+            });
+          },
+          `Approve USDC for game ${gameId} prize pool top-up`,
+          { operation: "approve", gameId }
+        );
+      }
+
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce) => {
+          return await this.contract.adminAddToPrizePool(gameId, amount, {
+            gasLimit: 300000,
+            nonce,
+          });
+        },
+        `AdminAddToPrizePool game ${gameId} amount ${amount}`,
+        { operation: "adminAddToPrizePool", gameId }
+      );
+
+      console.log(`[BLOCKCHAIN] Prize pool top-up successful: ${receipt.transactionHash}`);
+
+      return {
+        transactionHash: receipt.transactionHash,
+        gameId,
+        amount: amount.toString(),
+        fromAddress: this.adminWallet.address,
+      };
+    } catch (error) {
+      throw new Error(`Failed to add to prize pool: ${error.message}`);
+    }
+  }
+
   // Update game status on blockchain (transitions based on time)
   // GameStatus enum: 0=NotStarted, 1=Active, 2=Ended
   async updateGameStatus(gameId) {
     try {
       console.log(`[BLOCKCHAIN] Updating game ${gameId} status on-chain`);
 
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        return await this.contract.updateGameStatus(gameId, {
-          gasLimit: 150000,
-          nonce,
-        });
-      }, `UpdateGameStatus game ${gameId}`);
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce, wallet) => {
+          return await this.contract.connect(wallet).updateGameStatus(gameId, {
+            gasLimit: 150000,
+            nonce,
+          });
+        },
+        `UpdateGameStatus game ${gameId}`,
+        { routingKey: gameRoutingKey(gameId), operation: "updateGameStatus", gameId }
+      );
 
       console.log(`[BLOCKCHAIN] Game ${gameId} status updated: ${receipt.transactionHash}`);
 
@@ -728,23 +918,44 @@ class BlockchainService {
     }
   }
 
+  async getPortfolioGameId(portfolioId) {
+    try {
+      const gameId = await this._executeWithRetry(
+        () => this.contract.getPortfolioGameId(portfolioId),
+        `getPortfolioGameId(${portfolioId})`
+      );
+      return gameId.toNumber();
+    } catch (error) {
+      throw new Error(`Failed to get portfolio game ID: ${error.message}`);
+    }
+  }
+
+  async isRewardAssigned(portfolioId) {
+    try {
+      return await this._executeWithRetry(
+        () => this.contract.isRewardAssigned(portfolioId),
+        `isRewardAssigned(${portfolioId})`
+      );
+    } catch (error) {
+      throw new Error(`Failed to check reward assignment: ${error.message}`);
+    }
+  }
+
   // Check if the wallets have the required roles on the contract
   async checkAdminRole() {
     try {
       const adminAddress = this.adminWallet.address;
       const withdrawalAddress = this.withdrawalWallet.address;
+      const operatorAddresses = this.operatorWallets.map((w) => w.address);
 
-      // Role hashes from the contract
-      const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero; // 0x0000...
-      const GAME_MANAGER_ROLE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("GAME_MANAGER_ROLE"));
-
-      const [adminHasDefaultAdminRole, adminHasGameManagerRole, withdrawalHasDefaultAdminRole] =
+      const [adminHasDefaultAdminRole, adminHasGameManagerRole, withdrawalHasDefaultAdminRole, operatorRoles] =
         await this._executeWithRetry(
           () =>
             Promise.all([
               this.contract.hasRole(DEFAULT_ADMIN_ROLE, adminAddress),
               this.contract.hasRole(GAME_MANAGER_ROLE, adminAddress),
               this.contract.hasRole(DEFAULT_ADMIN_ROLE, withdrawalAddress),
+              Promise.all(operatorAddresses.map((address) => this.contract.hasRole(GAME_MANAGER_ROLE, address))),
             ]),
           "checkAdminRole"
         );
@@ -758,22 +969,68 @@ class BlockchainService {
         withdrawalAddress,
         withdrawalHasDefaultAdminRole, // Required for: adminWithdrawFromPrizePool
         isSameWallet: adminAddress === withdrawalAddress,
+        // Operator wallets (one transaction queue lane each, admin wallet first)
+        operators: operatorAddresses.map((address, i) => ({ address, hasGameManagerRole: operatorRoles[i] })),
+        allOperatorsHaveGameManagerRole: operatorRoles.every(Boolean),
       };
     } catch (error) {
       throw new Error(`Failed to check admin role: ${error.message}`);
     }
   }
 
+  /**
+   * Gas balance, role and queue lane of every operator wallet
+   * @returns {Promise<Array<Object>>} Admin wallet first
+   */
+  async getOperatorStatus() {
+    try {
+      const minGasBalance = ethers.utils.parseEther(config.blockchain.operators.minGasBalance);
+      const lanes = this.transactionQueue.getStatus().lanes;
+
+      return await Promise.all(
+        this.operatorWallets.map(async (wallet, index) => {
+          const [balance, hasGameManagerRole] = await this._executeWithRetry(
+            () =>
+              Promise.all([
+                this.provider.getBalance(wallet.address),
+                this.contract.hasRole(GAME_MANAGER_ROLE, wallet.address),
+              ]),
+            `getOperatorStatus(${wallet.address})`
+          );
+          const lane = lanes.find((l) => l.address === wallet.address.toLowerCase());
+
+          return {
+            chainId: this.chainId,
+            address: wallet.address,
+            isPrimary: index === 0,
+            balance: ethers.utils.formatEther(balance),
+            balanceWei: balance.toString(),
+            isLowBalance: balance.lt(minGasBalance),
+            hasGameManagerRole,
+            queueLength: lane ? lane.queueLength : 0,
+            currentNonce: lane ? lane.currentNonce : null,
+          };
+        })
+      );
+    } catch (error) {
+      throw new Error(`Failed to get operator status: ${error.message}`);
+    }
+  }
+
   async mintUSDC(toAddress, amount) {
     try {
       const amountInWei = ethers.utils.parseUnits(amount.toString(), 18);
 
-      const receipt = await transactionQueue.addTransaction(async (nonce) => {
-        return await this.usdcContract.mint(toAddress, amountInWei, {
-          gasLimit: 500000,
-          nonce,
-        });
-      }, `Mint USDC to ${toAddress} amount ${amount}`);
+      const receipt = await this.transactionQueue.addTransaction(
+        async (nonce) => {
+          return await this.usdcContract.mint(toAddress, amountInWei, {
+            gasLimit: 500000,
+            nonce,
+          });
+        },
+        `Mint USDC to ${toAddress} amount ${amount}`,
+        { operation: "mint" }
+      );
 
       return {
         transactionHash: receipt.transactionHash,
@@ -800,52 +1057,21 @@ class BlockchainService {
 
       // CRITICAL: Signature must be generated INSIDE the queue callback
       // to ensure the contract nonce is fresh when the transaction executes.
-      // The queue processes transactions sequentially, so by the time this
-      // callback runs, the contract nonce will be correct for THIS transaction.
-      const receipt = await transactionQueue.addTransaction(async (walletNonce) => {
-        // Get fresh contract nonce right before signing
-        const contractNonce = await this.contract.nonce();
-        console.log(`[BLOCKCHAIN] Contract nonce: ${contractNonce}, Wallet nonce: ${walletNonce}`);
-
-        const chainId = (await this.provider.getNetwork()).chainId;
-
-        const domain = {
-          name: "FusioFantasyGameV2",
-          version: "1",
-          chainId: chainId,
-          verifyingContract: this.contract.address,
-        };
-
-        const types = {
-          BatchAssignRewards: [
-            { name: "portfolioIds", type: "uint256[]" },
-            { name: "amounts", type: "uint256[]" },
-            { name: "nonce", type: "uint256" },
-          ],
-        };
-
-        const value = {
-          portfolioIds,
-          amounts,
-          nonce: contractNonce.toNumber(),
-        };
-
-        // Generate signature with fresh nonce
-        const signature = await this.adminWallet._signTypedData(domain, types, value);
-
-        // Dynamic gas limit based on batch size (more portfolios = more gas)
-        const baseGas = 100000;
-        const perPortfolioGas = 50000;
-        const estimatedGas = baseGas + portfolioIds.length * perPortfolioGas;
-        const gasLimit = Math.min(estimatedGas, 3000000); // Cap at 3M
-
-        console.log(`[BLOCKCHAIN] Sending batchAssignRewards tx (gas: ${gasLimit})`);
-
-        return await this.contract.batchAssignRewards(portfolioIds, amounts, signature, {
-          gasLimit,
-          nonce: walletNonce,
-        });
-      }, `BatchAssignRewards for game ${gameId} (${portfolioIds.length} winners)`);
+      // The job holds the queue's contract nonce lock until mined, so by the time
+      // this callback runs, the contract nonce will be correct for THIS transaction.
+      // The same portfolios are never assigned twice: a repeat call (e.g. after a
+      // restart mid-distribution) returns the first transaction's receipt.
+      const receipt = await this.transactionQueue.addJob(
+        "BATCH_ASSIGN_REWARDS",
+        { gameId, portfolioIds, amounts },
+        `BatchAssignRewards for game ${gameId} (${portfolioIds.length} winners)`,
+        {
+          idempotencyKey: `BATCH_ASSIGN_REWARDS:${gameId}:${portfolioIds.join(",")}`,
+          routingKey: gameRoutingKey(gameId),
+          operation: "batchAssignRewards",
+          gameId,
+        }
+      );
 
       console.log(`[BLOCKCHAIN] ✅ batchAssignRewards success: ${receipt.transactionHash}`);
 
@@ -857,6 +1083,112 @@ class BlockchainService {
       throw new Error(`Failed to batch assign rewards: ${error.message}`);
     }
   }
+
+  // Return a portfolio's entry fee to its owner's contract balance. The contract has no
+  // refund call, so the fee is assigned as the portfolio's reward out of the prize pool;
+  // the prize pool must hold it (see refund.service for the admin fee top-up).
+  async refundEntryFee(gameId, portfolioId, amount) {
+    try {
+      const receipt = await this.transactionQueue.addJob(
+        "REFUND_ENTRY_FEE",
+        { gameId, portfolioIds: [portfolioId], amounts: [amount] },
+        `RefundEntryFee for portfolio ${portfolioId} in game ${gameId}`,
+        {
+          idempotencyKey: `REFUND_ENTRY_FEE:${portfolioId}`,
+          routingKey: gameRoutingKey(gameId),
+          operation: "refundEntryFee",
+          gameId,
+        }
+      );
+
+      console.log(`[BLOCKCHAIN] Refunded portfolio ${portfolioId} in game ${gameId}: ${receipt.transactionHash}`);
+      return { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber, receipt };
+    } catch (error) {
+      throw new Error(`Failed to refund entry fee: ${error.message}`);
+    }
+  }
+
+  // Sign and send batchAssignRewards; runs inside the transaction queue (see BATCH_ASSIGN_REWARDS)
+  async _sendBatchAssignRewards(walletNonce, { portfolioIds, amounts }, wallet) {
+    // Get fresh contract nonce right before signing
+    const contractNonce = await this.contract.nonce();
+    console.log(`[BLOCKCHAIN] Contract nonce: ${contractNonce}, Wallet nonce: ${walletNonce}`);
+
+    const chainId = (await this.provider.getNetwork()).chainId;
+
+    const domain = {
+      name: "FusioFantasyGameV2",
+      version: "1",
+      chainId: chainId,
+      verifyingContract: this.contract.address,
+    };
+
+    const types = {
+      BatchAssignRewards: [
+        { name: "portfolioIds", type: "uint256[]" },
+        { name: "amounts", type: "uint256[]" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+
+    const value = {
+      portfolioIds,
+      amounts,
+      nonce: contractNonce.toNumber(),
+    };
+
+    // Generate signature with fresh nonce - every operator wallet holds GAME_MANAGER_ROLE
+    const signature = await wallet._signTypedData(domain, types, value);
+
+    // Dynamic gas limit based on batch size (more portfolios = more gas)
+    const baseGas = 100000;
+    const perPortfolioGas = 50000;
+    const estimatedGas = baseGas + portfolioIds.length * perPortfolioGas;
+    const gasLimit = Math.min(estimatedGas, 3000000); // Cap at 3M
+
+    console.log(`[BLOCKCHAIN] Sending batchAssignRewards tx (gas: ${gasLimit})`);
+
+    return await this.contract.connect(wallet).batchAssignRewards(portfolioIds, amounts, signature, {
+      gasLimit,
+      nonce: walletNonce,
+    });
+  }
+
+  /**
+   * Service for a configured chain
+   * @param {number} [chainId] - Defaults to the primary chain
+   * @returns {BlockchainService}
+   */
+  forChain(chainId) {
+    const service = services.get(Number(chainId || config.blockchain.chainId));
+    if (!service) {
+      throw new Error(`Chain ${chainId} is not configured`);
+    }
+    return service;
+  }
+
+  /**
+   * Service for the chain a game was deployed on
+   * @param {number} gameId
+   * @returns {Promise<BlockchainService>}
+   */
+  async forGame(gameId) {
+    const game = await Game.findOne({ gameId }).select("chainId").lean();
+    return this.forChain(game?.chainId);
+  }
+
+  /**
+   * Every configured chain service, primary chain first
+   * @returns {Array<BlockchainService>}
+   */
+  getChains() {
+    return [...services.values()];
+  }
+}
+
+for (const chain of config.blockchain.chains) {
+  services.set(chain.chainId, new BlockchainService(chain));
 }
 
-module.exports = new BlockchainService();
+// The primary chain's service; reach the others with forChain() / forGame()
+module.exports = services.get(config.blockchain.chainId);
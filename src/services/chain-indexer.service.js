@@ -0,0 +1,481 @@
+const { ethers } = require("ethers");
+const config = require("../config");
+const blockchainService = require("./blockchain.service");
+const ledgerService = require("./ledger.service");
+const refundService = require("./refund.service");
+const ChainCursor = require("../models/ChainCursor");
+const ChainEvent = require("../models/ChainEvent");
+const Portfolio = require("../models/Portfolio");
+const Transaction = require("../models/Transaction");
+const Game = require("../models/Game");
+const Notification = require("../models/Notification");
+
+// Upper bound on getLogs batches per run so one cron tick cannot run for hours
+// while catching up; the next tick continues from the cursor
+const MAX_BATCHES_PER_RUN = 50;
+
+// Games that have not started: their PENDING portfolios are still locked at activation
+const OPEN_GAME_STATUSES = ["TRX-PENDING", "PENDING", "UPCOMING"];
+
+// chainId -> ChainIndexerService
+const indexers = new Map();
+
+class ChainIndexerService {
+  /**
+   * @param {Object} service - BlockchainService of the chain to index
+   */
+  constructor(service) {
+    this.service = service;
+
+    // Events without a handler are still stored in the events collection
+    this.handlers = {
+      PortfolioCreated: (event) => this.handlePortfolioCreated(event),
+      AdminAddedToPrizePool: (event) => this.handlePrizePoolChanged(event),
+      AdminWithdrawFromPrizePool: (event) => this.handlePrizePoolChanged(event),
+    };
+  }
+
+  get chainId() {
+    return this.service.chainId;
+  }
+
+  get contractAddress() {
+    return this.service.contractAddress.toLowerCase();
+  }
+
+  get startBlock() {
+    return config.blockchain.chains.find((chain) => chain.chainId === this.chainId).indexerStartBlock;
+  }
+
+  /**
+   * Index the game contract from the cursor up to (head - confirmations), then run
+   * handlers for every event that has not been handled yet
+   * @param {Object} options
+   * @param {number} options.maxBatches - Max getLogs batches in this run
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async run({ maxBatches = MAX_BATCHES_PER_RUN } = {}) {
+    const { confirmations, batchSize } = config.blockchain.indexer;
+
+    // The RPC fallback list can point at another network - never index the wrong chain
+    const network = await this._call((provider) => provider.getNetwork(), "getNetwork");
+    if (network.chainId !== this.chainId) {
+      throw new Error(`Indexer RPC is on chain ${network.chainId}, expected ${this.chainId}`);
+    }
+
+    const cursor = await this.getCursor();
+    const reorged = await this.checkForReorg(cursor);
+    const fromBlock = cursor.blockNumber + 1;
+
+    const head = await this._call((provider) => provider.getBlockNumber(), "getBlockNumber");
+    const targetBlock = head - confirmations;
+
+    let batches = 0;
+    let eventCount = 0;
+    while (cursor.blockNumber < targetBlock && batches < maxBatches) {
+      const toBlock = Math.min(targetBlock, cursor.blockNumber + batchSize);
+      eventCount += await this.indexRange(cursor.blockNumber + 1, toBlock);
+
+      const block = await this._call((provider) => provider.getBlock(toBlock), "getBlock");
+      cursor.blockNumber = toBlock;
+      cursor.blockHash = block.hash;
+      cursor.blockTimestamp = new Date(block.timestamp * 1000);
+      await cursor.save();
+      batches++;
+    }
+
+    const handled = await this.processEvents(cursor.blockNumber);
+    const expired = await this.expirePendingPortfolios(cursor);
+
+    return {
+      chainId: this.chainId,
+      fromBlock,
+      toBlock: cursor.blockNumber,
+      head,
+      reorged,
+      events: eventCount,
+      handled,
+      expired,
+      caughtUp: cursor.blockNumber >= targetBlock,
+    };
+  }
+
+  /**
+   * Cursor for this chain and contract, created at the chain's indexer start block on first use
+   * @returns {Promise<Object>} ChainCursor document
+   */
+  async getCursor() {
+    const existing = await ChainCursor.findOne({ chainId: this.chainId, contractAddress: this.contractAddress });
+    if (existing) {
+      return existing;
+    }
+
+    return ChainCursor.create({
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      blockNumber: Math.max(0, this.startBlock - 1),
+    });
+  }
+
+  /**
+   * Rewind the cursor when the block it points at is no longer on the canonical chain.
+   * Events above the new cursor are marked removed and are re-indexed (and re-marked
+   * live) from the canonical chain on the way forward.
+   * @param {Object} cursor - ChainCursor document
+   * @returns {Promise<boolean>} Whether a reorg was detected
+   */
+  async checkForReorg(cursor) {
+    if (!cursor.blockHash) {
+      return false;
+    }
+
+    const block = await this._call((provider) => provider.getBlock(cursor.blockNumber), "getBlock");
+    if (block && block.hash === cursor.blockHash) {
+      return false;
+    }
+
+    const rewindDepth = Math.max(1, config.blockchain.indexer.confirmations);
+    const rewindTo = Math.max(this.startBlock - 1, cursor.blockNumber - rewindDepth, 0);
+    console.warn(
+      `[INDEXER] Reorg detected at block ${cursor.blockNumber} (stored ${cursor.blockHash}, chain ${
+        block ? block.hash : "none"
+      }) - rewinding to ${rewindTo}`
+    );
+
+    const removedFilter = {
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      blockNumber: { $gt: rewindTo },
+      removed: false,
+    };
+
+    // Handlers are idempotent, but a transaction that never comes back needs a human
+    const handledEvents = await ChainEvent.find({ ...removedFilter, processedAt: { $ne: null } }).select(
+      "name transactionHash blockNumber"
+    );
+    for (const event of handledEvents) {
+      console.warn(`[INDEXER] Handled ${event.name} in ${event.transactionHash} was reorged out - re-checking`);
+    }
+
+    await ChainEvent.updateMany(removedFilter, { $set: { removed: true } });
+
+    const rewindBlock = await this._call((provider) => provider.getBlock(rewindTo), "getBlock");
+    cursor.blockNumber = rewindTo;
+    cursor.blockHash = rewindBlock ? rewindBlock.hash : null;
+    cursor.blockTimestamp = rewindBlock ? new Date(rewindBlock.timestamp * 1000) : null;
+    cursor.reorgCount += 1;
+    cursor.lastReorgAt = new Date();
+    await cursor.save();
+
+    return true;
+  }
+
+  /**
+   * Fetch, decode and store every contract event in a block range
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Promise<number>} Number of events stored
+   */
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this._call(
+      (provider) => provider.getLogs({ address: this.service.contractAddress, fromBlock, toBlock }),
+      "getLogs"
+    );
+
+    const blockTimestamps = new Map();
+    let stored = 0;
+
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.service.contract.interface.parseLog(log);
+      } catch (err) {
+        continue; // Not an event from this ABI
+      }
+
+      if (!blockTimestamps.has(log.blockNumber)) {
+        const block = await this._call((provider) => provider.getBlock(log.blockNumber), "getBlock");
+        blockTimestamps.set(log.blockNumber, new Date(block.timestamp * 1000));
+      }
+
+      await ChainEvent.updateOne(
+        { chainId: this.chainId, transactionHash: log.transactionHash, logIndex: log.logIndex },
+        {
+          $set: {
+            contractAddress: this.contractAddress,
+            name: parsed.name,
+            args: this.normalizeArgs(parsed),
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            blockTimestamp: blockTimestamps.get(log.blockNumber),
+            removed: false,
+          },
+        },
+        { upsert: true }
+      );
+      stored++;
+    }
+
+    if (stored > 0) {
+      console.log(`[INDEXER] Blocks ${fromBlock}-${toBlock}: ${stored} event(s)`);
+    }
+    return stored;
+  }
+
+  /**
+   * Run handlers, in chain order, for stored events that have not been handled yet.
+   * A failing handler leaves its event unhandled so the next run retries it.
+   * @param {number} uptoBlock - Only handle events at or below this block
+   * @returns {Promise<number>} Number of events handled
+   */
+  async processEvents(uptoBlock) {
+    const events = await ChainEvent.find({
+      chainId: this.chainId,
+      contractAddress: this.contractAddress,
+      removed: false,
+      processedAt: null,
+      blockNumber: { $lte: uptoBlock },
+    }).sort({ blockNumber: 1, logIndex: 1 });
+
+    let handled = 0;
+    for (const event of events) {
+      const handler = this.handlers[event.name];
+      try {
+        if (handler) {
+          await handler(event);
+        }
+        event.processedAt = new Date();
+        event.error = null;
+        handled++;
+      } catch (error) {
+        console.error(`[INDEXER] ${event.name} handler failed for ${event.transactionHash}:`, error.message);
+        event.error = error.message;
+      }
+      await event.save();
+    }
+
+    return handled;
+  }
+
+  /**
+   * PortfolioCreated: confirm the portfolio, record the entry fee and sync the game's
+   * participant count and prize pool
+   * @param {Object} event - ChainEvent document
+   */
+  async handlePortfolioCreated(event) {
+    const { gameId, portfolioId, entryCount, prizePool, owner } = event.args;
+
+    const game = await Game.findOne({ gameId: Number(gameId) });
+    if (game) {
+      game.participantCount = Math.max(game.participantCount || 0, Number(entryCount));
+      if (BigInt(prizePool) > BigInt(game.totalPrizePool || "0")) {
+        game.totalPrizePool = prizePool;
+      }
+      await game.save();
+    }
+
+    const portfolio = await Portfolio.findOne({ portfolioId: Number(portfolioId) }).populate("userId");
+    if (!portfolio || portfolio.status !== "PENDING_LOCK_BALANCE") {
+      return; // Unknown to this backend, or already confirmed
+    }
+
+    if (portfolio.gameId !== Number(gameId) || portfolio.userId?.address?.toLowerCase() !== owner) {
+      console.error(`[INDEXER] PortfolioCreated event data does not match portfolio ${portfolio._id}`);
+      portfolio.status = "FAILED";
+      portfolio.error = "PortfolioCreated event data does not match portfolio";
+      await portfolio.save();
+      return;
+    }
+
+    const transactionEvents = await ChainEvent.getTransactionEvents(this.chainId, event.transactionHash);
+    const entryFeeEvent = transactionEvents.find(
+      (e) => e.name === "PortfolioEntryFeePaid" && e.args.portfolioId === portfolioId
+    );
+
+    const existingTransaction = await Transaction.findOne({ transactionHash: event.transactionHash });
+    if (!existingTransaction) {
+      const receipt = await this._call(
+        (provider) => provider.getTransactionReceipt(event.transactionHash),
+        "getTransactionReceipt"
+      );
+
+      await Transaction.create({
+        transactionHash: event.transactionHash,
+        userId: portfolio.userId._id,
+        chainId: this.chainId,
+        type: "ENTRY_FEE",
+        amount: entryFeeEvent ? entryFeeEvent.args.entryFee : "0",
+        adminFee: entryFeeEvent ? entryFeeEvent.args.adminFee : "0",
+        gameId: Number(gameId),
+        portfolioId: portfolio.portfolioId,
+        status: "COMPLETED",
+        blockNumber: event.blockNumber,
+        blockTimestamp: event.blockTimestamp || new Date(),
+        fromAddress: entryFeeEvent ? entryFeeEvent.args.payer : owner,
+        toAddress: this.service.contractAddress,
+        gasUsed: receipt.gasUsed.toString(),
+        gasPrice: receipt.effectiveGasPrice.toString(),
+        networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
+      });
+    }
+    await ledgerService.recordEntryFee({
+      chainId: this.chainId,
+      userId: portfolio.userId._id,
+      gameId: Number(gameId),
+      portfolioId: portfolio.portfolioId,
+      transactionHash: event.transactionHash,
+      entryFee: entryFeeEvent ? String(entryFeeEvent.args.entryFee) : "0",
+      adminFee: entryFeeEvent ? String(entryFeeEvent.args.adminFee) : "0",
+    });
+
+    portfolio.transactionHash = event.transactionHash;
+    portfolio.status = "PENDING";
+    portfolio.retryCount = 0;
+    portfolio.lastRetryAt = null;
+    portfolio.retryError = null;
+    await portfolio.save();
+
+    await new Notification({
+      userId: portfolio.userId._id,
+      type: "PORTFOLIO_CREATED",
+      message: `Portfolio ${portfolio.portfolioName} created successfully`,
+    }).save();
+
+    // Confirmed after the game was locked or cancelled - it would never play, and a
+    // cancelled game's refund may already be COMPLETED without it
+    if (game?.refund?.status) {
+      await refundService.requestPortfolioRefund(portfolio, `${game.name} was cancelled`);
+    } else if (game && !OPEN_GAME_STATUSES.includes(game.status)) {
+      await refundService.requestPortfolioRefund(portfolio, `Entry confirmed after ${game.name} started`);
+    }
+  }
+
+  /**
+   * AdminAddedToPrizePool / AdminWithdrawFromPrizePool: resync the stored prize pool
+   * from the contract
+   * @param {Object} event - ChainEvent document
+   */
+  async handlePrizePoolChanged(event) {
+    const game = await Game.findOne({ gameId: Number(event.args.gameId) });
+    if (!game) {
+      return;
+    }
+
+    const gameDetails = await this.service.getGameDetails(game.gameId);
+    game.totalPrizePool = gameDetails.totalPrizePool.toString();
+    await game.save();
+  }
+
+  /**
+   * Fail PENDING_LOCK_BALANCE portfolios whose PortfolioCreated event has not been seen
+   * in pendingTimeoutMinutes of indexed chain time
+   * @param {Object} cursor - ChainCursor document
+   * @returns {Promise<number>} Number of portfolios failed
+   */
+  async expirePendingPortfolios(cursor) {
+    if (!cursor.blockTimestamp) {
+      return 0;
+    }
+
+    const timeoutMs = config.blockchain.indexer.pendingTimeoutMinutes * 60 * 1000;
+    const cutoff = new Date(cursor.blockTimestamp.getTime() - timeoutMs);
+
+    // An indexed event whose handler keeps failing is not a missing payment
+    const unhandledIds = await ChainEvent.distinct("args.portfolioId", {
+      chainId: this.chainId,
+      name: "PortfolioCreated",
+      removed: false,
+      processedAt: null,
+    });
+
+    const stalePortfolios = await Portfolio.find({
+      chainId: this.chainId,
+      status: "PENDING_LOCK_BALANCE",
+      createdAt: { $lt: cutoff },
+      portfolioId: { $nin: unhandledIds.map(Number) },
+    });
+
+    for (const portfolio of stalePortfolios) {
+      portfolio.status = "FAILED";
+      portfolio.error = "No PortfolioCreated event found on chain";
+      await portfolio.save();
+
+      await new Notification({
+        userId: portfolio.userId,
+        type: "TRANSACTION_FAILED",
+        message: `Portfolio creation failed for ${portfolio.portfolioName}`,
+      }).save();
+    }
+
+    if (stalePortfolios.length > 0) {
+      console.log(`[INDEXER] Failed ${stalePortfolios.length} portfolio(s) with no PortfolioCreated event`);
+    }
+    return stalePortfolios.length;
+  }
+
+  // Event arguments by name, JSON-safe: numbers as decimal strings, addresses lowercased
+  normalizeArgs(parsed) {
+    return parsed.eventFragment.inputs.reduce((args, input, i) => {
+      args[input.name] = this.normalizeValue(parsed.args[i]);
+      return args;
+    }, {});
+  }
+
+  normalizeValue(value) {
+    if (ethers.BigNumber.isBigNumber(value)) {
+      return value.toString();
+    }
+    if (Array.isArray(value)) {
+      return value.map((v) => this.normalizeValue(v));
+    }
+    if (typeof value === "string" && ethers.utils.isAddress(value)) {
+      return value.toLowerCase();
+    }
+    return value;
+  }
+
+  // Provider calls go through the blockchain service's retry/RPC fallback; the provider
+  // is looked up on every attempt because a fallback replaces it
+  _call(operation, operationName) {
+    return this.service._executeWithRetry(() => operation(this.service.provider), `indexer.${operationName}`);
+  }
+
+  /**
+   * Indexer for a configured chain
+   * @param {number} [chainId] - Defaults to the primary chain
+   * @returns {ChainIndexerService}
+   */
+  forChain(chainId) {
+    return getIndexer(chainId);
+  }
+
+  /**
+   * Run the indexer of every configured chain, one after another; a failing chain
+   * does not stop the others
+   * @param {Object} options - Same as run()
+   * @returns {Promise<Array<Object>>} One summary per chain ({ chainId, error } when it failed)
+   */
+  async runAll(options = {}) {
+    const results = [];
+    for (const service of blockchainService.getChains()) {
+      try {
+        results.push(await this.forChain(service.chainId).run(options));
+      } catch (error) {
+        console.error(`[INDEXER] Chain ${service.chainId} failed: ${error.message}`);
+        results.push({ chainId: service.chainId, error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+function getIndexer(chainId) {
+  const service = blockchainService.forChain(chainId);
+  if (!indexers.has(service.chainId)) {
+    indexers.set(service.chainId, new ChainIndexerService(service));
+  }
+  return indexers.get(service.chainId);
+}
+
+// The primary chain's indexer; reach the others with forChain()
+module.exports = getIndexer();
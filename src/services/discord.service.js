@@ -11,6 +11,7 @@ class DiscordService {
   constructor() {
     this.webhookUrl = config.discord?.marlowWebhook;
     this.enabled = config.discord?.enabled || false;
+    this.opsWebhookUrl = config.discord?.opsWebhook;
 
     if (this.enabled) {
       console.log("🎮 Discord notifications ENABLED");
@@ -174,6 +175,41 @@ class DiscordService {
     }
   }
 
+  /**
+   * Alert that operator wallets are running out of gas
+   * @param {Array<Object>} operators - Low-balance entries from blockchainService.getOperatorStatus()
+   * @param {string} minGasBalance - Alert threshold in the chain's native token
+   */
+  async postOperatorLowBalance(operators, minGasBalance) {
+    if (!this.opsWebhookUrl) {
+      console.log("Discord ops webhook not configured, skipping low gas alert");
+      return;
+    }
+
+    try {
+      const embed = {
+        title: "⛽ OPERATOR WALLETS LOW ON GAS",
+        description: `${operators.length} operator wallet(s) below ${minGasBalance} gas token - top up to keep transactions flowing.`,
+        color: 0xff0000, // Red
+        fields: operators.map((operator) => ({
+          name: `${operator.isPrimary ? "Admin wallet (primary lane)" : "Operator wallet"} - chain ${operator.chainId}`,
+          value: `\`${operator.address}\`\n${parseFloat(operator.balance).toFixed(4)}`,
+          inline: false,
+        })),
+        timestamp: new Date().toISOString(),
+      };
+
+      await axios.post(this.opsWebhookUrl, {
+        username: "Fantasy Finance Ops",
+        embeds: [embed],
+      });
+
+      console.log(`🎮 Discord: Low gas alert posted for ${operators.length} operator wallet(s)`);
+    } catch (error) {
+      console.error("Discord low gas alert failed:", error.message);
+    }
+  }
+
   // ═══════════════════════════════════════════════
   // HELPER METHODS
   // ═══════════════════════════════════════════════
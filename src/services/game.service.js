@@ -3,9 +3,15 @@ const Portfolio = require("../models/Portfolio");
 const User = require("../models/User");
 const Asset = require("../models/Asset");
 const Notification = require("../models/Notification");
+const GamePriceSnapshot = require("../models/GamePriceSnapshot");
 const blockchainService = require("./blockchain.service");
+const ledgerService = require("./ledger.service");
+const config = require("../config");
 const priceService = require("./price.service");
+const refundService = require("./refund.service");
+const marketCalendarService = require("./market-calendar.service");
 const winConditions = require("./win-conditions");
+const { availablePrizePool } = require("./win-conditions/ranking");
 const { ethers } = require("ethers");
 
 class GameService {
@@ -23,18 +29,57 @@ class GameService {
     }
   }
 
-  // Create a game from a GameCron object
-  async createGameFromCron(gameCron) {
+  /**
+   * Start and end time of a cron's next game. TRADFI prices freeze outside market
+   * hours: with marketHours.alignToSession, games with TRADFI assets start at a
+   * market open and end at a close, and a TRADFI game that would run entirely while
+   * the market is closed is moved to the next open or skipped (marketHours.whenClosed).
+   * @param {Object} gameCron - GameCron document
+   * @returns {Promise<Object>} { startTime, endTime }, or { skipReason } when no game should be created
+   */
+  async getGameWindow(gameCron) {
+    const startTime = new Date(Date.now() + gameCron.startTime * 60 * 60 * 1000);
+    const durationMs = gameCron.gameDuration * 60 * 60 * 1000;
+    const marketHours = gameCron.marketHours || {};
+
+    if (marketHours.alignToSession && Asset.typesForGame(gameCron.gameType).includes("TRADFI")) {
+      return marketCalendarService.alignWindow(startTime, gameCron.gameDuration);
+    }
+
+    const endTime = new Date(startTime.getTime() + durationMs);
+    if (gameCron.gameType !== "TRADFI") {
+      return { startTime, endTime };
+    }
+    const sessions = await marketCalendarService.getSessions(startTime, endTime);
+    if (sessions.length > 0) {
+      return { startTime, endTime };
+    }
+
+    if (marketHours.whenClosed === "SKIP") {
+      return {
+        skipReason: `the market is closed from ${startTime.toISOString()} to ${endTime.toISOString()}`,
+      };
+    }
+    const nextOpen = await marketCalendarService.nextOpen(startTime);
+    console.log(
+      `[MARKET] GameCron ${gameCron._id}: market closed, game moved to the open at ${nextOpen.toISOString()}`
+    );
+    return { startTime: nextOpen, endTime: new Date(nextOpen.getTime() + durationMs) };
+  }
+
+  // Create a game from a GameCron object; gameWindow comes from getGameWindow()
+  async createGameFromCron(gameCron, gameWindow = null) {
     try {
       // Defensive validation for winCondition.config presence except for MARLOW_BANES type
       if (!gameCron.winCondition || (gameCron.winCondition.type !== "MARLOW_BANES" && !gameCron.winCondition.config)) {
         throw new Error("Invalid gameCron: winCondition.config is required");
       }
 
-      // Calculate startTime and endTime based on gameCron
-      const startTime = new Date();
-      startTime.setTime(startTime.getTime() + gameCron.startTime * 60 * 60 * 1000);
-      const endTime = new Date(startTime.getTime() + gameCron.gameDuration * 60 * 60 * 1000);
+      // Calculate startTime and endTime based on gameCron and the market calendar
+      const { startTime, endTime, skipReason } = gameWindow || (await this.getGameWindow(gameCron));
+      if (skipReason) {
+        throw new Error(`GameCron ${gameCron._id} game not created: ${skipReason}`);
+      }
 
       // Get max gameId from DB for both DEFI and TRADFI
       const maxGame = await Game.findOne({}).sort({ gameId: -1 }).select("gameId").lean();
@@ -54,17 +99,17 @@ class GameService {
         winCondition: gameCron.winCondition,
         entryPrice: gameCron.entryPrice,
         entryCap: gameCron.entryCap,
+        guaranteedPrizePool: gameCron.guaranteedPrizePool || 0,
+        minPlayers: gameCron.minPlayers || 0,
+        portfolioRules: gameCron.portfolioRules,
         gameCronId: gameCron._id,
+        chainId: gameCron.chainId || config.blockchain.chainId,
       });
       await game.save();
       // Create game on blockchain
-      const blockchainResult = await blockchainService.createGame(
-        game.gameId,
-        startTime,
-        endTime,
-        gameCron.entryPrice,
-        gameCron.entryCap
-      );
+      const blockchainResult = await blockchainService
+        .forChain(game.chainId)
+        .createGame(game.gameId, startTime, endTime, gameCron.entryPrice, gameCron.entryCap);
 
       game.transactionHash = blockchainResult.transactionHash;
       game.status = "UPCOMING";
@@ -146,11 +191,13 @@ class GameService {
       console.log(`🦍 Strategy: ${aiPicks.strategy?.type || "Adaptive"}`);
 
       // Create portfolio in database only - no blockchain registration needed
+      const game = await Game.findOne({ gameId }).select("chainId").lean();
       const portfolio = new Portfolio({
         userId: apeUser._id,
         portfolioName: "MARLOW BANES",
         gameId: gameId,
         gameType: gameType,
+        chainId: game?.chainId,
         portfolioId: portfolioId,
         assets: portfolioAssets,
         status: "PENDING",
@@ -181,9 +228,110 @@ class GameService {
     }
   }
 
+  // Asset IDs held by the game's portfolios (every price needed to lock or settle it)
+  async getRequiredAssetIds(game) {
+    return Portfolio.distinct("assets.assetId", {
+      gameId: game.gameId,
+      status: { $nin: ["PENDING_LOCK_BALANCE", "FAILED"] },
+    });
+  }
+
+  // Record the prices used to lock (LOCK) or settle (SETTLEMENT) a game.
+  // Snapshots are write-once: if one already exists its prices are reused, so retries
+  // lock and settle at the same prices and the outcome stays reproducible.
+  async takePriceSnapshot(game, kind) {
+    const existing = await GamePriceSnapshot.findOne({ gameId: game.gameId, kind });
+    if (existing) {
+      return kind === "LOCK" ? this.addMissingLockPrices(game, existing) : existing;
+    }
+
+    const assetIds = await this.getRequiredAssetIds(game);
+    const assets = await Asset.find({ assetId: { $in: assetIds } })
+      .select("assetId symbol currentPrice priceSource priceConfidence lastUpdated")
+      .lean();
+
+    try {
+      const snapshot = await GamePriceSnapshot.create({
+        gameId: game.gameId,
+        kind,
+        prices: assets.map((asset) => this.snapshotEntry(asset)),
+      });
+      console.log(`📸 Game ${game.gameId}: ${kind} price snapshot taken (${assets.length} assets)`);
+      return snapshot;
+    } catch (error) {
+      // Another run wrote the snapshot first - use theirs
+      if (error.code === 11000) {
+        return GamePriceSnapshot.findOne({ gameId: game.gameId, kind });
+      }
+      throw error;
+    }
+  }
+
+  // Portfolios the indexer confirms after the first lock pass can hold assets the LOCK
+  // snapshot has no price for. Their current prices are appended; recorded prices stay.
+  async addMissingLockPrices(game, snapshot) {
+    const recorded = new Set(snapshot.prices.map((entry) => entry.assetId));
+    const missingIds = (await this.getRequiredAssetIds(game)).filter((assetId) => !recorded.has(assetId));
+    if (missingIds.length === 0) {
+      return snapshot;
+    }
+
+    const assets = await Asset.find({ assetId: { $in: missingIds }, currentPrice: { $gt: 0 } })
+      .select("assetId symbol currentPrice priceSource priceConfidence lastUpdated")
+      .lean();
+    if (assets.length === 0) {
+      return snapshot;
+    }
+
+    const addedAt = new Date();
+    const entries = assets.map((asset) => ({ ...this.snapshotEntry(asset), addedAt }));
+    console.log(`📸 Game ${game.gameId}: ${entries.length} late asset(s) added to the LOCK snapshot`);
+    return GamePriceSnapshot.appendPrices(game.gameId, "LOCK", entries);
+  }
+
+  snapshotEntry(asset) {
+    return {
+      assetId: asset.assetId,
+      symbol: asset.symbol,
+      price: asset.currentPrice,
+      source: asset.priceSource,
+      confidence: asset.priceConfidence,
+      lastUpdated: asset.lastUpdated,
+    };
+  }
+
+  // Check that every price the game's portfolios depend on is fresh enough per the
+  // staleness policy (config.prices.maxAgeMinutes). The result is recorded on the game
+  // so admins can see which assets are blocking it. Returns true when all prices are fresh.
+  async checkPriceFreshness(game, stage) {
+    const assetIds = await this.getRequiredAssetIds(game);
+
+    const staleAssets = await priceService.getStaleAssets(assetIds);
+    const hadStaleAssets = game.stalePrices?.assets?.length > 0;
+
+    if (staleAssets.length > 0 || hadStaleAssets) {
+      game.stalePrices = { stage, assets: staleAssets, checkedAt: new Date() };
+      await game.save();
+    }
+
+    if (staleAssets.length > 0) {
+      console.warn(
+        `⚠️ Game ${game.gameId}: ${staleAssets.length} stale price(s) blocking ${stage}:`,
+        staleAssets.map((a) => `${a.symbol || a.assetId} (${a.ageMinutes ?? "never"} min)`).join(", ")
+      );
+      return false;
+    }
+    return true;
+  }
+
   // Lock portfolios at game start
   async lockPortfolios(game) {
     try {
+      const pricesAreFresh = await this.checkPriceFreshness(game, "ACTIVATION");
+      if (!pricesAreFresh) {
+        throw new Error(`Stale prices - game ${game.gameId} cannot be activated until the price feed recovers`);
+      }
+
       const portfolios = await Portfolio.find({
         status: "PENDING",
         gameId: game.gameId,
@@ -192,23 +340,30 @@ class GameService {
         .populate("userId")
         .sort({ createdAt: 1 });
 
-      const assetData = await Asset.find({ type: game.gameType }).select("currentPrice assetId");
-
-      const currentPrices = assetData.reduce((acc, asset) => {
-        acc[asset.assetId] = asset.currentPrice;
-        return acc;
-      }, {});
+      // Token quantities are derived from the LOCK snapshot so they can be verified later
+      const lockSnapshot = await this.takePriceSnapshot(game, "LOCK");
+      const currentPrices = lockSnapshot.getPriceMap();
 
+      const unlockableIds = [];
       for (const portfolio of portfolios) {
         try {
-          const tokenQtys = portfolio.assets.map((asset) => {
-            const price = currentPrices[asset.assetId] || 0;
-            if (price <= 0) return 0;
-            return Number((asset.allocation / price).toFixed(6));
-          });
+          // An asset with no price at all cannot be locked: rather than sit PENDING in a game
+          // it never plays, the portfolio leaves the game and its entry fee is refunded
+          const unpriced = portfolio.assets.filter((asset) => !(currentPrices[asset.assetId] > 0));
+          if (unpriced.length > 0) {
+            const symbols = unpriced.map((asset) => asset.symbol).join(", ");
+            await refundService.requestPortfolioRefund(
+              portfolio,
+              `No LOCK price for ${symbols} - portfolio could not join the game`
+            );
+            continue;
+          }
 
-          portfolio.assets.forEach((asset, index) => {
-            asset.tokenQty = tokenQtys[index];
+          portfolio.assets.forEach((asset) => {
+            const price = currentPrices[asset.assetId];
+            asset.tokenQty = Number((asset.allocation / price).toFixed(6));
+            // Cost basis of SHORT and leveraged positions (see Portfolio.positionValue)
+            asset.entryPrice = price;
           });
 
           portfolio.isLocked = true;
@@ -217,23 +372,40 @@ class GameService {
           portfolio.lockedAt = new Date();
           await portfolio.save();
         } catch (error) {
-          portfolio.error = error.message;
-          await portfolio.save();
           console.error(`Error locking portfolio ${portfolio._id}:`, error);
+          // The game starts without it, so it must not stay PENDING with its entry fee paid
+          unlockableIds.push(portfolio._id);
+          try {
+            await refundService.requestPortfolioRefund(portfolio, `Could not lock portfolio: ${error.message}`);
+          } catch (refundError) {
+            console.error(`Error requesting refund of portfolio ${portfolio._id}:`, refundError);
+          }
         }
       }
 
+      // Only portfolios confirmed while this pass ran are left to lock
       const remainingPendingPortfolios = await Portfolio.countDocuments({
         status: "PENDING",
         gameId: game.gameId,
         isLocked: false,
+        _id: { $nin: unlockableIds },
       });
 
       if (remainingPendingPortfolios > 0) {
+        // The pairing is drawn once and must include every entry, so the game waits for the next pass
+        if (game.winCondition.type === "HEAD_TO_HEAD") {
+          throw new Error(
+            `Game ${game.gameId} has ${remainingPendingPortfolios} pending portfolios - head-to-head pairs are drawn once all are locked`
+          );
+        }
         console.log(`Game ${game.gameId} has ${remainingPendingPortfolios} pending portfolios, not activating yet`);
         return;
       }
 
+      if (game.winCondition.type === "HEAD_TO_HEAD") {
+        await this.pairHeadToHead(game);
+      }
+
       console.log(`Game ${game.gameId} started with ${game.participantCount} participants`);
     } catch (error) {
       console.error("Error locking portfolios:", error);
@@ -241,6 +413,31 @@ class GameService {
     }
   }
 
+  // Draw the HEAD_TO_HEAD pairing for a game's locked portfolios, once none is left PENDING.
+  // The seed and the input IDs are stored so the pairing can be recomputed; an existing
+  // pairing is kept.
+  async pairHeadToHead(game) {
+    if (game.headToHead?.pairedAt) {
+      return game.headToHead;
+    }
+
+    const lockedPortfolios = await Portfolio.find({ gameId: game.gameId, status: "LOCKED", isApe: { $ne: true } })
+      .select("portfolioId")
+      .lean();
+    const portfolioIds = lockedPortfolios.map((p) => p.portfolioId);
+
+    const { headToHeadCalculator } = winConditions;
+    const seed = headToHeadCalculator.generateSeed();
+    const { pairs, byePortfolioId } = headToHeadCalculator.createPairings(portfolioIds, seed);
+
+    game.headToHead = { seed, portfolioIds, pairs, byePortfolioId, pairedAt: new Date() };
+    await game.save();
+
+    const byeNote = byePortfolioId ? `, bye: ${byePortfolioId}` : "";
+    console.log(`🥊 Game ${game.gameId}: ${pairs.length} head-to-head pairs drawn${byeNote}`);
+    return game.headToHead;
+  }
+
   async updateGameState(gameId) {
     try {
       const game = await Game.findOne({ gameId });
@@ -254,7 +451,7 @@ class GameService {
       }).populate("userId");
 
       // Get current prices for all assets
-      const assets = await Asset.find({ type: game.gameType });
+      const assets = await Asset.find({ type: { $in: Asset.typesForGame(game.gameType) } });
       const prices = await priceService.getCurrentPrices(assets);
 
       // Update portfolio values
@@ -284,6 +481,55 @@ class GameService {
     }
   }
 
+  // Guaranteed prize pool in wei; 0n when the game has none
+  getGuaranteedPrizePoolWei(game) {
+    if (!game.guaranteedPrizePool || game.guaranteedPrizePool <= 0) {
+      return 0n;
+    }
+    return BigInt(ethers.utils.parseUnits(String(game.guaranteedPrizePool), 18).toString());
+  }
+
+  // Top up the on-chain prize pool to the game's guaranteedPrizePool from the admin wallet.
+  // The shortfall is read from the chain each time, so a retry never pays the overlay twice.
+  async applyGuaranteedPrizePool(game) {
+    const guaranteedWei = this.getGuaranteedPrizePoolWei(game);
+    if (guaranteedWei === 0n) {
+      return;
+    }
+
+    // Nobody to pay - don't move house money into the contract
+    const playerCount = await Portfolio.countDocuments({ gameId: game.gameId, status: "LOCKED", isApe: { $ne: true } });
+    if (playerCount === 0) {
+      console.log(`Game ${game.gameId}: no players, skipping guaranteed prize top-up`);
+      return;
+    }
+
+    const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+    const shortfall = guaranteedWei - availablePrizePool(gameDetails);
+
+    if (shortfall <= 0n) {
+      console.log(`Game ${game.gameId}: entries cover the $${game.guaranteedPrizePool} guarantee, no overlay`);
+      return;
+    }
+
+    const shortfallUSDC = (Number(shortfall) / 1e18).toFixed(2);
+    console.log(`💸 Game ${game.gameId}: topping up prize pool by $${shortfallUSDC} (overlay)`);
+    const result = await blockchainService.forChain(game.chainId).addToPrizePool(game.gameId, shortfall.toString());
+
+    game.overlay = {
+      amount: (BigInt(game.overlay?.amount || "0") + shortfall).toString(),
+      transactionHash: result.transactionHash,
+      addedAt: new Date(),
+    };
+    await game.save();
+    await ledgerService.recordPrizePoolTopUp({
+      chainId: game.chainId,
+      gameId: game.gameId,
+      transactionHash: result.transactionHash,
+      amount: shortfall.toString(),
+    });
+  }
+
   // Calculate winners for a game
   // Delegates to the appropriate win condition calculator based on game type
   async calculateGameWinners(game) {
@@ -299,8 +545,11 @@ class GameService {
         status: "LOCKED",
       });
 
+      // A portfolio whose positions were all liquidated is legitimately worth 0 (-100%)
+      const isLiquidated = (p) => p.assets.length > 0 && p.assets.every((asset) => asset.liquidatedAt);
       const invalidPortfolios = allPortfolios.filter(
-        (p) => !p.currentValue || p.currentValue === 0 || !isFinite(p.performancePercentage)
+        (p) =>
+          !isFinite(p.currentValue) || !isFinite(p.performancePercentage) || (p.currentValue <= 0 && !isLiquidated(p))
       );
 
       if (invalidPortfolios.length > 0) {
@@ -315,25 +564,41 @@ class GameService {
         return;
       }
 
-      // 2. Check asset prices are recent (< 15 minutes old)
-      const assets = await Asset.find({ type: game.gameType });
-      const staleAssets = assets.filter((a) => Date.now() - new Date(a.lastUpdated).getTime() > 15 * 60 * 1000);
+      // 2. Check every price the portfolios depend on is within the staleness policy
+      const pricesAreFresh = await this.checkPriceFreshness(game, "WINNER_CALCULATION");
+      if (!pricesAreFresh) {
+        console.error(`❌ Game ${game.gameId}: winner calculation blocked by stale prices`);
+        return;
+      }
 
-      if (staleAssets.length > 0) {
-        console.warn(`⚠️  Warning: ${staleAssets.length} assets have stale prices (>15 min old)`);
-        console.warn(
-          "Stale assets:",
-          staleAssets.map((a) => `${a.symbol} (${a.lastUpdated})`)
-        );
+      // 3. Compute the outcome before any house money moves: a game its win condition
+      //    cannot settle fails here, not after the overlay is in the contract
+      const calculator = winConditions.getCalculator(game.winCondition.type);
+      const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+      const availablePool = availablePrizePool(gameDetails);
+      const guaranteedWei = this.getGuaranteedPrizePoolWei(game);
+      const outcome = calculator.computeOutcome(
+        game,
+        await this.getSettlementPortfolios(game),
+        availablePool > guaranteedWei ? availablePool : guaranteedWei
+      );
+      if (outcome.error) {
+        game.status = "FAILED";
+        game.error = outcome.error;
+        await game.save();
+        console.error(`❌ Game ${game.gameId} FAILED: ${outcome.error}`);
+        return;
       }
 
-      console.log(`✅ Validation passed: ${allPortfolios.length} portfolios, ${assets.length} assets`);
+      // 4. Top up the prize pool to the guaranteed amount before any rewards are written
+      await this.applyGuaranteedPrizePool(game);
+
+      console.log(`✅ Validation passed: ${allPortfolios.length} portfolios`);
       console.log(`Win Condition: ${game.winCondition.type}`);
 
       // ========================================
       // DELEGATE TO APPROPRIATE WIN CONDITION CALCULATOR
       // ========================================
-      const calculator = winConditions.getCalculator(game.winCondition.type);
       await calculator.calculateWinners(game);
     } catch (error) {
       console.error("Error calculating game winners:", error);
@@ -341,6 +606,77 @@ class GameService {
     }
   }
 
+  // Project the payouts for a game that has not been settled yet, using the latest
+  // portfolio values. Runs the calculator's compute step only - nothing is written.
+  async previewWinners(game) {
+    if (!["ACTIVE", "UPDATE_VALUES", "CALCULATING_WINNERS"].includes(game.status) || game.hasCalculatedWinners) {
+      throw new Error(`Game ${game.gameId} cannot be previewed in status ${game.status}`);
+    }
+
+    // The prize pool only changes on chain; fall back to the last stored value if the RPC is down
+    let totalPrizePool;
+    let prizePoolSource = "BLOCKCHAIN";
+    try {
+      const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+      totalPrizePool = availablePrizePool(gameDetails);
+    } catch (error) {
+      console.error(`Preview: could not read prize pool for game ${game.gameId}:`, error.message);
+      totalPrizePool = BigInt(game.totalPrizePool || "0");
+      prizePoolSource = "DATABASE";
+    }
+
+    const portfolios = await this.getSettlementPortfolios(game);
+    const apePortfolioId = game.apePortfolio?.portfolioId;
+
+    const calculator = winConditions.getCalculator(game.winCondition.type);
+    const outcome = calculator.computeOutcome(game, portfolios, totalPrizePool);
+
+    const portfoliosById = new Map(portfolios.map((p) => [p.portfolioId, p]));
+    const valuesUpdatedAt = portfolios.reduce((latest, p) => {
+      const lastEntry = p.valueHistory?.[p.valueHistory.length - 1];
+      return lastEntry && (!latest || lastEntry.timestamp > latest) ? lastEntry.timestamp : latest;
+    }, null);
+
+    return {
+      gameId: game.gameId,
+      gameType: game.gameType,
+      status: game.status,
+      winCondition: game.winCondition.type,
+      endTime: game.endTime,
+      totalPrizePool: totalPrizePool.toString(),
+      prizePoolSource,
+      valuesUpdatedAt,
+      reason: outcome.reason,
+      error: outcome.error,
+      results: outcome.results.map((result) => {
+        const portfolio = portfoliosById.get(result.portfolioId);
+        return {
+          ...result,
+          portfolioName: portfolio?.portfolioName,
+          username: portfolio?.userId?.username,
+          isApe: result.portfolioId === apePortfolioId,
+        };
+      }),
+    };
+  }
+
+  // Portfolios a game's win condition ranks: its LOCKED portfolios, plus the ape
+  async getSettlementPortfolios(game) {
+    const portfolios = await Portfolio.find({ gameId: game.gameId, status: "LOCKED" })
+      .populate("userId", "username")
+      .lean();
+
+    // The ape competes in MARLOW_BANES games regardless of its portfolio status
+    const apePortfolioId = game.apePortfolio?.portfolioId;
+    if (apePortfolioId && !portfolios.some((p) => p.portfolioId === apePortfolioId)) {
+      const apePortfolio = await Portfolio.findOne({ portfolioId: apePortfolioId })
+        .populate("userId", "username")
+        .lean();
+      if (apePortfolio) portfolios.push(apePortfolio);
+    }
+    return portfolios;
+  }
+
   // Distribute rewards in batches (all winners treated the same)
   // IMPORTANT: This function is called by cron for ONE game at a time to prevent
   // blockchain transaction nonce collisions
@@ -412,6 +748,7 @@ class GameService {
       const batch = undistributedWinners.slice(0, batchSize);
       const portfolioIds = [];
       const amounts = [];
+      const rewardedPortfolios = [];
       const apeWinners = []; // Track APE winners separately (database-only, no blockchain)
 
       console.log(`[REWARDS] Game ${gameId}: Processing batch of ${batch.length} winners`);
@@ -441,6 +778,7 @@ class GameService {
 
         portfolioIds.push(winner.portfolioId);
         amounts.push(reward);
+        rewardedPortfolios.push({ portfolio, reward });
       }
 
       // Mark APE winners as distributed (they don't actually receive blockchain rewards)
@@ -474,7 +812,9 @@ class GameService {
       console.log(`[REWARDS] Game ${gameId}: Sending ${portfolioIds.length} rewards to blockchain`);
 
       // Call blockchain batchAssignRewards (only for real user portfolios)
-      const result = await blockchainService.batchAssignRewards(game.gameId, portfolioIds, amounts);
+      const result = await blockchainService
+        .forChain(game.chainId)
+        .batchAssignRewards(game.gameId, portfolioIds, amounts);
 
       if (result.skipped) {
         console.log(`[REWARDS] Game ${gameId}: Blockchain call skipped (empty batch)`);
@@ -496,6 +836,17 @@ class GameService {
         for (const winner of batch.filter((w) => portfolioIds.includes(w.portfolioId))) {
           await game.markWinnerRewardDistributed(winner._id, result.transactionHash);
         }
+
+        for (const { portfolio, reward } of rewardedPortfolios) {
+          await ledgerService.recordReward({
+            chainId: game.chainId,
+            userId: portfolio.userId,
+            gameId: game.gameId,
+            portfolioId: portfolio.portfolioId,
+            transactionHash: result.transactionHash,
+            amount: reward,
+          });
+        }
       }
 
       // If more winners remain, recursively process next batch
@@ -555,7 +906,9 @@ class GameService {
     return shuffled.slice(0, count);
   }
 
-  async updateLockedPortfolioValues(game) {
+  // Revalue locked portfolios. Pass `prices` (assetId -> price, e.g. from a SETTLEMENT
+  // snapshot) to value against fixed prices instead of the live Asset prices.
+  async updateLockedPortfolioValues(game, prices = null) {
     try {
       const portfolios = await Portfolio.find({
         gameId: game.gameId,
@@ -563,12 +916,17 @@ class GameService {
         isLocked: true,
       });
 
-      const assetData = await Asset.find({ type: game.gameType }).select("currentPrice assetId");
+      let currentPrices = prices;
+      if (!currentPrices) {
+        const assetData = await Asset.find({ type: { $in: Asset.typesForGame(game.gameType) } }).select(
+          "currentPrice assetId"
+        );
 
-      const currentPrices = assetData.reduce((acc, asset) => {
-        acc[asset.assetId] = asset.currentPrice;
-        return acc;
-      }, {});
+        currentPrices = assetData.reduce((acc, asset) => {
+          acc[asset.assetId] = asset.currentPrice;
+          return acc;
+        }, {});
+      }
 
       for (const portfolio of portfolios) {
         try {
@@ -614,7 +972,9 @@ class GameService {
 
           const currentValue = portfolio.currentValue.toFixed(6);
 
-          await blockchainService.updatePortfolioValue(portfolio.portfolioId, currentValue, portfolio.gameId);
+          await blockchainService
+            .forChain(game.chainId)
+            .updatePortfolioValue(portfolio.portfolioId, currentValue, portfolio.gameId);
 
           portfolio.status = "AWAITING DECISION";
           await portfolio.save();
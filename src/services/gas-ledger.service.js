@@ -0,0 +1,169 @@
+const { ethers } = require("ethers");
+const config = require("../config");
+const Asset = require("../models/Asset");
+const GasLedgerEntry = require("../models/GasLedgerEntry");
+
+// How long a gas token price lookup is reused
+const PRICE_CACHE_MS = 60 * 1000;
+
+class GasLedgerService {
+  constructor() {
+    this.priceCache = new Map();
+  }
+
+  /**
+   * Record the gas paid for a mined transaction. Never throws: a ledger
+   * failure must not fail the transaction that was already mined.
+   * @param {Object} entry
+   * @param {number} entry.chainId
+   * @param {Object} entry.receipt - Transaction receipt (reverted receipts included)
+   * @param {string} entry.operation - e.g. "createGame"
+   * @param {number} entry.gameId - Game the gas is charged to, if any
+   * @param {string} entry.fromAddress - Sending wallet
+   * @param {string} entry.jobId - TransactionJob id, if sent through the queue
+   * @param {boolean} entry.failed - Mined but did not do its job (reverted or cancelled)
+   */
+  async record({ chainId, receipt, operation, gameId = null, fromAddress, jobId = null, failed = false }) {
+    try {
+      const gasUsed = ethers.BigNumber.from(receipt.gasUsed);
+      const effectiveGasPrice = ethers.BigNumber.from(receipt.effectiveGasPrice || 0);
+      const gasCost = gasUsed.mul(effectiveGasPrice);
+      const gasCostNative = parseFloat(ethers.utils.formatEther(gasCost));
+
+      const chain = config.blockchain.chains.find((c) => c.chainId === chainId);
+      const nativeSymbol = chain ? chain.nativeSymbol : null;
+      const nativePriceUSD = await this.getNativePrice(nativeSymbol);
+
+      await GasLedgerEntry.updateOne(
+        { chainId, transactionHash: receipt.transactionHash },
+        {
+          $setOnInsert: {
+            operation: operation || "unknown",
+            gameId: gameId != null ? Number(gameId) : null,
+            fromAddress: fromAddress || receipt.from,
+            jobId,
+            status: failed || receipt.status === 0 ? "FAILED" : "MINED",
+            blockNumber: receipt.blockNumber,
+            gasUsed: gasUsed.toString(),
+            effectiveGasPrice: effectiveGasPrice.toString(),
+            gasCost: gasCost.toString(),
+            gasCostNative,
+            nativeSymbol,
+            nativePriceUSD,
+            gasCostUSD: nativePriceUSD !== null ? gasCostNative * nativePriceUSD : null,
+            minedAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(`[GAS-LEDGER] Failed to record ${receipt?.transactionHash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the gas paid for a mined queue job
+   * @param {Object} job - TransactionJob document, after markMined()
+   * @param {Object} receipt - Receipt of the broadcast that mined
+   */
+  recordJob(job, receipt) {
+    return this.record({
+      chainId: job.chainId,
+      receipt,
+      operation: job.operation || job.kind,
+      gameId: job.gameId,
+      fromAddress: job.fromAddress,
+      jobId: job._id,
+      failed: job.status === "FAILED",
+    });
+  }
+
+  /**
+   * Charge an entry to a game only known once the transaction mined
+   * (createAndLockPortfolio: the contract picks the game)
+   * @param {number} chainId
+   * @param {string} transactionHash
+   * @param {number} gameId
+   */
+  async assignGame(chainId, transactionHash, gameId) {
+    try {
+      await GasLedgerEntry.updateOne({ chainId, transactionHash, gameId: null }, { $set: { gameId } });
+    } catch (error) {
+      console.error(`[GAS-LEDGER] Failed to assign ${transactionHash} to game ${gameId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * USD price of a gas token, from the Asset with the same symbol
+   * @param {string} symbol - e.g. "BNB"
+   * @returns {Promise<number|null>} null when there is no priced asset
+   */
+  async getNativePrice(symbol) {
+    if (!symbol) return null;
+
+    const cached = this.priceCache.get(symbol);
+    if (cached && Date.now() - cached.at < PRICE_CACHE_MS) {
+      return cached.price;
+    }
+
+    const asset = await Asset.findOne({ symbol }).select("currentPrice").lean();
+    const price = asset && asset.currentPrice > 0 ? asset.currentPrice : null;
+    this.priceCache.set(symbol, { price, at: Date.now() });
+    return price;
+  }
+
+  /**
+   * Gas paid in a period, rolled up per chain, operation, day (UTC) and game
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Object>} { total, byChain, byOperation, byDay, byGame }
+   */
+  async getSummary(startDate, endDate) {
+    // Native amounts are only summed where every entry is on the same chain
+    const native = { gasCostNative: { $sum: "$gasCostNative" } };
+    const totals = {
+      transactions: { $sum: 1 },
+      failedTransactions: { $sum: { $cond: [{ $eq: ["$status", "FAILED"] }, 1, 0] } },
+      // Entries without a gas token price are counted but add nothing to gasCostUSD
+      unpricedTransactions: { $sum: { $cond: [{ $eq: ["$gasCostUSD", null] }, 1, 0] } },
+      gasCostUSD: { $sum: { $ifNull: ["$gasCostUSD", 0] } },
+    };
+
+    const [result] = await GasLedgerEntry.aggregate([
+      { $match: { minedAt: { $gte: startDate, $lte: endDate } } },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, ...totals } }],
+          byChain: [
+            { $group: { _id: "$chainId", nativeSymbol: { $first: "$nativeSymbol" }, ...native, ...totals } },
+            { $sort: { _id: 1 } },
+          ],
+          byOperation: [{ $group: { _id: "$operation", ...totals } }, { $sort: { gasCostUSD: -1 } }],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$minedAt" } }, ...totals } },
+            { $sort: { _id: 1 } },
+          ],
+          byGame: [{ $match: { gameId: { $ne: null } } }, { $group: { _id: "$gameId", ...native, ...totals } }],
+        },
+      },
+    ]);
+
+    const empty = {
+      transactions: 0,
+      failedTransactions: 0,
+      unpricedTransactions: 0,
+      gasCostUSD: 0,
+    };
+    const strip = ({ _id, ...rest }) => rest;
+
+    return {
+      total: result.total.length > 0 ? strip(result.total[0]) : empty,
+      byChain: result.byChain.map((row) => ({ chainId: row._id, ...strip(row) })),
+      byOperation: result.byOperation.map((row) => ({ operation: row._id, ...strip(row) })),
+      byDay: result.byDay.map((row) => ({ date: row._id, ...strip(row) })),
+      byGame: result.byGame.map((row) => ({ gameId: row._id, ...strip(row) })),
+    };
+  }
+}
+
+module.exports = new GasLedgerService();
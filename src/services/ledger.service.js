@@ -0,0 +1,352 @@
+const { ethers } = require("ethers");
+const config = require("../config");
+const JournalEntry = require("../models/JournalEntry");
+
+// Accounts with one balance per user or per game
+const SUBJECT_ACCOUNTS = ["USER_WALLET", "USER_LOCKED", "GAME_POOL"];
+
+const debit = (account, subject, amount) => ({ account, subject: subjectOf(subject), debit: String(amount) });
+const credit = (account, subject, amount) => ({ account, subject: subjectOf(subject), credit: String(amount) });
+
+function subjectOf(subject) {
+  return subject === null || subject === undefined ? null : String(subject);
+}
+
+// Decimal128 sums from the aggregation -> BigInt wei
+function toWei(value) {
+  return value ? BigInt(value.toString()) : 0n;
+}
+
+function formatAccount({ debits, credits }) {
+  const balance = debits - credits;
+  return {
+    debits: debits.toString(),
+    credits: credits.toString(),
+    balance: balance.toString(),
+    balanceUSDC: ethers.utils.formatUnits(balance.toString(), 18),
+  };
+}
+
+class LedgerService {
+  /**
+   * Post a balanced journal entry. Lines with a zero amount are dropped; when
+   * nothing is left (e.g. a free APE entry) no entry is written.
+   * @param {Object} entry
+   * @param {string} entry.reference - Idempotency key; an existing entry with it is returned as is
+   * @param {string} entry.type - FUNDS_LOCKED, ENTRY_FEE, REWARD, REFUND, WITHDRAWAL, ...
+   * @param {number} entry.chainId - Primary chain when unset (documents from before multi-chain support)
+   * @param {Array} entry.lines - { account, subject, debit } or { account, subject, credit }, wei strings
+   * @returns {Promise<Object|null>} The JournalEntry
+   */
+  async post({ reference, type, chainId, gameId = null, userId = null, transactionHash = null, description, lines }) {
+    const movements = lines.filter((line) => BigInt(line.debit || "0") > 0n || BigInt(line.credit || "0") > 0n);
+    if (movements.length === 0) {
+      return null;
+    }
+
+    try {
+      return await JournalEntry.create({
+        reference,
+        type,
+        chainId: chainId || config.blockchain.chainId,
+        gameId,
+        userId,
+        transactionHash,
+        description,
+        lines: movements,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return JournalEntry.findOne({ reference });
+      }
+      throw error;
+    }
+  }
+
+  // The recorders below run after the money already moved on chain, so a
+  // ledger failure is logged rather than failing the caller
+  async _record(entry) {
+    try {
+      return await this.post(entry);
+    } catch (error) {
+      console.error(`[LEDGER] Failed to post ${entry.reference}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * liveGameFunds: the entry fee is pulled from the user's wallet and locked;
+   * the gas fee goes straight to the house
+   */
+  recordFundsLocked({ chainId, userId, gameId = null, transactionHash, amount, gasFee = "0" }) {
+    const total = BigInt(amount) + BigInt(gasFee);
+    return this._record({
+      reference: `FUNDS_LOCKED:${transactionHash}`,
+      type: "FUNDS_LOCKED",
+      chainId,
+      gameId,
+      userId,
+      transactionHash,
+      description: `Funds locked${gameId ? ` for game ${gameId}` : ""}`,
+      lines: [credit("EXTERNAL", null, total), debit("USER_LOCKED", userId, amount), debit("HOUSE_FEES", null, gasFee)],
+    });
+  }
+
+  /**
+   * A portfolio entered a game: its entry fee leaves the user's locked funds,
+   * the admin fee goes to the house and the rest to the prize pool
+   */
+  recordEntryFee({ chainId, userId, gameId, portfolioId, transactionHash, entryFee, adminFee = "0" }) {
+    return this._record({
+      reference: `ENTRY_FEE:${portfolioId}`,
+      type: "ENTRY_FEE",
+      chainId,
+      gameId,
+      userId,
+      transactionHash,
+      description: `Entry fee for portfolio ${portfolioId} in game ${gameId}`,
+      lines: [
+        credit("USER_LOCKED", userId, entryFee),
+        debit("GAME_POOL", gameId, BigInt(entryFee) - BigInt(adminFee)),
+        debit("HOUSE_FEES", null, adminFee),
+      ],
+    });
+  }
+
+  /**
+   * A reward was assigned on chain: prize pool -> the winner's withdrawable balance
+   */
+  recordReward({ chainId, userId, gameId, portfolioId, transactionHash, amount }) {
+    return this._record({
+      reference: `REWARD:${portfolioId}`,
+      type: "REWARD",
+      chainId,
+      gameId,
+      userId,
+      transactionHash,
+      description: `Reward for portfolio ${portfolioId} in game ${gameId}`,
+      lines: [credit("GAME_POOL", gameId, amount), debit("USER_WALLET", userId, amount)],
+    });
+  }
+
+  /**
+   * A cancelled or failed game returned a portfolio's entry fee: prize pool -> the
+   * user's withdrawable balance
+   */
+  recordRefund({ chainId, userId, gameId, portfolioId, transactionHash, amount }) {
+    return this._record({
+      reference: `REFUND:${portfolioId}`,
+      type: "REFUND",
+      chainId,
+      gameId,
+      userId,
+      transactionHash,
+      description: `Entry fee refund for portfolio ${portfolioId} in game ${gameId}`,
+      lines: [credit("GAME_POOL", gameId, amount), debit("USER_WALLET", userId, amount)],
+    });
+  }
+
+  /**
+   * A user withdrew their balance from the contract to their wallet
+   */
+  recordWithdrawal({ chainId, userId, transactionHash, amount }) {
+    return this._record({
+      reference: `WITHDRAWAL:${transactionHash}`,
+      type: "WITHDRAWAL",
+      chainId,
+      userId,
+      transactionHash,
+      description: "Balance withdrawn",
+      lines: [credit("USER_WALLET", userId, amount), debit("EXTERNAL", null, amount)],
+    });
+  }
+
+  /**
+   * The house withdrew what was left of a MARLOW_BANES game's prize pool
+   */
+  recordMarlowWithdrawal({ chainId, gameId, transactionHash, amount }) {
+    return this._record({
+      reference: `MARLOW_WITHDRAWAL:${gameId}`,
+      type: "MARLOW_WITHDRAWAL",
+      chainId,
+      gameId,
+      transactionHash,
+      description: `Marlow earnings withdrawn from game ${gameId}`,
+      lines: [credit("GAME_POOL", gameId, amount), debit("MARLOW_EARNINGS", null, amount)],
+    });
+  }
+
+  /**
+   * The admin wallet topped up a game's prize pool (guaranteed prize overlay)
+   */
+  recordPrizePoolTopUp({ chainId, gameId, transactionHash, amount }) {
+    return this._record({
+      reference: `PRIZE_POOL_TOP_UP:${transactionHash}`,
+      type: "PRIZE_POOL_TOP_UP",
+      chainId,
+      gameId,
+      transactionHash,
+      description: `Prize pool top-up for game ${gameId}`,
+      lines: [credit("EXTERNAL", null, amount), debit("GAME_POOL", gameId, amount)],
+    });
+  }
+
+  /**
+   * Debit and credit totals of every account. Debits and credits always match;
+   * a mismatch means an entry was written around post().
+   * @param {Object} filters
+   * @param {number} filters.chainId - Only entries on this chain
+   * @param {Date} filters.asOf - Only entries posted up to this time
+   * @returns {Promise<Object>} { accounts, byType, totals }
+   */
+  async getTrialBalance({ chainId, asOf } = {}) {
+    const match = {};
+    if (chainId) match.chainId = chainId;
+    if (asOf) match.postedAt = { $lte: asOf };
+
+    const rows = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: { account: "$lines.account", subject: "$lines.subject" },
+          debits: { $sum: { $toDecimal: "$lines.debit" } },
+          credits: { $sum: { $toDecimal: "$lines.credit" } },
+          entries: { $sum: 1 },
+        },
+      },
+      { $sort: { "_id.account": 1, "_id.subject": 1 } },
+    ]);
+
+    const byType = new Map();
+    let totalDebits = 0n;
+    let totalCredits = 0n;
+
+    const accounts = rows.map((row) => {
+      const debits = toWei(row.debits);
+      const credits = toWei(row.credits);
+      totalDebits += debits;
+      totalCredits += credits;
+
+      const type = byType.get(row._id.account) || { debits: 0n, credits: 0n, accounts: 0 };
+      type.debits += debits;
+      type.credits += credits;
+      type.accounts++;
+      byType.set(row._id.account, type);
+
+      return {
+        account: row._id.account,
+        subject: row._id.subject,
+        entries: row.entries,
+        ...formatAccount({ debits, credits }),
+      };
+    });
+
+    return {
+      asOf: asOf || new Date(),
+      chainId: chainId || null,
+      accounts,
+      byType: [...byType.entries()].map(([account, type]) => ({
+        account,
+        accounts: type.accounts,
+        ...formatAccount(type),
+      })),
+      totals: {
+        debits: totalDebits.toString(),
+        credits: totalCredits.toString(),
+        balanced: totalDebits === totalCredits,
+      },
+    };
+  }
+
+  /**
+   * Movements of one account with a running balance
+   * @param {Object} options
+   * @param {string} options.account - Account type
+   * @param {string} options.subject - User _id or gameId for per-user and per-game accounts
+   * @param {number} options.chainId
+   * @param {Date} options.startDate - Movements before it make up the opening balance
+   * @param {Date} options.endDate
+   * @param {number} options.limit - Max movements returned
+   * @returns {Promise<Object>} { openingBalance, closingBalance, movements, hasMore }
+   */
+  async getAccountStatement({ account, subject = null, chainId, startDate, endDate, limit = 200 }) {
+    if (!JournalEntry.ACCOUNT_TYPES.includes(account)) {
+      throw new Error(`Unknown account: ${account}`);
+    }
+    if (SUBJECT_ACCOUNTS.includes(account) !== (subject !== null && subject !== undefined)) {
+      throw new Error(
+        SUBJECT_ACCOUNTS.includes(account) ? `${account} needs a subject` : `${account} does not take a subject`
+      );
+    }
+
+    const line = { account, subject: subjectOf(subject) };
+    const match = { lines: { $elemMatch: line } };
+    if (chainId) match.chainId = chainId;
+
+    const sumLines = async (postedAt) => {
+      const [row] = await JournalEntry.aggregate([
+        { $match: { ...match, postedAt } },
+        { $unwind: "$lines" },
+        { $match: { "lines.account": line.account, "lines.subject": line.subject } },
+        {
+          $group: {
+            _id: null,
+            debits: { $sum: { $toDecimal: "$lines.debit" } },
+            credits: { $sum: { $toDecimal: "$lines.credit" } },
+          },
+        },
+      ]);
+      return row ? toWei(row.debits) - toWei(row.credits) : 0n;
+    };
+
+    const period = { $lte: endDate || new Date() };
+    if (startDate) period.$gte = startDate;
+
+    const openingBalance = startDate ? await sumLines({ $lt: startDate }) : 0n;
+    const closingBalance = openingBalance + (await sumLines(period));
+
+    const entries = await JournalEntry.find({ ...match, postedAt: period })
+      .sort({ postedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    let balance = openingBalance;
+    const movements = entries.slice(0, limit).map((entry) => {
+      let debits = 0n;
+      let credits = 0n;
+      for (const l of entry.lines) {
+        if (l.account === line.account && l.subject === line.subject) {
+          debits += BigInt(l.debit || "0");
+          credits += BigInt(l.credit || "0");
+        }
+      }
+      balance += debits - credits;
+      return {
+        journalEntryId: entry._id,
+        reference: entry.reference,
+        type: entry.type,
+        chainId: entry.chainId,
+        gameId: entry.gameId,
+        transactionHash: entry.transactionHash,
+        description: entry.description,
+        postedAt: entry.postedAt,
+        debit: debits.toString(),
+        credit: credits.toString(),
+        balance: balance.toString(),
+      };
+    });
+
+    return {
+      ...line,
+      chainId: chainId || null,
+      openingBalance: openingBalance.toString(),
+      closingBalance: closingBalance.toString(),
+      closingBalanceUSDC: ethers.utils.formatUnits(closingBalance.toString(), 18),
+      movements,
+      hasMore: entries.length > limit,
+    };
+  }
+}
+
+module.exports = new LedgerService();
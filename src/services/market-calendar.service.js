@@ -0,0 +1,201 @@
+/**
+ * Market Calendar
+ *
+ * Trading sessions of the exchange TRADFI assets are quoted on. TRADFI prices
+ * freeze while the market is closed, so TRADFI games are scheduled around its
+ * sessions. The calendar is a local JSON file, re-read whenever it changes on
+ * disk; add each year's holidays before the year starts.
+ *
+ * File format (dates and times in the exchange's timezone):
+ * {
+ *   "exchange": "NYSE",
+ *   "timezone": "America/New_York",
+ *   "session": { "open": "09:30", "close": "16:00" },
+ *   "tradingDays": [1, 2, 3, 4, 5],
+ *   "holidays": ["2026-12-25"],
+ *   "earlyCloses": { "2026-12-24": "13:00" }
+ * }
+ * `tradingDays` are weekdays, 0 = Sunday.
+ */
+
+const fs = require("fs").promises;
+const config = require("../config");
+
+// Weekends and holidays never close the market for this long; a longer gap means a broken calendar
+const MAX_CLOSED_DAYS = 14;
+
+// Wall-clock date and time of an instant in a timezone
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+// "YYYY-MM-DD" of an instant in a timezone
+function localDay(date, timeZone) {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function parseDay(day) {
+  const [year, month, dayOfMonth] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, dayOfMonth));
+}
+
+function addDays(day, days) {
+  const date = parseDay(day);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Instant of a wall-clock time ("YYYY-MM-DD", "HH:MM") in a timezone
+function zonedTime(day, time, timeZone) {
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = parseDay(day).getTime() + (hour * 60 + minute) * 60 * 1000;
+  let instant = wallClock;
+  // Two passes settle the UTC offset, DST change days included
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(instant), timeZone);
+    instant += wallClock - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  }
+  return new Date(instant);
+}
+
+class MarketCalendarService {
+  constructor() {
+    this.filePath = config.prices.marketCalendarFile;
+    this.calendar = null;
+    this.loadedMtime = 0;
+  }
+
+  async load() {
+    const stats = await fs.stat(this.filePath);
+    if (!this.calendar || stats.mtimeMs !== this.loadedMtime) {
+      const content = await fs.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(content);
+      if (!parsed.timezone || !parsed.session || !parsed.session.open || !parsed.session.close) {
+        throw new Error(`Market calendar ${this.filePath} needs a timezone and session open/close times`);
+      }
+      this.calendar = {
+        exchange: parsed.exchange || "market",
+        timezone: parsed.timezone,
+        session: parsed.session,
+        tradingDays: parsed.tradingDays || [1, 2, 3, 4, 5],
+        holidays: new Set(parsed.holidays || []),
+        earlyCloses: parsed.earlyCloses || {},
+      };
+      this.loadedMtime = stats.mtimeMs;
+    }
+    return this.calendar;
+  }
+
+  // Session of one exchange day; null when the market is closed all day
+  sessionOn(calendar, day) {
+    if (!calendar.tradingDays.includes(parseDay(day).getUTCDay()) || calendar.holidays.has(day)) {
+      return null;
+    }
+    return {
+      day,
+      open: zonedTime(day, calendar.session.open, calendar.timezone),
+      close: zonedTime(day, calendar.earlyCloses[day] || calendar.session.close, calendar.timezone),
+    };
+  }
+
+  // Sessions in order, starting with the one open at `from` or the next one
+  *sessionsFrom(calendar, from) {
+    let day = localDay(from, calendar.timezone);
+    let closedDays = 0;
+    while (closedDays < MAX_CLOSED_DAYS) {
+      const session = this.sessionOn(calendar, day);
+      if (!session) {
+        closedDays++;
+      } else {
+        closedDays = 0;
+        if (session.close > from) {
+          yield session;
+        }
+      }
+      day = addDays(day, 1);
+    }
+    throw new Error(`${calendar.exchange} calendar has no session in the ${MAX_CLOSED_DAYS} days before ${day}`);
+  }
+
+  /**
+   * Sessions that overlap a time range
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {Promise<Array>} [{ day, open, close }]
+   */
+  async getSessions(from, to) {
+    const calendar = await this.load();
+    const sessions = [];
+    for (const session of this.sessionsFrom(calendar, from)) {
+      if (session.open >= to) {
+        break;
+      }
+      sessions.push(session);
+    }
+    return sessions;
+  }
+
+  async isOpen(date = new Date()) {
+    const calendar = await this.load();
+    const { value: session } = this.sessionsFrom(calendar, date).next();
+    return session.open <= date;
+  }
+
+  // First market open at or after a time
+  async nextOpen(date = new Date()) {
+    const calendar = await this.load();
+    for (const session of this.sessionsFrom(calendar, date)) {
+      if (session.open >= date) {
+        return session.open;
+      }
+    }
+  }
+
+  /**
+   * Game window aligned to market sessions: it starts at the first open at or
+   * after `start` and ends at the last close within `durationHours` of that
+   * open - or at the first session's close when the duration is shorter.
+   * @param {Date} start - Unaligned start time
+   * @param {number} durationHours
+   * @returns {Promise<Object>} { startTime, endTime }
+   */
+  async alignWindow(start, durationHours) {
+    const calendar = await this.load();
+    let first = null;
+    let last = null;
+    for (const session of this.sessionsFrom(calendar, start)) {
+      if (!first) {
+        if (session.open >= start) {
+          first = last = session;
+        }
+        continue;
+      }
+      if (session.close.getTime() > first.open.getTime() + durationHours * 60 * 60 * 1000) {
+        break;
+      }
+      last = session;
+    }
+    return { startTime: first.open, endTime: last.close };
+  }
+}
+
+module.exports = new MarketCalendarService();
@@ -18,6 +18,12 @@ const Asset = require("../models/Asset");
 const axios = require("axios");
 const config = require("../config");
 
+// Where fetchMarketData gets prices and indicators (cryptocompare.com otherwise)
+const MARKET_DATA_SOURCES = {
+  TRADFI: "alphavantage.co",
+  HYBRID: "cryptocompare.com + alphavantage.co",
+};
+
 class MarlowAIService {
   constructor() {
     // Strategy weights - can be adjusted based on market conditions
@@ -74,7 +80,7 @@ class MarlowAIService {
 
   /**
    * Generate Marlow's intelligent portfolio picks
-   * @param {string} gameType - CRYPTO, TRADFI, or HYBRID
+   * @param {string} gameType - DEFI (or CRYPTO), TRADFI, or HYBRID (both asset types)
    * @param {number} numAssets - Number of assets to pick (default 8)
    * @returns {Object} { assets: [...], allocations: [...], strategy: {...} }
    */
@@ -98,7 +104,7 @@ class MarlowAIService {
       // 1. Get all eligible assets (EXCLUDING STABLECOINS!)
       const stepStart1 = Date.now();
       let assets = await Asset.find({
-        type: gameType,
+        type: { $in: Asset.typesForGame(gameType) },
         isActive: true,
         ape: true,
       });
@@ -115,7 +121,7 @@ class MarlowAIService {
         status: "success",
         duration: diagnostics.timing.assetQuery,
         details: {
-          query: { type: gameType, isActive: true, ape: true },
+          query: { type: Asset.typesForGame(gameType), isActive: true, ape: true },
           assetsFound: originalCount,
           stablecoinsExcluded: excludedStablecoins,
           eligibleAssets: assets.length,
@@ -186,8 +192,10 @@ class MarlowAIService {
 
       // 5. Fetch sentiment data for crypto assets
       const stepStart5 = Date.now();
-      if (gameType === "CRYPTO" || gameType === "DEFI") {
-        await this.enrichWithSentiment(assetData, diagnostics);
+      if (this.includesCrypto(gameType)) {
+        // News sentiment only exists for crypto - HYBRID equities keep neutral sentiment
+        const cryptoAssetData = gameType === "HYBRID" ? assetData.filter((a) => a.type === "DEFI") : assetData;
+        await this.enrichWithSentiment(cryptoAssetData, diagnostics);
         diagnostics.timing.sentiment = Date.now() - stepStart5;
         diagnostics.steps.push({
           step: 5,
@@ -209,7 +217,7 @@ class MarlowAIService {
           name: "Sentiment Analysis",
           status: "skipped",
           duration: 0,
-          details: { reason: `Skipped for ${gameType} - only applies to CRYPTO/DEFI` },
+          details: { reason: `Skipped for ${gameType} - only applies to CRYPTO/DEFI/HYBRID` },
         });
       }
 
@@ -244,7 +252,10 @@ class MarlowAIService {
 
       // 7. Select top assets based on combined score
       const stepStart7 = Date.now();
-      let selectedAssets = this.selectTopAssets(scoredAssets, numAssets);
+      let selectedAssets =
+        gameType === "HYBRID"
+          ? this.selectHybridAssets(scoredAssets, numAssets)
+          : this.selectTopAssets(scoredAssets, numAssets);
       diagnostics.timing.selection = Date.now() - stepStart7;
       diagnostics.steps.push({
         step: 7,
@@ -371,7 +382,7 @@ class MarlowAIService {
       let fearGreedIndex = 50; // Neutral default
       let fgApiResult = { success: false, source: "alternative.me/fng" };
 
-      if (gameType === "CRYPTO" || gameType === "DEFI") {
+      if (this.includesCrypto(gameType)) {
         try {
           const fgStart = Date.now();
           const fgResponse = await axios.get("https://api.alternative.me/fng/", { timeout: 5000 });
@@ -738,7 +749,7 @@ Your picks:`;
   async fetchMarketData(assets, gameType, diagnostics = null) {
     const assetData = [];
     const marketDataResults = {
-      source: gameType === "TRADFI" ? "alphavantage.co" : "cryptocompare.com",
+      source: MARKET_DATA_SOURCES[gameType] || "cryptocompare.com",
       assetsQueried: assets.length,
       successful: 0,
       failed: 0,
@@ -752,7 +763,8 @@ Your picks:`;
     for (const asset of assets) {
       try {
         let data;
-        if (gameType === "CRYPTO" || gameType === "DEFI") {
+        const isCrypto = gameType === "HYBRID" ? asset.type === "DEFI" : gameType === "CRYPTO" || gameType === "DEFI";
+        if (isCrypto) {
           data = await this.fetchCryptoData(asset.symbol);
         } else {
           data = await this.fetchTradFiData(asset.symbol);
@@ -1225,6 +1237,34 @@ Your picks:`;
    * Select top assets - ONLY THE BEST
    * We're here to WIN, not to diversify into garbage
    */
+  // Whether a game type holds crypto assets (Fear & Greed index and news sentiment apply)
+  includesCrypto(gameType) {
+    return gameType === "CRYPTO" || gameType === "DEFI" || gameType === "HYBRID";
+  }
+
+  /**
+   * HYBRID games: pick the best half from crypto and the best half from equities, so
+   * Marlow plays both markets like the players do. A side short of assets leaves its
+   * slots to the other. Best score first, like selectTopAssets.
+   */
+  selectHybridAssets(scoredAssets, numAssets) {
+    const crypto = scoredAssets.filter((a) => a.type === "DEFI");
+    const tradfi = scoredAssets.filter((a) => a.type === "TRADFI");
+
+    const cryptoPicks = this.selectTopAssets(crypto, Math.ceil(numAssets / 2));
+    const tradfiPicks = this.selectTopAssets(tradfi, numAssets - cryptoPicks.length);
+    let selected = [...cryptoPicks, ...tradfiPicks];
+
+    if (selected.length < numAssets) {
+      const remaining = crypto.filter((a) => !selected.includes(a));
+      selected = [...selected, ...this.selectTopAssets(remaining, numAssets - selected.length)];
+    }
+
+    const cryptoCount = selected.filter((a) => a.type === "DEFI").length;
+    console.log(`🦍 Hybrid selection: ${cryptoCount} crypto, ${selected.length - cryptoCount} tradfi`);
+    return selected.sort((a, b) => b.totalScore - a.totalScore);
+  }
+
   selectTopAssets(scoredAssets, numAssets) {
     // Step 1: REMOVE all disqualified assets
     const eligible = scoredAssets.filter((a) => !a.disqualified);
@@ -1416,7 +1456,7 @@ Your picks:`;
     try {
       // First try with ape: true (preferred for Marlow games)
       let assets = await Asset.find({
-        type: gameType,
+        type: { $in: Asset.typesForGame(gameType) },
         isActive: true,
         ape: true,
       });
@@ -1425,7 +1465,7 @@ Your picks:`;
       if (assets.length < numAssets) {
         console.warn(`🦍 Only ${assets.length} APE assets found, using all active ${gameType} assets`);
         assets = await Asset.find({
-          type: gameType,
+          type: { $in: Asset.typesForGame(gameType) },
           isActive: true,
         });
       }
@@ -0,0 +1,176 @@
+const config = require("../config");
+const Asset = require("../models/Asset");
+
+// Weights given by list order when a player sends no allocations (the original fixed split)
+const DEFAULT_ALLOCATIONS = [20000, 20000, 15000, 15000, 10000, 10000, 5000, 5000];
+
+const RULE_KEYS = ["minAssets", "maxAssets", "minAllocation", "maxAllocation", "allowShort", "maxLeverage", "maxSwaps"];
+
+class PortfolioRulesService {
+  /**
+   * Portfolio construction rules of a game or game cron. Rules it does not set
+   * come from config.game.
+   * @param {Object} source - Game or GameCron; null for portfolios not in a game yet
+   * @returns {Object} { minAssets, maxAssets, minAllocation, maxAllocation, allowShort, maxLeverage, maxSwaps,
+   *   initialValue } Allocations are percentages of initialValue
+   */
+  getRules(source) {
+    const rules = (source && source.portfolioRules) || {};
+    const resolved = { initialValue: config.game.initialPortfolioValue };
+    for (const key of RULE_KEYS) {
+      resolved[key] = rules[key] !== undefined && rules[key] !== null ? rules[key] : config.game[key];
+    }
+    return resolved;
+  }
+
+  /**
+   * Check a game cron's portfolioRules can be met by some portfolio
+   * @param {Object} portfolioRules - Partial rules; unset ones come from config.game
+   * @returns {Object} { valid, message }
+   */
+  validateRules(portfolioRules) {
+    const { minAssets, maxAssets, minAllocation, maxAllocation, allowShort, maxLeverage, maxSwaps } = this.getRules({
+      portfolioRules,
+    });
+
+    if (!Number.isInteger(minAssets) || !Number.isInteger(maxAssets) || minAssets < 1 || minAssets > maxAssets) {
+      return { valid: false, message: "minAssets and maxAssets must be integers with 1 <= minAssets <= maxAssets" };
+    }
+    if (
+      typeof minAllocation !== "number" ||
+      typeof maxAllocation !== "number" ||
+      minAllocation <= 0 ||
+      minAllocation > maxAllocation ||
+      maxAllocation > 100
+    ) {
+      return { valid: false, message: "Allocations must satisfy 0 < minAllocation <= maxAllocation <= 100 (%)" };
+    }
+
+    if (typeof allowShort !== "boolean") {
+      return { valid: false, message: "allowShort must be true or false" };
+    }
+    if (typeof maxLeverage !== "number" || maxLeverage < 1 || maxLeverage > config.game.leverageCap) {
+      return { valid: false, message: `maxLeverage must be between 1 and ${config.game.leverageCap}` };
+    }
+
+    if (!Number.isInteger(maxSwaps) || maxSwaps < 0) {
+      return { valid: false, message: "maxSwaps must be a non-negative integer" };
+    }
+
+    // Some asset count must let the allocations add up to 100%
+    const fewest = Math.max(minAssets, Math.ceil(100 / maxAllocation));
+    const most = Math.min(maxAssets, Math.floor(100 / minAllocation));
+    if (fewest > most) {
+      return { valid: false, message: "No asset count lets the allocations add up to 100%" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a player's assets and weights against the rules and map them to
+   * portfolio assets. Shared by submit, submit-pending and edit.
+   * @param {Array} assets - [{ symbol, allocation, direction, leverage }], allocation in USD of
+   *   initialValue. Without any allocation, exactly 8 assets get the default split by list order.
+   *   direction (LONG or SHORT) and leverage default to LONG x1
+   * @param {string} gameType - DEFI, TRADFI or HYBRID (either asset type)
+   * @param {Object} rules - From getRules()
+   * @returns {Promise<Object>} { error } or { assets }
+   */
+  async buildAssets(assets, gameType, rules) {
+    const { minAssets, maxAssets, minAllocation, maxAllocation, allowShort, maxLeverage, initialValue } = rules;
+
+    if (!Array.isArray(assets) || assets.length < minAssets || assets.length > maxAssets) {
+      return {
+        error:
+          minAssets === maxAssets
+            ? `Must provide exactly ${minAssets} assets`
+            : `Must provide between ${minAssets} and ${maxAssets} assets`,
+      };
+    }
+
+    const symbols = assets.map((asset) => asset && asset.symbol);
+    if (symbols.some((symbol) => !symbol || typeof symbol !== "string")) {
+      return { error: "Every asset needs a symbol" };
+    }
+
+    // Check for unique assets
+    if (new Set(symbols).size !== symbols.length) {
+      return { error: "All assets must be unique" };
+    }
+
+    let allocations;
+    if (assets.every((asset) => asset.allocation === undefined || asset.allocation === null)) {
+      if (assets.length !== DEFAULT_ALLOCATIONS.length) {
+        return { error: "Allocations are required" };
+      }
+      allocations = DEFAULT_ALLOCATIONS;
+    } else {
+      allocations = assets.map((asset) => Number(asset.allocation));
+      if (allocations.some((allocation) => !Number.isFinite(allocation) || allocation <= 0)) {
+        return { error: "Every asset needs a positive allocation" };
+      }
+    }
+
+    for (let i = 0; i < allocations.length; i++) {
+      const percentage = (allocations[i] / initialValue) * 100;
+      if (percentage < minAllocation || percentage > maxAllocation) {
+        return {
+          error: `${symbols[i]} allocation must be between ${minAllocation}% and ${maxAllocation}% of the portfolio`,
+        };
+      }
+    }
+
+    const directions = assets.map((asset) => asset.direction || "LONG");
+    const leverages = assets.map((asset) =>
+      asset.leverage === undefined || asset.leverage === null ? 1 : Number(asset.leverage)
+    );
+    for (let i = 0; i < assets.length; i++) {
+      if (!["LONG", "SHORT"].includes(directions[i])) {
+        return { error: `${symbols[i]} direction must be LONG or SHORT` };
+      }
+      if (directions[i] === "SHORT" && !allowShort) {
+        return { error: "This game does not allow short positions" };
+      }
+      if (!Number.isFinite(leverages[i]) || leverages[i] < 1 || leverages[i] > maxLeverage) {
+        return {
+          error:
+            maxLeverage === 1
+              ? "This game does not allow leverage"
+              : `${symbols[i]} leverage must be between 1 and ${maxLeverage}`,
+        };
+      }
+    }
+
+    const total = allocations.reduce((sum, allocation) => sum + allocation, 0);
+    if (Math.abs(total - initialValue) > 0.01) {
+      return { error: `Allocations must add up to ${initialValue} (got ${total})` };
+    }
+
+    // Verify assets in database
+    const dbAssets = await Asset.find({
+      symbol: { $in: symbols },
+      type: { $in: Asset.typesForGame(gameType) },
+      isActive: true,
+    });
+
+    if (dbAssets.length !== symbols.length) {
+      const foundSymbols = dbAssets.map((a) => a.symbol);
+      const missingAssets = symbols.filter((a) => !foundSymbols.includes(a));
+      return { error: `Some assets were not found or are inactive: ${missingAssets.join(", ")}` };
+    }
+
+    return {
+      assets: symbols.map((symbol, index) => ({
+        assetId: dbAssets.find((a) => a.symbol === symbol).assetId,
+        symbol,
+        allocation: allocations[index],
+        direction: directions[index],
+        leverage: leverages[index],
+        tokenQty: 0, // Token quantities are calculated when the portfolio is locked
+      })),
+    };
+  }
+}
+
+module.exports = new PortfolioRulesService();
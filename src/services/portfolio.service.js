@@ -44,12 +44,14 @@ class PortfolioService {
             }
 
             // Create portfolio on blockchain
-            const portfolioId = await blockchainService.createAndLockPortfolio(
+            const portfolioId = await blockchainService.forChain(game.chainId).createAndLockPortfolio(
                 userId,
                 user.address,
                 assetDetails.symbols,
                 assetDetails.allocations,
                 assetDetails.tokenQtys,
+                assetDetails.directions,
+                assetDetails.leverages,
                 gameType
             );
 
@@ -58,6 +60,7 @@ class PortfolioService {
                 portfolioId,
                 userId,
                 gameId: game.gameId,
+                chainId: game.chainId,
                 assets: assetDetails.assets,
                 initialValue: this.INITIAL_PORTFOLIO_VALUE,
                 currentValue: this.INITIAL_PORTFOLIO_VALUE,
@@ -104,7 +107,9 @@ class PortfolioService {
                     assetId: asset.assetId,
                     symbol: dbAsset.symbol,
                     tokenQty,
-                    allocation: asset.allocation
+                    allocation: asset.allocation,
+                    direction: asset.direction || 'LONG',
+                    leverage: asset.leverage || 1
                 };
             });
 
@@ -112,7 +117,9 @@ class PortfolioService {
                 assets: processedAssets,
                 symbols: processedAssets.map(a => a.symbol),
                 allocations: processedAssets.map(a => a.allocation),
-                tokenQtys: processedAssets.map(a => a.tokenQty)
+                tokenQtys: processedAssets.map(a => a.tokenQty),
+                directions: processedAssets.map(a => a.direction),
+                leverages: processedAssets.map(a => a.leverage)
             };
         } catch (error) {
             console.error('Error processing assets:', error);
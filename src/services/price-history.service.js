@@ -0,0 +1,117 @@
+const PriceTick = require('../models/PriceTick');
+const PriceCandle = require('../models/PriceCandle');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PriceHistoryService {
+    constructor() {
+        this.MAX_CANDLES = 1000;
+    }
+
+    // Retention in days for ticks and each candle interval
+    getRetentionDays(interval = null) {
+        return config.prices.candleRetentionDays[interval] || config.game.historyRetentionDays;
+    }
+
+    getExpiry(timestamp, interval = null) {
+        return new Date(new Date(timestamp).getTime() + this.getRetentionDays(interval) * DAY_MS);
+    }
+
+    // Store a quote as a tick and roll it into every candle interval
+    async recordTick(asset, quote, timestamp = new Date()) {
+        await PriceTick.create({
+            assetId: asset.assetId,
+            symbol: asset.symbol,
+            type: asset.type,
+            price: quote.price,
+            change24h: quote.change24h,
+            source: quote.source || null,
+            confidence: quote.confidence ?? null,
+            timestamp,
+            expiresAt: this.getExpiry(timestamp)
+        });
+
+        await Promise.all(
+            PriceCandle.getIntervals().map(interval =>
+                this.updateCandle(asset, interval, quote.price, timestamp)
+            )
+        );
+    }
+
+    // Upsert the candle bucket containing `timestamp`
+    async updateCandle(asset, interval, price, timestamp, retried = false) {
+        const openTime = PriceCandle.getBucketStart(timestamp, interval);
+
+        try {
+            await PriceCandle.updateOne(
+                { assetId: asset.assetId, interval, openTime },
+                {
+                    $setOnInsert: {
+                        symbol: asset.symbol,
+                        open: price,
+                        expiresAt: this.getExpiry(openTime, interval)
+                    },
+                    $max: { high: price },
+                    $min: { low: price },
+                    $set: { close: price },
+                    $inc: { tickCount: 1 }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Two concurrent upserts on a new bucket - the second one retries as an update
+            if (error.code === 11000 && !retried) {
+                return this.updateCandle(asset, interval, price, timestamp, true);
+            }
+            throw error;
+        }
+    }
+
+    // Get raw price history for several assets, keyed by assetId
+    async getHistory(assetIds, since = null) {
+        const from = since || new Date(Date.now() - config.game.historyRetentionDays * DAY_MS);
+
+        const ticks = await PriceTick.find({
+            assetId: { $in: assetIds },
+            timestamp: { $gte: from }
+        })
+            .select('assetId price timestamp')
+            .sort({ timestamp: 1 })
+            .lean();
+
+        const history = {};
+        for (const assetId of assetIds) {
+            history[assetId] = [];
+        }
+        for (const tick of ticks) {
+            history[tick.assetId].push({ price: tick.price, timestamp: tick.timestamp });
+        }
+        return history;
+    }
+
+    // Get OHLC candles for an asset, oldest first
+    async getCandles(assetId, interval, { from, to, limit } = {}) {
+        if (!PriceCandle.getIntervalMs(interval)) {
+            throw new Error(`Invalid candle interval: ${interval}`);
+        }
+
+        const query = { assetId, interval };
+        if (from || to) {
+            query.openTime = {};
+            if (from) query.openTime.$gte = from;
+            if (to) query.openTime.$lte = to;
+        }
+
+        // Fetch newest first so `limit` keeps the most recent candles
+        const candles = await PriceCandle.find(query)
+            .select('openTime open high low close tickCount -_id')
+            .sort({ openTime: -1 })
+            .limit(Math.min(limit || this.MAX_CANDLES, this.MAX_CANDLES))
+            .lean();
+
+        return candles.reverse();
+    }
+}
+
+module.exports = new PriceHistoryService();
@@ -0,0 +1,114 @@
+/**
+ * Alpha Vantage Price Provider
+ *
+ * Quotes TRADFI assets one symbol at a time through GLOBAL_QUOTE, in batches
+ * that respect the per-minute request allowance of the API key.
+ */
+
+const axios = require("axios");
+const config = require("../../config");
+
+class AlphaVantageProvider {
+  constructor() {
+    this.name = "alphavantage";
+    this.apiKey = config.apiKeys.alphaVantage;
+    this.lastCall = 0;
+    this.minInterval = 100;
+    this.batchSize = 75;
+    this.batchDelay = 12000;
+  }
+
+  async checkRateLimit() {
+    const elapsed = Date.now() - this.lastCall;
+    if (elapsed < this.minInterval) {
+      await new Promise((resolve) => setTimeout(resolve, this.minInterval - elapsed));
+    }
+    this.lastCall = Date.now();
+  }
+
+  async getQuote(symbol) {
+    await this.checkRateLimit();
+    const response = await axios.get("https://www.alphavantage.co/query", {
+      params: {
+        function: "GLOBAL_QUOTE",
+        entitlement: "delayed",
+        symbol,
+        apikey: this.apiKey,
+      },
+    });
+
+    // Delayed entitlement keys return a differently named payload
+    const quote = response.data["Global Quote - DATA DELAYED BY 15 MINUTES"] || response.data["Global Quote"];
+    if (!quote || !quote["05. price"]) return null;
+
+    return {
+      price: parseFloat(quote["05. price"]),
+      change24h: parseFloat(quote["10. change percent"].replace("%", "")),
+    };
+  }
+
+  /**
+   * Get current quotes for a list of assets
+   * Symbols that fail are left out so the registry can fall through to the next provider
+   * @param {Array<Object>} assets - Asset documents (only `symbol` is used)
+   * @returns {Promise<Object>} Map of symbol -> { price, change24h }
+   */
+  async getQuotes(assets) {
+    const quotes = {};
+
+    for (let i = 0; i < assets.length; i += this.batchSize) {
+      const batch = assets.slice(i, i + this.batchSize);
+
+      await Promise.all(
+        batch.map(async (asset) => {
+          try {
+            const quote = await this.getQuote(asset.symbol);
+            if (quote) {
+              quotes[asset.symbol] = quote;
+            }
+          } catch (error) {
+            console.error(`[PRICE] alphavantage: error getting price for ${asset.symbol}:`, error.message);
+          }
+        })
+      );
+
+      // Wait between batches to respect rate limits
+      if (i + this.batchSize < assets.length) {
+        await new Promise((resolve) => setTimeout(resolve, this.batchDelay));
+      }
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Get daily closing prices
+   * @param {Object} asset - Asset document (only `symbol` is used)
+   * @param {number} days - Number of days to fetch
+   * @returns {Promise<Array<{timestamp: number, price: number}>>}
+   */
+  async getHistoricalPrices(asset, days) {
+    await this.checkRateLimit();
+    const response = await axios.get("https://www.alphavantage.co/query", {
+      params: {
+        function: "TIME_SERIES_DAILY",
+        symbol: asset.symbol,
+        apikey: this.apiKey,
+      },
+    });
+
+    const timeSeries = response.data["Time Series (Daily)"];
+    if (!timeSeries) {
+      throw new Error(`Invalid response from Alpha Vantage for ${asset.symbol}`);
+    }
+
+    return Object.entries(timeSeries)
+      .slice(0, days)
+      .map(([date, data]) => ({
+        timestamp: new Date(date).getTime(),
+        price: parseFloat(data["4. close"]),
+      }));
+  }
+}
+
+module.exports = new AlphaVantageProvider();
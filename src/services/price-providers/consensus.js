@@ -0,0 +1,65 @@
+/**
+ * Price Consensus
+ *
+ * Combines quotes for one asset from several providers into a single price:
+ * - The median of all quotes is the reference
+ * - Quotes deviating from it by more than maxDeviationPercent are rejected
+ * - The consensus price is the median of the accepted quotes
+ * - Confidence is the share of queried providers whose quote was accepted
+ *
+ * With two providers that disagree neither quote can be trusted, so no
+ * consensus is returned and the asset keeps its previous price.
+ */
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Build a consensus quote
+ * @param {Array<{source: string, price: number, change24h: number}>} quotes - One quote per provider
+ * @param {Object} options
+ * @param {number} options.providerCount - Number of providers that were queried
+ * @param {number} options.maxDeviationPercent - Max allowed deviation from the median
+ * @param {number} options.minSources - Minimum number of accepted quotes (capped at providerCount)
+ * @returns {{price: number|null, change24h: number, source: string, confidence: number, rejected: Array}|null}
+ *   null when there are no usable quotes; `price` is null when the quotes disagree
+ */
+function buildConsensus(quotes, { providerCount, maxDeviationPercent, minSources = 1 }) {
+  const valid = quotes.filter((q) => isFinite(q.price) && q.price > 0);
+  if (valid.length === 0) return null;
+
+  const reference = median(valid.map((q) => q.price));
+  const accepted = [];
+  const rejected = [];
+
+  for (const quote of valid) {
+    const deviationPercent = (Math.abs(quote.price - reference) / reference) * 100;
+    if (deviationPercent > maxDeviationPercent) {
+      rejected.push({ ...quote, deviationPercent });
+    } else {
+      accepted.push(quote);
+    }
+  }
+
+  if (accepted.length === 0 || accepted.length < Math.min(minSources, providerCount)) {
+    return { price: null, rejected };
+  }
+
+  const changes = accepted.map((q) => Number(q.change24h)).filter((c) => isFinite(c));
+
+  return {
+    price: median(accepted.map((q) => q.price)),
+    change24h: changes.length ? median(changes) : 0,
+    source: accepted.map((q) => q.source).join(","),
+    confidence: Number((accepted.length / Math.max(providerCount, valid.length)).toFixed(4)),
+    rejected,
+  };
+}
+
+module.exports = {
+  median,
+  buildConsensus,
+};
@@ -0,0 +1,90 @@
+/**
+ * CryptoCompare Price Provider
+ *
+ * Quotes DEFI assets through the pricemultifull endpoint (one request for
+ * every symbol) and daily candles through histoday.
+ */
+
+const axios = require("axios");
+const config = require("../../config");
+
+class CryptoCompareProvider {
+  constructor() {
+    this.name = "cryptocompare";
+    this.apiKey = config.apiKeys.cryptoCompare;
+    this.lastCall = 0;
+    this.minInterval = 100;
+  }
+
+  async checkRateLimit() {
+    const elapsed = Date.now() - this.lastCall;
+    if (elapsed < this.minInterval) {
+      await new Promise((resolve) => setTimeout(resolve, this.minInterval - elapsed));
+    }
+    this.lastCall = Date.now();
+  }
+
+  /**
+   * Get current quotes for a list of assets
+   * @param {Array<Object>} assets - Asset documents (only `symbol` is used)
+   * @returns {Promise<Object>} Map of symbol -> { price, change24h }
+   */
+  async getQuotes(assets) {
+    if (!assets.length) return {};
+
+    await this.checkRateLimit();
+    const response = await axios.get("https://min-api.cryptocompare.com/data/pricemultifull", {
+      params: {
+        fsyms: assets.map((asset) => asset.symbol).join(","),
+        tsyms: "USD",
+      },
+      headers: {
+        Authorization: `Apikey ${this.apiKey}`,
+      },
+    });
+
+    if (!response.data.RAW) {
+      throw new Error("Invalid response from CryptoCompare");
+    }
+
+    const quotes = {};
+    for (const asset of assets) {
+      const data = response.data.RAW[asset.symbol]?.USD;
+      if (data) {
+        quotes[asset.symbol] = {
+          price: data.PRICE,
+          change24h: data.CHANGEPCT24HOUR,
+        };
+      }
+    }
+    return quotes;
+  }
+
+  /**
+   * Get daily closing prices
+   * @param {Object} asset - Asset document (only `symbol` is used)
+   * @param {number} days - Number of days to fetch
+   * @returns {Promise<Array<{timestamp: number, price: number}>>}
+   */
+  async getHistoricalPrices(asset, days) {
+    await this.checkRateLimit();
+    const response = await axios.get("https://min-api.cryptocompare.com/data/v2/histoday", {
+      params: {
+        fsym: asset.symbol,
+        tsym: "USD",
+        limit: days,
+        toTs: Math.floor(Date.now() / 1000),
+      },
+      headers: {
+        Authorization: `Apikey ${this.apiKey}`,
+      },
+    });
+
+    return response.data.Data.Data.map((item) => ({
+      timestamp: item.time * 1000,
+      price: item.close,
+    }));
+  }
+}
+
+module.exports = new CryptoCompareProvider();
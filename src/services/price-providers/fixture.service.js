@@ -0,0 +1,90 @@
+/**
+ * Fixture Price Provider
+ *
+ * Serves quotes from a local JSON file so the full game lifecycle can run
+ * offline (development, CI). The file is re-read whenever it changes on disk,
+ * so editing a price moves the market without restarting the server.
+ *
+ * File format:
+ * {
+ *   "quotes": { "BTC": { "price": 65000, "change24h": 1.2 } },
+ *   "history": { "BTC": [{ "timestamp": 1700000000000, "price": 64000 }] }
+ * }
+ * `history` is optional; symbols without one get a flat series at the quoted price.
+ */
+
+const fs = require("fs").promises;
+const config = require("../../config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FixturePriceProvider {
+  constructor() {
+    this.name = "fixture";
+    this.filePath = config.prices.fixtureFile;
+    this.fixtures = null;
+    this.loadedMtime = 0;
+  }
+
+  async load() {
+    const stats = await fs.stat(this.filePath);
+    if (!this.fixtures || stats.mtimeMs !== this.loadedMtime) {
+      const content = await fs.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(content);
+      this.fixtures = {
+        quotes: parsed.quotes || {},
+        history: parsed.history || {},
+      };
+      this.loadedMtime = stats.mtimeMs;
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Get current quotes for a list of assets
+   * @param {Array<Object>} assets - Asset documents (only `symbol` is used)
+   * @returns {Promise<Object>} Map of symbol -> { price, change24h }
+   */
+  async getQuotes(assets) {
+    const { quotes } = await this.load();
+    const result = {};
+
+    for (const asset of assets) {
+      const quote = quotes[asset.symbol];
+      if (quote && isFinite(quote.price) && quote.price > 0) {
+        result[asset.symbol] = {
+          price: Number(quote.price),
+          change24h: Number(quote.change24h || 0),
+        };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get daily closing prices
+   * @param {Object} asset - Asset document (only `symbol` is used)
+   * @param {number} days - Number of days to fetch
+   * @returns {Promise<Array<{timestamp: number, price: number}>>}
+   */
+  async getHistoricalPrices(asset, days) {
+    const { quotes, history } = await this.load();
+
+    if (Array.isArray(history[asset.symbol])) {
+      return history[asset.symbol].slice(-(days + 1));
+    }
+
+    const quote = quotes[asset.symbol];
+    if (!quote) {
+      throw new Error(`No fixture price for ${asset.symbol}`);
+    }
+
+    const now = Date.now();
+    return Array.from({ length: days + 1 }, (_, i) => ({
+      timestamp: now - (days - i) * DAY_MS,
+      price: Number(quote.price),
+    }));
+  }
+}
+
+module.exports = new FixturePriceProvider();
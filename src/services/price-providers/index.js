@@ -0,0 +1,67 @@
+/**
+ * Price Providers
+ *
+ * Each provider module exposes the same interface:
+ * - name: unique identifier used in configuration
+ * - getQuotes(assets): resolves to { [symbol]: { price, change24h } } for the
+ *   assets it could quote; missing symbols are simply left out
+ * - getHistoricalPrices(asset, days): resolves to [{ timestamp, price }]
+ *
+ * The registry maps each asset type to an ordered list of providers
+ * (config.prices.providers), so vendors can be swapped or stacked without
+ * touching PriceService.
+ */
+
+const config = require("../../config");
+const cryptoCompareProvider = require("./cryptocompare.service");
+const alphaVantageProvider = require("./alpha-vantage.service");
+const fixtureProvider = require("./fixture.service");
+
+const providers = new Map([
+  [cryptoCompareProvider.name, cryptoCompareProvider],
+  [alphaVantageProvider.name, alphaVantageProvider],
+  [fixtureProvider.name, fixtureProvider],
+]);
+
+module.exports = {
+  cryptoCompareProvider,
+  alphaVantageProvider,
+  fixtureProvider,
+
+  /**
+   * Register an additional provider (or replace one with the same name)
+   * @param {Object} provider - Object implementing the provider interface
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.getQuotes !== "function") {
+      throw new Error("Invalid price provider: name and getQuotes() are required");
+    }
+    providers.set(provider.name, provider);
+  },
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name (cryptocompare, alphavantage, fixture)
+   * @returns {Object} The provider module
+   */
+  getProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown price provider: ${name}`);
+    }
+    return provider;
+  },
+
+  /**
+   * Get the ordered provider list for an asset type
+   * @param {string} type - Asset type (DEFI, TRADFI)
+   * @returns {Array<Object>} Providers in priority order
+   */
+  getProviders(type) {
+    const names = config.prices.providers[type];
+    if (!names || names.length === 0) {
+      throw new Error(`No price providers configured for asset type: ${type}`);
+    }
+    return names.map((name) => this.getProvider(name));
+  },
+};
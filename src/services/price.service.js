@@ -1,52 +1,24 @@
-const axios = require('axios');
 const Asset = require('../models/Asset');
 const config = require('../config');
+const priceHistoryService = require('./price-history.service');
+const priceProviders = require('./price-providers');
+const { buildConsensus } = require('./price-providers/consensus');
 
 class PriceService {
     constructor() {
-        this.cryptoCompareApiKey = config.apiKeys.cryptoCompare;
-        this.alphaVantageApiKey = config.apiKeys.alphaVantage;
-        
         // Cache configuration
         this.cache = {
             prices: new Map(),
             lastUpdate: new Map()
         };
-        this.CACHE_DURATION = 60 * 1000; 
-        
-        // Rate limiting
-        this.rateLimits = {
-            cryptoCompare: {
-                lastCall: 0,
-                minInterval: 100 
-            },
-            alphaVantage: {
-                lastCall: 0,
-                minInterval: 100
-            }
-        };
-    }
-
-    // Rate limiting helper
-    async checkRateLimit(api) {
-        const now = Date.now();
-        const lastCall = this.rateLimits[api].lastCall;
-        const minInterval = this.rateLimits[api].minInterval;
-        
-        if (now - lastCall < minInterval) {
-            await new Promise(resolve => 
-                setTimeout(resolve, minInterval - (now - lastCall))
-            );
-        }
-        
-        this.rateLimits[api].lastCall = Date.now();
+        this.CACHE_DURATION = 60 * 1000;
     }
 
     // Cache helpers
     getCachedPrice(symbol) {
         const cached = this.cache.prices.get(symbol);
         const lastUpdate = this.cache.lastUpdate.get(symbol);
-        
+
         if (cached && lastUpdate && Date.now() - lastUpdate < this.CACHE_DURATION) {
             return cached;
         }
@@ -58,6 +30,74 @@ class PriceService {
         this.cache.lastUpdate.set(symbol, Date.now());
     }
 
+    // Query the configured providers for a type in priority order.
+    // Assets a provider cannot quote fall through to the next provider.
+    async fetchQuotes(type, assets) {
+        const quotes = {};
+        let remaining = assets;
+
+        for (const provider of priceProviders.getProviders(type)) {
+            if (remaining.length === 0) break;
+
+            try {
+                const providerQuotes = await provider.getQuotes(remaining);
+                for (const [symbol, quote] of Object.entries(providerQuotes)) {
+                    quotes[symbol] = { ...quote, source: provider.name };
+                }
+            } catch (error) {
+                console.error(`Error getting ${type} prices from ${provider.name}:`, error.message);
+            }
+
+            remaining = remaining.filter(asset => !quotes[asset.symbol]);
+        }
+
+        return quotes;
+    }
+
+    // Query every configured provider for a type and combine the quotes per asset.
+    // Outliers are rejected so a single bad tick cannot move locked portfolios.
+    async fetchConsensusQuotes(type, assets) {
+        const providers = priceProviders.getProviders(type);
+        const quotesBySymbol = {};
+
+        const results = await Promise.allSettled(providers.map(provider => provider.getQuotes(assets)));
+        results.forEach((result, index) => {
+            const provider = providers[index];
+            if (result.status === 'rejected') {
+                console.error(`Error getting ${type} prices from ${provider.name}:`, result.reason?.message);
+                return;
+            }
+            for (const [symbol, quote] of Object.entries(result.value)) {
+                (quotesBySymbol[symbol] = quotesBySymbol[symbol] || []).push({ ...quote, source: provider.name });
+            }
+        });
+
+        const consensusQuotes = {};
+        for (const asset of assets) {
+            const consensus = buildConsensus(quotesBySymbol[asset.symbol] || [], {
+                providerCount: providers.length,
+                maxDeviationPercent: config.prices.consensus.maxDeviationPercent,
+                minSources: config.prices.consensus.minSources
+            });
+            if (!consensus) continue;
+
+            for (const rejected of consensus.rejected) {
+                console.warn(
+                    `Rejected ${asset.symbol} quote from ${rejected.source}: ${rejected.price} ` +
+                    `(${rejected.deviationPercent.toFixed(2)}% from median)`
+                );
+            }
+
+            if (consensus.price === null) {
+                console.warn(`No price consensus for ${asset.symbol} - keeping previous price`);
+                continue;
+            }
+            consensusQuotes[asset.symbol] = consensus;
+        }
+
+        return consensusQuotes;
+    }
+
     // Update all asset prices
     async updateAllPrices() {
         try {
@@ -72,364 +112,184 @@ class PriceService {
         }
     }
 
-    // Update DeFi asset prices from CryptoCompare with retry mechanism
+    // Update DeFi asset prices from the configured DEFI providers
     async updateDefiPrices(retryCount = 3) {
+        return this.updatePricesForType('DEFI', retryCount);
+    }
+
+    // Update TradFi asset prices from the configured TRADFI providers
+    async updateTradfiPrices(retryCount = 3) {
+        return this.updatePricesForType('TRADFI', retryCount);
+    }
+
+    // Update prices for every active asset of a type, retrying the ones without a consensus price
+    async updatePricesForType(type, retryCount = 3, assets = null) {
         try {
-            const defiAssets = await Asset.find({ type: 'DEFI', isActive: true });
-            if (!defiAssets.length) return;
-
-            const symbols = defiAssets.map(asset => asset.symbol).join(',');
-            await this.checkRateLimit('cryptoCompare');
-
-            // Check cache first
-            // const cachedPrices = this.getCachedPrice(symbols);
-            // if (cachedPrices) {
-            //     return cachedPrices;
-            // }
-
-            const response = await axios.get(
-                'https://min-api.cryptocompare.com/data/pricemultifull',
-                {
-                    params: {
-                        fsyms: symbols,
-                        tsyms: 'USD'
-                    },
-                    headers: {
-                        'Authorization': `Apikey ${this.cryptoCompareApiKey}`
-                    }
-                }
+            const targets = assets || await Asset.find({ type, isActive: true });
+            if (!targets.length) return;
+
+            const quotes = await this.fetchConsensusQuotes(type, targets);
+
+            await Promise.all(
+                targets
+                    .filter(asset => quotes[asset.symbol])
+                    .map(asset => this.saveQuote(asset, quotes[asset.symbol]))
             );
 
-            if (!response.data.RAW) {
-                throw new Error('Invalid response from CryptoCompare');
-            }
+            const failedUpdates = targets.filter(asset => !quotes[asset.symbol]);
+            if (failedUpdates.length > 0) {
+                if (retryCount > 0) {
+                    console.log(`Retrying ${failedUpdates.length} failed ${type} updates. Attempts remaining: ${retryCount - 1}`);
+                    await new Promise(resolve => setTimeout(resolve, 5000));
+                    return this.updatePricesForType(type, retryCount - 1, failedUpdates);
+                }
 
-            // this.setCachedPrice(symbols, response.data);
-            const updates = [];
-
-            for (const asset of defiAssets) {
-                const data = response.data.RAW[asset.symbol]?.USD;
-                if (data) {
-                    updates.push(
-                        Asset.findOneAndUpdate(
-                            { _id: asset._id },
-                            {
-                                $set: {
-                                    currentPrice: data.PRICE,
-                                    change24h: data.CHANGEPCT24HOUR,
-                                    lastUpdated: new Date()
-                                },
-                                $push: {
-                                    priceHistory: {
-                                        $each: [{
-                                            price: data.PRICE,
-                                            timestamp: new Date()
-                                        }],
-                                        $slice: -168 // Keep last 7 days (24 * 7 = 168 hourly records)
-                                    }
-                                }
-                            },
-                            { new: true }
-                        )
-                    );
+                if (failedUpdates.length === targets.length) {
+                    throw new Error(`No ${type} prices available from any configured provider`);
                 }
+                console.warn(`No ${type} price for: ${failedUpdates.map(asset => asset.symbol).join(', ')}`);
             }
 
-            await Promise.all(updates);
-            console.log('DeFi prices updated successfully');
+            console.log(`${type} prices updated successfully`);
         } catch (error) {
-            console.error('Error updating DeFi prices:', error);
-            if (retryCount > 0) {
-                console.log(`Retrying DeFi price update. Attempts remaining: ${retryCount - 1}`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
-                return this.updateDefiPrices(retryCount - 1);
-            }
+            console.error(`Error updating ${type} prices:`, error);
             throw error;
         }
     }
 
-    // Update TradFi asset prices from Alpha Vantage with retry mechanism
-    async updateTradfiPrices(retryCount = 3) {
-        try {
-            const tradfiAssets = await Asset.find({ type: 'TRADFI', isActive: true });
-            
-            if (!tradfiAssets.length) return;
-
-            const updates = [];
-            const failedUpdates = [];
-            const batchSize = 75;
-
-            for (let i = 0; i < tradfiAssets.length; i += batchSize) {
-                const batch = tradfiAssets.slice(i, i + batchSize);
-                
-                await Promise.all(batch.map(async (asset) => {
-                    try {
-                        await this.checkRateLimit('alphaVantage');
-
-                        // Check cache first
-                        // const cachedPrice = this.getCachedPrice(asset.symbol);
-                        // console.log("cachedPrice",cachedPrice);
-                        // if (cachedPrice) {
-                        //     return cachedPrice;
-                        // }
-
-                        const response = await axios.get(
-                          "https://www.alphavantage.co/query",
-                          {
-                            params: {
-                              function: "GLOBAL_QUOTE",
-                              entitlement: "delayed",
-                              symbol: asset.symbol,
-                              apikey: this.alphaVantageApiKey,
-                            },
-                          }
-                        );
-
-                        const quote =
-                          response.data[
-                            "Global Quote - DATA DELAYED BY 15 MINUTES"
-                          ];
-                        if (quote) {
-                            // this.setCachedPrice(asset.symbol, response.data);
-                            
-                            const currentPrice = parseFloat(quote['05. price']);
-                            updates.push(
-                                Asset.findOneAndUpdate(
-                                    { _id: asset._id },
-                                    {
-                                        $set: {
-                                            currentPrice: currentPrice,
-                                            change24h: parseFloat(quote['10. change percent'].replace('%', '')),
-                                            lastUpdated: new Date()
-                                        },
-                                        $push: {
-                                            priceHistory: {
-                                                $each: [{
-                                                    price: currentPrice,
-                                                    timestamp: new Date()
-                                                }],
-                                                $slice: -168
-                                            }
-                                        }
-                                    },
-                                    { new: true }
-                                )
-                            );
-                        }
-                    } catch (error) {
-                        console.error(`Error updating price for ${asset.symbol}:`, error);
-                        failedUpdates.push(asset);
-                    }
-                }));
-
-                // Wait between batches to respect rate limits
-                if (i + batchSize < tradfiAssets.length) {
-                    await new Promise(resolve => setTimeout(resolve, 12000));
+    // Persist a consensus quote on the asset document and record it in the price history
+    async saveQuote(asset, quote) {
+        const timestamp = new Date();
+        const updatedAsset = await Asset.findOneAndUpdate(
+            { _id: asset._id },
+            {
+                $set: {
+                    currentPrice: quote.price,
+                    change24h: quote.change24h,
+                    priceSource: quote.source,
+                    priceConfidence: quote.confidence,
+                    lastUpdated: timestamp
                 }
-            }
-
-            await Promise.all(updates);
-
-            // Retry failed updates
-            if (failedUpdates.length > 0 && retryCount > 0) {
-                console.log(`Retrying ${failedUpdates.length} failed updates. Attempts remaining: ${retryCount - 1}`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
-                await this.retryFailedUpdates(failedUpdates, retryCount - 1);
-            }
+            },
+            { new: true }
+        );
 
-            console.log('TradFi prices updated successfully');
+        try {
+            await priceHistoryService.recordTick(asset, quote, timestamp);
         } catch (error) {
-            console.error('Error updating TradFi prices:', error);
-            throw error;
+            console.error(`Error recording price tick for ${asset.symbol}:`, error.message);
         }
+
+        return updatedAsset;
     }
 
-    // Retry mechanism for failed updates
-    async retryFailedUpdates(assets, retryCount) {
-        for (const asset of assets) {
-            try {
-                await this.checkRateLimit('alphaVantage');
-                const response = await axios.get(
-                    'https://www.alphavantage.co/query',
-                    {
-                        params: {
-                            function: 'GLOBAL_QUOTE',
-                            symbol: asset.symbol,
-                            apikey: this.alphaVantageApiKey
-                        }
-                    }
-                );
+    // Consensus prices quoted now, for trades that cannot wait for the next price run
+    // (swaps). The quotes are saved like any other update. Throws when an asset has none.
+    async getLiveQuotes(assets) {
+        const prices = {};
 
-                const quote = response.data['Global Quote'];
-                if (quote) {
-                    this.setCachedPrice(asset.symbol, response.data);
-                    
-                    asset.currentPrice = parseFloat(quote['05. price']);
-                    asset.change24h = parseFloat(quote['10. change percent'].replace('%', ''));
-                    asset.lastUpdated = new Date();
-                    
-                    await asset.save();
-                    console.log(`Successfully retried update for ${asset.symbol}`);
-                }
-            } catch (error) {
-                console.error(`Retry failed for ${asset.symbol}:`, error);
-                if (retryCount > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    await this.retryFailedUpdates([asset], retryCount - 1);
+        for (const type of [...new Set(assets.map(asset => asset.type))]) {
+            const typeAssets = assets.filter(asset => asset.type === type);
+            const quotes = await this.fetchConsensusQuotes(type, typeAssets);
+
+            for (const asset of typeAssets) {
+                const quote = quotes[asset.symbol];
+                if (!quote) {
+                    throw new Error(`No live price for ${asset.symbol}`);
                 }
+                await this.saveQuote(asset, quote);
+                prices[asset.assetId] = quote.price;
             }
         }
+
+        return prices;
     }
 
-    // Get historical prices for an asset with caching
-    async getHistoricalPrices(symbol, type, days = 7) {
-        try {
-            const cacheKey = `${symbol}_historical_${days}`;
-            const cachedData = this.getCachedPrice(cacheKey);
-            if (cachedData) {
-                return cachedData;
+    // Find assets whose price is older than the staleness policy for their type allows.
+    // Assets that were never priced (or no longer exist) count as stale.
+    async getStaleAssets(assetIds) {
+        const assets = await Asset.find({ assetId: { $in: assetIds } })
+            .select('assetId symbol type currentPrice lastUpdated')
+            .lean();
+        const now = Date.now();
+        const staleAssets = [];
+
+        for (const assetId of assetIds) {
+            const asset = assets.find(a => a.assetId === assetId);
+            if (!asset || !asset.currentPrice || !asset.lastUpdated) {
+                staleAssets.push({
+                    assetId,
+                    symbol: asset?.symbol || null,
+                    lastUpdated: asset?.lastUpdated || null,
+                    ageMinutes: null
+                });
+                continue;
             }
 
-            if (type === 'DEFI') {
-                await this.checkRateLimit('cryptoCompare');
-                const response = await axios.get(
-                    'https://min-api.cryptocompare.com/data/v2/histoday',
-                    {
-                        params: {
-                            fsym: symbol,
-                            tsym: 'USD',
-                            limit: days,
-                            toTs: Math.floor(Date.now() / 1000)
-                        },
-                        headers: {
-                            'Authorization': `Apikey ${this.cryptoCompareApiKey}`
-                        }
-                    }
-                );
+            const ageMinutes = (now - new Date(asset.lastUpdated).getTime()) / 60000;
+            const maxAgeMinutes = config.prices.maxAgeMinutes[asset.type];
+            if (maxAgeMinutes && ageMinutes > maxAgeMinutes) {
+                staleAssets.push({
+                    assetId,
+                    symbol: asset.symbol,
+                    lastUpdated: asset.lastUpdated,
+                    ageMinutes: Math.round(ageMinutes)
+                });
+            }
+        }
 
-                const historicalData = response.data.Data.Data.map(item => ({
-                    timestamp: item.time * 1000,
-                    price: item.close
-                }));
+        return staleAssets;
+    }
 
-                this.setCachedPrice(cacheKey, historicalData);
-                return historicalData;
-            } else {
-                await this.checkRateLimit('alphaVantage');
-                const response = await axios.get(
-                    'https://www.alphavantage.co/query',
-                    {
-                        params: {
-                            function: 'TIME_SERIES_DAILY',
-                            symbol: symbol,
-                            apikey: this.alphaVantageApiKey
-                        }
-                    }
-                );
+    // Get historical prices for an asset with caching
+    async getHistoricalPrices(symbol, type, days = 7) {
+        const cacheKey = `${symbol}_historical_${days}`;
+        const cachedData = this.getCachedPrice(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
 
-                const timeSeries = response.data['Time Series (Daily)'];
-                const historicalData = Object.entries(timeSeries)
-                    .slice(0, days)
-                    .map(([date, data]) => ({
-                        timestamp: new Date(date).getTime(),
-                        price: parseFloat(data['4. close'])
-                    }));
+        let lastError = null;
+        for (const provider of priceProviders.getProviders(type)) {
+            if (typeof provider.getHistoricalPrices !== 'function') continue;
 
+            try {
+                const historicalData = await provider.getHistoricalPrices({ symbol, type }, days);
                 this.setCachedPrice(cacheKey, historicalData);
                 return historicalData;
+            } catch (error) {
+                lastError = error;
+                console.error(`Error getting historical prices for ${symbol} from ${provider.name}:`, error.message);
             }
-        } catch (error) {
-            console.error(`Error getting historical prices for ${symbol}:`, error);
-            throw error;
         }
+
+        throw lastError || new Error(`No historical price provider available for ${symbol}`);
     }
 
     // Get current prices for multiple assets
     async getCurrentPrices(assets) {
-        const defiAssets = assets.filter(a => a.type === 'DEFI');
-        const tradfiAssets = assets.filter(a => a.type === 'TRADFI');
         const result = {};
 
         try {
-            if (defiAssets.length > 0) {
-                await this.checkRateLimit('cryptoCompare');
-                const defiSymbols = defiAssets.map(a => a.symbol).join(',');
-                const cachedPrices = this.getCachedPrice(defiSymbols);
-
-                if (cachedPrices) {
-                    Object.assign(result, cachedPrices);
-                } else {
-                    const response = await axios.get(
-                        'https://min-api.cryptocompare.com/data/pricemultifull',
-                        {
-                            params: {
-                                fsyms: defiSymbols,
-                                tsyms: 'USD'
-                            },
-                            headers: {
-                                'Authorization': `Apikey ${this.cryptoCompareApiKey}`
-                            }
-                        }
-                    );
-
-                    if (response.data.RAW) {
-                        const prices = {};
-                        for (const symbol in response.data.RAW) {
-                            const data = response.data.RAW[symbol].USD;
-                            prices[symbol] = {
-                                price: data.PRICE,
-                                change24h: data.CHANGEPCT24HOUR
-                            };
-                        }
-                        this.setCachedPrice(defiSymbols, prices);
-                        Object.assign(result, prices);
-                    }
+            const byType = {};
+            for (const asset of assets) {
+                const cachedPrice = this.getCachedPrice(asset.symbol);
+                if (cachedPrice) {
+                    result[asset.symbol] = cachedPrice;
+                    continue;
                 }
+                (byType[asset.type] = byType[asset.type] || []).push(asset);
             }
 
-            if (tradfiAssets.length > 0) {
-                const batchSize = 5;
-                for (let i = 0; i < tradfiAssets.length; i += batchSize) {
-                    const batch = tradfiAssets.slice(i, i + batchSize);
-                    
-                    await Promise.all(batch.map(async (asset) => {
-                        try {
-                            await this.checkRateLimit('alphaVantage');
-                            const cachedPrice = this.getCachedPrice(asset.symbol);
-
-                            if (cachedPrice) {
-                                result[asset.symbol] = cachedPrice;
-                                return;
-                            }
-
-                            const response = await axios.get(
-                                'https://www.alphavantage.co/query',
-                                {
-                                    params: {
-                                        function: 'GLOBAL_QUOTE',
-                                        symbol: asset.symbol,
-                                        apikey: this.alphaVantageApiKey
-                                    }
-                                }
-                            );
-
-                            const quote = response.data['Global Quote'];
-                            if (quote) {
-                                const price = {
-                                    price: parseFloat(quote['05. price']),
-                                    change24h: parseFloat(quote['10. change percent'].replace('%', ''))
-                                };
-                                this.setCachedPrice(asset.symbol, price);
-                                result[asset.symbol] = price;
-                            }
-                        } catch (error) {
-                            console.error(`Error getting price for ${asset.symbol}:`, error);
-                        }
-                    }));
-
-                    if (i + batchSize < tradfiAssets.length) {
-                        await new Promise(resolve => setTimeout(resolve, 12000));
-                    }
+            for (const [type, typeAssets] of Object.entries(byType)) {
+                const quotes = await this.fetchQuotes(type, typeAssets);
+                for (const [symbol, quote] of Object.entries(quotes)) {
+                    const price = {
+                        price: quote.price,
+                        change24h: quote.change24h
+                    };
+                    this.setCachedPrice(symbol, price);
+                    result[symbol] = price;
                 }
             }
 
@@ -0,0 +1,453 @@
+const { ethers } = require("ethers");
+const config = require("../config");
+const blockchainService = require("./blockchain.service");
+const Game = require("../models/Game");
+const Portfolio = require("../models/Portfolio");
+const User = require("../models/User");
+const ChainEvent = require("../models/ChainEvent");
+const ReconciliationDrift = require("../models/ReconciliationDrift");
+
+// Games that exist on chain
+const RECONCILED_GAME_STATUSES = [
+  "UPCOMING",
+  "PENDING",
+  "ACTIVE",
+  "CALCULATING_WINNERS",
+  "UPDATE_VALUES",
+  "DISTRIBUTING_REWARDS",
+  "COMPLETED",
+];
+
+// Portfolios in these states have a PortfolioCreated event behind them
+const ON_CHAIN_PORTFOLIO_STATUSES = ["PENDING", "LOCKING", "AWAITING DECISION", "LOCKED", "COMPLETED", "WON", "LOST"];
+
+// Markers distributeGameRewards writes for winners that are never paid on chain
+const OFF_CHAIN_DISTRIBUTIONS = ["APE_SYSTEM_WIN", "PORTFOLIO_NOT_FOUND", "ZERO_REWARD"];
+
+const REPAIR_ACTIONS = {
+  PRIZE_POOL: "SYNC_PRIZE_POOL",
+  ENTRY_COUNT: "SYNC_ENTRY_COUNT",
+  REWARD_NOT_ASSIGNED: "REQUEUE_REWARD",
+  REWARD_UNRECORDED: "MARK_REWARD_DISTRIBUTED",
+  REWARD_AMOUNT: "SYNC_REWARD_AMOUNT",
+};
+
+class ReconciliationService {
+  /**
+   * Compare the least recently reconciled games with the contract and update the drift report.
+   * Games that ended within lookbackDays are checked, plus any game that still has OPEN drifts.
+   * @param {Object} options
+   * @param {number} options.limit - Max games checked in this run
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async run({ limit = config.blockchain.reconciliation.gamesPerRun } = {}) {
+    const since = new Date(Date.now() - config.blockchain.reconciliation.lookbackDays * 24 * 60 * 60 * 1000);
+    const openGameIds = await ReconciliationDrift.distinct("gameId", { status: "OPEN" });
+
+    const games = await Game.find({
+      status: { $in: RECONCILED_GAME_STATUSES },
+      $or: [{ endTime: { $gte: since } }, { gameId: { $in: openGameIds } }],
+    })
+      .sort({ reconciledAt: 1 }) // Never-reconciled games (null) first
+      .limit(limit);
+
+    const summary = { games: 0, drifts: 0, opened: 0, resolved: 0, failed: [] };
+    for (const game of games) {
+      try {
+        const result = await this.reconcileGame(game);
+        summary.games++;
+        summary.drifts += result.drifts.length;
+        summary.opened += result.opened;
+        summary.resolved += result.resolved;
+      } catch (error) {
+        console.error(`[RECONCILE] Game ${game.gameId} failed: ${error.message}`);
+        summary.failed.push({ gameId: game.gameId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check one game's prize pool, entry count, portfolio ownership and rewards against its chain
+   * @param {Object} game - Game document
+   * @returns {Promise<{drifts: Array<Object>, opened: number, resolved: number}>}
+   */
+  async reconcileGame(game) {
+    const chain = blockchainService.forChain(game.chainId);
+
+    const drifts = [
+      ...(await this.checkGame(game, chain)),
+      ...(await this.checkPortfolios(game, chain)),
+      ...(await this.checkRewards(game, chain)),
+    ];
+    const { opened, resolved } = await this.recordDrifts(game, chain.chainId, drifts);
+
+    // Not a game change - leave updatedAt alone, the reward grace period is measured from it
+    await Game.updateOne({ _id: game._id }, { $set: { reconciledAt: new Date() } }, { timestamps: false });
+
+    return { drifts, opened, resolved };
+  }
+
+  async checkGame(game, chain) {
+    const details = await chain.getGameDetails(game.gameId);
+    const drifts = [];
+
+    if (BigInt(game.totalPrizePool || "0") !== BigInt(details.totalPrizePool)) {
+      drifts.push({ kind: "PRIZE_POOL", dbValue: game.totalPrizePool || "0", chainValue: details.totalPrizePool });
+    }
+    if ((game.participantCount || 0) !== details.entryCount) {
+      drifts.push({ kind: "ENTRY_COUNT", dbValue: game.participantCount || 0, chainValue: details.entryCount });
+    }
+
+    return drifts;
+  }
+
+  async checkPortfolios(game, chain) {
+    const portfolios = await Portfolio.find({
+      gameId: game.gameId,
+      isApe: { $ne: true }, // Database-only
+      status: { $in: ON_CHAIN_PORTFOLIO_STATUSES },
+    }).populate("userId", "address");
+    const drifts = [];
+
+    for (const portfolio of portfolios) {
+      const { portfolioId } = portfolio;
+      const owner = (await chain.getPortfolioOwner(portfolioId)).toLowerCase();
+      const userAddress = portfolio.userId?.address?.toLowerCase() || null;
+
+      if (owner === ethers.constants.AddressZero) {
+        drifts.push({
+          kind: "PORTFOLIO_MISSING",
+          portfolioId,
+          dbValue: { status: portfolio.status, owner: userAddress },
+          chainValue: null,
+        });
+        continue;
+      }
+
+      if (owner !== userAddress) {
+        // Repairable only when the on-chain owner is one of our users
+        const owningUser = await User.findByAddress(owner);
+        drifts.push({
+          kind: "PORTFOLIO_OWNER",
+          portfolioId,
+          dbValue: userAddress,
+          chainValue: owner,
+          repairAction: owningUser ? "SYNC_PORTFOLIO_OWNER" : null,
+        });
+      }
+
+      const chainGameId = await chain.getPortfolioGameId(portfolioId);
+      if (chainGameId !== game.gameId) {
+        drifts.push({ kind: "PORTFOLIO_GAME", portfolioId, dbValue: game.gameId, chainValue: chainGameId });
+      }
+    }
+
+    return drifts;
+  }
+
+  async checkRewards(game, chain) {
+    if (!game.hasCalculatedWinners) {
+      return [];
+    }
+    // A distribution may be in flight: wait until the game has been quiet for a while
+    const graceMs = config.blockchain.reconciliation.settleGraceMinutes * 60 * 1000;
+    if (game.status !== "COMPLETED" && Date.now() - game.updatedAt.getTime() < graceMs) {
+      return [];
+    }
+
+    const winners = game.winners.filter(
+      (winner) => !OFF_CHAIN_DISTRIBUTIONS.includes(winner.distributionTransactionHash)
+    );
+    const portfolioIds = winners.map((winner) => winner.portfolioId);
+    const portfolios = await Portfolio.find({ portfolioId: { $in: portfolioIds } })
+      .select("portfolioId isApe gameOutcome")
+      .lean();
+    const portfolioById = new Map(portfolios.map((portfolio) => [portfolio.portfolioId, portfolio]));
+
+    // Amounts come from indexed RewardAssigned events - the contract only exposes a flag
+    const rewardEvents = await ChainEvent.find({
+      chainId: chain.chainId,
+      name: "RewardAssigned",
+      removed: false,
+      "args.portfolioId": { $in: portfolioIds.map(String) },
+    }).lean();
+    const assignedAmounts = new Map(rewardEvents.map((event) => [Number(event.args.portfolioId), event.args.amount]));
+
+    const drifts = [];
+    for (const winner of winners) {
+      const portfolio = portfolioById.get(winner.portfolioId);
+      if (!portfolio || portfolio.isApe) continue;
+
+      const portfolioReward = portfolio.gameOutcome?.reward || "0";
+      const isAssigned = await chain.isRewardAssigned(winner.portfolioId);
+
+      if (winner.isRewardDistributed && !isAssigned && BigInt(portfolioReward) > 0n) {
+        drifts.push({
+          kind: "REWARD_NOT_ASSIGNED",
+          portfolioId: winner.portfolioId,
+          dbValue: { isRewardDistributed: true, transactionHash: winner.distributionTransactionHash || null },
+          chainValue: { isRewardAssigned: false },
+        });
+      }
+      if (!winner.isRewardDistributed && isAssigned) {
+        drifts.push({
+          kind: "REWARD_UNRECORDED",
+          portfolioId: winner.portfolioId,
+          dbValue: { isRewardDistributed: false },
+          chainValue: { isRewardAssigned: true },
+        });
+      }
+
+      const chainAmount = assignedAmounts.get(winner.portfolioId);
+      if (isAssigned && chainAmount !== undefined) {
+        const winnerReward = winner.reward ?? null;
+        if (
+          BigInt(portfolioReward) !== BigInt(chainAmount) ||
+          (winnerReward !== null && BigInt(winnerReward) !== BigInt(chainAmount))
+        ) {
+          drifts.push({
+            kind: "REWARD_AMOUNT",
+            portfolioId: winner.portfolioId,
+            dbValue: { portfolioReward, winnerReward },
+            chainValue: chainAmount,
+          });
+        }
+      }
+    }
+
+    return drifts;
+  }
+
+  /**
+   * Upsert the drifts found for a game and resolve its OPEN drifts that were not found again
+   * @returns {Promise<{opened: number, resolved: number}>}
+   */
+  async recordDrifts(game, chainId, drifts) {
+    const now = new Date();
+    let opened = 0;
+
+    for (const drift of drifts) {
+      const key = { chainId, gameId: game.gameId, kind: drift.kind, portfolioId: drift.portfolioId ?? null };
+      const repairAction = drift.repairAction !== undefined ? drift.repairAction : REPAIR_ACTIONS[drift.kind] || null;
+
+      const previous = await ReconciliationDrift.findOneAndUpdate(
+        key,
+        {
+          $set: {
+            status: "OPEN",
+            dbValue: drift.dbValue,
+            chainValue: drift.chainValue,
+            repairAction,
+            lastSeenAt: now,
+            resolvedAt: null,
+          },
+          $setOnInsert: { firstSeenAt: now },
+        },
+        { upsert: true }
+      );
+
+      if (!previous || previous.status !== "OPEN") {
+        opened++;
+        console.warn(
+          `[RECONCILE] Game ${game.gameId}${key.portfolioId ? ` portfolio ${key.portfolioId}` : ""}: ${
+            drift.kind
+          } (db ${JSON.stringify(drift.dbValue)}, chain ${JSON.stringify(drift.chainValue)})`
+        );
+      }
+    }
+
+    const { modifiedCount } = await ReconciliationDrift.updateMany(
+      { chainId, gameId: game.gameId, status: "OPEN", lastSeenAt: { $lt: now } },
+      { $set: { status: "RESOLVED", resolvedAt: now } }
+    );
+
+    return { opened, resolved: modifiedCount };
+  }
+
+  /**
+   * Run an OPEN drift's repair action. The chain is read again first, so a repair never
+   * writes a value that has changed since the drift was recorded.
+   * @param {string} driftId - ReconciliationDrift id
+   * @param {string} repairedBy - Admin running the repair
+   * @returns {Promise<Object>} The repaired drift
+   */
+  async repair(driftId, repairedBy) {
+    const drift = await ReconciliationDrift.findById(driftId);
+    if (!drift) {
+      throw new Error(`Drift ${driftId} not found`);
+    }
+    if (drift.status !== "OPEN") {
+      throw new Error(`Only OPEN drifts can be repaired (drift is ${drift.status})`);
+    }
+    if (!drift.repairAction) {
+      throw new Error(`${drift.kind} drifts have no automatic repair - they need to be fixed by hand`);
+    }
+
+    const game = await Game.findOne({ gameId: drift.gameId });
+    if (!game) {
+      throw new Error(`Game ${drift.gameId} not found`);
+    }
+    const chain = blockchainService.forChain(drift.chainId);
+
+    let detail;
+    switch (drift.repairAction) {
+      case "SYNC_PRIZE_POOL":
+        detail = await this.syncPrizePool(game, chain);
+        break;
+      case "SYNC_ENTRY_COUNT":
+        detail = await this.syncEntryCount(game, chain);
+        break;
+      case "SYNC_PORTFOLIO_OWNER":
+        detail = await this.syncPortfolioOwner(drift.portfolioId, chain);
+        break;
+      case "REQUEUE_REWARD":
+        detail = await this.requeueReward(game, drift.portfolioId, chain);
+        break;
+      case "MARK_REWARD_DISTRIBUTED":
+        detail = await this.markRewardDistributed(game, drift.portfolioId, chain);
+        break;
+      case "SYNC_REWARD_AMOUNT":
+        detail = await this.syncRewardAmount(game, drift.portfolioId, chain);
+        break;
+      default:
+        throw new Error(`Unknown repair action: ${drift.repairAction}`);
+    }
+
+    drift.status = "REPAIRED";
+    drift.resolvedAt = new Date();
+    drift.repairs.push({ action: drift.repairAction, repairedBy, repairedAt: drift.resolvedAt, detail });
+    await drift.save();
+
+    console.log(`[RECONCILE] Game ${drift.gameId}: ${drift.repairAction} by ${repairedBy} - ${detail}`);
+    return drift;
+  }
+
+  async syncPrizePool(game, chain) {
+    const { totalPrizePool } = await chain.getGameDetails(game.gameId);
+    const previous = game.totalPrizePool;
+    game.totalPrizePool = totalPrizePool;
+    await game.save();
+    return `totalPrizePool ${previous} -> ${totalPrizePool}`;
+  }
+
+  async syncEntryCount(game, chain) {
+    const { entryCount } = await chain.getGameDetails(game.gameId);
+    const previous = game.participantCount;
+    game.participantCount = entryCount;
+    await game.save();
+    return `participantCount ${previous} -> ${entryCount}`;
+  }
+
+  async syncPortfolioOwner(portfolioId, chain) {
+    const owner = await chain.getPortfolioOwner(portfolioId);
+    const user = await User.findByAddress(owner);
+    if (!user) {
+      throw new Error(`On-chain owner ${owner} of portfolio ${portfolioId} is not a user`);
+    }
+
+    const portfolio = await Portfolio.findOne({ portfolioId });
+    if (!portfolio) {
+      throw new Error(`Portfolio ${portfolioId} not found`);
+    }
+    const previous = portfolio.userId;
+    portfolio.userId = user._id;
+    await portfolio.save();
+    return `userId ${previous} -> ${user._id} (${owner.toLowerCase()})`;
+  }
+
+  // The reward cron picks the game up again and sends the reward in a new batch
+  async requeueReward(game, portfolioId, chain) {
+    if (await chain.isRewardAssigned(portfolioId)) {
+      throw new Error(`Reward for portfolio ${portfolioId} is assigned on chain now - nothing to re-send`);
+    }
+    const winner = game.winners.find((w) => w.portfolioId === portfolioId);
+    if (!winner) {
+      throw new Error(`Portfolio ${portfolioId} is not a winner of game ${game.gameId}`);
+    }
+
+    const previousHash = winner.distributionTransactionHash;
+    winner.isRewardDistributed = false;
+    winner.distributionTransactionHash = undefined;
+    game.isFullyDistributed = false;
+    game.status = "CALCULATING_WINNERS";
+    await game.save();
+
+    await Portfolio.updateOne({ portfolioId }, { $unset: { "gameOutcome.rewardTransactionHash": "" } });
+    return `re-queued for distribution (was ${previousHash || "unrecorded"})`;
+  }
+
+  async markRewardDistributed(game, portfolioId, chain) {
+    if (!(await chain.isRewardAssigned(portfolioId))) {
+      throw new Error(`Reward for portfolio ${portfolioId} is not assigned on chain`);
+    }
+    const winner = game.winners.find((w) => w.portfolioId === portfolioId);
+    if (!winner) {
+      throw new Error(`Portfolio ${portfolioId} is not a winner of game ${game.gameId}`);
+    }
+
+    // The RewardAssigned event, when indexed, tells which transaction paid it
+    const event = await ChainEvent.findOne({
+      chainId: chain.chainId,
+      name: "RewardAssigned",
+      removed: false,
+      "args.portfolioId": String(portfolioId),
+    }).lean();
+    const transactionHash = event ? event.transactionHash : "RECONCILED";
+
+    await game.markWinnerRewardDistributed(winner._id, transactionHash);
+    await Portfolio.updateOne({ portfolioId }, { $set: { "gameOutcome.rewardTransactionHash": transactionHash } });
+    return `marked distributed (${transactionHash})`;
+  }
+
+  async syncRewardAmount(game, portfolioId, chain) {
+    const event = await ChainEvent.findOne({
+      chainId: chain.chainId,
+      name: "RewardAssigned",
+      removed: false,
+      "args.portfolioId": String(portfolioId),
+    }).lean();
+    if (!event) {
+      throw new Error(`No indexed RewardAssigned event for portfolio ${portfolioId}`);
+    }
+    const amount = event.args.amount;
+
+    const winner = game.winners.find((w) => w.portfolioId === portfolioId);
+    if (winner) {
+      winner.reward = amount;
+      await game.save();
+    }
+    await Portfolio.updateOne({ portfolioId }, { $set: { "gameOutcome.reward": amount } });
+    return `reward -> ${amount} (tx ${event.transactionHash})`;
+  }
+
+  /**
+   * Drift report for the admin endpoint, most recently seen first
+   * @param {Object} filter
+   * @param {string} filter.status - OPEN, RESOLVED or REPAIRED
+   * @param {string} filter.kind - Drift kind
+   * @param {number} filter.gameId
+   * @param {number} filter.chainId
+   * @param {number} filter.limit - Max drifts returned
+   */
+  async getReport({ status, kind, gameId, chainId, limit = 100 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (kind) query.kind = kind;
+    if (gameId) query.gameId = gameId;
+    if (chainId) query.chainId = chainId;
+
+    const [drifts, counts] = await Promise.all([
+      ReconciliationDrift.find(query).sort({ lastSeenAt: -1 }).limit(limit).lean(),
+      ReconciliationDrift.aggregate([{ $match: { status: "OPEN" } }, { $group: { _id: "$kind", count: { $sum: 1 } } }]),
+    ]);
+
+    return {
+      openByKind: counts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {}),
+      drifts,
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,351 @@
+const { ethers } = require("ethers");
+const config = require("../config");
+const blockchainService = require("./blockchain.service");
+const ledgerService = require("./ledger.service");
+const Game = require("../models/Game");
+const Portfolio = require("../models/Portfolio");
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const ChainEvent = require("../models/ChainEvent");
+const Notification = require("../models/Notification");
+
+// Portfolios whose entry fee was paid on chain. A PENDING_LOCK_BALANCE portfolio confirmed
+// after its game was cancelled is refunded on its own by the chain indexer.
+const PAID_PORTFOLIO_STATUSES = ["PENDING", "LOCKING", "AWAITING DECISION", "LOCKED", "COMPLETED", "WON", "LOST"];
+
+// Rewards are being (or have been) paid from the prize pool
+const SETTLED_GAME_STATUSES = ["DISTRIBUTING_REWARDS", "COMPLETED"];
+
+class RefundService {
+  /**
+   * Cancel a game and mark its entry fees for refund. A FAILED game keeps its status,
+   * any other game becomes CANCELLED. The refunds are paid by processRefunds().
+   * @param {Object} game - Game document
+   * @param {Object} options
+   * @param {string} options.reason - Shown to players
+   * @param {string} options.requestedBy - Admin email, or "system"
+   * @returns {Promise<Object>} The game
+   */
+  async cancelGame(game, { reason, requestedBy }) {
+    if (game.refund?.status) {
+      throw new Error(`Game ${game.gameId} refund is already ${game.refund.status}`);
+    }
+
+    const paidRewards = game.winners.filter(
+      (w) => w.isRewardDistributed && w.distributionTransactionHash?.startsWith("0x")
+    );
+    if (SETTLED_GAME_STATUSES.includes(game.status) || paidRewards.length > 0) {
+      throw new Error(`Game ${game.gameId} is ${game.status} and has paid rewards - it cannot be refunded`);
+    }
+
+    if (game.status !== "FAILED") {
+      game.status = "CANCELLED";
+    }
+    game.refund = {
+      status: "PENDING",
+      reason,
+      requestedBy,
+      requestedAt: new Date(),
+    };
+    await game.save();
+
+    console.log(`[REFUND] Game ${game.gameId} cancelled by ${requestedBy}: ${reason}`);
+    return game;
+  }
+
+  /**
+   * Take one paid portfolio out of a game it cannot play, and mark its entry fee for
+   * refund. The rest of the game goes on; the refund is paid by processPortfolioRefunds().
+   * @param {Object} portfolio - Portfolio document
+   * @param {string} reason - Shown to the player
+   * @returns {Promise<Object>} The portfolio
+   */
+  async requestPortfolioRefund(portfolio, reason) {
+    portfolio.status = "FAILED";
+    portfolio.error = reason;
+    // The house's APE portfolio paid no entry fee
+    if (!portfolio.isApe) {
+      portfolio.refund = { reason, requestedAt: new Date() };
+    }
+    await portfolio.save();
+
+    console.log(`[REFUND] Portfolio ${portfolio.portfolioId} of game ${portfolio.gameId} leaves the game: ${reason}`);
+    return portfolio;
+  }
+
+  /**
+   * Whether a game due to start has fewer players than its minPlayers
+   * @param {Object} game - Game document
+   * @returns {Promise<boolean>}
+   */
+  async isBelowMinPlayers(game) {
+    if (!game.minPlayers) {
+      return false;
+    }
+    const players = await Portfolio.countDocuments({
+      gameId: game.gameId,
+      isApe: { $ne: true },
+      status: { $in: PAID_PORTFOLIO_STATUSES },
+    });
+    return players < game.minPlayers;
+  }
+
+  /**
+   * Cancel FAILED games left unfixed for failedGameGraceMinutes, pay the refunds of
+   * the oldest cancelled games, then those of single portfolios taken out of a game
+   * @returns {Promise<Object>} { cancelled, refunded, failed, portfoliosRefunded, portfoliosFailed }
+   */
+  async run() {
+    const { autoRefundFailedGames, failedGameGraceMinutes, failedGameLookbackDays, gamesPerRun } = config.game.refunds;
+    const now = Date.now();
+    let cancelled = 0;
+
+    if (autoRefundFailedGames) {
+      const failedGames = await Game.find({
+        status: "FAILED",
+        "refund.status": null,
+        updatedAt: {
+          $lte: new Date(now - failedGameGraceMinutes * 60 * 1000),
+          $gte: new Date(now - failedGameLookbackDays * 24 * 60 * 60 * 1000),
+        },
+      });
+
+      for (const game of failedGames) {
+        try {
+          await this.cancelGame(game, { reason: game.error || "Game failed", requestedBy: "system" });
+          cancelled++;
+        } catch (error) {
+          console.warn(`[REFUND] FAILED game ${game.gameId} not refunded: ${error.message}`);
+        }
+      }
+    }
+
+    const games = await Game.find({ "refund.status": { $in: ["PENDING", "IN_PROGRESS"] } })
+      .sort({ "refund.requestedAt": 1 })
+      .limit(gamesPerRun);
+
+    let refunded = 0;
+    let failed = 0;
+    for (const game of games) {
+      try {
+        await this.processRefunds(game);
+        refunded++;
+      } catch (error) {
+        console.error(`[REFUND] Game ${game.gameId}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    const { refunded: portfoliosRefunded, failed: portfoliosFailed } = await this.processPortfolioRefunds();
+
+    return { cancelled, refunded, failed, portfoliosRefunded, portfoliosFailed };
+  }
+
+  /**
+   * Pay the refunds requested by requestPortfolioRefund(), oldest first. A refund that
+   * fails keeps its error on the portfolio and is retried on the next run.
+   * @returns {Promise<Object>} { refunded, failed }
+   */
+  async processPortfolioRefunds() {
+    const portfolios = await Portfolio.find({ status: "FAILED", "refund.requestedAt": { $ne: null } })
+      .sort({ "refund.requestedAt": 1 })
+      .limit(config.game.refunds.portfoliosPerRun);
+
+    let refunded = 0;
+    let failed = 0;
+    for (const portfolio of portfolios) {
+      try {
+        const game = await Game.findOne({ gameId: portfolio.gameId });
+        if (!game) {
+          throw new Error(`Game ${portfolio.gameId} not found`);
+        }
+        await this.refundSinglePortfolio(game, portfolio);
+        refunded++;
+      } catch (error) {
+        console.error(`[REFUND] Portfolio ${portfolio.portfolioId}: ${error.message}`);
+        portfolio.refund.error = error.message;
+        await portfolio.save();
+        failed++;
+      }
+    }
+    return { refunded, failed };
+  }
+
+  // The rest of the game keeps its prize pool: only this entry's net fee leaves it, so the
+  // admin wallet first puts back the admin fee taken when the entry was paid. The top-up is
+  // recorded on the portfolio, so a retry never pays it twice.
+  async refundSinglePortfolio(game, portfolio) {
+    const chainService = blockchainService.forChain(game.chainId);
+    const { entryFee, adminFee } = await this.getEntryFee(chainService, portfolio);
+
+    if (!portfolio.refund.topUpTransactionHash && BigInt(adminFee) > 0n) {
+      const result = await chainService.addToPrizePool(game.gameId, adminFee);
+      portfolio.refund.topUpAmount = adminFee;
+      portfolio.refund.topUpTransactionHash = result.transactionHash;
+      await portfolio.save();
+
+      await ledgerService.recordPrizePoolTopUp({
+        chainId: chainService.chainId,
+        gameId: game.gameId,
+        transactionHash: result.transactionHash,
+        amount: adminFee,
+      });
+    }
+
+    await this.refundPortfolio(game, chainService, portfolio, entryFee, portfolio.refund.reason);
+  }
+
+  /**
+   * Refund every paid, non-APE portfolio of a cancelled game. Safe to run again
+   * after a failure: refunded portfolios are skipped and each refund is an
+   * idempotent queue job.
+   * @param {Object} game - Game document with a PENDING or IN_PROGRESS refund
+   */
+  async processRefunds(game) {
+    const chainService = blockchainService.forChain(game.chainId);
+
+    game.refund.status = "IN_PROGRESS";
+    game.refund.error = null;
+    await game.save();
+
+    try {
+      const portfolios = await Portfolio.find({
+        gameId: game.gameId,
+        isApe: { $ne: true },
+        status: { $in: PAID_PORTFOLIO_STATUSES },
+      });
+
+      const refunds = [];
+      for (const portfolio of portfolios) {
+        const { entryFee } = await this.getEntryFee(chainService, portfolio);
+        refunds.push({ portfolio, amount: entryFee });
+      }
+
+      const owed = refunds.reduce((sum, { amount }) => sum + BigInt(amount), 0n);
+      if (owed > 0n) {
+        await this.topUpPrizePool(game, chainService, owed);
+      }
+
+      for (const { portfolio, amount } of refunds) {
+        await this.refundPortfolio(game, chainService, portfolio, amount, `${game.name} was cancelled`);
+      }
+
+      game.refund.status = "COMPLETED";
+      game.refund.completedAt = new Date();
+      await game.save();
+      console.log(`[REFUND] ✅ Game ${game.gameId}: ${game.refund.refundedCount} portfolio(s) refunded`);
+    } catch (error) {
+      // Stays IN_PROGRESS - the next run picks it up again
+      game.refund.error = error.message;
+      await game.save();
+      throw error;
+    }
+  }
+
+  // Entry fee (and the admin fee taken from it) paid for a portfolio, from its
+  // PortfolioEntryFeePaid event. Without the event nothing is refunded: the error is kept
+  // on the refund for an admin to review, and the refund is retried on the next run.
+  async getEntryFee(chainService, portfolio) {
+    const event = await ChainEvent.findOne({
+      chainId: chainService.chainId,
+      name: "PortfolioEntryFeePaid",
+      "args.portfolioId": String(portfolio.portfolioId),
+      removed: false,
+    })
+      .select("args")
+      .lean();
+
+    if (!event) {
+      throw new Error(`No PortfolioEntryFeePaid event indexed for portfolio ${portfolio.portfolioId}`);
+    }
+    return { entryFee: String(event.args.entryFee), adminFee: String(event.args.adminFee || "0") };
+  }
+
+  // The admin fees left the prize pool when the entries were paid; the admin wallet puts
+  // back whatever the pool is short. The shortfall is read from the chain each time, so
+  // a retry never tops up twice.
+  async topUpPrizePool(game, chainService, owed) {
+    const gameDetails = await chainService.getGameDetails(game.gameId);
+    const available = BigInt(gameDetails.totalPrizePool) - BigInt(gameDetails.totalRewardDistributed);
+    const shortfall = owed - available;
+    if (shortfall <= 0n) {
+      return;
+    }
+
+    const shortfallUSDC = ethers.utils.formatUnits(shortfall.toString(), 18);
+    console.log(`[REFUND] Game ${game.gameId}: topping up prize pool by ${shortfallUSDC} USDC`);
+    const result = await chainService.addToPrizePool(game.gameId, shortfall.toString());
+
+    game.refund.topUpAmount = (BigInt(game.refund.topUpAmount || "0") + shortfall).toString();
+    game.refund.topUpTransactionHash = result.transactionHash;
+    await game.save();
+
+    await ledgerService.recordPrizePoolTopUp({
+      chainId: chainService.chainId,
+      gameId: game.gameId,
+      transactionHash: result.transactionHash,
+      amount: shortfall.toString(),
+    });
+  }
+
+  async refundPortfolio(game, chainService, portfolio, amount, reason) {
+    const { transactionHash, receipt } = await chainService.refundEntryFee(game.gameId, portfolio.portfolioId, amount);
+    const user = await User.findById(portfolio.userId).select("address").lean();
+
+    const existingTransaction = await Transaction.findOne({ transactionHash });
+    if (!existingTransaction) {
+      await Transaction.create({
+        transactionHash,
+        userId: portfolio.userId,
+        chainId: chainService.chainId,
+        type: "REFUND",
+        amount,
+        gameId: game.gameId,
+        portfolioId: portfolio.portfolioId,
+        status: "COMPLETED",
+        blockNumber: receipt.blockNumber,
+        blockTimestamp: new Date(),
+        fromAddress: chainService.contractAddress,
+        toAddress: user?.address || chainService.contractAddress,
+        gasUsed: receipt.gasUsed.toString(),
+        gasPrice: receipt.effectiveGasPrice.toString(),
+        networkFee: receipt.gasUsed.mul(receipt.effectiveGasPrice).toString(),
+        metadata: { reason },
+      });
+    }
+
+    portfolio.status = "REFUNDED";
+    portfolio.refund.amount = amount;
+    portfolio.refund.transactionHash = transactionHash;
+    portfolio.refund.refundedAt = new Date();
+    portfolio.refund.error = null;
+    await portfolio.save();
+
+    // Portfolios refunded alone are not part of a game cancellation
+    if (game.refund?.status) {
+      game.refund.refundedCount = (game.refund.refundedCount || 0) + 1;
+      game.refund.refundedAmount = (BigInt(game.refund.refundedAmount || "0") + BigInt(amount)).toString();
+      await game.save();
+    }
+
+    await ledgerService.recordRefund({
+      chainId: chainService.chainId,
+      userId: portfolio.userId,
+      gameId: game.gameId,
+      portfolioId: portfolio.portfolioId,
+      transactionHash,
+      amount,
+    });
+
+    await new Notification({
+      userId: portfolio.userId,
+      type: "PORTFOLIO_REFUNDED",
+      message: `${reason} - the ${ethers.utils.formatUnits(amount, 18)} USDC entry fee for ${
+        portfolio.portfolioName
+      } was returned to your balance`,
+      metadata: { gameId: game.gameId, portfolioId: portfolio.portfolioId, amount, transactionHash },
+    }).save();
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,159 @@
+const Game = require("../models/Game");
+const Portfolio = require("../models/Portfolio");
+const GamePriceSnapshot = require("../models/GamePriceSnapshot");
+const { getCalculator } = require("./win-conditions");
+
+// Values are recomputed with the same float maths as Portfolio.calculateValue,
+// so anything beyond rounding noise is a real difference
+const VALUE_TOLERANCE = 1e-6;
+
+const SETTLED_GAME_STATUSES = ["DISTRIBUTING_REWARDS", "COMPLETED"];
+
+class SettlementReplayService {
+  // Recompute final values, ranks and rewards for a settled game and diff them against
+  // what was stored. Read-only: nothing is written to the database or the chain.
+  async replayGame(gameId) {
+    const game = await Game.findOne({ gameId });
+    if (!game) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+    if (!game.hasCalculatedWinners && !SETTLED_GAME_STATUSES.includes(game.status)) {
+      throw new Error(`Game ${gameId} has not been settled (status: ${game.status})`);
+    }
+
+    const portfolios = await Portfolio.find({
+      gameId: game.gameId,
+      status: { $in: ["WON", "LOST"] },
+    })
+      .select(
+        "portfolioId portfolioName userId status assets initialValue currentValue performancePercentage gameOutcome createdAt"
+      )
+      .lean();
+
+    const snapshot = await GamePriceSnapshot.findOne({ gameId: game.gameId, kind: "SETTLEMENT" });
+    const prices = snapshot ? snapshot.getPriceMap() : null;
+
+    const replayedPortfolios = portfolios.map((portfolio) => this.revaluePortfolio(portfolio, prices));
+
+    const totalPrizePool = BigInt(game.totalPrizePool || "0");
+    const calculator = getCalculator(game.winCondition.type);
+    const outcome = calculator.computeOutcome(game, replayedPortfolios, totalPrizePool);
+
+    return this.buildReport(game, portfolios, replayedPortfolios, outcome, snapshot);
+  }
+
+  // Final value from the settlement snapshot; falls back to the stored value when
+  // there is no snapshot (games settled before snapshots existed) or a price is missing
+  revaluePortfolio(portfolio, prices) {
+    const missingAssets = prices ? portfolio.assets.filter((asset) => !isFinite(prices[asset.assetId])) : [];
+
+    if (!prices || missingAssets.length > 0) {
+      return {
+        ...portfolio,
+        valueSource: prices ? "STORED_MISSING_PRICES" : "STORED",
+        missingAssets: missingAssets.map((asset) => asset.symbol),
+      };
+    }
+
+    const currentValue = portfolio.assets.reduce(
+      (total, asset) => total + Portfolio.positionValue(asset, prices[asset.assetId]),
+      0
+    );
+
+    return {
+      ...portfolio,
+      currentValue,
+      performancePercentage: ((currentValue - portfolio.initialValue) / portfolio.initialValue) * 100,
+      valueSource: "SETTLEMENT_SNAPSHOT",
+      missingAssets: [],
+    };
+  }
+
+  buildReport(game, storedPortfolios, replayedPortfolios, outcome, snapshot) {
+    const outcomeById = new Map(outcome.results.map((result) => [result.portfolioId, result]));
+    const replayedById = new Map(replayedPortfolios.map((portfolio) => [portfolio.portfolioId, portfolio]));
+
+    const portfolios = storedPortfolios.map((stored) => {
+      const replayed = replayedById.get(stored.portfolioId);
+      const result = outcomeById.get(stored.portfolioId);
+
+      const storedView = {
+        currentValue: stored.currentValue,
+        performancePercentage: stored.performancePercentage,
+        rank: stored.gameOutcome?.rank ?? null,
+        isWinner: !!stored.gameOutcome?.isWinner,
+        reward: stored.gameOutcome?.reward || "0",
+      };
+      const replayedView = {
+        currentValue: replayed.currentValue,
+        performancePercentage: replayed.performancePercentage,
+        rank: result ? result.rank : null,
+        isWinner: result ? result.isWinner : false,
+        reward: result ? result.reward : "0",
+      };
+
+      const differences = [];
+      if (Math.abs(storedView.currentValue - replayedView.currentValue) > VALUE_TOLERANCE) {
+        differences.push("currentValue");
+      }
+      if (Math.abs(storedView.performancePercentage - replayedView.performancePercentage) > VALUE_TOLERANCE) {
+        differences.push("performancePercentage");
+      }
+      for (const field of ["rank", "isWinner", "reward"]) {
+        if (storedView[field] !== replayedView[field]) {
+          differences.push(field);
+        }
+      }
+
+      return {
+        portfolioId: stored.portfolioId,
+        portfolioName: stored.portfolioName,
+        userId: stored.userId,
+        valueSource: replayed.valueSource,
+        missingAssets: replayed.missingAssets,
+        stored: storedView,
+        replayed: replayedView,
+        differences,
+      };
+    });
+
+    // Game.winners should list exactly the portfolios the calculator marks as winners
+    const storedWinnerIds = game.winners.map((winner) => winner.portfolioId);
+    const replayedWinnerIds = outcome.results.filter((result) => result.isWinner).map((result) => result.portfolioId);
+
+    const winners = {
+      stored: storedWinnerIds,
+      replayed: replayedWinnerIds,
+      missing: replayedWinnerIds.filter((id) => !storedWinnerIds.includes(id)),
+      unexpected: storedWinnerIds.filter((id) => !replayedWinnerIds.includes(id)),
+    };
+
+    const mismatchedPortfolios = portfolios.filter((portfolio) => portfolio.differences.length > 0);
+    const matches =
+      !outcome.error &&
+      mismatchedPortfolios.length === 0 &&
+      winners.missing.length === 0 &&
+      winners.unexpected.length === 0;
+
+    return {
+      gameId: game.gameId,
+      gameType: game.gameType,
+      status: game.status,
+      winCondition: game.winCondition.type,
+      totalPrizePool: game.totalPrizePool,
+      settlementSnapshot: snapshot ? { takenAt: snapshot.takenAt, assetCount: snapshot.prices.length } : null,
+      calculatorError: outcome.error,
+      matches,
+      summary: {
+        portfolios: portfolios.length,
+        mismatchedPortfolios: mismatchedPortfolios.length,
+        missingWinners: winners.missing.length,
+        unexpectedWinners: winners.unexpected.length,
+      },
+      winners,
+      portfolios,
+    };
+  }
+}
+
+module.exports = new SettlementReplayService();
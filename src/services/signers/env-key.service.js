@@ -0,0 +1,39 @@
+/**
+ * Env Key Signer
+ *
+ * Raw private keys from the environment (ADMIN_PRIVATE_KEY, OPERATOR_PRIVATE_KEYS,
+ * WITHDRAWAL_WALLET_PRIVATE_KEY). Simplest setup, but the keys sit in plaintext in
+ * the env file - prefer the keystore or remote backend in production.
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+
+class EnvKeySigner {
+  constructor() {
+    this.name = "env";
+  }
+
+  /**
+   * Key references for each role
+   * @returns {{ admin: string, operators: Array<string>, withdrawal: string|null }}
+   */
+  getRefs() {
+    return {
+      admin: config.blockchain.privateKey,
+      operators: config.blockchain.operators.privateKeys,
+      withdrawal: config.blockchain.withdrawalPrivateKey || null,
+    };
+  }
+
+  /**
+   * @param {string} privateKey
+   * @param {ethers.providers.Provider} provider
+   * @returns {ethers.Wallet}
+   */
+  createSigner(privateKey, provider) {
+    return new ethers.Wallet(privateKey, provider);
+  }
+}
+
+module.exports = new EnvKeySigner();
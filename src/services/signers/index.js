@@ -0,0 +1,59 @@
+/**
+ * Signers
+ *
+ * Each backend module exposes the same interface:
+ * - name: unique identifier used in configuration (SIGNER_BACKEND)
+ * - getRefs(): resolves the configured admin, operator and withdrawal keys to
+ *   backend-specific references (private keys, keystore files, addresses)
+ * - createSigner(ref, provider): returns an ethers Signer with a synchronous
+ *   `address`, signMessage(), _signTypedData() and sendTransaction()
+ *
+ * BlockchainService only sees ethers Signers, so it does not know (or care)
+ * which backend holds the keys.
+ */
+
+const config = require("../../config");
+const envKeySigner = require("./env-key.service");
+const keystoreSigner = require("./keystore.service");
+const remoteSigner = require("./remote.service");
+
+const backends = new Map([
+  [envKeySigner.name, envKeySigner],
+  [keystoreSigner.name, keystoreSigner],
+  [remoteSigner.name, remoteSigner],
+]);
+
+module.exports = {
+  envKeySigner,
+  keystoreSigner,
+  remoteSigner,
+
+  /**
+   * Get the configured backend
+   * @returns {Object} The backend module
+   */
+  getBackend() {
+    const name = config.blockchain.signer.backend;
+    const backend = backends.get(name);
+    if (!backend) {
+      throw new Error(`Unknown signer backend: ${name}`);
+    }
+    return backend;
+  },
+
+  /**
+   * Create every configured signer, connected to a provider
+   * @param {ethers.providers.Provider} provider
+   * @returns {{ admin: ethers.Signer, operators: Array<ethers.Signer>, withdrawal: ethers.Signer|null }}
+   */
+  createSigners(provider) {
+    const backend = this.getBackend();
+    const refs = backend.getRefs();
+
+    return {
+      admin: backend.createSigner(refs.admin, provider),
+      operators: refs.operators.map((ref) => backend.createSigner(ref, provider)),
+      withdrawal: refs.withdrawal ? backend.createSigner(refs.withdrawal, provider) : null,
+    };
+  },
+};
@@ -0,0 +1,72 @@
+/**
+ * Keystore Signer
+ *
+ * Encrypted JSON keystore files (Web3 Secret Storage, as written by geth, Foundry's
+ * `cast wallet import` or ethers' wallet.encrypt()) unlocked with one passphrase.
+ * The passphrase is read from KEYSTORE_PASSPHRASE_FILE when set, otherwise from
+ * KEYSTORE_PASSPHRASE.
+ *
+ * Decryption is deliberately slow (scrypt), so each file is decrypted once and the
+ * wallet is reconnected when the provider changes.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const config = require("../../config");
+
+class KeystoreSigner {
+  constructor() {
+    this.name = "keystore";
+    // file path -> decrypted wallet without a provider
+    this.wallets = new Map();
+  }
+
+  /**
+   * Keystore files for each role
+   * @returns {{ admin: string, operators: Array<string>, withdrawal: string|null }}
+   */
+  getRefs() {
+    const { keystore } = config.blockchain.signer;
+    return {
+      admin: keystore.adminFile,
+      operators: keystore.operatorFiles,
+      withdrawal: keystore.withdrawalFile || null,
+    };
+  }
+
+  getPassphrase() {
+    const { passphraseFile, passphrase } = config.blockchain.signer.keystore;
+    if (passphraseFile) {
+      return fs.readFileSync(passphraseFile, "utf8").trim();
+    }
+    return passphrase;
+  }
+
+  /**
+   * @param {string} filePath - Keystore JSON file
+   * @param {ethers.providers.Provider} provider
+   * @returns {ethers.Wallet}
+   */
+  createSigner(filePath, provider) {
+    if (!this.wallets.has(filePath)) {
+      let json;
+      try {
+        json = fs.readFileSync(filePath, "utf8");
+      } catch (error) {
+        throw new Error(`Cannot read keystore file ${filePath}: ${error.message}`);
+      }
+
+      try {
+        const wallet = ethers.Wallet.fromEncryptedJsonSync(json, this.getPassphrase());
+        console.log(`[SIGNER] Unlocked keystore ${filePath} (${wallet.address})`);
+        this.wallets.set(filePath, wallet);
+      } catch (error) {
+        throw new Error(`Cannot decrypt keystore file ${filePath}: ${error.message}`);
+      }
+    }
+
+    return this.wallets.get(filePath).connect(provider);
+  }
+}
+
+module.exports = new KeystoreSigner();
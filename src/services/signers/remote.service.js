@@ -0,0 +1,130 @@
+/**
+ * Remote Signer
+ *
+ * Keys stay on a separate signing service; this process only knows the addresses.
+ * scripts/remote-signer.js is a local stand-in that implements the protocol.
+ *
+ * PROTOCOL (JSON over HTTP, `Authorization: Bearer <REMOTE_SIGNER_TOKEN>`):
+ * - POST /sign-transaction { address, transaction } -> { signedTransaction }
+ *   transaction is the unsigned serialized transaction (hex)
+ * - POST /sign-message { address, message } -> { signature }
+ *   message is the hex encoded bytes to sign with the EIP-191 prefix
+ * - POST /sign-typed-data { address, domain, types, value } -> { signature }
+ *   EIP-712, same arguments as ethers' _signTypedData
+ * - GET /health -> { addresses }
+ * Errors are non-2xx responses with { error }.
+ *
+ * Every signature is verified locally against the expected address before use,
+ * so a misconfigured or compromised signer cannot sign anything else in our name.
+ */
+
+const axios = require("axios");
+const { ethers } = require("ethers");
+const config = require("../../config");
+
+class RemoteSigner extends ethers.Signer {
+  constructor(address, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, "address", ethers.utils.getAddress(address));
+    ethers.utils.defineReadOnly(this, "provider", provider || null);
+  }
+
+  getAddress() {
+    return Promise.resolve(this.address);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, provider);
+  }
+
+  async request(path, body) {
+    const { url, token, timeoutMs } = config.blockchain.signer.remote;
+    try {
+      const response = await axios.post(
+        `${url.replace(/\/$/, "")}${path}`,
+        { address: this.address, ...body },
+        {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+          timeout: timeoutMs,
+        }
+      );
+      return response.data;
+    } catch (error) {
+      const reason = error.response?.data?.error || error.message;
+      throw new Error(`Remote signer ${path} failed for ${this.address}: ${reason}`);
+    }
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === "string" ? ethers.utils.toUtf8Bytes(message) : message;
+    const { signature } = await this.request("/sign-message", { message: ethers.utils.hexlify(bytes) });
+
+    if (ethers.utils.verifyMessage(bytes, signature) !== this.address) {
+      throw new Error(`Remote signer returned a message signature that is not from ${this.address}`);
+    }
+    return signature;
+  }
+
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    if (tx.from != null && ethers.utils.getAddress(tx.from) !== this.address) {
+      throw new Error(`Transaction from ${tx.from} cannot be signed by ${this.address}`);
+    }
+    delete tx.from;
+
+    const unsigned = ethers.utils.serializeTransaction(tx);
+    const { signedTransaction } = await this.request("/sign-transaction", { transaction: unsigned });
+
+    // The signature must cover exactly the transaction we sent, and recover to our address
+    const signed = ethers.utils.parseTransaction(signedTransaction);
+    const signer = ethers.utils.recoverAddress(ethers.utils.keccak256(unsigned), {
+      r: signed.r,
+      s: signed.s,
+      v: signed.v,
+    });
+    if (signed.from !== this.address || signer !== this.address) {
+      throw new Error(`Remote signer returned a transaction that is not ours signed by ${this.address}`);
+    }
+    return signedTransaction;
+  }
+
+  async _signTypedData(domain, types, value) {
+    const { signature } = await this.request("/sign-typed-data", { domain, types, value });
+
+    if (ethers.utils.verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error(`Remote signer returned a typed data signature that is not from ${this.address}`);
+    }
+    return signature;
+  }
+}
+
+class RemoteSignerBackend {
+  constructor() {
+    this.name = "remote";
+  }
+
+  /**
+   * Signer addresses for each role
+   * @returns {{ admin: string, operators: Array<string>, withdrawal: string|null }}
+   */
+  getRefs() {
+    const { remote } = config.blockchain.signer;
+    return {
+      admin: remote.adminAddress,
+      operators: remote.operatorAddresses,
+      withdrawal: remote.withdrawalAddress || null,
+    };
+  }
+
+  /**
+   * @param {string} address - Address of a key held by the remote signer
+   * @param {ethers.providers.Provider} provider
+   * @returns {RemoteSigner}
+   */
+  createSigner(address, provider) {
+    return new RemoteSigner(address, provider);
+  }
+}
+
+module.exports = new RemoteSignerBackend();
+module.exports.RemoteSigner = RemoteSigner;
@@ -0,0 +1,178 @@
+const Game = require("../models/Game");
+const Portfolio = require("../models/Portfolio");
+const Asset = require("../models/Asset");
+const blockchainService = require("./blockchain.service");
+const priceService = require("./price.service");
+const portfolioRulesService = require("./portfolio-rules.service");
+
+// Portfolios that hold positions in a running game
+const SWAPPABLE_PORTFOLIO_STATUSES = ["LOCKED", "ACTIVE"];
+
+class SwapService {
+  /**
+   * Swap a whole position for another asset at the current prices. The new
+   * position gets the old one's value, direction and leverage, so the portfolio
+   * value does not change. Each swap is signed by the admin wallet and kept in
+   * portfolio.swaps; a game allows portfolioRules.maxSwaps of them.
+   * @param {Object} portfolio - Portfolio document owned by the player
+   * @param {Object} swap
+   * @param {string} swap.fromSymbol - Asset held now
+   * @param {string} swap.toSymbol - Asset to hold instead
+   * @returns {Promise<Object>} { portfolio, swap }
+   */
+  async swapAsset(portfolio, { fromSymbol, toSymbol }) {
+    if (!fromSymbol || !toSymbol || fromSymbol === toSymbol) {
+      throw new Error("fromSymbol and toSymbol must be two different assets");
+    }
+    if (portfolio.isApe || !SWAPPABLE_PORTFOLIO_STATUSES.includes(portfolio.status)) {
+      throw new Error(
+        `Portfolio ${portfolio.portfolioId} is ${portfolio.status} - only portfolios in a live game can swap`
+      );
+    }
+
+    const game = await Game.findOne({ gameId: portfolio.gameId });
+    if (!game || game.status !== "ACTIVE") {
+      throw new Error(`Game ${portfolio.gameId} is not running`);
+    }
+
+    const { maxSwaps } = portfolioRulesService.getRules(game);
+    const swapCount = portfolio.swaps ? portfolio.swaps.length : 0;
+    if (swapCount >= maxSwaps) {
+      throw new Error(maxSwaps === 0 ? "This game does not allow swaps" : `All ${maxSwaps} swaps have been used`);
+    }
+
+    const from = portfolio.assets.find((asset) => asset.symbol === fromSymbol);
+    if (!from) {
+      throw new Error(`${fromSymbol} is not in the portfolio`);
+    }
+    if (from.liquidatedAt) {
+      throw new Error(`${fromSymbol} was liquidated and cannot be swapped`);
+    }
+    if (portfolio.assets.some((asset) => asset.symbol === toSymbol)) {
+      throw new Error(`${toSymbol} is already in the portfolio`);
+    }
+
+    const to = await Asset.findOne({
+      symbol: toSymbol,
+      type: { $in: Asset.typesForGame(portfolio.gameType) },
+      isActive: true,
+    });
+    if (!to) {
+      throw new Error(`${toSymbol} was not found or is inactive`);
+    }
+
+    // The two assets swapped are priced from a consensus quote taken now: a stored price can be
+    // as old as PRICE_MAX_AGE_*_MINUTES. The rest of the portfolio is valued like the value
+    // updates, at its stored prices, which must be fresh.
+    const otherAssetIds = portfolio.assets.map((asset) => asset.assetId).filter((assetId) => assetId !== from.assetId);
+    const staleAssets = await priceService.getStaleAssets(otherAssetIds);
+    if (staleAssets.length > 0) {
+      throw new Error(`Stale prices for ${staleAssets.map((a) => a.symbol || a.assetId).join(", ")} - try again later`);
+    }
+    const priceAssets = await Asset.find({ assetId: { $in: [...otherAssetIds, from.assetId, to.assetId] } })
+      .select("assetId symbol type currentPrice")
+      .lean();
+
+    let livePrices;
+    try {
+      livePrices = await priceService.getLiveQuotes(
+        priceAssets.filter((asset) => asset.assetId === from.assetId || asset.assetId === to.assetId)
+      );
+    } catch (error) {
+      throw new Error(`${error.message} - try again later`);
+    }
+    const prices = priceAssets.reduce((acc, asset) => {
+      acc[asset.assetId] = asset.currentPrice;
+      return acc;
+    }, {});
+    Object.assign(prices, livePrices);
+
+    const fromPrice = prices[from.assetId];
+    const toPrice = prices[to.assetId];
+    const value = Portfolio.positionValue(from, fromPrice);
+    if (value <= 0) {
+      throw new Error(`${fromSymbol} has no value left to swap`);
+    }
+    const toTokenQty = Number((value / toPrice).toFixed(6));
+
+    const portfolioValue = portfolio.assets.reduce(
+      (total, asset) => total + Portfolio.positionValue(asset, prices[asset.assetId]),
+      0
+    );
+
+    const swappedAt = new Date();
+    const record = {
+      chainId: game.chainId,
+      gameId: game.gameId,
+      portfolioId: portfolio.portfolioId,
+      swapNumber: swapCount + 1,
+      fromSymbol,
+      fromTokenQty: from.tokenQty,
+      fromPrice,
+      toSymbol,
+      toTokenQty,
+      toPrice,
+      direction: from.direction || "LONG",
+      leverage: from.leverage || 1,
+      swappedAt: swappedAt.toISOString(),
+    };
+    const audit = await blockchainService.forChain(game.chainId).signAuditRecord(JSON.stringify(record));
+
+    const swap = {
+      fromAssetId: from.assetId,
+      fromSymbol,
+      fromTokenQty: from.tokenQty,
+      fromPrice,
+      toAssetId: to.assetId,
+      toSymbol,
+      toTokenQty,
+      toPrice,
+      value,
+      portfolioValue,
+      swappedAt,
+      audit,
+    };
+
+    // One atomic update so two swaps sent at once cannot both pass the checks above
+    const updated = await Portfolio.findOneAndUpdate(
+      {
+        _id: portfolio._id,
+        status: { $in: SWAPPABLE_PORTFOLIO_STATUSES },
+        [`swaps.${swapCount}`]: { $exists: false },
+        assets: { $elemMatch: { assetId: from.assetId, tokenQty: from.tokenQty, liquidatedAt: null } },
+        "assets.symbol": { $ne: toSymbol },
+      },
+      {
+        $set: {
+          "assets.$[swapped]": {
+            assetId: to.assetId,
+            symbol: toSymbol,
+            allocation: value,
+            direction: from.direction || "LONG",
+            leverage: from.leverage || 1,
+            entryPrice: toPrice,
+            tokenQty: toTokenQty,
+          },
+          currentValue: portfolioValue,
+          performancePercentage: ((portfolioValue - portfolio.initialValue) / portfolio.initialValue) * 100,
+        },
+        $push: {
+          swaps: swap,
+          valueHistory: { $each: [{ value: portfolioValue, timestamp: swappedAt }], $slice: -20 },
+        },
+      },
+      { new: true, arrayFilters: [{ "swapped.assetId": from.assetId }] }
+    );
+    if (!updated) {
+      throw new Error("The portfolio changed while swapping - reload it and try again");
+    }
+
+    console.log(
+      `[SWAP] Portfolio ${portfolio.portfolioId}: ${fromSymbol} -> ${toSymbol} ($${value.toFixed(2)}), ` +
+        `swap ${swapCount + 1}/${maxSwaps}`
+    );
+    return { portfolio: updated, swap };
+  }
+}
+
+module.exports = new SwapService();
@@ -3,22 +3,69 @@
  *
  * Handles sequential blockchain transactions to prevent nonce collisions.
  *
+ * OPERATOR LANES:
+ * Each operator wallet has its own lane: a FIFO queue with its own wallet nonce, so
+ * lanes send in parallel. A transaction goes to the lane picked by its routingKey
+ * (e.g. "game:42"), so everything for one game stays in order on one lane. Without
+ * a routingKey it goes to the primary lane (the admin wallet).
+ *
  * TWO TYPES OF NONCES:
  * 1. Wallet Nonce - Ethereum account transaction counter (managed here)
  * 2. Contract Nonce - Smart contract's internal counter for signature verification
- *    (must be fetched fresh INSIDE txFunc callbacks, not before)
+ *    (must be fetched fresh INSIDE txFunc callbacks, not before). There is one contract
+ *    nonce for all wallets, so jobs flagged contractNonce hold a lock shared by every
+ *    lane from signing until mined - signed calls still take turns across lanes.
+ *
+ * PERSISTENCE:
+ * Every transaction is tracked as a TransactionJob (QUEUED -> SENT -> MINED/FAILED).
+ * - A SENT job has a known hash and is only ever monitored, never resent
+ * - Jobs added with addJob() name a registered kind, so a QUEUED job can be
+ *   rebuilt and sent after a restart (see resume())
+ * - An idempotencyKey makes a repeated call return the existing job's result
+ *   instead of sending a second transaction
+ *
+ * STUCK TRANSACTIONS:
+ * A SENT transaction that is not mined within txQueue.stuckTimeoutSeconds is
+ * re-broadcast at the same wallet nonce with a higher gas price (SPEED_UP), up to
+ * txQueue.maxReplacements times and never above txQueue.maxGasPriceGwei. An admin
+ * can instead CANCEL it: a 0-value self-transfer at that nonce, which frees the
+ * queue for the transactions behind it. Every re-broadcast is recorded on the job.
+ *
+ * CHAINS:
+ * There is one TransactionQueue per configured chain (forChain(chainId)), each with
+ * its own provider, lanes and contract nonce lock. Jobs are stored with their chainId
+ * and only resumed or monitored by the queue of that chain.
  */
-class TransactionQueue {
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const config = require('../config');
+const TransactionJob = require('../models/TransactionJob');
+const gasLedgerService = require('./gas-ledger.service');
+
+// FIFO lock; acquire() resolves with the function that releases it
+class Mutex {
   constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  acquire() {
+    let release;
+    const released = new Promise((resolve) => (release = resolve));
+    const acquired = this.tail.then(() => release);
+    this.tail = this.tail.then(() => released);
+    return acquired;
+  }
+}
+
+// One operator wallet and its sequential queue
+class TransactionLane {
+  constructor(pool) {
+    this.pool = pool;
     this.queue = [];
     this.isProcessing = false;
     this.currentNonce = null;
-    this.maxRetries = 3;
     this.provider = null;
     this.wallet = null;
-
-    // Concurrency control - process one at a time for safety
-    this.processingLock = false;
   }
 
   initialize(provider, wallet) {
@@ -26,6 +73,10 @@ class TransactionQueue {
     this.wallet = wallet;
   }
 
+  get address() {
+    return this.wallet.address.toLowerCase();
+  }
+
   /**
    * Get current wallet nonce
    * Uses 'pending' to include unconfirmed transactions
@@ -48,31 +99,37 @@ class TransactionQueue {
   }
 
   /**
-   * Add a transaction to the queue
-   * @param {Function} txFunc - Async function that receives walletNonce and returns tx
-   * @param {string} description - Human-readable description for logging
-   * @param {Object} options - Additional options
+   * Put a job on this lane's queue
+   * @param {Object} job - TransactionJob document
+   * @param {Function|null} txFunc - Sends the transaction; null for SENT jobs that are only monitored
    * @returns {Promise} Resolves with transaction receipt
    */
-  async addTransaction(txFunc, description = '', options = {}) {
-    return new Promise((resolve, reject) => {
+  enqueue(job, txFunc, options = {}) {
+    const promise = new Promise((resolve, reject) => {
       this.queue.push({
+        job,
         txFunc,
-        description,
+        description: job.description,
         resolve,
         reject,
         retries: 0,
-        maxRetries: options.maxRetries || this.maxRetries,
+        maxRetries: options.maxRetries || this.pool.maxRetries,
         addedAt: Date.now(),
       });
+    });
 
-      console.log(`[TX-QUEUE] Added: ${description} (Queue size: ${this.queue.length})`);
+    this.pool.inFlight.set(job.id, promise);
+    const clear = () => this.pool.inFlight.delete(job.id);
+    promise.then(clear, clear);
 
-      // Start processing if not already running
-      if (!this.isProcessing) {
-        this.processQueue();
-      }
-    });
+    console.log(`[TX-QUEUE] Added: ${job.description} (${this.wallet.address} queue size: ${this.queue.length})`);
+
+    // Start processing if not already running
+    if (!this.isProcessing) {
+      this.processQueue();
+    }
+
+    return promise;
   }
 
   /**
@@ -83,11 +140,12 @@ class TransactionQueue {
     if (this.isProcessing || this.queue.length === 0) return;
 
     this.isProcessing = true;
-    console.log(`[TX-QUEUE] Starting queue processing (${this.queue.length} items)`);
+    console.log(`[TX-QUEUE] Starting queue processing for ${this.wallet.address} (${this.queue.length} items)`);
 
     while (this.queue.length > 0) {
       const item = this.queue[0];
-      const { txFunc, description, resolve, reject, retries, maxRetries, addedAt } = item;
+      const { job, txFunc, description, resolve, reject, retries, maxRetries, addedAt } = item;
+      let releaseContractNonce = null;
 
       const waitTime = Date.now() - addedAt;
       if (waitTime > 5000) {
@@ -95,20 +153,40 @@ class TransactionQueue {
       }
 
       try {
-        const walletNonce = await this.getCurrentNonce();
-        console.log(`[TX-QUEUE] Executing: ${description} with wallet nonce ${walletNonce}`);
+        // Held until mined, so no other lane signs against the same contract nonce
+        if (job.usesContractNonce) {
+          releaseContractNonce = await this.pool.contractNonceLock.acquire();
+        }
 
-        // Execute the transaction function with current wallet nonce
-        // IMPORTANT: Contract nonce should be fetched INSIDE txFunc
-        const tx = await txFunc(walletNonce);
+        if (job.status !== 'SENT') {
+          const walletNonce = await this.getCurrentNonce();
+          console.log(`[TX-QUEUE] Executing: ${description} with wallet nonce ${walletNonce}`);
 
-        console.log(`[TX-QUEUE] Waiting for confirmation: ${description} (tx: ${tx.hash})`);
-        const receipt = await tx.wait();
+          // Execute the transaction function with current wallet nonce
+          // IMPORTANT: Contract nonce should be fetched INSIDE txFunc
+          job.attempts += 1;
+          const tx = await txFunc(walletNonce, this.wallet);
+
+          // The nonce is spent once the transaction is broadcast, whatever happens next
+          this.currentNonce++;
+          await job.markSent(tx, walletNonce);
+        }
 
-        // Transaction successful - increment our tracked nonce
-        this.currentNonce++;
+        const receipt = await this.waitForReceipt(job, description);
+
+        await job.markMined(receipt);
+        await gasLedgerService.recordJob(job, receipt);
         this.queue.shift();
 
+        if (job.status === 'FAILED') {
+          console.error(`[TX-QUEUE] ❌ ${job.error}: ${description} (tx: ${receipt.transactionHash})`);
+          const error = new Error(job.error);
+          error.receipt = receipt;
+          reject(error);
+          continue;
+        }
+
+        // Transaction successful
         console.log(`[TX-QUEUE] ✅ Success: ${description} (block: ${receipt.blockNumber})`);
         resolve(receipt);
 
@@ -116,6 +194,26 @@ class TransactionQueue {
         const errorMsg = error.message || error.toString();
         console.error(`[TX-QUEUE] ❌ Failed: ${description}`, errorMsg);
 
+        // Given up on while waiting (e.g. its nonce was used by another transaction)
+        if (job.status === 'FAILED') {
+          this.queue.shift();
+          reject(error);
+          continue;
+        }
+
+        // Already broadcast: never resend, only keep waiting for the receipt
+        if (job.status === 'SENT') {
+          if (retries < maxRetries) {
+            item.retries++;
+            await this.delay((retries + 1) * 2000);
+            continue;
+          }
+          console.error(`[TX-QUEUE] Still unmined: ${description} (tx: ${job.transactionHash}) - left for monitoring`);
+          this.queue.shift();
+          reject(error);
+          continue;
+        }
+
         // Handle specific error types
         if (this.isNonceTooLowError(errorMsg)) {
           console.log(`[TX-QUEUE] Nonce too low - refreshing and retrying`);
@@ -148,6 +246,7 @@ class TransactionQueue {
         // Gas estimation or execution reverted
         if (this.isExecutionRevertedError(errorMsg)) {
           console.error(`[TX-QUEUE] Execution reverted - not retrying: ${description}`);
+          await job.markFailed(errorMsg);
           this.queue.shift();
           reject(error);
           continue;
@@ -164,13 +263,18 @@ class TransactionQueue {
 
         // Max retries exceeded or unhandled error
         console.error(`[TX-QUEUE] Giving up on: ${description} after ${retries} retries`);
+        await job.markFailed(errorMsg);
         this.queue.shift();
         reject(error);
+      } finally {
+        if (releaseContractNonce) {
+          releaseContractNonce();
+        }
       }
     }
 
     this.isProcessing = false;
-    console.log(`[TX-QUEUE] Queue empty, processing stopped`);
+    console.log(`[TX-QUEUE] Queue empty for ${this.wallet.address}, processing stopped`);
   }
 
   // Error type detection helpers
@@ -210,15 +314,132 @@ class TransactionQueue {
   }
 
   /**
-   * Get queue status for monitoring
+   * Wait until one of the job's broadcasts is mined, speeding it up (or cancelling it,
+   * when requested) each time it has sat unmined for stuckTimeoutSeconds
+   * @param {Object} job - SENT TransactionJob document
+   * @param {string} description - For logging
+   * @returns {Promise<Object>} Receipt of whichever broadcast mined, with decoded events
+   */
+  async waitForReceipt(job, description) {
+    const { stuckTimeoutSeconds, pollIntervalMs } = config.blockchain.txQueue;
+    const stuckTimeoutMs = stuckTimeoutSeconds * 1000;
+    let exhaustedAt = null;
+
+    console.log(`[TX-QUEUE] Waiting for confirmation: ${description} (tx: ${job.getTransactionHashes()[0]})`);
+
+    while (true) {
+      const receipt = await this.pool.findReceipt(job);
+      if (receipt) {
+        return this.pool.decodeEvents(receipt);
+      }
+
+      const lastBroadcast = job.getLastBroadcast();
+
+      // Admin cancel: replace right away rather than waiting for the timeout
+      if (job.cancelRequested && lastBroadcast.kind !== 'CANCEL') {
+        if (!(await this.replaceTransaction(job, 'CANCEL'))) {
+          job.cancelRequested = false;
+          await job.save();
+        }
+        continue;
+      }
+
+      if (Date.now() - new Date(lastBroadcast.sentAt).getTime() >= stuckTimeoutMs) {
+        // The nonce was used without any of our broadcasts mining - nothing left to wait for
+        const minedNonce = await this.wallet.getTransactionCount('latest');
+        if (minedNonce > job.walletNonce && !(await this.pool.findReceipt(job))) {
+          await job.markFailed(`Wallet nonce ${job.walletNonce} was used by another transaction`);
+          throw new Error(job.error);
+        }
+
+        const kind = job.cancelRequested ? 'CANCEL' : 'SPEED_UP';
+        if (await this.replaceTransaction(job, kind)) {
+          exhaustedAt = null;
+        } else if (!exhaustedAt) {
+          exhaustedAt = Date.now();
+        } else if (Date.now() - exhaustedAt >= stuckTimeoutMs) {
+          throw new Error(`Transaction still pending after ${job.replacements.length} replacement(s)`);
+        }
+      }
+
+      await this.delay(pollIntervalMs);
+    }
+  }
+
+
+  /**
+   * Re-broadcast a SENT job at its wallet nonce with a bumped gas price
+   * @param {Object} job - SENT TransactionJob document
+   * @param {string} kind - SPEED_UP (same call) or CANCEL (0-value self-transfer)
+   * @returns {Promise<boolean>} Whether a replacement was broadcast
+   */
+  async replaceTransaction(job, kind) {
+    const { gasBumpPercent, maxGasPriceGwei, maxReplacements } = config.blockchain.txQueue;
+
+    if (!job.request || !job.request.gasLimit) {
+      console.warn(`[TX-QUEUE] Job ${job.id} was sent without a stored request - cannot replace it`);
+      return false;
+    }
+
+    const speedUps = job.replacements.filter((r) => r.kind === 'SPEED_UP').length;
+    if (kind === 'SPEED_UP' && speedUps >= maxReplacements) {
+      return false;
+    }
+
+    // Nodes only accept a replacement priced above the one it replaces (and the network price)
+    const previousGasPrice = ethers.BigNumber.from(job.getLastBroadcast().gasPrice || '0');
+    const networkGasPrice = await this.provider.getGasPrice();
+    let gasPrice = previousGasPrice.mul(10000 + Math.round(gasBumpPercent * 100)).div(10000);
+    if (networkGasPrice.gt(gasPrice)) {
+      gasPrice = networkGasPrice;
+    }
+
+    const maxGasPrice = ethers.utils.parseUnits(String(maxGasPriceGwei), 'gwei');
+    if (gasPrice.gt(maxGasPrice)) {
+      console.warn(
+        `[TX-QUEUE] ${kind} for job ${job.id} would cost ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei, ` +
+          `above the ${maxGasPriceGwei} gwei cap`
+      );
+      return false;
+    }
+
+    const request =
+      kind === 'CANCEL'
+        ? { to: this.wallet.address, value: 0, data: '0x', gasLimit: 21000 }
+        : { to: job.request.to, value: job.request.value, data: job.request.data, gasLimit: job.request.gasLimit };
+
+    try {
+      const tx = await this.wallet.sendTransaction({ ...request, nonce: job.walletNonce, gasPrice });
+      await job.recordReplacement(kind, tx, gasPrice);
+      console.log(
+        `[TX-QUEUE] ${kind} job ${job.id} at nonce ${job.walletNonce}: ${tx.hash} (${ethers.utils.formatUnits(
+          gasPrice,
+          'gwei'
+        )} gwei)`
+      );
+      return true;
+    } catch (error) {
+      // Usually "nonce too low": a previous broadcast has just been mined
+      console.warn(`[TX-QUEUE] ${kind} for job ${job.id} was not broadcast: ${error.message}`);
+      return false;
+    }
+  }
+
+
+  /**
+   * Get lane status for monitoring
    */
   getStatus() {
     return {
+      address: this.address,
       queueLength: this.queue.length,
       isProcessing: this.isProcessing,
       currentNonce: this.currentNonce,
       pendingTransactions: this.queue.map(item => ({
+        jobId: item.job.id,
         description: item.description,
+        status: item.job.status,
+        transactionHash: item.job.transactionHash,
         retries: item.retries,
         waitingMs: Date.now() - item.addedAt,
       })),
@@ -226,7 +447,7 @@ class TransactionQueue {
   }
 
   /**
-   * Clear the queue (use with caution - for cleanup/shutdown)
+   * Clear the lane's queue
    */
   clearQueue() {
     const count = this.queue.length;
@@ -235,8 +456,431 @@ class TransactionQueue {
     });
     this.queue = [];
     this.isProcessing = false;
+    return count;
+  }
+}
+
+// chainId -> TransactionQueue
+const queues = new Map();
+
+class TransactionQueue {
+  constructor(chainId) {
+    this.chainId = chainId;
+    this.lanes = [];
+    this.maxRetries = 3;
+    this.provider = null;
+
+    // Shared by all lanes - see TWO TYPES OF NONCES above
+    this.contractNonceLock = new Mutex();
+
+    // kind -> { builder: async (walletNonce, params, wallet) => tx, contractNonce }, registered by the blockchain service
+    this.jobBuilders = {};
+    // job id -> promise for jobs currently in an in-memory lane queue
+    this.inFlight = new Map();
+    // Contracts whose events are decoded onto receipts (receipt.events, as tx.wait() does)
+    this.eventContracts = [];
+  }
+
+  /**
+   * Set the provider and operator wallets; the first wallet is the primary lane.
+   * Lanes of wallets that were already configured keep their queue and nonce.
+   * @param {ethers.providers.Provider} provider
+   * @param {Array<ethers.Wallet>} wallets - Operator wallets, admin wallet first
+   */
+  initialize(provider, wallets) {
+    this.provider = provider;
+    this.lanes = wallets.map((wallet) => {
+      const lane = this.getLaneByAddress(wallet.address) || new TransactionLane(this);
+      lane.initialize(provider, wallet);
+      return lane;
+    });
+  }
+
+  /**
+   * Lane for a routing key: the same key always maps to the same lane
+   * @param {string|null} routingKey - e.g. "game:42"; null for the primary lane
+   */
+  getLane(routingKey = null) {
+    if (this.lanes.length === 0) {
+      throw new Error('Transaction queue is not initialized');
+    }
+    if (routingKey === null || routingKey === undefined) {
+      return this.lanes[0];
+    }
+    const digest = crypto.createHash('sha256').update(String(routingKey)).digest();
+    return this.lanes[digest.readUInt32BE(0) % this.lanes.length];
+  }
+
+  getLaneByAddress(address) {
+    const lower = (address || '').toLowerCase();
+    return this.lanes.find((lane) => lane.address === lower) || null;
+  }
+
+  // A SENT job stays on the wallet that signed it; anything else follows its routing key
+  getLaneForJob(job) {
+    if (job.status === 'SENT') {
+      const lane = this.getLaneByAddress(job.fromAddress);
+      if (!lane) {
+        throw new Error(`Job ${job.id} was sent from ${job.fromAddress}, which is no longer an operator wallet`);
+      }
+      return lane;
+    }
+    return this.getLane(job.routingKey);
+  }
+
+  /**
+   * Contracts whose logs should be decoded into receipt.events
+   * @param {Array<ethers.Contract>} contracts
+   */
+  setEventContracts(contracts) {
+    this.eventContracts = contracts;
+  }
+
+  /**
+   * Register a job kind that can be rebuilt from its stored params
+   * @param {string} kind - Job kind, e.g. BATCH_ASSIGN_REWARDS
+   * @param {Function} builder - async (walletNonce, params, wallet) => tx
+   * @param {Object} options
+   * @param {boolean} options.contractNonce - The builder signs against the contract nonce
+   */
+  registerJob(kind, builder, options = {}) {
+    this.jobBuilders[kind] = { builder, contractNonce: !!options.contractNonce };
+  }
+
+  /**
+   * Add a transaction to the queue
+   * @param {Function} txFunc - Async function that receives (walletNonce, wallet) and returns tx
+   * @param {string} description - Human-readable description for logging
+   * @param {Object} options - Additional options
+   * @param {string} options.idempotencyKey - Return the existing job's result instead of sending again
+   * @param {string} options.routingKey - Lane selector; transactions with the same key are sent in order
+   * @param {boolean} options.contractNonce - txFunc signs against the contract nonce
+   * @param {string} options.operation - Operation recorded in the gas ledger, e.g. "createGame"
+   * @param {number} options.gameId - Game the gas is charged to in the gas ledger
+   * @returns {Promise} Resolves with transaction receipt
+   */
+  async addTransaction(txFunc, description = '', options = {}) {
+    let job = options.idempotencyKey ? await TransactionJob.findOne({ idempotencyKey: options.idempotencyKey }) : null;
+
+    if (job) {
+      const pending = this.inFlight.get(job.id);
+      if (pending) {
+        console.log(`[TX-QUEUE] Already queued: ${description} (job ${job.id})`);
+        return pending;
+      }
+
+      if (job.status === 'MINED') {
+        console.log(`[TX-QUEUE] Already mined: ${description} (tx: ${job.transactionHash})`);
+        return this.provider.getTransactionReceipt(job.transactionHash);
+      }
+
+      if (job.status === 'SENT') {
+        // Broadcast earlier but not mined yet - wait for it, never send it twice
+        return this.enqueue(job, null, options);
+      }
+
+      // QUEUED from a previous process, or FAILED - send again with the caller's callback
+      job.status = 'QUEUED';
+      job.error = null;
+      job.description = description;
+      job.routingKey = options.routingKey || null;
+      await job.save();
+    } else {
+      try {
+        job = await TransactionJob.create({
+          kind: options.kind || null,
+          params: options.params || {},
+          idempotencyKey: options.idempotencyKey,
+          chainId: this.chainId,
+          routingKey: options.routingKey || null,
+          usesContractNonce: !!options.contractNonce,
+          operation: options.operation || options.kind || null,
+          gameId: options.gameId != null ? Number(options.gameId) : null,
+          description,
+        });
+      } catch (error) {
+        // Same key added concurrently - join the other call
+        if (error.code === 11000) {
+          return this.addTransaction(txFunc, description, options);
+        }
+        throw error;
+      }
+    }
+
+    return this.enqueue(job, txFunc, options);
+  }
+
+  /**
+   * Add a job of a registered kind; unlike a plain callback it survives a restart
+   * @param {string} kind - Registered job kind
+   * @param {Object} params - JSON-safe parameters passed to the builder
+   * @param {string} description - Human-readable description for logging
+   * @param {Object} options - Same as addTransaction
+   * @returns {Promise} Resolves with transaction receipt
+   */
+  addJob(kind, params, description = '', options = {}) {
+    const registered = this.jobBuilders[kind];
+    if (!registered) {
+      throw new Error(`Unknown transaction job kind: ${kind}`);
+    }
+    return this.addTransaction((walletNonce, wallet) => registered.builder(walletNonce, params, wallet), description, {
+      ...options,
+      kind,
+      params,
+      contractNonce: registered.contractNonce,
+    });
+  }
+
+  /**
+   * Put a job on its lane's queue
+   * @param {Object} job - TransactionJob document
+   * @param {Function|null} txFunc - Sends the transaction; null for SENT jobs that are only monitored
+   * @returns {Promise} Resolves with transaction receipt
+   */
+  enqueue(job, txFunc, options = {}) {
+    return this.getLaneForJob(job).enqueue(job, txFunc, options);
+  }
+
+  /**
+   * Receipt for whichever of the job's broadcasts has been mined, if any
+   */
+  async findReceipt(job) {
+    for (const hash of job.getTransactionHashes()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+  // Decode logs of the registered contracts onto receipt.events, like contract tx.wait()
+  decodeEvents(receipt) {
+    receipt.events = receipt.logs.map((log) => {
+      const event = { ...log };
+      const contract = this.eventContracts.find((c) => c.address.toLowerCase() === log.address.toLowerCase());
+      if (contract) {
+        try {
+          const parsed = contract.interface.parseLog(log);
+          event.event = parsed.name;
+          event.eventSignature = parsed.signature;
+          event.args = parsed.args;
+        } catch (err) {
+          // Not in this contract's ABI
+        }
+      }
+      return event;
+    });
+    return receipt;
+  }
+
+  /**
+   * Ask for a SENT job to be cancelled: its nonce is taken by a 0-value self-transfer,
+   * so the transactions queued behind it can go through
+   * @param {string} jobId - TransactionJob id
+   * @returns {Promise<Object>} The job
+   */
+  async cancelJob(jobId) {
+    const stored = await TransactionJob.findById(jobId).select('chainId').lean();
+    if (stored && stored.chainId && stored.chainId !== this.chainId) {
+      return this.forChain(stored.chainId).cancelJob(jobId);
+    }
+
+    const queued = this.lanes.flatMap((lane) => lane.queue).find((item) => item.job.id === jobId);
+    const job = queued ? queued.job : await TransactionJob.findById(jobId);
+    if (!job) {
+      throw new Error(`Transaction job ${jobId} not found`);
+    }
+    if (job.status !== 'SENT') {
+      throw new Error(`Only SENT jobs can be cancelled (job is ${job.status})`);
+    }
+
+    job.cancelRequested = true;
+    await job.save();
+
+    // Not being waited on: put it back on the queue so the cancel is broadcast
+    if (!queued) {
+      this.enqueue(job, null).catch((error) => {
+        console.error(`[TX-QUEUE] Cancelled job ${job.id}: ${error.message}`);
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Re-queue unfinished jobs after a restart: SENT jobs are monitored until mined,
+   * QUEUED jobs of a registered kind are rebuilt and sent. QUEUED one-off callbacks
+   * died with the previous process and are marked FAILED.
+   * @returns {Promise<{resumed: number, dropped: number}>}
+   */
+  async resume() {
+    const jobs = await TransactionJob.getUnfinishedJobs(this.chainId);
+    let resumed = 0;
+    let dropped = 0;
+
+    for (const job of jobs) {
+      if (this.inFlight.has(job.id)) continue;
+
+      let txFunc = null;
+      if (job.status === 'QUEUED') {
+        const registered = this.jobBuilders[job.kind];
+        if (!registered) {
+          await job.markFailed('Queued before a restart and cannot be rebuilt - add it again');
+          dropped++;
+          continue;
+        }
+        txFunc = (walletNonce, wallet) => registered.builder(walletNonce, job.params, wallet);
+      }
+
+      // Sent from a wallet that is no longer configured: only monitorSentJobs() can follow it
+      if (job.status === 'SENT' && !this.getLaneByAddress(job.fromAddress)) {
+        console.warn(`[TX-QUEUE] Job ${job.id} was sent from ${job.fromAddress}, left for monitoring`);
+        continue;
+      }
+
+      // Nobody awaits a resumed job - the outcome is recorded on the job document
+      this.enqueue(job, txFunc).catch((error) => {
+        console.error(`[TX-QUEUE] Resumed job ${job.id} failed: ${error.message}`);
+      });
+      resumed++;
+    }
+
+    console.log(`[TX-QUEUE] Chain ${this.chainId}: resumed ${resumed} job(s), dropped ${dropped}`);
+    return { resumed, dropped };
+  }
+
+  /**
+   * Record receipts for SENT jobs that are no longer in the in-memory queue
+   * (the wait for them timed out or the process restarted)
+   * @returns {Promise<number>} Number of jobs that were found mined
+   */
+  async monitorSentJobs() {
+    const jobs = await TransactionJob.find({ status: 'SENT', chainId: this.chainId });
+    let mined = 0;
+
+    for (const job of jobs) {
+      if (this.inFlight.has(job.id)) continue;
+
+      const receipt = await this.findReceipt(job);
+      if (receipt) {
+        await job.markMined(receipt);
+        await gasLedgerService.recordJob(job, receipt);
+        console.log(`[TX-QUEUE] Monitored job ${job.id} is ${job.status} (tx: ${job.transactionHash})`);
+        mined++;
+      }
+    }
+
+    return mined;
+  }
+
+  /**
+   * Send a FAILED job again. Only jobs of a registered kind can be retried; one-off
+   * callbacks have to be re-triggered by whatever created them.
+   * @param {string} jobId - TransactionJob id
+   * @returns {Promise<Object>} The re-queued job
+   */
+  async retryJob(jobId) {
+    const job = await TransactionJob.findById(jobId);
+    if (!job) {
+      throw new Error(`Transaction job ${jobId} not found`);
+    }
+    if (job.status !== 'FAILED') {
+      throw new Error(`Only FAILED jobs can be retried (job is ${job.status})`);
+    }
+    if (job.chainId && job.chainId !== this.chainId) {
+      return this.forChain(job.chainId).retryJob(jobId);
+    }
+    const registered = this.jobBuilders[job.kind];
+    if (!registered) {
+      throw new Error(`Job ${jobId} has no registered kind and cannot be rebuilt`);
+    }
+
+    job.status = 'QUEUED';
+    job.error = null;
+    await job.save();
+
+    const txFunc = (walletNonce, wallet) => registered.builder(walletNonce, job.params, wallet);
+    this.enqueue(job, txFunc).catch((error) => {
+      console.error(`[TX-QUEUE] Retried job ${job.id} failed: ${error.message}`);
+    });
+
+    return job;
+  }
+
+  /**
+   * Persisted jobs for the admin endpoint, newest first
+   * @param {Object} filter
+   * @param {string} filter.status - Only jobs in this status
+   * @param {number} filter.chainId - Only jobs on this chain
+   * @param {number} filter.limit - Max jobs returned
+   */
+  async getJobs({ status, chainId, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (chainId) query.chainId = chainId;
+    const [jobs, counts] = await Promise.all([
+      TransactionJob.find(query).sort({ createdAt: -1 }).limit(limit).lean(),
+      TransactionJob.aggregate([
+        { $match: chainId ? { chainId } : {} },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    return {
+      counts: counts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {}),
+      queues: this.getQueues()
+        .filter((queue) => !chainId || queue.chainId === chainId)
+        .map((queue) => ({ chainId: queue.chainId, ...queue.getStatus() })),
+      jobs,
+    };
+  }
+
+  /**
+   * Get queue status for monitoring, one entry per operator lane
+   */
+  getStatus() {
+    const lanes = this.lanes.map((lane) => lane.getStatus());
+    return {
+      queueLength: lanes.reduce((sum, lane) => sum + lane.queueLength, 0),
+      isProcessing: lanes.some((lane) => lane.isProcessing),
+      lanes,
+    };
+  }
+
+  /**
+   * Clear every lane (use with caution - for cleanup/shutdown)
+   * Persisted jobs are left as they are and picked up again by resume()
+   */
+  clearQueue() {
+    const count = this.lanes.reduce((sum, lane) => sum + lane.clearQueue(), 0);
     console.log(`[TX-QUEUE] Queue cleared (${count} items removed)`);
   }
+
+  /**
+   * Queue for a chain, created on first use
+   * @param {number} [chainId] - Defaults to the primary chain
+   * @returns {TransactionQueue}
+   */
+  forChain(chainId) {
+    return getQueue(chainId);
+  }
+
+  /**
+   * Every queue created so far, primary chain first
+   * @returns {Array<TransactionQueue>}
+   */
+  getQueues() {
+    return [...queues.values()];
+  }
+}
+
+function getQueue(chainId) {
+  const id = Number(chainId || config.blockchain.chainId);
+  if (!queues.has(id)) {
+    queues.set(id, new TransactionQueue(id));
+  }
+  return queues.get(id);
 }
 
-module.exports = new TransactionQueue();
+// The primary chain's queue; reach the others with forChain()
+module.exports = getQueue(config.blockchain.chainId);
@@ -4,6 +4,7 @@ const User = require("../models/User");
 const Game = require("../models/Game");
 const Portfolio = require("../models/Portfolio");
 const blockchainService = require("./blockchain.service");
+const ledgerService = require("./ledger.service");
 const FusioFantasyGameV2 = require("../config/FusioFantasyGameV2.json");
 
 class TransactionService {
@@ -31,14 +32,15 @@ class TransactionService {
       const entryFeeWei = ethers.utils.parseUnits(game.entryPrice.toString(), 18).toString();
       const adminFeeWei = ((BigInt(entryFeeWei) * BigInt(this.ADMIN_FEE_PERCENTAGE)) / BigInt(100)).toString();
 
-      // Check USDC allowance
-      const { needsApproval, requiredAmount } = await blockchainService.checkUSDCAllowance(user.address, gameId);
+      // Check USDC allowance on the game's chain
+      const chainService = blockchainService.forChain(game.chainId);
+      const { needsApproval, requiredAmount } = await chainService.checkUSDCAllowance(user.address, gameId);
       if (needsApproval) {
         throw new Error(`Insufficient USDC allowance. Required: ${requiredAmount}`);
       }
 
       // Lock balance on blockchain
-      const tx = await blockchainService.liveGameFunds(userId, user.address, gameId);
+      const tx = await chainService.liveGameFunds(userId, user.address, gameId);
 
       // Transaction record is already created in liveGameFunds with correct amounts
       const transaction = await Transaction.findOne({ transactionHash: tx.transactionHash });
@@ -59,7 +61,7 @@ class TransactionService {
       }
 
       // Distribute rewards on blockchain
-      const result = await blockchainService.distributeRewardsAndEndGame(gameId);
+      const result = await blockchainService.forChain(game.chainId).distributeRewardsAndEndGame(gameId);
 
       // Create transaction records for each winner
       const transactions = await Promise.all(
@@ -70,6 +72,7 @@ class TransactionService {
           return Transaction.create({
             transactionHash: result.transactionHash,
             userId: user._id,
+            chainId: game.chainId,
             type: "REWARD",
             amount: reward.amount,
             gameId,
@@ -104,6 +107,7 @@ class TransactionService {
       let transaction = await Transaction.create({
         transactionHash,
         userId,
+        chainId: blockchainService.chainId,
         type: "WITHDRAWAL",
         status: "PENDING",
         fromAddress: process.env.CONTRACT_ADDRESS,
@@ -160,6 +164,12 @@ class TransactionService {
           },
           { new: true }
         );
+        await ledgerService.recordWithdrawal({
+          chainId: transaction.chainId,
+          userId,
+          transactionHash,
+          amount: transaction.amount,
+        });
       } else {
         // Mark transaction as failed if status is 0
         transaction = await Transaction.findOneAndUpdate({ transactionHash }, { status: "FAILED" }, { new: true });
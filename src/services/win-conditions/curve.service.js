@@ -0,0 +1,293 @@
+/**
+ * CURVE Win Condition Calculator
+ *
+ * In this mode, the top X% of players are paid on a decaying curve - a middle
+ * ground between EQUAL_DISTRIBUTE (flat) and TIERED (fixed positions).
+ *
+ * Curves (config.curve):
+ * - LINEAR:    weights N, N-1, ..., 1 for N winners
+ * - GEOMETRIC: weights 1, r, r², ... with 0 < config.ratio <= 1
+ * - WEIGHTS:   explicit non-increasing config.weights by position; at most
+ *              weights.length players are paid, unused weights are dropped
+ *
+ * EXACT PAYOUT:
+ * Every reward is floor(pool × weight / totalWeight) in wei. The few wei lost to
+ * rounding (fewer than the number of winners) go 1 wei each to the best-ranked
+ * winners, so the rewards always sum to exactly the prize pool.
+ */
+
+const Portfolio = require('../../models/Portfolio');
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const blockchainService = require('../blockchain.service');
+const { sortByPerformance, outcomeEntry, availablePrizePool } = require('./ranking');
+
+// Fractional weights are scaled to integers so the wei split is exact
+const WEIGHT_PRECISION = 1e12;
+
+/**
+ * Integer weights for the top `count` positions
+ * @param {Object} config - winCondition.config
+ * @param {number} count - Number of winners
+ * @returns {Array<BigInt>}
+ */
+function getCurveWeights(config, count) {
+  const weights = [];
+  for (let i = 0; i < count; i++) {
+    switch (config.curve) {
+      case 'LINEAR':
+        weights.push(count - i);
+        break;
+      case 'GEOMETRIC':
+        weights.push(Math.pow(config.ratio, i));
+        break;
+      case 'WEIGHTS':
+        weights.push(config.weights[i]);
+        break;
+      default:
+        throw new Error(`Unknown payout curve: ${config.curve}`);
+    }
+  }
+  return weights.map((w) => BigInt(Math.round(w * WEIGHT_PRECISION)));
+}
+
+/**
+ * Calculate winners for a CURVE game
+ * @param {Object} game - The game document
+ * @returns {Promise<void>}
+ */
+async function calculateWinners(game) {
+  const { topWinnersPercentage, curve } = game.winCondition.config;
+  console.log(`\n--- CURVE: Top ${topWinnersPercentage}% Paid on a ${curve} Curve ---`);
+
+  // Get totalPrizePool from blockchain
+  const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+  const totalPrizePool = availablePrizePool(gameDetails);
+  game.totalPrizePool = totalPrizePool.toString();
+  console.log(`Prize Pool: $${(Number(totalPrizePool) / 1e18).toFixed(2)}`);
+
+  // Get all locked portfolios sorted by performance
+  const lockedPortfolios = await Portfolio.find({
+    gameId: game.gameId,
+    status: 'LOCKED',
+  })
+    .populate('userId')
+    .lean()
+    .sort({ performancePercentage: -1, createdAt: 1 }); // Tie-breaker: earlier entry wins
+
+  const outcome = computeOutcome(game, lockedPortfolios, totalPrizePool);
+  await persistOutcome(game, outcome, lockedPortfolios);
+}
+
+/**
+ * Compute the outcome of a CURVE game without touching the database or chain
+ * @param {Object} game - The game document
+ * @param {Array<Object>} portfolios - The game's locked (or settled) portfolios
+ * @param {BigInt} totalPrizePool - Prize pool in wei
+ * @returns {{ results: Array<Object>, reason: string|null, error: string|null }}
+ */
+function computeOutcome(game, portfolios, totalPrizePool) {
+  const lockedPortfolios = sortByPerformance(portfolios);
+
+  // ========================================
+  // EDGE CASE: No players
+  // ========================================
+  if (lockedPortfolios.length === 0) {
+    return { results: [], reason: 'NO_PLAYERS', error: null };
+  }
+
+  // ========================================
+  // EDGE CASE: Prize pool is 0 - everyone is a participant
+  // ========================================
+  if (totalPrizePool === 0n) {
+    return {
+      results: lockedPortfolios.map((p) => outcomeEntry(p, 1, false, 0n)),
+      reason: 'ZERO_PRIZE_POOL',
+      error: null,
+    };
+  }
+
+  const config = game.winCondition.config;
+
+  // Number of paid positions (at least 1 if there are any players)
+  let winnerCount = Math.max(1, Math.ceil((config.topWinnersPercentage / 100) * lockedPortfolios.length));
+  if (config.curve === 'WEIGHTS') {
+    winnerCount = Math.min(winnerCount, config.weights.length);
+  }
+
+  const weights = getCurveWeights(config, winnerCount);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0n);
+  if (totalWeight === 0n) {
+    return { results: [], reason: null, error: `Payout curve for game ${game.gameId} has no weight` };
+  }
+
+  const rewards = weights.map((w) => (totalPrizePool * w) / totalWeight);
+
+  // Hand the rounding remainder out 1 wei at a time from the top
+  let remainder = totalPrizePool - rewards.reduce((sum, r) => sum + r, 0n);
+  for (let i = 0; remainder > 0n; i++, remainder--) {
+    rewards[i] += 1n;
+  }
+
+  return {
+    results: lockedPortfolios.map((p, i) =>
+      i < winnerCount ? outcomeEntry(p, i + 1, true, rewards[i]) : outcomeEntry(p, winnerCount + 1, false, 0n)
+    ),
+    reason: null,
+    error: null,
+  };
+}
+
+/**
+ * Write a computed CURVE outcome: portfolio statuses, game winners, user stats and notifications
+ * @param {Object} game - The game document
+ * @param {Object} outcome - Result of computeOutcome
+ * @param {Array<Object>} lockedPortfolios - The portfolios the outcome was computed from
+ * @returns {Promise<void>}
+ */
+async function persistOutcome(game, outcome, lockedPortfolios) {
+  const totalPrizePool = BigInt(game.totalPrizePool || '0');
+
+  if (outcome.error) {
+    console.error(`❌ Game ${game.gameId}: ${outcome.error}`);
+    game.status = 'FAILED';
+    game.error = outcome.error;
+    await game.save();
+    return;
+  }
+
+  if (outcome.reason === 'NO_PLAYERS') {
+    console.log(`⚠️ Game ${game.gameId}: No players - nothing to distribute`);
+    console.log(`Prize pool of $${(Number(totalPrizePool) / 1e18).toFixed(2)} remains in contract for admin withdrawal`);
+    game.hasCalculatedWinners = true;
+    await game.markWinnerCalculated();
+    return;
+  }
+
+  if (outcome.reason === 'ZERO_PRIZE_POOL') {
+    console.log(`⚠️ Game ${game.gameId}: Prize pool is 0 - marking all as participants`);
+    for (const result of outcome.results) {
+      await Portfolio.updateOne(
+        { portfolioId: result.portfolioId },
+        {
+          $set: {
+            status: 'LOST',
+            'gameOutcome.isWinner': false,
+            'gameOutcome.reward': '0',
+            'gameOutcome.settledAt': new Date(),
+            'gameOutcome.rank': result.rank,
+          },
+        }
+      );
+    }
+    game.hasCalculatedWinners = true;
+    await game.markWinnerCalculated();
+    return;
+  }
+
+  const winners = outcome.results.filter((r) => r.isWinner);
+  const losers = outcome.results.filter((r) => !r.isWinner);
+  const portfoliosById = new Map(lockedPortfolios.map((p) => [p.portfolioId, p]));
+
+  console.log(`\n💰 Curve Payouts (${winners.length} of ${outcome.results.length} players paid):`);
+  for (const winner of winners.slice(0, 10)) {
+    const share = (Number(winner.reward) / Number(totalPrizePool)) * 100;
+    console.log(
+      `   Position ${winner.rank}: ${share.toFixed(2)}% = $${(Number(winner.reward) / 1e18).toFixed(2)} (Portfolio ${
+        winner.portfolioId
+      })`
+    );
+  }
+
+  // Process winners
+  for (const { portfolioId, userId, performancePercentage, reward, rank } of winners) {
+    game.winners.push({
+      userId,
+      portfolioId,
+      performancePercentage,
+      isRewardDistributed: false,
+    });
+
+    // Computed from lean() documents, need to get full document for methods
+    const portfolio = await Portfolio.findOne({ portfolioId });
+    await portfolio.markAsWinner(reward, rank);
+
+    const previousWins = await Portfolio.countDocuments({
+      userId,
+      'gameOutcome.isWinner': true,
+      gameId: game.gameId,
+    });
+
+    const user = await User.findById(userId);
+    if (user) {
+      await user.updateGameStats(game.gameId, portfolioId, performancePercentage, parseFloat(reward), rank);
+    }
+
+    await new Notification({
+      userId,
+      type: 'PORTFOLIO_WON',
+      message: `Congratulations! Your portfolio "${portfolio.portfolioName}" finished #${rank} and won!`,
+      metadata: {
+        previousWins,
+        portfolioId: portfolio._id,
+        gameId: game.gameId,
+      },
+    }).save();
+  }
+
+  // Mark losing portfolios
+  for (const { portfolioId, rank } of losers) {
+    const portfolio = portfoliosById.get(portfolioId);
+
+    await Portfolio.updateOne(
+      { portfolioId },
+      {
+        $set: {
+          status: 'LOST',
+          'gameOutcome.isWinner': false,
+          'gameOutcome.reward': '0',
+          'gameOutcome.settledAt': new Date(),
+          'gameOutcome.rank': rank,
+        },
+      }
+    );
+
+    const user = await User.findById(portfolio.userId._id);
+    if (user) {
+      await user.updateGameStats(game.gameId, portfolio.portfolioId, portfolio.performancePercentage, 0, rank);
+    }
+
+    const previousWins = await Portfolio.countDocuments({
+      userId: portfolio.userId._id,
+      'gameOutcome.isWinner': true,
+      gameId: { $ne: game.gameId },
+    });
+
+    await new Notification({
+      userId: portfolio.userId._id,
+      type: 'PORTFOLIO_LOST',
+      message: `Your portfolio "${portfolio.portfolioName}" did not win this round.`,
+      metadata: {
+        previousWins,
+        portfolioId: portfolio._id,
+        gameId: game.gameId,
+      },
+    }).save();
+  }
+
+  console.log(`\n✅ CURVE Complete:`);
+  console.log(`   Winners: ${winners.length}`);
+  console.log(`   Losers: ${losers.length}`);
+  console.log(`   Prize Pool Distributed: 100%`);
+  console.log(`========== WINNER CALCULATION END: Game ${game.gameId} ==========\n`);
+
+  game.hasCalculatedWinners = true;
+  await game.markWinnerCalculated();
+}
+
+module.exports = {
+  calculateWinners,
+  computeOutcome,
+  persistOutcome,
+  getCurveWeights,
+};
@@ -11,6 +11,7 @@ const Portfolio = require('../../models/Portfolio');
 const User = require('../../models/User');
 const Notification = require('../../models/Notification');
 const blockchainService = require('../blockchain.service');
+const { sortByPerformance, outcomeEntry, availablePrizePool } = require('./ranking');
 
 /**
  * Calculate winners for an EQUAL_DISTRIBUTE game
@@ -21,8 +22,8 @@ async function calculateWinners(game) {
   console.log(`\n--- EQUAL_DISTRIBUTE: Top ${game.winCondition.config.topWinnersPercentage}% Win ---`);
 
   // Get totalPrizePool from blockchain
-  const gameDetails = await blockchainService.getGameDetails(game.gameId);
-  const totalPrizePool = BigInt(gameDetails.totalPrizePool);
+  const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+  const totalPrizePool = availablePrizePool(gameDetails);
   game.totalPrizePool = totalPrizePool.toString();
   console.log(`Prize Pool: $${(Number(totalPrizePool) / 1e18).toFixed(2)}`);
 
@@ -35,13 +36,71 @@ async function calculateWinners(game) {
     .lean()
     .sort({ performancePercentage: -1, createdAt: 1 }); // Tie-breaker: earlier entry wins
 
-  const topWinnersPercentage = game.winCondition.config.topWinnersPercentage;
-  const rewardPercentage = game.winCondition.config.rewardPercentage;
+  const outcome = computeOutcome(game, lockedPortfolios, totalPrizePool);
+  await persistOutcome(game, outcome, lockedPortfolios);
+}
+
+/**
+ * Compute the outcome of an EQUAL_DISTRIBUTE game without touching the database or chain
+ * @param {Object} game - The game document
+ * @param {Array<Object>} portfolios - The game's locked (or settled) portfolios
+ * @param {BigInt} totalPrizePool - Prize pool in wei
+ * @returns {{ results: Array<Object>, reason: string|null, error: string|null }}
+ */
+function computeOutcome(game, portfolios, totalPrizePool) {
+  const lockedPortfolios = sortByPerformance(portfolios);
 
   // ========================================
   // EDGE CASE: No players
   // ========================================
   if (lockedPortfolios.length === 0) {
+    return { results: [], reason: 'NO_PLAYERS', error: null };
+  }
+
+  // ========================================
+  // EDGE CASE: Prize pool is 0 - everyone is a participant
+  // ========================================
+  if (totalPrizePool === 0n) {
+    return {
+      results: lockedPortfolios.map((p) => outcomeEntry(p, 1, false, 0n)),
+      reason: 'ZERO_PRIZE_POOL',
+      error: null,
+    };
+  }
+
+  const { topWinnersPercentage, rewardPercentage } = game.winCondition.config;
+
+  // Calculate number of winners (at least 1 if there are any players)
+  const topWinnersCount = Math.max(1, Math.ceil((topWinnersPercentage / 100) * lockedPortfolios.length));
+
+  let rewardPerWinner = 0n;
+  if (rewardPercentage > 0) {
+    const rewardTotal = (totalPrizePool * BigInt(rewardPercentage)) / 100n;
+    rewardPerWinner = rewardTotal / BigInt(topWinnersCount);
+  }
+
+  return {
+    results: lockedPortfolios.map((p, i) =>
+      i < topWinnersCount
+        ? outcomeEntry(p, i + 1, true, rewardPerWinner)
+        : outcomeEntry(p, topWinnersCount + 1, false, 0n)
+    ),
+    reason: null,
+    error: null,
+  };
+}
+
+/**
+ * Write a computed EQUAL_DISTRIBUTE outcome: portfolio statuses, game winners, user stats and notifications
+ * @param {Object} game - The game document
+ * @param {Object} outcome - Result of computeOutcome
+ * @param {Array<Object>} lockedPortfolios - The portfolios the outcome was computed from
+ * @returns {Promise<void>}
+ */
+async function persistOutcome(game, outcome, lockedPortfolios) {
+  const totalPrizePool = BigInt(game.totalPrizePool || '0');
+
+  if (outcome.reason === 'NO_PLAYERS') {
     console.log(`⚠️ Game ${game.gameId}: No players - nothing to distribute`);
     console.log(`Prize pool of $${(Number(totalPrizePool) / 1e18).toFixed(2)} remains in contract for admin withdrawal`);
     game.hasCalculatedWinners = true;
@@ -49,21 +108,18 @@ async function calculateWinners(game) {
     return;
   }
 
-  // ========================================
-  // EDGE CASE: Prize pool is 0
-  // ========================================
-  if (totalPrizePool === 0n) {
+  if (outcome.reason === 'ZERO_PRIZE_POOL') {
     console.log(`⚠️ Game ${game.gameId}: Prize pool is 0 - marking all as participants (no winners/losers)`);
-    for (const portfolio of lockedPortfolios) {
+    for (const result of outcome.results) {
       await Portfolio.updateOne(
-        { portfolioId: portfolio.portfolioId },
+        { portfolioId: result.portfolioId },
         {
           $set: {
             status: 'LOST',
             'gameOutcome.isWinner': false,
             'gameOutcome.reward': '0',
             'gameOutcome.settledAt': new Date(),
-            'gameOutcome.rank': 1,
+            'gameOutcome.rank': result.rank,
           },
         }
       );
@@ -73,79 +129,54 @@ async function calculateWinners(game) {
     return;
   }
 
-  // Calculate number of winners (at least 1 if there are any players)
-  const topWinnersCount = Math.max(1, Math.ceil((topWinnersPercentage / 100) * lockedPortfolios.length));
-
-  console.log(`Total Portfolios: ${lockedPortfolios.length}`);
-  console.log(`Top ${topWinnersPercentage}% = ${topWinnersCount} winner(s)`);
-  console.log(
-    `Reward Pool: ${rewardPercentage}% of prize = $${(
-      (Number(totalPrizePool) * rewardPercentage) /
-      100 /
-      1e18
-    ).toFixed(2)}`
-  );
-
-  const winners = lockedPortfolios.slice(0, topWinnersCount);
-
-  let rewardTotal = 0n;
-  let rewardPerWinner = 0n;
-
-  if (topWinnersCount > 0 && rewardPercentage > 0 && totalPrizePool > 0n) {
-    rewardTotal = (totalPrizePool * BigInt(rewardPercentage)) / 100n;
-    rewardPerWinner = rewardTotal / BigInt(topWinnersCount);
-  }
+  const winners = outcome.results.filter((r) => r.isWinner);
+  const losers = outcome.results.filter((r) => !r.isWinner);
+  const portfoliosById = new Map(lockedPortfolios.map((p) => [p.portfolioId, p]));
+  const rewardPerWinner = winners.length > 0 ? winners[0].reward : '0';
 
+  console.log(`Total Portfolios: ${outcome.results.length}`);
+  console.log(`Top ${game.winCondition.config.topWinnersPercentage}% = ${winners.length} winner(s)`);
   console.log(`Reward per winner: $${(Number(rewardPerWinner) / 1e18).toFixed(2)}`);
 
   // Log top 10 standings
   console.log('\n📊 Top 10 Standings:');
-  lockedPortfolios.slice(0, 10).forEach((p, i) => {
-    const isWinner = i < topWinnersCount ? '✅' : '❌';
+  outcome.results.slice(0, 10).forEach((r, i) => {
+    const isWinner = r.isWinner ? '✅' : '❌';
     console.log(
       `${i + 1}. ${isWinner} Portfolio ${
-        p.portfolioId
-      }: $${p.currentValue.toLocaleString()} (${p.performancePercentage.toFixed(2)}%)`
+        r.portfolioId
+      }: $${r.currentValue.toLocaleString()} (${r.performancePercentage.toFixed(2)}%)`
     );
   });
 
   // Process winners
-  for (let i = 0; i < winners.length; i++) {
-    const portfolioData = winners[i];
-    const rank = i + 1;
-
+  for (const { portfolioId, userId, performancePercentage, reward, rank } of winners) {
     game.winners.push({
-      userId: portfolioData.userId,
-      portfolioId: portfolioData.portfolioId,
-      performancePercentage: portfolioData.performancePercentage,
+      userId,
+      portfolioId,
+      performancePercentage,
       isRewardDistributed: false,
     });
 
-    // Since we used lean(), need to get full document for methods
-    const portfolio = await Portfolio.findOne({ portfolioId: portfolioData.portfolioId });
-    await portfolio.markAsWinner(rewardPerWinner.toString(), rank);
+    // Computed from lean() documents, need to get full document for methods
+    const portfolio = await Portfolio.findOne({ portfolioId });
+    await portfolio.markAsWinner(reward, rank);
 
     const previousWins = await Portfolio.countDocuments({
-      userId: portfolioData.userId._id,
+      userId,
       'gameOutcome.isWinner': true,
       gameId: game.gameId,
     });
 
     // Update user statistics
-    const user = await User.findById(portfolioData.userId);
+    const user = await User.findById(userId);
     if (user) {
-      await user.updateGameStats(
-        game.gameId,
-        portfolioData.portfolioId,
-        portfolioData.performancePercentage,
-        parseFloat(rewardPerWinner.toString()),
-        rank
-      );
+      await user.updateGameStats(game.gameId, portfolioId, performancePercentage, parseFloat(reward), rank);
     }
 
     // Create win notification
     await new Notification({
-      userId: portfolioData.userId._id,
+      userId,
       type: 'PORTFOLIO_WON',
       message: `Congratulations! Your portfolio "${portfolio.portfolioName}" won!`,
       metadata: {
@@ -157,18 +188,18 @@ async function calculateWinners(game) {
   }
 
   // Mark losing portfolios
-  const losingPortfolios = lockedPortfolios.slice(topWinnersCount);
+  for (const { portfolioId, rank } of losers) {
+    const portfolio = portfoliosById.get(portfolioId);
 
-  for (const portfolio of losingPortfolios) {
     await Portfolio.updateOne(
-      { portfolioId: portfolio.portfolioId },
+      { portfolioId },
       {
         $set: {
           status: 'LOST',
           'gameOutcome.isWinner': false,
           'gameOutcome.reward': '0',
           'gameOutcome.settledAt': new Date(),
-          'gameOutcome.rank': topWinnersCount + 1,
+          'gameOutcome.rank': rank,
         },
       }
     );
@@ -176,13 +207,7 @@ async function calculateWinners(game) {
     // Update user statistics for loser
     const user = await User.findById(portfolio.userId._id);
     if (user) {
-      await user.updateGameStats(
-        game.gameId,
-        portfolio.portfolioId,
-        portfolio.performancePercentage,
-        0,
-        topWinnersCount + 1
-      );
+      await user.updateGameStats(game.gameId, portfolio.portfolioId, portfolio.performancePercentage, 0, rank);
     }
 
     const previousWins = await Portfolio.countDocuments({
@@ -205,7 +230,7 @@ async function calculateWinners(game) {
 
   console.log(`\n✅ EQUAL_DISTRIBUTE Complete:`);
   console.log(`   Winners: ${winners.length}`);
-  console.log(`   Losers: ${losingPortfolios.length}`);
+  console.log(`   Losers: ${losers.length}`);
   console.log(`========== WINNER CALCULATION END: Game ${game.gameId} ==========\n`);
 
   game.hasCalculatedWinners = true;
@@ -214,5 +239,6 @@ async function calculateWinners(game) {
 
 module.exports = {
   calculateWinners,
+  computeOutcome,
+  persistOutcome,
 };
-
@@ -0,0 +1,308 @@
+/**
+ * HEAD_TO_HEAD Win Condition Calculator
+ *
+ * In this mode, locked portfolios are paired off at lock time and each pair plays
+ * its own match:
+ * - The better performer of each pair takes both players' net entries
+ *   (the on-chain prize pool is already net of the admin fee)
+ * - Ties go to the earlier entry, or are split when config.tieBreaker is "SPLIT"
+ * - With an odd number of players, the unpaired player gets a bye and their
+ *   net entry back
+ * - Wei left over from dividing the pool per player stays in the contract
+ *
+ * PAIRING:
+ * Pairs are drawn from a random seed stored on the game. Portfolio IDs are sorted,
+ * shuffled with a sha256-based generator keyed by the seed, then paired in order,
+ * so anyone can recompute the pairing from game.headToHead.seed.
+ */
+
+const crypto = require('crypto');
+const Portfolio = require('../../models/Portfolio');
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const blockchainService = require('../blockchain.service');
+const { outcomeEntry, availablePrizePool } = require('./ranking');
+
+/**
+ * Generate a new pairing seed
+ * @returns {string} 32 random bytes, hex encoded
+ */
+function generateSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Deterministically pair portfolios from a seed
+ * @param {Array<number>} portfolioIds - IDs of the portfolios to pair (any order)
+ * @param {string} seed - Hex seed from generateSeed
+ * @returns {{ pairs: Array<Array<number>>, byePortfolioId: number|null }}
+ */
+function createPairings(portfolioIds, seed) {
+  const ids = [...portfolioIds].sort((a, b) => a - b);
+
+  // Fisher-Yates shuffle; draw i uses sha256(seed:i) as its random number
+  for (let i = ids.length - 1; i > 0; i--) {
+    const digest = crypto.createHash('sha256').update(`${seed}:${i}`).digest('hex');
+    const j = Number(BigInt(`0x${digest}`) % BigInt(i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  const pairs = [];
+  for (let i = 0; i + 1 < ids.length; i += 2) {
+    pairs.push([ids[i], ids[i + 1]]);
+  }
+
+  return { pairs, byePortfolioId: ids.length % 2 === 1 ? ids[ids.length - 1] : null };
+}
+
+/**
+ * Calculate winners for a HEAD_TO_HEAD game
+ * @param {Object} game - The game document
+ * @returns {Promise<void>}
+ */
+async function calculateWinners(game) {
+  console.log(`\n--- HEAD_TO_HEAD: Paired Matches ---`);
+
+  // Get totalPrizePool from blockchain
+  const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+  const totalPrizePool = availablePrizePool(gameDetails);
+  game.totalPrizePool = totalPrizePool.toString();
+  console.log(`Prize Pool: $${(Number(totalPrizePool) / 1e18).toFixed(2)}`);
+
+  const lockedPortfolios = await Portfolio.find({
+    gameId: game.gameId,
+    status: 'LOCKED',
+  })
+    .populate('userId')
+    .lean();
+
+  const outcome = computeOutcome(game, lockedPortfolios, totalPrizePool);
+  await persistOutcome(game, outcome, lockedPortfolios);
+}
+
+/**
+ * Compute the outcome of a HEAD_TO_HEAD game without touching the database or chain
+ * @param {Object} game - The game document (with headToHead pairings)
+ * @param {Array<Object>} portfolios - The game's locked (or settled) portfolios
+ * @param {BigInt} totalPrizePool - Prize pool in wei
+ * @returns {{ results: Array<Object>, reason: string|null, error: string|null }}
+ */
+function computeOutcome(game, portfolios, totalPrizePool) {
+  const pairing = game.headToHead;
+
+  // ========================================
+  // EDGE CASE: No players
+  // ========================================
+  if (portfolios.length === 0) {
+    return { results: [], reason: 'NO_PLAYERS', error: null };
+  }
+
+  if (!pairing || !pairing.pairedAt) {
+    return { results: [], reason: null, error: `Game ${game.gameId} has no head-to-head pairings` };
+  }
+
+  // A locked entry left out of the pairing would get no result and no payout
+  const pairedIds = new Set(pairing.portfolioIds || []);
+  const unpaired = portfolios.filter((p) => !p.isApe && !pairedIds.has(p.portfolioId));
+  if (unpaired.length > 0) {
+    const unpairedIds = unpaired.map((p) => p.portfolioId).join(', ');
+    return {
+      results: [],
+      reason: null,
+      error: `Game ${game.gameId}: portfolios ${unpairedIds} are not in the head-to-head pairing`,
+    };
+  }
+
+  // ========================================
+  // EDGE CASE: Prize pool is 0 - everyone is a participant
+  // ========================================
+  if (totalPrizePool === 0n) {
+    return {
+      results: portfolios.map((p) => outcomeEntry(p, 1, false, 0n)),
+      reason: 'ZERO_PRIZE_POOL',
+      error: null,
+    };
+  }
+
+  // Everyone who was paired paid an entry, including players whose portfolio has since dropped out
+  const playerCount = pairing.pairs.length * 2 + (pairing.byePortfolioId ? 1 : 0);
+  const netEntry = totalPrizePool / BigInt(playerCount);
+  const splitTies = game.winCondition.config?.tieBreaker === 'SPLIT';
+  const portfoliosById = new Map(portfolios.map((p) => [p.portfolioId, p]));
+  const results = [];
+
+  for (const pairIds of pairing.pairs) {
+    const [a, b] = pairIds.map((id) => portfoliosById.get(id));
+
+    // Walkover: only one side of the pair is still in the game
+    if (!a || !b) {
+      const present = a || b;
+      if (present) results.push({ ...outcomeEntry(present, 1, true, netEntry * 2n), opponentPortfolioId: null });
+      continue;
+    }
+
+    if (a.performancePercentage === b.performancePercentage && splitTies) {
+      results.push({ ...outcomeEntry(a, 1, true, netEntry), opponentPortfolioId: b.portfolioId });
+      results.push({ ...outcomeEntry(b, 1, true, netEntry), opponentPortfolioId: a.portfolioId });
+      continue;
+    }
+
+    // Better performer wins; tie-breaker: earlier entry wins
+    const aWins =
+      a.performancePercentage !== b.performancePercentage
+        ? a.performancePercentage > b.performancePercentage
+        : new Date(a.createdAt) <= new Date(b.createdAt);
+    const [winner, loser] = aWins ? [a, b] : [b, a];
+
+    results.push({ ...outcomeEntry(winner, 1, true, netEntry * 2n), opponentPortfolioId: loser.portfolioId });
+    results.push({ ...outcomeEntry(loser, 2, false, 0n), opponentPortfolioId: winner.portfolioId });
+  }
+
+  // Bye: no opponent, net entry is refunded
+  const byePortfolio = pairing.byePortfolioId ? portfoliosById.get(pairing.byePortfolioId) : null;
+  if (byePortfolio) {
+    results.push({ ...outcomeEntry(byePortfolio, 1, true, netEntry), opponentPortfolioId: null, isBye: true });
+  }
+
+  return { results, reason: null, error: null };
+}
+
+/**
+ * Write a computed HEAD_TO_HEAD outcome: portfolio statuses, game winners, user stats and notifications
+ * @param {Object} game - The game document
+ * @param {Object} outcome - Result of computeOutcome
+ * @param {Array<Object>} lockedPortfolios - The portfolios the outcome was computed from
+ * @returns {Promise<void>}
+ */
+async function persistOutcome(game, outcome, lockedPortfolios) {
+  const totalPrizePool = BigInt(game.totalPrizePool || '0');
+
+  if (outcome.error) {
+    console.error(`❌ Game ${game.gameId}: ${outcome.error}`);
+    game.status = 'FAILED';
+    game.error = outcome.error;
+    await game.save();
+    return;
+  }
+
+  if (outcome.reason === 'NO_PLAYERS') {
+    console.log(`⚠️ Game ${game.gameId}: No players - nothing to distribute`);
+    console.log(`Prize pool of $${(Number(totalPrizePool) / 1e18).toFixed(2)} remains in contract for admin withdrawal`);
+    game.hasCalculatedWinners = true;
+    await game.markWinnerCalculated();
+    return;
+  }
+
+  if (outcome.reason === 'ZERO_PRIZE_POOL') {
+    console.log(`⚠️ Game ${game.gameId}: Prize pool is 0 - marking all as participants`);
+    for (const result of outcome.results) {
+      await Portfolio.updateOne(
+        { portfolioId: result.portfolioId },
+        {
+          $set: {
+            status: 'LOST',
+            'gameOutcome.isWinner': false,
+            'gameOutcome.reward': '0',
+            'gameOutcome.settledAt': new Date(),
+            'gameOutcome.rank': result.rank,
+          },
+        }
+      );
+    }
+    game.hasCalculatedWinners = true;
+    await game.markWinnerCalculated();
+    return;
+  }
+
+  const winners = outcome.results.filter((r) => r.isWinner);
+  const losers = outcome.results.filter((r) => !r.isWinner);
+  const portfoliosById = new Map(lockedPortfolios.map((p) => [p.portfolioId, p]));
+
+  console.log(`Matches: ${game.headToHead.pairs.length}, bye: ${game.headToHead.byePortfolioId || 'none'}`);
+
+  // Process winners (including split ties and the bye refund)
+  for (const { portfolioId, userId, performancePercentage, reward, rank, opponentPortfolioId, isBye } of winners) {
+    game.winners.push({
+      userId,
+      portfolioId,
+      performancePercentage,
+      isRewardDistributed: false,
+    });
+
+    // Computed from lean() documents, need to get full document for methods
+    const portfolio = await Portfolio.findOne({ portfolioId });
+    await portfolio.markAsWinner(reward, rank);
+
+    const user = await User.findById(userId);
+    if (user) {
+      await user.updateGameStats(game.gameId, portfolioId, performancePercentage, parseFloat(reward), rank);
+    }
+
+    let message = `Congratulations! Your portfolio "${portfolio.portfolioName}" won its head-to-head match!`;
+    if (isBye) {
+      message = `Your portfolio "${portfolio.portfolioName}" had no opponent this round - your entry is refunded.`;
+    } else if (!opponentPortfolioId) {
+      message = `Your portfolio "${portfolio.portfolioName}" won its head-to-head match by walkover!`;
+    }
+
+    await new Notification({
+      userId,
+      type: 'PORTFOLIO_WON',
+      message,
+      metadata: {
+        portfolioId: portfolio._id,
+        gameId: game.gameId,
+        opponentPortfolioId,
+      },
+    }).save();
+  }
+
+  for (const { portfolioId, rank, opponentPortfolioId } of losers) {
+    const portfolio = portfoliosById.get(portfolioId);
+
+    await Portfolio.updateOne(
+      { portfolioId },
+      {
+        $set: {
+          status: 'LOST',
+          'gameOutcome.isWinner': false,
+          'gameOutcome.reward': '0',
+          'gameOutcome.settledAt': new Date(),
+          'gameOutcome.rank': rank,
+        },
+      }
+    );
+
+    const user = await User.findById(portfolio.userId._id);
+    if (user) {
+      await user.updateGameStats(game.gameId, portfolio.portfolioId, portfolio.performancePercentage, 0, rank);
+    }
+
+    await new Notification({
+      userId: portfolio.userId._id,
+      type: 'PORTFOLIO_LOST',
+      message: `Your portfolio "${portfolio.portfolioName}" lost its head-to-head match.`,
+      metadata: {
+        portfolioId: portfolio._id,
+        gameId: game.gameId,
+        opponentPortfolioId,
+      },
+    }).save();
+  }
+
+  console.log(`\n✅ HEAD_TO_HEAD Complete:`);
+  console.log(`   Winners: ${winners.length}`);
+  console.log(`   Losers: ${losers.length}`);
+  console.log(`========== WINNER CALCULATION END: Game ${game.gameId} ==========\n`);
+
+  game.hasCalculatedWinners = true;
+  await game.markWinnerCalculated();
+}
+
+module.exports = {
+  calculateWinners,
+  computeOutcome,
+  persistOutcome,
+  generateSeed,
+  createPairings,
+};
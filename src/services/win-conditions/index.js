@@ -5,20 +5,29 @@
  * - Winner determination based on the specific win condition rules
  * - Reward calculation and distribution logic
  * - Edge case handling (missing tiers, no players, etc.)
+ *
+ * Every calculator exposes the same three functions:
+ * - computeOutcome(game, portfolios, totalPrizePool): pure - returns ranks and rewards
+ * - persistOutcome(game, outcome, portfolios): writes statuses, winners, stats and notifications
+ * - calculateWinners(game): reads the prize pool and portfolios, then computes and persists
  */
 
 const marlowBanesCalculator = require("./marlow-banes.service");
 const equalDistributeCalculator = require("./equal-distribute.service");
 const tieredCalculator = require("./tiered.service");
+const headToHeadCalculator = require("./head-to-head.service");
+const curveCalculator = require("./curve.service");
 
 module.exports = {
   marlowBanesCalculator,
   equalDistributeCalculator,
   tieredCalculator,
+  headToHeadCalculator,
+  curveCalculator,
 
   /**
    * Get the appropriate calculator for a win condition type
-   * @param {string} type - The win condition type (MARLOW_BANES, EQUAL_DISTRIBUTE, TIERED)
+   * @param {string} type - The win condition type (MARLOW_BANES, EQUAL_DISTRIBUTE, TIERED, HEAD_TO_HEAD, CURVE)
    * @returns {Object} The calculator module for that type
    */
   getCalculator(type) {
@@ -29,6 +38,10 @@ module.exports = {
         return equalDistributeCalculator;
       case "TIERED":
         return tieredCalculator;
+      case "HEAD_TO_HEAD":
+        return headToHeadCalculator;
+      case "CURVE":
+        return curveCalculator;
       default:
         throw new Error(`Unknown win condition type: ${type}`);
     }
@@ -11,6 +11,7 @@ const Portfolio = require('../../models/Portfolio');
 const User = require('../../models/User');
 const Notification = require('../../models/Notification');
 const blockchainService = require('../blockchain.service');
+const { sortByPerformance, outcomeEntry, availablePrizePool } = require('./ranking');
 
 /**
  * Calculate winners for a MARLOW_BANES game
@@ -21,8 +22,8 @@ async function calculateWinners(game) {
   console.log(`\n--- MARLOW_BANES: Beat the Ape ---`);
 
   // Get prize pool from blockchain
-  const gameDetails = await blockchainService.getGameDetails(game.gameId);
-  const totalPrizePool = BigInt(gameDetails.totalPrizePool);
+  const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+  const totalPrizePool = availablePrizePool(gameDetails);
   game.totalPrizePool = totalPrizePool.toString();
   console.log(`Prize Pool: $${(Number(totalPrizePool) / 1e18).toFixed(2)}`);
 
@@ -31,16 +32,12 @@ async function calculateWinners(game) {
     portfolioId: game.apePortfolio.portfolioId,
   }).populate('userId');
 
-  if (!apePortfolio) {
-    game.status = 'FAILED';
-    game.error = `Ape portfolio not found for game ${game.gameId}`;
-    await game.save();
-    return;
+  if (apePortfolio) {
+    console.log(
+      `Ape Portfolio: $${apePortfolio.currentValue.toLocaleString()} (${apePortfolio.performancePercentage.toFixed(2)}%)`
+    );
   }
 
-  const apeValue = apePortfolio.currentValue;
-  console.log(`Ape Portfolio: $${apeValue.toLocaleString()} (${apePortfolio.performancePercentage.toFixed(2)}%)`);
-
   // Get all player portfolios sorted by performance
   const playerPortfolios = await Portfolio.find({
     gameId: game.gameId,
@@ -50,57 +47,115 @@ async function calculateWinners(game) {
     .populate('userId')
     .sort({ performancePercentage: -1, createdAt: 1 });
 
+  const portfolios = apePortfolio ? [apePortfolio, ...playerPortfolios] : playerPortfolios;
+  const outcome = computeOutcome(game, portfolios, totalPrizePool);
+  await persistOutcome(game, outcome, portfolios);
+}
+
+/**
+ * Compute the outcome of a MARLOW_BANES game without touching the database or chain
+ * @param {Object} game - The game document
+ * @param {Array<Object>} portfolios - The game's locked (or settled) portfolios, including the ape
+ * @param {BigInt} totalPrizePool - Prize pool in wei
+ * @returns {{ results: Array<Object>, reason: string|null, error: string|null }}
+ */
+function computeOutcome(game, portfolios, totalPrizePool) {
+  const apePortfolioId = game.apePortfolio?.portfolioId;
+  const apePortfolio = portfolios.find((p) => p.portfolioId === apePortfolioId);
+  if (!apePortfolio) {
+    return { results: [], reason: null, error: `Ape portfolio not found for game ${game.gameId}` };
+  }
+
+  const playerPortfolios = sortByPerformance(portfolios.filter((p) => p.portfolioId !== apePortfolioId));
+
   // ========================================
-  // EDGE CASE: No players
+  // EDGE CASE: No players - Marlow wins by default
   // ========================================
   if (playerPortfolios.length === 0) {
-    console.log(`⚠️ Game ${game.gameId}: No players - Marlow wins by default`);
+    return { results: [outcomeEntry(apePortfolio, 1, true, 0n)], reason: 'NO_PLAYERS', error: null };
+  }
+
+  // Split into winners (beat ape) and losers
+  const winners = playerPortfolios.filter((p) => p.currentValue > apePortfolio.currentValue);
+  const losers = playerPortfolios.filter((p) => p.currentValue <= apePortfolio.currentValue);
+
+  // Nobody beat the ape - Marlow wins and the prize stays in the contract
+  if (winners.length === 0) {
+    return {
+      results: [outcomeEntry(apePortfolio, 1, true, 0n), ...losers.map((p) => outcomeEntry(p, 2, false, 0n))],
+      reason: 'MARLOW_WINS',
+      error: null,
+    };
+  }
+
+  const rewardPerWinner = totalPrizePool / BigInt(winners.length);
+  const marlowRank = winners.length + 1;
+
+  return {
+    results: [
+      ...winners.map((p, i) => outcomeEntry(p, i + 1, true, rewardPerWinner)),
+      outcomeEntry(apePortfolio, marlowRank, false, 0n),
+      ...losers.map((p) => outcomeEntry(p, marlowRank, false, 0n)),
+    ],
+    reason: null,
+    error: null,
+  };
+}
+
+/**
+ * Write a computed MARLOW_BANES outcome: portfolio statuses, game winners, user stats and notifications
+ * @param {Object} game - The game document
+ * @param {Object} outcome - Result of computeOutcome
+ * @param {Array<Object>} portfolios - The portfolios the outcome was computed from
+ * @returns {Promise<void>}
+ */
+async function persistOutcome(game, outcome, portfolios) {
+  if (outcome.error) {
+    game.status = 'FAILED';
+    game.error = outcome.error;
+    await game.save();
+    return;
+  }
+
+  const apePortfolioId = game.apePortfolio.portfolioId;
+  const portfoliosById = new Map(portfolios.map((p) => [p.portfolioId, p]));
+  const apeResult = outcome.results.find((r) => r.portfolioId === apePortfolioId);
+  const playerResults = outcome.results.filter((r) => r.portfolioId !== apePortfolioId);
+  const winners = playerResults.filter((r) => r.isWinner);
+  const losers = playerResults.filter((r) => !r.isWinner);
 
-    // Mark Marlow as winner
+  // Helper: Record Marlow's own result (never receives an on-chain reward)
+  const processApe = async (transactionHash) => {
     await Portfolio.updateOne(
-      { portfolioId: apePortfolio.portfolioId },
+      { portfolioId: apePortfolioId },
       {
         $set: {
-          status: 'WON',
-          'gameOutcome.isWinner': true,
+          status: apeResult.isWinner ? 'WON' : 'LOST',
+          'gameOutcome.isWinner': apeResult.isWinner,
           'gameOutcome.reward': '0',
-          'gameOutcome.rank': 1,
+          'gameOutcome.rank': apeResult.rank,
           'gameOutcome.settledAt': new Date(),
         },
       }
     );
 
-    game.winners.push({
-      userId: apePortfolio.userId?._id || apePortfolio.userId,
-      portfolioId: apePortfolio.portfolioId,
-      performancePercentage: apePortfolio.performancePercentage,
-      reward: '0',
-      isRewardDistributed: true,
-      distributionTransactionHash: 'APE_SYSTEM_WIN_NO_PLAYERS',
-    });
-
-    game.hasCalculatedWinners = true;
-    await game.markWinnerCalculated();
-    return;
-  }
-
-  // Split into winners (beat ape) and losers
-  const winners = playerPortfolios.filter((p) => p.currentValue > apeValue);
-  const losers = playerPortfolios.filter((p) => p.currentValue <= apeValue);
-  const marlowWins = winners.length === 0;
-
-  // Log standings
-  console.log('\n📊 Top 10 Standings:');
-  playerPortfolios.slice(0, 10).forEach((p, i) => {
-    const icon = p.currentValue > apeValue ? '✅' : '❌';
-    console.log(`${i + 1}. ${icon} Portfolio ${p.portfolioId}: $${p.currentValue.toLocaleString()}`);
-  });
+    if (apeResult.isWinner) {
+      game.winners.push({
+        userId: apeResult.userId,
+        portfolioId: apePortfolioId,
+        performancePercentage: apeResult.performancePercentage,
+        reward: '0',
+        isRewardDistributed: true,
+        distributionTransactionHash: transactionHash,
+      });
+    }
+  };
 
   // Helper: Process a loser portfolio
-  const processLoser = async (portfolio, rank) => {
-    const userId = portfolio.userId?._id || portfolio.userId;
+  const processLoser = async ({ portfolioId, userId, performancePercentage, rank }) => {
+    const portfolio = portfoliosById.get(portfolioId);
     await Portfolio.updateOne(
-      { portfolioId: portfolio.portfolioId },
+      { portfolioId },
       {
         $set: {
           status: 'LOST',
@@ -112,8 +167,7 @@ async function calculateWinners(game) {
       }
     );
     const user = await User.findById(userId);
-    if (user)
-      await user.updateGameStats(game.gameId, portfolio.portfolioId, portfolio.performancePercentage, 0, rank);
+    if (user) await user.updateGameStats(game.gameId, portfolioId, performancePercentage, 0, rank);
     await new Notification({
       userId,
       type: 'PORTFOLIO_LOST',
@@ -122,70 +176,46 @@ async function calculateWinners(game) {
     }).save();
   };
 
-  if (marlowWins) {
+  if (outcome.reason === 'NO_PLAYERS') {
+    // ========================================
+    // EDGE CASE: No players
+    // ========================================
+    console.log(`⚠️ Game ${game.gameId}: No players - Marlow wins by default`);
+    await processApe('APE_SYSTEM_WIN_NO_PLAYERS');
+  } else if (outcome.reason === 'MARLOW_WINS') {
     // ============================================================
     // MARLOW WINS - Prize stays in contract
     // ============================================================
     console.log(`\n🎯 Marlow wins! Prize pool stays in contract.`);
-
-    // Mark Marlow as winner
-    await Portfolio.updateOne(
-      { portfolioId: apePortfolio.portfolioId },
-      {
-        $set: {
-          status: 'WON',
-          'gameOutcome.isWinner': true,
-          'gameOutcome.reward': '0',
-          'gameOutcome.rank': 1,
-          'gameOutcome.settledAt': new Date(),
-        },
-      }
-    );
-    game.winners.push({
-      userId: apePortfolio.userId?._id || apePortfolio.userId,
-      portfolioId: apePortfolio.portfolioId,
-      performancePercentage: apePortfolio.performancePercentage,
-      reward: '0',
-      isRewardDistributed: true,
-      distributionTransactionHash: 'APE_SYSTEM_WIN',
-    });
+    await processApe('APE_SYSTEM_WIN');
 
     // Mark all players as losers
-    await Promise.all(playerPortfolios.map((p) => processLoser(p, 2)));
+    await Promise.all(losers.map((r) => processLoser(r)));
 
-    console.log(`✅ Complete: Marlow wins, ${playerPortfolios.length} players lost`);
+    console.log(`✅ Complete: Marlow wins, ${losers.length} players lost`);
   } else {
     // ============================================================
     // PLAYERS WIN - Distribute rewards equally among winners
     // ============================================================
-    const rewardPerWinner = totalPrizePool / BigInt(winners.length);
+    const rewardPerWinner = winners[0].reward;
     console.log(
       `\n🎯 ${winners.length} players beat the ape! Reward: $${(Number(rewardPerWinner) / 1e18).toFixed(2)} each`
     );
 
     // Process winners
-    for (let i = 0; i < winners.length; i++) {
-      const portfolio = winners[i];
-      const userId = portfolio.userId?._id || portfolio.userId;
-      const rank = i + 1;
+    for (const { portfolioId, userId, performancePercentage, reward, rank } of winners) {
+      const portfolio = portfoliosById.get(portfolioId);
 
       game.winners.push({
         userId,
-        portfolioId: portfolio.portfolioId,
-        performancePercentage: portfolio.performancePercentage,
+        portfolioId,
+        performancePercentage,
         isRewardDistributed: false,
       });
-      await portfolio.markAsWinner(rewardPerWinner.toString(), rank);
+      await portfolio.markAsWinner(reward, rank);
 
       const user = await User.findById(userId);
-      if (user)
-        await user.updateGameStats(
-          game.gameId,
-          portfolio.portfolioId,
-          portfolio.performancePercentage,
-          parseFloat(rewardPerWinner.toString()),
-          rank
-        );
+      if (user) await user.updateGameStats(game.gameId, portfolioId, performancePercentage, parseFloat(reward), rank);
 
       await new Notification({
         userId,
@@ -196,23 +226,11 @@ async function calculateWinners(game) {
     }
 
     // Mark Marlow as loser
-    const marlowRank = winners.length + 1;
-    await Portfolio.updateOne(
-      { portfolioId: apePortfolio.portfolioId },
-      {
-        $set: {
-          status: 'LOST',
-          'gameOutcome.isWinner': false,
-          'gameOutcome.reward': '0',
-          'gameOutcome.rank': marlowRank,
-          'gameOutcome.settledAt': new Date(),
-        },
-      }
-    );
-    console.log(`🦍 Marlow LOST - ranked #${marlowRank}`);
+    await processApe(null);
+    console.log(`🦍 Marlow LOST - ranked #${apeResult.rank}`);
 
     // Mark losing players
-    await Promise.all(losers.map((p) => processLoser(p, marlowRank)));
+    await Promise.all(losers.map((r) => processLoser(r)));
 
     console.log(`✅ Complete: ${winners.length} winners, ${losers.length} losers`);
   }
@@ -223,5 +241,6 @@ async function calculateWinners(game) {
 
 module.exports = {
   calculateWinners,
+  computeOutcome,
+  persistOutcome,
 };
-
@@ -0,0 +1,49 @@
+/**
+ * Shared ranking and prize pool helpers for the win condition calculators
+ */
+
+/**
+ * Sort portfolios best first, using the same order as the calculators' queries:
+ * performancePercentage descending, then earlier entry (createdAt) first.
+ * @param {Array<Object>} portfolios - Portfolio documents or plain objects
+ * @returns {Array<Object>} A new, sorted array
+ */
+function sortByPerformance(portfolios) {
+  return [...portfolios].sort((a, b) => {
+    if (b.performancePercentage !== a.performancePercentage) {
+      return b.performancePercentage - a.performancePercentage;
+    }
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  });
+}
+
+/**
+ * Build one outcome entry for computeOutcome results
+ */
+function outcomeEntry(portfolio, rank, isWinner, reward) {
+  return {
+    portfolioId: portfolio.portfolioId,
+    userId: portfolio.userId?._id || portfolio.userId,
+    currentValue: portfolio.currentValue,
+    performancePercentage: portfolio.performancePercentage,
+    rank,
+    isWinner,
+    reward: reward.toString(),
+  };
+}
+
+/**
+ * Prize pool still to be paid out, from the contract's game details. Entry fees
+ * refunded to portfolios taken out of a running game were paid from the pool already.
+ * @param {Object} gameDetails - Result of blockchainService.getGameDetails
+ * @returns {BigInt} Wei
+ */
+function availablePrizePool(gameDetails) {
+  return BigInt(gameDetails.totalPrizePool) - BigInt(gameDetails.totalRewardDistributed || '0');
+}
+
+module.exports = {
+  sortByPerformance,
+  outcomeEntry,
+  availablePrizePool,
+};
@@ -19,6 +19,7 @@ const Portfolio = require('../../models/Portfolio');
 const User = require('../../models/User');
 const Notification = require('../../models/Notification');
 const blockchainService = require('../blockchain.service');
+const { sortByPerformance, outcomeEntry, availablePrizePool } = require('./ranking');
 
 /**
  * Calculate winners for a TIERED game with proportional redistribution
@@ -29,8 +30,8 @@ async function calculateWinners(game) {
   console.log(`\n--- TIERED: Specific Positions Win (with Proportional Redistribution) ---`);
 
   // Get totalPrizePool from blockchain
-  const gameDetails = await blockchainService.getGameDetails(game.gameId);
-  const totalPrizePool = BigInt(gameDetails.totalPrizePool);
+  const gameDetails = await blockchainService.forChain(game.chainId).getGameDetails(game.gameId);
+  const totalPrizePool = availablePrizePool(gameDetails);
   game.totalPrizePool = totalPrizePool.toString();
   console.log(`Prize Pool: $${(Number(totalPrizePool) / 1e18).toFixed(2)}`);
 
@@ -46,89 +47,62 @@ async function calculateWinners(game) {
     .lean()
     .sort({ performancePercentage: -1, createdAt: 1 }); // Tie-breaker: earlier entry wins
 
+  const outcome = computeOutcome(game, lockedPortfolios, totalPrizePool);
+  await persistOutcome(game, outcome, lockedPortfolios);
+}
+
+/**
+ * Compute the outcome of a TIERED game without touching the database or chain
+ * @param {Object} game - The game document
+ * @param {Array<Object>} portfolios - The game's locked (or settled) portfolios
+ * @param {BigInt} totalPrizePool - Prize pool in wei
+ * @returns {{ results: Array<Object>, reason: string|null, error: string|null }}
+ */
+function computeOutcome(game, portfolios, totalPrizePool) {
+  const lockedPortfolios = sortByPerformance(portfolios);
+
   // ========================================
   // EDGE CASE: No players at all
   // ========================================
   if (lockedPortfolios.length === 0) {
-    console.log(`⚠️ Game ${game.gameId}: No players - nothing to distribute`);
-    console.log(`Prize pool of $${(Number(totalPrizePool) / 1e18).toFixed(2)} remains in contract for admin withdrawal`);
-    game.hasCalculatedWinners = true;
-    await game.markWinnerCalculated();
-    return;
+    return { results: [], reason: 'NO_PLAYERS', error: null };
   }
 
   // ========================================
-  // EDGE CASE: Prize pool is 0
+  // EDGE CASE: Prize pool is 0 - everyone is a participant
   // ========================================
   if (totalPrizePool === 0n) {
-    console.log(`⚠️ Game ${game.gameId}: Prize pool is 0 - marking all as participants`);
-    for (const portfolio of lockedPortfolios) {
-      await Portfolio.updateOne(
-        { portfolioId: portfolio.portfolioId },
-        {
-          $set: {
-            status: 'LOST',
-            'gameOutcome.isWinner': false,
-            'gameOutcome.reward': '0',
-            'gameOutcome.settledAt': new Date(),
-            'gameOutcome.rank': 1,
-          },
-        }
-      );
-    }
-    game.hasCalculatedWinners = true;
-    await game.markWinnerCalculated();
-    return;
+    return {
+      results: lockedPortfolios.map((p) => outcomeEntry(p, 1, false, 0n)),
+      reason: 'ZERO_PRIZE_POOL',
+      error: null,
+    };
   }
 
-  // ========================================
-  // Calculate active tiers (tiers that have players)
-  // ========================================
-  const activeTiers = tiers.filter((t) => t.position <= lockedPortfolios.length);
-
-  console.log(`\n📊 Tier Analysis:`);
-  console.log(`   Total Players: ${lockedPortfolios.length}`);
-  console.log(`   Total Tiers Configured: ${tiers.length}`);
-  console.log(`   Active Tiers (with players): ${activeTiers.length}`);
-
   // ========================================
   // EDGE CASE: No active tiers (misconfigured - all tier positions > player count)
   // ========================================
+  const tiers = game.winCondition.config.tiers;
+  const activeTiers = tiers.filter((t) => t.position <= lockedPortfolios.length);
   if (activeTiers.length === 0) {
-    console.error(`❌ Game ${game.gameId}: No active tiers! All tier positions exceed player count.`);
-    console.error(`   Tiers: ${tiers.map((t) => `pos ${t.position}`).join(', ')}`);
-    console.error(`   Players: ${lockedPortfolios.length}`);
-    game.status = 'FAILED';
-    game.error = `No valid tiers for ${lockedPortfolios.length} players. Tier positions: ${tiers.map((t) => t.position).join(', ')}`;
-    await game.save();
-    return;
+    return {
+      results: [],
+      reason: null,
+      error: `No valid tiers for ${lockedPortfolios.length} players. Tier positions: ${tiers
+        .map((t) => t.position)
+        .join(', ')}`,
+    };
   }
 
   // ========================================
   // PROPORTIONAL REDISTRIBUTION CALCULATION
   // ========================================
   const originalTotalPercentage = activeTiers.reduce((sum, t) => sum + t.rewardPercentage, 0);
-  const missingPercentage = 100 - originalTotalPercentage;
-
-  console.log(`\n💰 Proportional Redistribution:`);
-  console.log(`   Original active tier total: ${originalTotalPercentage}%`);
-  console.log(`   Unclaimed (missing tiers): ${missingPercentage}%`);
-
-  if (missingPercentage > 0) {
-    console.log(`   Scaling factor: ${(100 / originalTotalPercentage).toFixed(4)}x`);
-    console.log(`   ➡️ Redistributing ${missingPercentage}% proportionally among ${activeTiers.length} active tier(s)`);
-  } else {
-    console.log(`   ✅ All tiers have players - no redistribution needed`);
-  }
-
-  // Build winners array with scaled rewards
-  const winners = [];
+  const tierRewards = new Map();
   let totalDistributed = 0n;
 
   for (let i = 0; i < activeTiers.length; i++) {
     const tier = activeTiers[i];
-    const positionIndex = tier.position - 1;
-    const portfolioData = lockedPortfolios[positionIndex];
 
     // Calculate scaled percentage (proportional redistribution)
     const scaledPercentage = (tier.rewardPercentage / originalTotalPercentage) * 100;
@@ -145,49 +119,105 @@ async function calculateWinners(game) {
       totalDistributed += rewardAmount;
     }
 
-    console.log(
-      `   Position ${tier.position}: ${tier.rewardPercentage}% → ${scaledPercentage.toFixed(2)}% = $${(
-        Number(rewardAmount) / 1e18
-      ).toFixed(2)}`
-    );
-
-    winners.push({
-      portfolioData,
-      rewardAmount,
+    tierRewards.set(tier.position - 1, {
       rank: tier.position,
+      rewardAmount,
       originalPercentage: tier.rewardPercentage,
       scaledPercentage,
     });
   }
 
-  // Log final standings
-  console.log('\n📊 Final Standings:');
-  const displayCount = Math.min(lockedPortfolios.length, Math.max(...activeTiers.map((t) => t.position)) + 5);
-  for (let i = 0; i < displayCount; i++) {
-    const p = lockedPortfolios[i];
-    const winner = winners.find((w) => w.portfolioData.portfolioId === p.portfolioId);
-    const status = winner
-      ? `✅ Wins ${winner.scaledPercentage.toFixed(1)}% ($${(Number(winner.rewardAmount) / 1e18).toFixed(2)})`
-      : '❌';
+  return {
+    results: lockedPortfolios.map((p, i) => {
+      const tier = tierRewards.get(i);
+      if (!tier) {
+        return outcomeEntry(p, activeTiers.length + 1, false, 0n);
+      }
+      return {
+        ...outcomeEntry(p, tier.rank, true, tier.rewardAmount),
+        originalPercentage: tier.originalPercentage,
+        rewardPercentage: tier.scaledPercentage,
+      };
+    }),
+    reason: null,
+    error: null,
+  };
+}
+
+/**
+ * Write a computed TIERED outcome: portfolio statuses, game winners, user stats and notifications
+ * @param {Object} game - The game document
+ * @param {Object} outcome - Result of computeOutcome
+ * @param {Array<Object>} lockedPortfolios - The portfolios the outcome was computed from
+ * @returns {Promise<void>}
+ */
+async function persistOutcome(game, outcome, lockedPortfolios) {
+  const totalPrizePool = BigInt(game.totalPrizePool || '0');
+
+  if (outcome.error) {
+    console.error(`❌ Game ${game.gameId}: ${outcome.error}`);
+    game.status = 'FAILED';
+    game.error = outcome.error;
+    await game.save();
+    return;
+  }
+
+  if (outcome.reason === 'NO_PLAYERS') {
+    console.log(`⚠️ Game ${game.gameId}: No players - nothing to distribute`);
+    console.log(`Prize pool of $${(Number(totalPrizePool) / 1e18).toFixed(2)} remains in contract for admin withdrawal`);
+    game.hasCalculatedWinners = true;
+    await game.markWinnerCalculated();
+    return;
+  }
+
+  if (outcome.reason === 'ZERO_PRIZE_POOL') {
+    console.log(`⚠️ Game ${game.gameId}: Prize pool is 0 - marking all as participants`);
+    for (const result of outcome.results) {
+      await Portfolio.updateOne(
+        { portfolioId: result.portfolioId },
+        {
+          $set: {
+            status: 'LOST',
+            'gameOutcome.isWinner': false,
+            'gameOutcome.reward': '0',
+            'gameOutcome.settledAt': new Date(),
+            'gameOutcome.rank': result.rank,
+          },
+        }
+      );
+    }
+    game.hasCalculatedWinners = true;
+    await game.markWinnerCalculated();
+    return;
+  }
+
+  const winners = outcome.results.filter((r) => r.isWinner).sort((a, b) => a.rank - b.rank);
+  const losers = outcome.results.filter((r) => !r.isWinner);
+  const portfoliosById = new Map(lockedPortfolios.map((p) => [p.portfolioId, p]));
+
+  console.log(`\n💰 Tier Payouts (${lockedPortfolios.length} players):`);
+  for (const winner of winners) {
     console.log(
-      `${i + 1}. ${status} Portfolio ${p.portfolioId}: $${p.currentValue.toLocaleString()} (${p.performancePercentage.toFixed(2)}%)`
+      `   Position ${winner.rank}: ${winner.originalPercentage}% → ${winner.rewardPercentage.toFixed(2)}% = $${(
+        Number(winner.reward) / 1e18
+      ).toFixed(2)}`
     );
   }
 
   // ========================================
   // Process Winners
   // ========================================
-  for (const { portfolioData, rewardAmount, rank, scaledPercentage } of winners) {
+  for (const { portfolioId, userId, performancePercentage, reward, rank, rewardPercentage } of winners) {
     game.winners.push({
-      userId: portfolioData.userId,
-      portfolioId: portfolioData.portfolioId,
-      performancePercentage: portfolioData.performancePercentage,
+      userId,
+      portfolioId,
+      performancePercentage,
       isRewardDistributed: false,
     });
 
-    // Since we used lean(), need to get full document for methods
-    const portfolio = await Portfolio.findOne({ portfolioId: portfolioData.portfolioId });
-    await portfolio.markAsWinner(rewardAmount.toString(), rank);
+    // Computed from lean() documents, need to get full document for methods
+    const portfolio = await Portfolio.findOne({ portfolioId });
+    await portfolio.markAsWinner(reward, rank);
 
     const previousWins = await Portfolio.countDocuments({
       userId: portfolio.userId._id,
@@ -201,7 +231,7 @@ async function calculateWinners(game) {
         game.gameId,
         portfolio.portfolioId,
         portfolio.performancePercentage,
-        parseFloat(rewardAmount.toString()),
+        parseFloat(reward),
         rank
       );
     }
@@ -209,12 +239,12 @@ async function calculateWinners(game) {
     await new Notification({
       userId: portfolio.userId._id,
       type: 'PORTFOLIO_WON',
-      message: `Congratulations! Your portfolio "${portfolio.portfolioName}" won! (${scaledPercentage.toFixed(1)}% of prize pool)`,
+      message: `Congratulations! Your portfolio "${portfolio.portfolioName}" won! (${rewardPercentage.toFixed(1)}% of prize pool)`,
       metadata: {
         previousWins,
         portfolioId: portfolio._id,
         gameId: game.gameId,
-        rewardPercentage: scaledPercentage,
+        rewardPercentage,
       },
     }).save();
   }
@@ -222,21 +252,18 @@ async function calculateWinners(game) {
   // ========================================
   // Process Losers
   // ========================================
-  const winnerPortfolioIds = winners.map((w) => w.portfolioData.portfolioId);
-  const losingPortfolios = lockedPortfolios.filter(
-    (portfolio) => !winnerPortfolioIds.includes(portfolio.portfolioId)
-  );
+  for (const { portfolioId, rank } of losers) {
+    const portfolio = portfoliosById.get(portfolioId);
 
-  for (const portfolio of losingPortfolios) {
     await Portfolio.updateOne(
-      { portfolioId: portfolio.portfolioId },
+      { portfolioId },
       {
         $set: {
           status: 'LOST',
           'gameOutcome.isWinner': false,
           'gameOutcome.reward': '0',
           'gameOutcome.settledAt': new Date(),
-          'gameOutcome.rank': activeTiers.length + 1,
+          'gameOutcome.rank': rank,
         },
       }
     );
@@ -244,13 +271,7 @@ async function calculateWinners(game) {
     // Update user statistics for loser
     const user = await User.findById(portfolio.userId._id);
     if (user) {
-      await user.updateGameStats(
-        game.gameId,
-        portfolio.portfolioId,
-        portfolio.performancePercentage,
-        0,
-        activeTiers.length + 1
-      );
+      await user.updateGameStats(game.gameId, portfolio.portfolioId, portfolio.performancePercentage, 0, rank);
     }
 
     const previousWins = await Portfolio.countDocuments({
@@ -273,7 +294,7 @@ async function calculateWinners(game) {
 
   console.log(`\n✅ TIERED Complete (with Proportional Redistribution):`);
   console.log(`   Winners: ${winners.length}`);
-  console.log(`   Losers: ${losingPortfolios.length}`);
+  console.log(`   Losers: ${losers.length}`);
   console.log(`   Prize Pool Distributed: 100%`);
   console.log(`========== WINNER CALCULATION END: Game ${game.gameId} ==========\n`);
 
@@ -283,5 +304,6 @@ async function calculateWinners(game) {
 
 module.exports = {
   calculateWinners,
+  computeOutcome,
+  persistOutcome,
 };
-
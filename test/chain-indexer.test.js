@@ -0,0 +1,357 @@
+jest.mock("../src/services/blockchain.service", () => {
+  const config = require("../src/config");
+  const service = { chainId: config.blockchain.chainId, contractAddress: config.blockchain.contractAddress };
+  return { forChain: jest.fn(() => service), getChains: jest.fn(() => [service]) };
+});
+jest.mock("../src/services/ledger.service", () => ({ recordEntryFee: jest.fn() }));
+
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const config = require("../src/config");
+const chainIndexer = require("../src/services/chain-indexer.service");
+const ledgerService = require("../src/services/ledger.service");
+const refundService = require("../src/services/refund.service");
+const ChainCursor = require("../src/models/ChainCursor");
+const ChainEvent = require("../src/models/ChainEvent");
+const Portfolio = require("../src/models/Portfolio");
+const Transaction = require("../src/models/Transaction");
+const Game = require("../src/models/Game");
+const { abi } = require("../src/config/FusioFantasyGameV2.json");
+
+const CONTRACT = config.blockchain.contractAddress;
+const OWNER = "0x00000000000000000000000000000000000000aa";
+const iface = new ethers.utils.Interface(abi);
+
+// ---------------------------------------------------------------------------
+// In-memory chain: blocks with fork-specific hashes and contract logs
+// ---------------------------------------------------------------------------
+
+class FakeChain {
+  constructor() {
+    this.blocks = [];
+    this.logs = [];
+    this.now = Math.floor(Date.now() / 1000);
+    this.mine(1, "genesis");
+  }
+
+  mine(count, fork = "main") {
+    for (let i = 0; i < count; i++) {
+      const number = this.blocks.length;
+      this.blocks.push({ number, hash: ethers.utils.id(`${fork}:${number}`), timestamp: this.now - 1000 + number });
+    }
+  }
+
+  // Drop every block from `number` up, with its logs
+  reorg(number) {
+    this.blocks = this.blocks.slice(0, number);
+    this.logs = this.logs.filter((log) => log.blockNumber < number);
+  }
+
+  emit(blockNumber, transactionHash, name, values) {
+    const { data, topics } = iface.encodeEventLog(iface.getEvent(name), values);
+    this.logs.push({
+      address: CONTRACT,
+      blockNumber,
+      blockHash: this.blocks[blockNumber].hash,
+      transactionHash,
+      logIndex: this.logs.filter((log) => log.blockNumber === blockNumber).length,
+      topics,
+      data,
+    });
+  }
+
+  get provider() {
+    return {
+      getNetwork: async () => ({ chainId: config.blockchain.chainId }),
+      getBlockNumber: async () => this.blocks.length - 1,
+      getBlock: async (number) => this.blocks[number] || null,
+      getLogs: async ({ fromBlock, toBlock }) =>
+        this.logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock),
+      getTransactionReceipt: async () => ({
+        gasUsed: ethers.BigNumber.from(100000),
+        effectiveGasPrice: ethers.BigNumber.from(5000000000),
+      }),
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// In-memory collections behind the model methods the indexer uses
+// ---------------------------------------------------------------------------
+
+function valueAt(doc, path) {
+  if (typeof doc.get === "function") {
+    return doc.get(path);
+  }
+  return path.split(".").reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+function sameValue(a, b) {
+  if (a == null || b == null) {
+    return a == null && b == null;
+  }
+  return String(a.valueOf()) === String(b.valueOf());
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = valueAt(doc, path);
+    if (condition === null || typeof condition !== "object" || condition instanceof Date) {
+      return sameValue(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case "$gt":
+          return value > operand;
+        case "$lt":
+          return value < operand;
+        case "$lte":
+          return value <= operand;
+        case "$ne":
+          return !sameValue(value, operand);
+        case "$in":
+          return operand.some((o) => sameValue(value, o));
+        case "$nin":
+          return !operand.some((o) => sameValue(value, o));
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+}
+
+// Chainable stand-in for a mongoose query
+function query(result) {
+  const q = {
+    select: () => q,
+    populate: () => q,
+    lean: () => q,
+    sort: (spec) => {
+      result = [...result].sort((a, b) => {
+        for (const [path, direction] of Object.entries(spec)) {
+          const diff = valueAt(a, path) - valueAt(b, path);
+          if (diff !== 0) return diff * direction;
+        }
+        return 0;
+      });
+      return q;
+    },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+let db;
+
+function mockCollection(Model, name, { documents = true } = {}) {
+  const all = (filter = {}) => db[name].filter((doc) => matches(doc, filter));
+  const add = (data) => {
+    const doc = documents ? new Model(data) : { ...data, save: jest.fn(async () => doc) };
+    db[name].push(doc);
+    return doc;
+  };
+
+  jest.spyOn(Model, "findOne").mockImplementation((filter) => query(all(filter)[0] || null));
+  jest.spyOn(Model, "find").mockImplementation((filter) => query(all(filter)));
+  jest.spyOn(Model, "create").mockImplementation(async (data) => add(data));
+  jest
+    .spyOn(Model, "distinct")
+    .mockImplementation(async (path, filter) => [...new Set(all(filter).map((doc) => valueAt(doc, path)))]);
+  jest.spyOn(Model, "updateMany").mockImplementation(async (filter, { $set }) => {
+    all(filter).forEach((doc) => doc.set($set));
+  });
+  jest.spyOn(Model, "updateOne").mockImplementation(async (filter, { $set }, { upsert } = {}) => {
+    const [doc] = all(filter);
+    if (doc) {
+      doc.set($set);
+    } else if (upsert) {
+      add({ ...filter, ...$set });
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+
+describe("chain indexer", () => {
+  let chain;
+  let indexer;
+  let savedNotifications;
+
+  beforeEach(() => {
+    db = { cursors: [], events: [], portfolios: [], transactions: [], games: [] };
+    savedNotifications = 0;
+    ledgerService.recordEntryFee.mockClear();
+
+    mockCollection(ChainCursor, "cursors");
+    mockCollection(ChainEvent, "events");
+    mockCollection(Transaction, "transactions");
+    mockCollection(Portfolio, "portfolios", { documents: false });
+    mockCollection(Game, "games", { documents: false });
+    jest.spyOn(mongoose.Model.prototype, "save").mockImplementation(async function () {
+      if (this.constructor.modelName === "Notification") savedNotifications++;
+      return this;
+    });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    config.blockchain.indexer.confirmations = 2;
+    config.blockchain.indexer.batchSize = 5;
+
+    chain = new FakeChain();
+    const service = {
+      chainId: config.blockchain.chainId,
+      contractAddress: CONTRACT,
+      contract: { interface: iface },
+      _executeWithRetry: (operation) => operation(),
+      get provider() {
+        return chain.provider;
+      },
+    };
+    indexer = new chainIndexer.constructor(service);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function portfolioCreated(blockNumber, transactionHash, portfolioId) {
+    chain.emit(blockNumber, transactionHash, "PortfolioEntryFeePaid", [portfolioId, OWNER, 5000, 500]);
+    chain.emit(blockNumber, transactionHash, "PortfolioCreated", [1, portfolioId, 1, 4500, OWNER]);
+  }
+
+  it("advances the cursor in batches up to head - confirmations", async () => {
+    chain.mine(12); // head 12
+    portfolioCreated(4, ethers.utils.id("tx-1"), 101);
+
+    const first = await indexer.run({ maxBatches: 1 });
+    expect(first).toMatchObject({ fromBlock: 1, toBlock: 5, head: 12, events: 2, caughtUp: false });
+
+    const second = await indexer.run();
+    expect(second).toMatchObject({ fromBlock: 6, toBlock: 10, events: 0, caughtUp: true });
+
+    const [cursor] = db.cursors;
+    expect(cursor.blockNumber).toBe(10);
+    expect(cursor.blockHash).toBe(chain.blocks[10].hash);
+    expect(db.events).toHaveLength(2);
+    expect(db.events.every((event) => event.processedAt)).toBe(true);
+  });
+
+  it("rewinds on a reorg and re-indexes the canonical chain", async () => {
+    chain.mine(12);
+    const kept = ethers.utils.id("tx-kept");
+    const reincluded = ethers.utils.id("tx-reincluded");
+    const dropped = ethers.utils.id("tx-dropped");
+    portfolioCreated(4, kept, 101);
+    portfolioCreated(9, reincluded, 102);
+    portfolioCreated(10, dropped, 103);
+
+    await indexer.run();
+    expect(db.cursors[0].blockNumber).toBe(10);
+    expect(db.events).toHaveLength(6);
+
+    // Blocks 9+ are replaced by another fork; only one of the two transactions comes back, in block 11
+    chain.reorg(9);
+    chain.mine(6, "fork");
+    portfolioCreated(11, reincluded, 102);
+
+    const result = await indexer.run();
+
+    expect(result).toMatchObject({ reorged: true, fromBlock: 9, toBlock: 12, handled: 0 });
+    const [cursor] = db.cursors;
+    expect(cursor.reorgCount).toBe(1);
+    expect(cursor.blockHash).toBe(chain.blocks[12].hash);
+
+    const eventsOf = (transactionHash) => db.events.filter((event) => event.transactionHash === transactionHash);
+    expect(eventsOf(kept).every((event) => !event.removed && event.blockNumber === 4)).toBe(true);
+    expect(eventsOf(reincluded).every((event) => !event.removed && event.blockNumber === 11)).toBe(true);
+    expect(eventsOf(reincluded).every((event) => event.blockHash === chain.blocks[11].hash)).toBe(true);
+    expect(eventsOf(dropped).every((event) => event.removed)).toBe(true);
+    // A reorg never creates duplicate events
+    expect(db.events).toHaveLength(6);
+  });
+
+  it("does not rewind when the cursor block is still canonical", async () => {
+    chain.mine(12);
+    await indexer.run();
+    chain.mine(3);
+
+    const result = await indexer.run();
+
+    expect(result).toMatchObject({ reorged: false, fromBlock: 11, toBlock: 13 });
+    expect(db.cursors[0].reorgCount).toBe(0);
+  });
+
+  it("confirms a portfolio once, however often its PortfolioCreated event is handled", async () => {
+    chain.mine(12);
+    const transactionHash = ethers.utils.id("tx-entry");
+    portfolioCreated(4, transactionHash, 101);
+    db.games.push({ gameId: 1, status: "UPCOMING", participantCount: 0, totalPrizePool: "0", save: jest.fn() });
+    db.portfolios.push({
+      portfolioId: 101,
+      portfolioName: "Test",
+      gameId: 1,
+      chainId: config.blockchain.chainId,
+      status: "PENDING_LOCK_BALANCE",
+      userId: { _id: new mongoose.Types.ObjectId(), address: OWNER },
+      createdAt: new Date(),
+      save: jest.fn(),
+    });
+
+    const result = await indexer.run();
+
+    expect(result.handled).toBe(2);
+    const [portfolio] = db.portfolios;
+    expect(portfolio.status).toBe("PENDING");
+    expect(portfolio.transactionHash).toBe(transactionHash);
+    expect(db.games[0]).toMatchObject({ participantCount: 1, totalPrizePool: "4500" });
+    expect(db.transactions).toHaveLength(1);
+    expect(db.transactions[0]).toMatchObject({ type: "ENTRY_FEE", amount: "5000", adminFee: "500" });
+    expect(ledgerService.recordEntryFee).toHaveBeenCalledTimes(1);
+    expect(savedNotifications).toBe(1);
+
+    // Re-handling (e.g. after a reorg re-includes the transaction) changes nothing
+    const event = db.events.find((e) => e.name === "PortfolioCreated");
+    await indexer.handlePortfolioCreated(event);
+    expect(portfolio.status).toBe("PENDING");
+    expect(db.transactions).toHaveLength(1);
+    expect(ledgerService.recordEntryFee).toHaveBeenCalledTimes(1);
+    expect(savedNotifications).toBe(1);
+
+    // Even a portfolio still waiting for confirmation gets no second entry fee transaction
+    portfolio.status = "PENDING_LOCK_BALANCE";
+    await indexer.handlePortfolioCreated(event);
+    expect(db.transactions).toHaveLength(1);
+    expect(ledgerService.recordEntryFee).toHaveBeenLastCalledWith(
+      expect.objectContaining({ portfolioId: 101, transactionHash })
+    );
+
+    expect((await indexer.run()).handled).toBe(0);
+  });
+
+  it("refunds a portfolio confirmed after its game's refund was paid", async () => {
+    chain.mine(12);
+    portfolioCreated(4, ethers.utils.id("tx-late"), 101);
+    db.games.push({
+      gameId: 1,
+      name: "Weekly",
+      status: "CANCELLED",
+      refund: { status: "COMPLETED" },
+      participantCount: 0,
+      totalPrizePool: "0",
+      save: jest.fn(),
+    });
+    db.portfolios.push({
+      portfolioId: 101,
+      portfolioName: "Late",
+      gameId: 1,
+      status: "PENDING_LOCK_BALANCE",
+      userId: { _id: new mongoose.Types.ObjectId(), address: OWNER },
+      save: jest.fn(),
+    });
+    jest.spyOn(refundService, "requestPortfolioRefund").mockResolvedValue();
+
+    await indexer.run();
+
+    expect(refundService.requestPortfolioRefund).toHaveBeenCalledWith(db.portfolios[0], "Weekly was cancelled");
+  });
+});
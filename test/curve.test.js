@@ -0,0 +1,126 @@
+jest.mock("../src/services/blockchain.service", () => ({ forChain: jest.fn() }));
+
+const { getCurveWeights, computeOutcome } = require("../src/services/win-conditions/curve.service");
+
+const WEI = 10n ** 18n;
+
+function portfolios(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    portfolioId: i + 1,
+    userId: `user-${i + 1}`,
+    currentValue: 100000 - i * 100,
+    performancePercentage: -i / 10,
+    createdAt: new Date(1700000000000 + i * 1000),
+  }));
+}
+
+function curveGame(config) {
+  return { gameId: 3, winCondition: { type: "CURVE", config } };
+}
+
+const sum = (results) => results.reduce((total, r) => total + BigInt(r.reward), 0n);
+
+describe("getCurveWeights", () => {
+  it("weights LINEAR positions N..1", () => {
+    expect(getCurveWeights({ curve: "LINEAR" }, 4)).toEqual([4n, 3n, 2n, 1n].map((w) => w * 10n ** 12n));
+  });
+
+  it("weights GEOMETRIC positions by powers of the ratio", () => {
+    expect(getCurveWeights({ curve: "GEOMETRIC", ratio: 0.5 }, 3)).toEqual([
+      1000000000000n,
+      500000000000n,
+      250000000000n,
+    ]);
+  });
+
+  it("uses the explicit WEIGHTS by position", () => {
+    expect(getCurveWeights({ curve: "WEIGHTS", weights: [50, 30, 20] }, 2)).toEqual([
+      50n * 10n ** 12n,
+      30n * 10n ** 12n,
+    ]);
+  });
+
+  it("rejects an unknown curve", () => {
+    expect(() => getCurveWeights({ curve: "CUBIC" }, 2)).toThrow("Unknown payout curve: CUBIC");
+  });
+});
+
+describe("computeOutcome", () => {
+  const configs = [
+    { curve: "LINEAR", topWinnersPercentage: 50 },
+    { curve: "GEOMETRIC", ratio: 0.7, topWinnersPercentage: 40 },
+    { curve: "GEOMETRIC", ratio: 1 / 3, topWinnersPercentage: 100 },
+    { curve: "WEIGHTS", weights: [45.5, 30.25, 14.25, 10], topWinnersPercentage: 30 },
+  ];
+  const pools = [1n, 7n, 10n * WEI + 7n, 123456789012345678901n];
+
+  it.each(configs)("pays exactly the prize pool on a $curve curve", (config) => {
+    for (const pool of pools) {
+      for (const playerCount of [1, 2, 7, 13]) {
+        const { results, error } = computeOutcome(curveGame(config), portfolios(playerCount), pool);
+
+        expect(error).toBeNull();
+        expect(sum(results)).toBe(pool);
+      }
+    }
+  });
+
+  it("pays non-increasing rewards down the ranking", () => {
+    const { results } = computeOutcome(
+      curveGame({ curve: "GEOMETRIC", ratio: 0.8, topWinnersPercentage: 100 }),
+      portfolios(9),
+      1000n * WEI + 3n
+    );
+
+    for (let i = 1; i < results.length; i++) {
+      expect(BigInt(results[i].reward) <= BigInt(results[i - 1].reward)).toBe(true);
+    }
+  });
+
+  it("hands the rounding remainder out 1 wei at a time from the top", () => {
+    // Weights 3/2/1 of 11 wei: floors 5, 3, 1 leave 2 wei for the top two
+    const { results } = computeOutcome(curveGame({ curve: "LINEAR", topWinnersPercentage: 100 }), portfolios(3), 11n);
+
+    expect(results.map((r) => r.reward)).toEqual(["6", "4", "1"]);
+  });
+
+  it("pays no more players than there are WEIGHTS", () => {
+    const { results } = computeOutcome(
+      curveGame({ curve: "WEIGHTS", weights: [60, 40], topWinnersPercentage: 100 }),
+      portfolios(5),
+      100n
+    );
+
+    expect(results.filter((r) => r.isWinner).map((r) => [r.portfolioId, r.reward])).toEqual([
+      [1, "60"],
+      [2, "40"],
+    ]);
+    expect(results.filter((r) => !r.isWinner).every((r) => r.reward === "0" && r.rank === 3)).toBe(true);
+  });
+
+  it("pays at least one player", () => {
+    const { results } = computeOutcome(curveGame({ curve: "LINEAR", topWinnersPercentage: 1 }), portfolios(3), 500n);
+
+    expect(results.map((r) => r.reward)).toEqual(["500", "0", "0"]);
+  });
+
+  it("ranks by performance, earlier entry first on a tie", () => {
+    const players = portfolios(3);
+    players[2].performancePercentage = 5;
+    players[1].performancePercentage = 5;
+
+    const { results } = computeOutcome(curveGame({ curve: "LINEAR", topWinnersPercentage: 100 }), players, 6n);
+
+    expect(results.map((r) => r.portfolioId)).toEqual([2, 3, 1]);
+  });
+
+  it("returns the no-player and zero-pool edge cases", () => {
+    const config = { curve: "LINEAR", topWinnersPercentage: 50 };
+
+    expect(computeOutcome(curveGame(config), [], 100n).reason).toBe("NO_PLAYERS");
+
+    const { results, reason } = computeOutcome(curveGame(config), portfolios(2), 0n);
+    expect(reason).toBe("ZERO_PRIZE_POOL");
+    expect(results.every((r) => !r.isWinner && r.reward === "0")).toBe(true);
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock("../src/services/blockchain.service", () => {
+  const chain = { getGameDetails: jest.fn(), addToPrizePool: jest.fn() };
+  return { forChain: jest.fn(() => chain) };
+});
+jest.mock("../src/services/ledger.service", () => ({ recordPrizePoolTopUp: jest.fn() }));
+
+const blockchainService = require("../src/services/blockchain.service");
+const gameService = require("../src/services/game.service");
+const priceService = require("../src/services/price.service");
+const { tieredCalculator, headToHeadCalculator } = require("../src/services/win-conditions");
+const Portfolio = require("../src/models/Portfolio");
+
+const WEI = 10n ** 18n;
+
+// Chainable stand-in for a mongoose query
+function query(result) {
+  const q = {
+    populate: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+function lockedPortfolio(portfolioId, performancePercentage) {
+  return {
+    portfolioId,
+    userId: { _id: `user-${portfolioId}` },
+    status: "LOCKED",
+    assets: [{ assetId: 1 }],
+    currentValue: 100000 * (1 + performancePercentage / 100),
+    performancePercentage,
+    createdAt: new Date(1700000000000 + portfolioId * 1000),
+  };
+}
+
+function endedGame(winCondition) {
+  return { gameId: 9, chainId: 97, guaranteedPrizePool: 500, winCondition, winners: [], save: jest.fn() };
+}
+
+describe("calculateGameWinners with a guaranteed prize pool", () => {
+  const chain = blockchainService.forChain();
+  let portfolios;
+
+  beforeEach(() => {
+    portfolios = [lockedPortfolio(1, 4), lockedPortfolio(2, -2), lockedPortfolio(3, 1)];
+    chain.getGameDetails
+      .mockReset()
+      .mockResolvedValue({ totalPrizePool: String(20n * WEI), totalRewardDistributed: "0" });
+    chain.addToPrizePool.mockReset().mockResolvedValue({ transactionHash: "0xtopup" });
+
+    jest.spyOn(Portfolio, "find").mockImplementation(() => query(portfolios));
+    jest.spyOn(Portfolio, "countDocuments").mockImplementation(async () => portfolios.length);
+    jest.spyOn(Portfolio, "distinct").mockResolvedValue([1]);
+    jest.spyOn(priceService, "getStaleAssets").mockResolvedValue([]);
+    jest.spyOn(tieredCalculator, "calculateWinners").mockResolvedValue();
+    jest.spyOn(headToHeadCalculator, "calculateWinners").mockResolvedValue();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("tops up the overlay, then persists the outcome", async () => {
+    const game = endedGame({ type: "TIERED", config: { tiers: [{ position: 1, rewardPercentage: 100 }] } });
+
+    await gameService.calculateGameWinners(game);
+
+    expect(chain.addToPrizePool).toHaveBeenCalledWith(9, String(480n * WEI));
+    expect(game.overlay).toMatchObject({ amount: String(480n * WEI), transactionHash: "0xtopup" });
+    expect(tieredCalculator.calculateWinners).toHaveBeenCalledWith(game);
+    expect(chain.addToPrizePool.mock.invocationCallOrder[0]).toBeLessThan(
+      tieredCalculator.calculateWinners.mock.invocationCallOrder[0]
+    );
+  });
+
+  it("fails a game whose tiers cannot pay anyone before moving house money", async () => {
+    const game = endedGame({ type: "TIERED", config: { tiers: [{ position: 5, rewardPercentage: 100 }] } });
+
+    await gameService.calculateGameWinners(game);
+
+    expect(game.status).toBe("FAILED");
+    expect(game.error).toMatch(/No valid tiers for 3 players/);
+    expect(chain.addToPrizePool).not.toHaveBeenCalled();
+    expect(tieredCalculator.calculateWinners).not.toHaveBeenCalled();
+  });
+
+  it("fails a head-to-head game with unpaired portfolios before moving house money", async () => {
+    const game = endedGame({ type: "HEAD_TO_HEAD", config: {} });
+    game.headToHead = { portfolioIds: [1, 2], pairs: [[1, 2]], byePortfolioId: null, pairedAt: new Date() };
+
+    await gameService.calculateGameWinners(game);
+
+    expect(game.status).toBe("FAILED");
+    expect(game.error).toMatch(/portfolios 3 are not in the head-to-head pairing/);
+    expect(chain.addToPrizePool).not.toHaveBeenCalled();
+    expect(headToHeadCalculator.calculateWinners).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock("../src/services/blockchain.service", () => ({ forChain: jest.fn() }));
+
+const { createPairings, computeOutcome } = require("../src/services/win-conditions/head-to-head.service");
+
+const SEED = "a".repeat(64);
+
+function portfolio(portfolioId, performancePercentage, extra = {}) {
+  return {
+    portfolioId,
+    userId: `user-${portfolioId}`,
+    currentValue: 100000 * (1 + performancePercentage / 100),
+    performancePercentage,
+    createdAt: new Date(1700000000000 + portfolioId * 1000),
+    ...extra,
+  };
+}
+
+function pairedGame(portfolioIds, seed = SEED, config = {}) {
+  return {
+    gameId: 7,
+    winCondition: { type: "HEAD_TO_HEAD", config },
+    headToHead: { seed, portfolioIds, ...createPairings(portfolioIds, seed), pairedAt: new Date() },
+  };
+}
+
+describe("createPairings", () => {
+  it("pairs every portfolio exactly once", () => {
+    const ids = [11, 3, 8, 20, 5, 14];
+    const { pairs, byePortfolioId } = createPairings(ids, SEED);
+
+    expect(pairs).toHaveLength(3);
+    expect(byePortfolioId).toBeNull();
+    expect(pairs.flat().sort((a, b) => a - b)).toEqual([...ids].sort((a, b) => a - b));
+  });
+
+  it("gives the odd portfolio out a bye", () => {
+    const ids = [1, 2, 3, 4, 5];
+    const { pairs, byePortfolioId } = createPairings(ids, SEED);
+
+    expect(pairs).toHaveLength(2);
+    expect(ids).toContain(byePortfolioId);
+    expect([...pairs.flat(), byePortfolioId].sort((a, b) => a - b)).toEqual(ids);
+  });
+
+  it("is deterministic for a seed, whatever the input order", () => {
+    const first = createPairings([4, 1, 3, 2, 6, 5], SEED);
+    const second = createPairings([1, 2, 3, 4, 5, 6], SEED);
+
+    expect(second).toEqual(first);
+  });
+
+  it("draws a different pairing from another seed", () => {
+    const ids = Array.from({ length: 16 }, (_, i) => i + 1);
+
+    expect(createPairings(ids, "b".repeat(64)).pairs).not.toEqual(createPairings(ids, SEED).pairs);
+  });
+
+  it("handles no players and a single player", () => {
+    expect(createPairings([], SEED)).toEqual({ pairs: [], byePortfolioId: null });
+    expect(createPairings([9], SEED)).toEqual({ pairs: [], byePortfolioId: 9 });
+  });
+});
+
+describe("computeOutcome", () => {
+  const pool = 400n * 10n ** 18n;
+
+  it("pays each match winner both net entries", () => {
+    const portfolios = [portfolio(1, 5), portfolio(2, -3), portfolio(3, 1), portfolio(4, 2)];
+    const game = pairedGame(portfolios.map((p) => p.portfolioId));
+
+    const { results, error } = computeOutcome(game, portfolios, pool);
+
+    expect(error).toBeNull();
+    for (const [a, b] of game.headToHead.pairs) {
+      const [winnerId, loserId] =
+        portfolios.find((p) => p.portfolioId === a).performancePercentage >
+        portfolios.find((p) => p.portfolioId === b).performancePercentage
+          ? [a, b]
+          : [b, a];
+      expect(results.find((r) => r.portfolioId === winnerId)).toMatchObject({
+        isWinner: true,
+        reward: "200" + "0".repeat(18),
+      });
+      expect(results.find((r) => r.portfolioId === loserId)).toMatchObject({ isWinner: false, reward: "0" });
+    }
+  });
+
+  it("refunds the net entry of the bye", () => {
+    const portfolios = [portfolio(1, 5), portfolio(2, -3), portfolio(3, 1)];
+    const game = pairedGame(portfolios.map((p) => p.portfolioId));
+    const threePlayerPool = 300n * 10n ** 18n;
+
+    const { results } = computeOutcome(game, portfolios, threePlayerPool);
+    const bye = results.find((r) => r.portfolioId === game.headToHead.byePortfolioId);
+
+    expect(bye).toMatchObject({ isWinner: true, isBye: true, reward: "100" + "0".repeat(18) });
+  });
+
+  it("splits a drawn match when the tie-breaker is SPLIT", () => {
+    const portfolios = [portfolio(1, 2), portfolio(2, 2)];
+    const game = pairedGame([1, 2], SEED, { tieBreaker: "SPLIT" });
+
+    const { results } = computeOutcome(game, portfolios, 200n);
+
+    expect(results.map((r) => r.reward)).toEqual(["100", "100"]);
+  });
+
+  it("fails when a locked portfolio is not in the pairing", () => {
+    const portfolios = [portfolio(1, 5), portfolio(2, -3), portfolio(3, 1)];
+    const game = pairedGame([1, 2]);
+
+    const { results, error } = computeOutcome(game, portfolios, pool);
+
+    expect(results).toEqual([]);
+    expect(error).toMatch(/portfolios 3 are not in the head-to-head pairing/);
+  });
+
+  it("ignores the APE portfolio when checking the pairing", () => {
+    const portfolios = [portfolio(1, 5), portfolio(2, -3), portfolio(99, 10, { isApe: true })];
+    const game = pairedGame([1, 2]);
+
+    const { error } = computeOutcome(game, portfolios, pool);
+
+    expect(error).toBeNull();
+  });
+
+  it("fails without a pairing", () => {
+    const { error } = computeOutcome({ gameId: 7, winCondition: {}, headToHead: {} }, [portfolio(1, 5)], pool);
+
+    expect(error).toMatch(/no head-to-head pairings/);
+  });
+});
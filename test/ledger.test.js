@@ -0,0 +1,238 @@
+const mongoose = require("mongoose");
+const ledgerService = require("../src/services/ledger.service");
+const JournalEntry = require("../src/models/JournalEntry");
+
+const CHAIN_ID = 97;
+const WEI = 10n ** 18n;
+const usdc = (amount) => String(BigInt(amount) * WEI);
+
+// ---------------------------------------------------------------------------
+// In-memory JournalEntry collection: the schema's validation runs on create,
+// the unique reference index is enforced and the trial balance grouping is
+// done here instead of by MongoDB
+// ---------------------------------------------------------------------------
+
+let entries;
+
+function mockJournal() {
+  jest.spyOn(JournalEntry, "create").mockImplementation(async (data) => {
+    const entry = new JournalEntry(data);
+    await entry.validate();
+    if (entries.some((e) => e.reference === entry.reference)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    entries.push(entry);
+    return entry;
+  });
+  jest
+    .spyOn(JournalEntry, "findOne")
+    .mockImplementation(async ({ reference }) => entries.find((e) => e.reference === reference) || null);
+  jest.spyOn(JournalEntry, "aggregate").mockImplementation(async ([{ $match }]) => {
+    const rows = new Map();
+    for (const entry of entries.filter((e) => !$match.chainId || e.chainId === $match.chainId)) {
+      for (const line of entry.lines) {
+        const key = `${line.account}:${line.subject}`;
+        const row = rows.get(key) || { _id: { account: line.account, subject: line.subject }, debits: 0n, credits: 0n };
+        row.debits += BigInt(line.debit);
+        row.credits += BigInt(line.credit);
+        row.entries = (row.entries || 0) + 1;
+        rows.set(key, row);
+      }
+    }
+    return [...rows.values()];
+  });
+}
+
+function balanceOf(trialBalance, account, subject = null) {
+  const row = trialBalance.accounts.find((a) => a.account === account && a.subject === subject);
+  return row ? row.balance : "0";
+}
+
+// ---------------------------------------------------------------------------
+
+describe("ledger", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const transactionHash = "0x01";
+
+  beforeEach(() => {
+    entries = [];
+    mockJournal();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("posts a balanced entry for every movement", async () => {
+    const recorded = [
+      await ledgerService.recordFundsLocked({
+        chainId: CHAIN_ID,
+        userId,
+        gameId: 5,
+        transactionHash,
+        amount: usdc(50),
+        gasFee: usdc(1),
+      }),
+      await ledgerService.recordEntryFee({
+        chainId: CHAIN_ID,
+        userId,
+        gameId: 5,
+        portfolioId: 9,
+        transactionHash,
+        entryFee: usdc(50),
+        adminFee: usdc(5),
+      }),
+      await ledgerService.recordReward({
+        chainId: CHAIN_ID,
+        userId,
+        gameId: 5,
+        portfolioId: 9,
+        transactionHash,
+        amount: usdc(30),
+      }),
+      await ledgerService.recordRefund({
+        chainId: CHAIN_ID,
+        userId,
+        gameId: 5,
+        portfolioId: 10,
+        transactionHash,
+        amount: usdc(15),
+      }),
+      await ledgerService.recordPrizePoolTopUp({
+        chainId: CHAIN_ID,
+        gameId: 5,
+        transactionHash: "0x02",
+        amount: usdc(5),
+      }),
+      await ledgerService.recordWithdrawal({ chainId: CHAIN_ID, userId, transactionHash: "0x03", amount: usdc(45) }),
+      await ledgerService.recordMarlowWithdrawal({
+        chainId: CHAIN_ID,
+        gameId: 6,
+        transactionHash: "0x04",
+        amount: usdc(20),
+      }),
+    ];
+
+    expect(recorded.every((entry) => entry instanceof JournalEntry)).toBe(true);
+    for (const entry of entries) {
+      const debits = entry.lines.reduce((sum, line) => sum + BigInt(line.debit), 0n);
+      const credits = entry.lines.reduce((sum, line) => sum + BigInt(line.credit), 0n);
+      expect(debits).toBe(credits);
+    }
+
+    const [, entryFee] = entries;
+    expect(entryFee.lines.map(({ account, subject, debit, credit }) => ({ account, subject, debit, credit }))).toEqual([
+      { account: "USER_LOCKED", subject: String(userId), debit: "0", credit: usdc(50) },
+      { account: "GAME_POOL", subject: "5", debit: usdc(45), credit: "0" },
+      { account: "HOUSE_FEES", subject: null, debit: usdc(5), credit: "0" },
+    ]);
+  });
+
+  it("drops zero lines and writes nothing for a free entry", async () => {
+    const entry = await ledgerService.recordFundsLocked({
+      chainId: CHAIN_ID,
+      userId,
+      transactionHash,
+      amount: usdc(50),
+    });
+    expect(entry.lines.map((line) => line.account)).toEqual(["EXTERNAL", "USER_LOCKED"]);
+
+    const apeEntry = await ledgerService.recordEntryFee({
+      chainId: CHAIN_ID,
+      userId,
+      gameId: 5,
+      portfolioId: 1,
+      transactionHash,
+      entryFee: "0",
+    });
+    expect(apeEntry).toBeNull();
+    expect(entries).toHaveLength(1);
+  });
+
+  it("rejects an unbalanced entry", async () => {
+    const unbalanced = {
+      reference: "MANUAL:1",
+      type: "REWARD",
+      chainId: CHAIN_ID,
+      lines: [
+        { account: "GAME_POOL", subject: "5", credit: usdc(10) },
+        { account: "USER_WALLET", subject: String(userId), debit: usdc(9) },
+      ],
+    };
+
+    await expect(ledgerService.post(unbalanced)).rejects.toThrow("Unbalanced journal entry MANUAL:1");
+    expect(entries).toHaveLength(0);
+  });
+
+  it("posts a movement once, however often it is recorded", async () => {
+    const reward = { chainId: CHAIN_ID, userId, gameId: 5, portfolioId: 9, transactionHash, amount: usdc(30) };
+
+    const first = await ledgerService.recordReward(reward);
+    // A retried distribution reports the same reward with another transaction
+    const second = await ledgerService.recordReward({ ...reward, transactionHash: "0x05" });
+
+    expect(entries).toHaveLength(1);
+    expect(second).toBe(first);
+    expect(second.transactionHash).toBe(transactionHash);
+  });
+
+  it("keeps the trial balance balanced across a game's lifecycle", async () => {
+    const otherUser = new mongoose.Types.ObjectId();
+    for (const [user, portfolioId] of [
+      [userId, 9],
+      [otherUser, 10],
+    ]) {
+      await ledgerService.recordFundsLocked({
+        chainId: CHAIN_ID,
+        userId: user,
+        gameId: 5,
+        transactionHash: `0xlock${portfolioId}`,
+        amount: usdc(50),
+        gasFee: usdc(1),
+      });
+      await ledgerService.recordEntryFee({
+        chainId: CHAIN_ID,
+        userId: user,
+        gameId: 5,
+        portfolioId,
+        transactionHash: `0xentry${portfolioId}`,
+        entryFee: usdc(50),
+        adminFee: usdc(5),
+      });
+    }
+    await ledgerService.recordPrizePoolTopUp({
+      chainId: CHAIN_ID,
+      gameId: 5,
+      transactionHash: "0xtopup",
+      amount: usdc(10),
+    });
+    await ledgerService.recordReward({
+      chainId: CHAIN_ID,
+      userId,
+      gameId: 5,
+      portfolioId: 9,
+      transactionHash: "0xreward",
+      amount: usdc(100),
+    });
+    await ledgerService.recordWithdrawal({
+      chainId: CHAIN_ID,
+      userId,
+      transactionHash: "0xwithdraw",
+      amount: usdc(60),
+    });
+    // Another chain's entries stay out of this chain's trial balance
+    await ledgerService.recordFundsLocked({ chainId: 1, userId, transactionHash: "0xmainnet", amount: usdc(7) });
+
+    const trialBalance = await ledgerService.getTrialBalance({ chainId: CHAIN_ID });
+
+    expect(trialBalance.totals.balanced).toBe(true);
+    expect(balanceOf(trialBalance, "GAME_POOL", "5")).toBe("0");
+    expect(balanceOf(trialBalance, "USER_LOCKED", String(userId))).toBe("0");
+    expect(balanceOf(trialBalance, "USER_WALLET", String(userId))).toBe(usdc(40));
+    expect(balanceOf(trialBalance, "HOUSE_FEES")).toBe(usdc(12));
+    expect(balanceOf(trialBalance, "EXTERNAL")).toBe(String(-52n * WEI));
+    const houseFees = trialBalance.byType.find((type) => type.account === "HOUSE_FEES");
+    expect(houseFees).toMatchObject({ accounts: 1, balanceUSDC: "12.0" });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock("../src/services/blockchain.service", () => ({ forChain: jest.fn() }));
+
+const gameService = require("../src/services/game.service");
+const priceService = require("../src/services/price.service");
+const refundService = require("../src/services/refund.service");
+const Asset = require("../src/models/Asset");
+const Portfolio = require("../src/models/Portfolio");
+const GamePriceSnapshot = require("../src/models/GamePriceSnapshot");
+
+// Chainable stand-in for a mongoose query
+function query(result) {
+  const q = {
+    select: () => q,
+    populate: () => q,
+    lean: () => q,
+    sort: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+function lockSnapshot(prices) {
+  return new GamePriceSnapshot({ gameId: 1, kind: "LOCK", prices });
+}
+
+function pendingPortfolio(portfolioId, assets) {
+  return {
+    portfolioId,
+    gameId: 1,
+    status: "PENDING",
+    assets: assets.map(([assetId, symbol]) => ({ assetId, symbol, allocation: 1000 })),
+    save: jest.fn(),
+  };
+}
+
+describe("LOCK snapshot", () => {
+  const game = { gameId: 1, winCondition: { type: "EQUAL_DISTRIBUTE" }, save: jest.fn() };
+  let assets;
+
+  beforeEach(() => {
+    assets = [
+      { assetId: 1, symbol: "ETH", currentPrice: 2500 },
+      { assetId: 2, symbol: "SOL", currentPrice: 150 },
+      { assetId: 3, symbol: "DOGE", currentPrice: 0 },
+    ];
+    jest
+      .spyOn(Asset, "find")
+      .mockImplementation((filter) =>
+        query(
+          assets.filter((a) => filter.assetId.$in.includes(a.assetId) && (!filter.currentPrice || a.currentPrice > 0))
+        )
+      );
+    jest
+      .spyOn(GamePriceSnapshot, "appendPrices")
+      .mockImplementation(async (gameId, kind, entries) =>
+        lockSnapshot([{ assetId: 1, symbol: "ETH", price: 2000 }, ...entries])
+      );
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("appends assets of late portfolios and keeps the prices already recorded", async () => {
+    jest
+      .spyOn(GamePriceSnapshot, "findOne")
+      .mockResolvedValue(lockSnapshot([{ assetId: 1, symbol: "ETH", price: 2000 }]));
+    jest.spyOn(Portfolio, "distinct").mockResolvedValue([1, 2, 3]);
+
+    const snapshot = await gameService.takePriceSnapshot(game, "LOCK");
+
+    const [, , entries] = GamePriceSnapshot.appendPrices.mock.calls[0];
+    expect(entries).toEqual([expect.objectContaining({ assetId: 2, price: 150, addedAt: expect.any(Date) })]);
+    expect(snapshot.getPriceMap()).toEqual({ 1: 2000, 2: 150 });
+  });
+
+  it("leaves a complete snapshot untouched", async () => {
+    const existing = lockSnapshot([{ assetId: 1, symbol: "ETH", price: 2000 }]);
+    jest.spyOn(GamePriceSnapshot, "findOne").mockResolvedValue(existing);
+    jest.spyOn(Portfolio, "distinct").mockResolvedValue([1]);
+
+    expect(await gameService.takePriceSnapshot(game, "LOCK")).toBe(existing);
+    expect(GamePriceSnapshot.appendPrices).not.toHaveBeenCalled();
+  });
+
+  it("locks late portfolios at the appended prices and refunds one that cannot be priced", async () => {
+    const late = pendingPortfolio(11, [[2, "SOL"]]);
+    const unpriceable = pendingPortfolio(12, [
+      [1, "ETH"],
+      [3, "DOGE"],
+    ]);
+    jest
+      .spyOn(GamePriceSnapshot, "findOne")
+      .mockResolvedValue(lockSnapshot([{ assetId: 1, symbol: "ETH", price: 2000 }]));
+    jest.spyOn(Portfolio, "distinct").mockResolvedValue([1, 2, 3]);
+    jest.spyOn(Portfolio, "find").mockReturnValue(query([late, unpriceable]));
+    jest.spyOn(Portfolio, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(priceService, "getStaleAssets").mockResolvedValue([]);
+    jest.spyOn(refundService, "requestPortfolioRefund").mockImplementation(async (portfolio) => {
+      portfolio.status = "FAILED";
+    });
+
+    await gameService.lockPortfolios(game);
+
+    expect(late).toMatchObject({ status: "LOCKED", isLocked: true });
+    expect(late.assets[0]).toMatchObject({ tokenQty: 6.666667, entryPrice: 150 });
+    expect(refundService.requestPortfolioRefund).toHaveBeenCalledTimes(1);
+    expect(refundService.requestPortfolioRefund).toHaveBeenCalledWith(unpriceable, expect.stringContaining("DOGE"));
+    expect(unpriceable.status).toBe("FAILED");
+  });
+
+  it("draws head-to-head pairs from the portfolios that locked", async () => {
+    const portfolios = [
+      pendingPortfolio(11, [[1, "ETH"]]),
+      pendingPortfolio(12, [[1, "ETH"]]),
+      pendingPortfolio(13, [[1, "ETH"]]),
+    ];
+    const broken = portfolios[2];
+    broken._id = "broken";
+    broken.save.mockRejectedValue(new Error("write conflict"));
+    const headToHeadGame = { ...game, winCondition: { type: "HEAD_TO_HEAD", config: {} }, save: jest.fn() };
+
+    jest
+      .spyOn(GamePriceSnapshot, "findOne")
+      .mockResolvedValue(lockSnapshot([{ assetId: 1, symbol: "ETH", price: 2000 }]));
+    jest.spyOn(Portfolio, "distinct").mockResolvedValue([1]);
+    jest
+      .spyOn(Portfolio, "find")
+      .mockImplementation((filter) => query(portfolios.filter((p) => p.status === filter.status)));
+    // The broken portfolio's refund request cannot be saved either, so it is still PENDING
+    jest
+      .spyOn(Portfolio, "countDocuments")
+      .mockImplementation(
+        async (filter) => portfolios.filter((p) => p.status === "PENDING" && !filter._id.$nin.includes(p._id)).length
+      );
+    jest.spyOn(priceService, "getStaleAssets").mockResolvedValue([]);
+    jest.spyOn(refundService, "requestPortfolioRefund");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await gameService.lockPortfolios(headToHeadGame);
+
+    expect(refundService.requestPortfolioRefund).toHaveBeenCalledWith(
+      broken,
+      "Could not lock portfolio: write conflict"
+    );
+    expect(headToHeadGame.headToHead).toMatchObject({ portfolioIds: [11, 12], pairs: [expect.any(Array)] });
+  });
+});
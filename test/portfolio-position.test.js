@@ -0,0 +1,99 @@
+const Portfolio = require("../src/models/Portfolio");
+const Asset = require("../src/models/Asset");
+
+function position(extra = {}) {
+  return { assetId: 1, symbol: "ETH", allocation: 10000, tokenQty: 5, entryPrice: 2000, ...extra };
+}
+
+describe("Portfolio.positionValue", () => {
+  it("values a LONG x1 position at price * tokenQty", () => {
+    expect(Portfolio.positionValue(position(), 2400)).toBe(12000);
+    expect(Portfolio.positionValue(position({ entryPrice: undefined }), 1800)).toBe(9000);
+  });
+
+  it("multiplies a leveraged LONG's gain and loss", () => {
+    expect(Portfolio.positionValue(position({ leverage: 3 }), 2200)).toBe(13000);
+    expect(Portfolio.positionValue(position({ leverage: 3 }), 1800)).toBe(7000);
+  });
+
+  it("reverses the change for a SHORT", () => {
+    expect(Portfolio.positionValue(position({ direction: "SHORT" }), 1500)).toBe(12500);
+    expect(Portfolio.positionValue(position({ direction: "SHORT" }), 2500)).toBe(7500);
+    expect(Portfolio.positionValue(position({ direction: "SHORT", leverage: 2 }), 1500)).toBe(15000);
+  });
+
+  it("never goes below zero", () => {
+    expect(Portfolio.positionValue(position({ leverage: 5 }), 1500)).toBe(0);
+    expect(Portfolio.positionValue(position({ direction: "SHORT" }), 4500)).toBe(0);
+  });
+
+  it("is zero once liquidated", () => {
+    expect(Portfolio.positionValue(position({ leverage: 2, liquidatedAt: new Date() }), 3000)).toBe(0);
+  });
+
+  it("needs an entry price for SHORT and leveraged positions", () => {
+    expect(() => Portfolio.positionValue(position({ direction: "SHORT", entryPrice: 0 }), 2000)).toThrow(
+      "No entry price for SHORT ETH x1"
+    );
+  });
+});
+
+describe("Portfolio#calculateValue", () => {
+  let update;
+
+  beforeEach(() => {
+    update = null;
+    jest.spyOn(Portfolio, "findOneAndUpdate").mockImplementation(async (filter, changes, options) => {
+      update = { changes, options };
+      return null;
+    });
+    jest.spyOn(Asset, "findOne").mockResolvedValue(null);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function portfolio(assets) {
+    return new Portfolio({ portfolioId: 1, initialValue: 20000, assets });
+  }
+
+  it("liquidates a leveraged position that reaches zero", async () => {
+    await portfolio([
+      position({ assetId: 1, leverage: 5 }),
+      position({ assetId: 2, symbol: "BTC", tokenQty: 1, entryPrice: 10000 }),
+    ]).calculateValue({ 1: 1500, 2: 10000 });
+
+    expect(update.changes.$set.currentValue).toBe(10000);
+    expect(update.changes.$set["assets.$[liquidated].liquidatedAt"]).toBeInstanceOf(Date);
+    expect(update.options.arrayFilters).toEqual([{ "liquidated.assetId": { $in: [1] } }]);
+  });
+
+  it("never liquidates a LONG x1 position", async () => {
+    // A price so small the position rounds to zero
+    await portfolio([position({ assetId: 1, tokenQty: 0.1 })]).calculateValue({ 1: Number.MIN_VALUE });
+
+    expect(update.changes.$set.currentValue).toBe(0);
+    expect(update.changes.$set["assets.$[liquidated].liquidatedAt"]).toBeUndefined();
+    expect(update.options.arrayFilters).toBeUndefined();
+  });
+
+  it("fails instead of valuing a position with no price at zero", async () => {
+    const leveraged = portfolio([position({ assetId: 1, leverage: 2 })]);
+
+    await expect(leveraged.calculateValue({ 1: 0 })).rejects.toThrow("No price available for asset 1");
+    await expect(leveraged.calculateValue({})).rejects.toThrow("No price available for asset 1");
+    expect(update).toBeNull();
+  });
+
+  it("falls back to the asset's last known price", async () => {
+    Asset.findOne.mockResolvedValue({ assetId: 1, currentPrice: 2200 });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await portfolio([position({ assetId: 1 })]).calculateValue({});
+
+    expect(update.changes.$set.currentValue).toBe(11000);
+  });
+});
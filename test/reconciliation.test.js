@@ -0,0 +1,171 @@
+jest.mock("../src/services/blockchain.service", () => ({ forChain: jest.fn() }));
+
+const mongoose = require("mongoose");
+const blockchainService = require("../src/services/blockchain.service");
+const reconciliationService = require("../src/services/reconciliation.service");
+const ReconciliationDrift = require("../src/models/ReconciliationDrift");
+const ChainEvent = require("../src/models/ChainEvent");
+const Game = require("../src/models/Game");
+const Portfolio = require("../src/models/Portfolio");
+const User = require("../src/models/User");
+
+const ADMIN = "ops@fusio.test";
+const OWNER = "0x00000000000000000000000000000000000000aa";
+
+// Chainable stand-in for a mongoose query
+function query(result) {
+  const q = {
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+function openDrift(kind, repairAction, portfolioId = null) {
+  return new ReconciliationDrift({ chainId: 97, gameId: 4, kind, portfolioId, repairAction, status: "OPEN" });
+}
+
+describe("drift repairs", () => {
+  let chain;
+  let game;
+
+  beforeEach(() => {
+    chain = {
+      chainId: 97,
+      getGameDetails: jest.fn().mockResolvedValue({ totalPrizePool: "9000", entryCount: 2 }),
+      isRewardAssigned: jest.fn().mockResolvedValue(false),
+      getPortfolioOwner: jest.fn().mockResolvedValue(OWNER),
+    };
+    blockchainService.forChain.mockReturnValue(chain);
+    game = {
+      gameId: 4,
+      status: "COMPLETED",
+      totalPrizePool: "4500",
+      participantCount: 1,
+      isFullyDistributed: true,
+      winners: [{ _id: "winner-1", portfolioId: 11, isRewardDistributed: true, distributionTransactionHash: "0xabc" }],
+      save: jest.fn(),
+      markWinnerRewardDistributed: jest.fn(),
+    };
+
+    jest.spyOn(Game, "findOne").mockResolvedValue(game);
+    jest.spyOn(Portfolio, "updateOne").mockResolvedValue({});
+    jest.spyOn(mongoose.Model.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function findDrift(drift) {
+    jest.spyOn(ReconciliationDrift, "findById").mockResolvedValue(drift);
+  }
+
+  it("syncs the prize pool from the chain as it is at repair time", async () => {
+    const drift = openDrift("PRIZE_POOL", "SYNC_PRIZE_POOL");
+    findDrift(drift);
+
+    await reconciliationService.repair(drift.id, ADMIN);
+
+    expect(game.totalPrizePool).toBe("9000");
+    expect(drift.status).toBe("REPAIRED");
+    expect(drift.resolvedAt).toBeInstanceOf(Date);
+    expect(drift.repairs[0]).toMatchObject({
+      action: "SYNC_PRIZE_POOL",
+      repairedBy: ADMIN,
+      detail: "totalPrizePool 4500 -> 9000",
+    });
+  });
+
+  it("re-queues a reward the chain never assigned", async () => {
+    const drift = openDrift("REWARD_NOT_ASSIGNED", "REQUEUE_REWARD", 11);
+    findDrift(drift);
+
+    await reconciliationService.repair(drift.id, ADMIN);
+
+    expect(game.winners[0]).toMatchObject({ isRewardDistributed: false, distributionTransactionHash: undefined });
+    expect(game).toMatchObject({ status: "CALCULATING_WINNERS", isFullyDistributed: false });
+    expect(Portfolio.updateOne).toHaveBeenCalledWith(
+      { portfolioId: 11 },
+      { $unset: { "gameOutcome.rewardTransactionHash": "" } }
+    );
+    expect(drift.repairs[0].detail).toBe("re-queued for distribution (was 0xabc)");
+  });
+
+  it("does not re-queue a reward assigned since the drift was recorded", async () => {
+    const drift = openDrift("REWARD_NOT_ASSIGNED", "REQUEUE_REWARD", 11);
+    findDrift(drift);
+    chain.isRewardAssigned.mockResolvedValue(true);
+
+    await expect(reconciliationService.repair(drift.id, ADMIN)).rejects.toThrow("assigned on chain now");
+
+    expect(game.save).not.toHaveBeenCalled();
+    expect(drift.status).toBe("OPEN");
+    expect(drift.repairs).toHaveLength(0);
+  });
+
+  it("marks a reward distributed with the transaction of its indexed event", async () => {
+    const drift = openDrift("REWARD_UNRECORDED", "MARK_REWARD_DISTRIBUTED", 11);
+    findDrift(drift);
+    chain.isRewardAssigned.mockResolvedValue(true);
+    jest.spyOn(ChainEvent, "findOne").mockReturnValue(query({ transactionHash: "0xpaid" }));
+
+    await reconciliationService.repair(drift.id, ADMIN);
+
+    expect(game.markWinnerRewardDistributed).toHaveBeenCalledWith("winner-1", "0xpaid");
+    expect(Portfolio.updateOne).toHaveBeenCalledWith(
+      { portfolioId: 11 },
+      { $set: { "gameOutcome.rewardTransactionHash": "0xpaid" } }
+    );
+  });
+
+  it("syncs a reward amount only from an indexed RewardAssigned event", async () => {
+    const drift = openDrift("REWARD_AMOUNT", "SYNC_REWARD_AMOUNT", 11);
+    findDrift(drift);
+    jest.spyOn(ChainEvent, "findOne").mockReturnValue(query(null));
+
+    await expect(reconciliationService.repair(drift.id, ADMIN)).rejects.toThrow("No indexed RewardAssigned event");
+
+    ChainEvent.findOne.mockReturnValue(query({ transactionHash: "0xpaid", args: { amount: "1200" } }));
+    await reconciliationService.repair(drift.id, ADMIN);
+
+    expect(game.winners[0].reward).toBe("1200");
+    expect(Portfolio.updateOne).toHaveBeenCalledWith({ portfolioId: 11 }, { $set: { "gameOutcome.reward": "1200" } });
+    expect(drift.status).toBe("REPAIRED");
+  });
+
+  it("gives a portfolio to its on-chain owner only when the owner is a user", async () => {
+    const drift = openDrift("PORTFOLIO_OWNER", "SYNC_PORTFOLIO_OWNER", 11);
+    findDrift(drift);
+    const portfolio = { portfolioId: 11, userId: "previous-user", save: jest.fn() };
+    jest.spyOn(Portfolio, "findOne").mockResolvedValue(portfolio);
+    jest.spyOn(User, "findByAddress").mockResolvedValue(null);
+
+    await expect(reconciliationService.repair(drift.id, ADMIN)).rejects.toThrow(
+      `${OWNER} of portfolio 11 is not a user`
+    );
+    expect(portfolio.save).not.toHaveBeenCalled();
+
+    const owner = { _id: new mongoose.Types.ObjectId() };
+    User.findByAddress.mockResolvedValue(owner);
+    await reconciliationService.repair(drift.id, ADMIN);
+
+    expect(portfolio.userId).toBe(owner._id);
+    expect(drift.status).toBe("REPAIRED");
+  });
+
+  it.each([
+    ["a drift that is not OPEN", { status: "RESOLVED" }, "Only OPEN drifts can be repaired"],
+    ["a drift without a repair action", { repairAction: null }, "need to be fixed by hand"],
+  ])("refuses %s", async (_, changes, message) => {
+    const drift = openDrift("PRIZE_POOL", "SYNC_PRIZE_POOL");
+    Object.assign(drift, changes);
+    findDrift(drift);
+
+    await expect(reconciliationService.repair(drift.id, ADMIN)).rejects.toThrow(message);
+    expect(game.save).not.toHaveBeenCalled();
+  });
+});
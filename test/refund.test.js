@@ -0,0 +1,177 @@
+jest.mock("../src/services/blockchain.service", () => ({ forChain: jest.fn() }));
+jest.mock("../src/services/ledger.service", () => ({ recordPrizePoolTopUp: jest.fn(), recordRefund: jest.fn() }));
+
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const blockchainService = require("../src/services/blockchain.service");
+const ledgerService = require("../src/services/ledger.service");
+const refundService = require("../src/services/refund.service");
+const ChainEvent = require("../src/models/ChainEvent");
+const Portfolio = require("../src/models/Portfolio");
+const Transaction = require("../src/models/Transaction");
+const User = require("../src/models/User");
+
+const ENTRY_FEE = 5000n;
+const ADMIN_FEE = 500n;
+
+// Chainable stand-in for a mongoose query
+function query(result) {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+// Prize pool of one game on chain: each entry paid in its fee less the admin fee
+class FakePool {
+  constructor(entries) {
+    this.chainId = 97;
+    this.contractAddress = "0x00000000000000000000000000000000000000cc";
+    this.totalPrizePool = BigInt(entries) * (ENTRY_FEE - ADMIN_FEE);
+    this.totalRewardDistributed = 0n;
+    this.failRefundOf = null;
+    this.refunds = new Map();
+  }
+
+  async getGameDetails() {
+    return { totalPrizePool: String(this.totalPrizePool), totalRewardDistributed: String(this.totalRewardDistributed) };
+  }
+
+  async addToPrizePool(gameId, amount) {
+    this.totalPrizePool += BigInt(amount);
+    return { transactionHash: ethers.utils.id(`topup:${this.totalPrizePool}`) };
+  }
+
+  // The queue job is idempotent per portfolio, so a repeat pays nothing
+  async refundEntryFee(gameId, portfolioId, amount) {
+    if (portfolioId === this.failRefundOf) {
+      throw new Error("nonce too low");
+    }
+    if (!this.refunds.has(portfolioId)) {
+      if (BigInt(amount) > this.totalPrizePool - this.totalRewardDistributed) {
+        throw new Error("Insufficient prize pool");
+      }
+      this.totalRewardDistributed += BigInt(amount);
+      this.refunds.set(portfolioId, ethers.utils.id(`refund:${portfolioId}`));
+    }
+    return {
+      transactionHash: this.refunds.get(portfolioId),
+      receipt: {
+        blockNumber: 1,
+        gasUsed: ethers.BigNumber.from(100000),
+        effectiveGasPrice: ethers.BigNumber.from(5000000000),
+      },
+    };
+  }
+}
+
+function paidPortfolio(portfolioId, status = "PENDING") {
+  return {
+    portfolioId,
+    portfolioName: `Portfolio ${portfolioId}`,
+    gameId: 1,
+    userId: new mongoose.Types.ObjectId(),
+    status,
+    refund: {},
+    save: jest.fn(),
+  };
+}
+
+function cancelledGame() {
+  return { gameId: 1, chainId: 97, name: "Weekly", refund: { status: "PENDING" }, save: jest.fn() };
+}
+
+describe("refunds", () => {
+  let pool;
+  let portfolios;
+  let events;
+
+  beforeEach(() => {
+    portfolios = [paidPortfolio(1), paidPortfolio(2), paidPortfolio(3)];
+    events = portfolios.map(({ portfolioId }) => ({
+      name: "PortfolioEntryFeePaid",
+      args: { portfolioId: String(portfolioId), entryFee: String(ENTRY_FEE), adminFee: String(ADMIN_FEE) },
+    }));
+    pool = new FakePool(portfolios.length);
+    blockchainService.forChain.mockReturnValue(pool);
+    ledgerService.recordPrizePoolTopUp.mockClear();
+
+    jest
+      .spyOn(Portfolio, "find")
+      .mockImplementation((filter) => query(portfolios.filter((p) => filter.status.$in.includes(p.status))));
+    jest
+      .spyOn(ChainEvent, "findOne")
+      .mockImplementation((filter) => query(events.find((e) => e.args.portfolioId === filter["args.portfolioId"])));
+    jest.spyOn(Transaction, "findOne").mockReturnValue(query(null));
+    jest.spyOn(Transaction, "create").mockResolvedValue();
+    jest.spyOn(User, "findById").mockReturnValue(query(null));
+    jest.spyOn(mongoose.Model.prototype, "save").mockResolvedValue();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("tops up the admin fees the prize pool no longer holds, once", async () => {
+    const game = cancelledGame();
+
+    await refundService.processRefunds(game);
+
+    expect(ledgerService.recordPrizePoolTopUp).toHaveBeenCalledTimes(1);
+    expect(game.refund).toMatchObject({ status: "COMPLETED", topUpAmount: "1500", refundedCount: 3 });
+    expect(game.refund.refundedAmount).toBe("15000");
+    expect(portfolios.every((p) => p.status === "REFUNDED" && p.refund.amount === "5000")).toBe(true);
+    expect(pool.totalPrizePool - pool.totalRewardDistributed).toBe(0n);
+  });
+
+  it("finishes a partial refund on retry without topping up again", async () => {
+    const game = cancelledGame();
+    pool.failRefundOf = 2;
+
+    await expect(refundService.processRefunds(game)).rejects.toThrow("nonce too low");
+    expect(game.refund).toMatchObject({ status: "IN_PROGRESS", error: "nonce too low", refundedCount: 1 });
+    expect(portfolios.map((p) => p.status)).toEqual(["REFUNDED", "PENDING", "PENDING"]);
+
+    pool.failRefundOf = null;
+    await refundService.processRefunds(game);
+
+    expect(ledgerService.recordPrizePoolTopUp).toHaveBeenCalledTimes(1);
+    expect(game.refund).toMatchObject({ status: "COMPLETED", topUpAmount: "1500", refundedCount: 3, error: null });
+    expect(portfolios.every((p) => p.status === "REFUNDED")).toBe(true);
+    expect(pool.totalRewardDistributed).toBe(3n * ENTRY_FEE);
+  });
+
+  it("pays nothing for a game with an entry fee it cannot find on chain", async () => {
+    const game = cancelledGame();
+    events = events.filter((e) => e.args.portfolioId !== "3");
+
+    await expect(refundService.processRefunds(game)).rejects.toThrow("No PortfolioEntryFeePaid event");
+
+    expect(game.refund).toMatchObject({ status: "IN_PROGRESS", error: expect.stringContaining("portfolio 3") });
+    expect(pool.totalRewardDistributed).toBe(0n);
+    expect(portfolios.every((p) => p.status === "PENDING")).toBe(true);
+  });
+
+  it("refunds a single portfolio from the pool topped up by its admin fee, once", async () => {
+    const game = { gameId: 1, chainId: 97, name: "Weekly", save: jest.fn() };
+    const [portfolio] = portfolios;
+    portfolio.status = "FAILED";
+    portfolio.refund = { reason: "No LOCK price for DOGE", requestedAt: new Date() };
+    pool.failRefundOf = 1;
+
+    await expect(refundService.refundSinglePortfolio(game, portfolio)).rejects.toThrow("nonce too low");
+    expect(portfolio.refund).toMatchObject({ topUpAmount: "500" });
+
+    pool.failRefundOf = null;
+    await refundService.refundSinglePortfolio(game, portfolio);
+
+    expect(ledgerService.recordPrizePoolTopUp).toHaveBeenCalledTimes(1);
+    expect(portfolio).toMatchObject({ status: "REFUNDED", refund: { amount: "5000" } });
+    // The other two entries keep their net fees in the pool
+    expect(pool.totalPrizePool - pool.totalRewardDistributed).toBe(2n * (ENTRY_FEE - ADMIN_FEE));
+    expect(game.refund).toBeUndefined();
+  });
+});
@@ -0,0 +1,21 @@
+// Placeholder values for the variables src/config requires, so modules load in tests
+// without a .env. Tests never reach MongoDB, AWS or a real RPC.
+const testEnv = {
+  MONGODB_URI: "mongodb://127.0.0.1:27017/fusio-test",
+  CONTRACT_ADDRESS: "0x0000000000000000000000000000000000000001",
+  USDC_ADDRESS: "0x0000000000000000000000000000000000000002",
+  ADMIN_PRIVATE_KEY: "0x0123456789012345678901234567890123456789012345678901234567890123",
+  JWT_SECRET: "test",
+  AWS_ACCESS_KEY_ID: "test",
+  AWS_SECRET_ACCESS_KEY: "test",
+  AWS_REGION: "us-east-1",
+  AWS_S3_BUCKET: "test",
+  CRYPTOCOMPARE_API_KEY: "test",
+  ALPHAVANTAGE_API_KEY: "test",
+};
+
+for (const [name, value] of Object.entries(testEnv)) {
+  if (!process.env[name]) {
+    process.env[name] = value;
+  }
+}
@@ -0,0 +1,153 @@
+jest.mock("../src/services/blockchain.service", () => ({ forChain: jest.fn() }));
+
+const { ethers } = require("ethers");
+const blockchainService = require("../src/services/blockchain.service");
+const swapService = require("../src/services/swap.service");
+const priceService = require("../src/services/price.service");
+const Asset = require("../src/models/Asset");
+const Game = require("../src/models/Game");
+const Portfolio = require("../src/models/Portfolio");
+
+// Chainable stand-in for a mongoose query
+function query(result) {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+function lockedPortfolio() {
+  return {
+    _id: "portfolio-1",
+    portfolioId: 7,
+    gameId: 3,
+    gameType: "DEFI",
+    status: "LOCKED",
+    initialValue: 100000,
+    assets: [
+      { assetId: 1, symbol: "ETH", tokenQty: 10, entryPrice: 2000, direction: "SHORT", leverage: 3 },
+      { assetId: 2, symbol: "BTC", tokenQty: 1, entryPrice: 80000 },
+    ],
+    swaps: [],
+  };
+}
+
+describe("swapAsset", () => {
+  const wallet = ethers.Wallet.createRandom();
+  let portfolio;
+
+  beforeEach(() => {
+    portfolio = lockedPortfolio();
+    blockchainService.forChain.mockReturnValue({
+      signAuditRecord: async (message) => {
+        const messageHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(message));
+        const signature = await wallet.signMessage(ethers.utils.arrayify(messageHash));
+        return { message, signature, signer: wallet.address };
+      },
+    });
+
+    jest
+      .spyOn(Game, "findOne")
+      .mockResolvedValue({ gameId: 3, chainId: 97, status: "ACTIVE", portfolioRules: { maxSwaps: 2 } });
+    jest.spyOn(Asset, "findOne").mockResolvedValue({ assetId: 3, symbol: "SOL", type: "DEFI" });
+    // Stored prices, taken by the last price run
+    jest.spyOn(Asset, "find").mockReturnValue(
+      query([
+        { assetId: 1, symbol: "ETH", type: "DEFI", currentPrice: 2100 },
+        { assetId: 2, symbol: "BTC", type: "DEFI", currentPrice: 80000 },
+        { assetId: 3, symbol: "SOL", type: "DEFI", currentPrice: 120 },
+      ])
+    );
+    jest.spyOn(priceService, "getStaleAssets").mockResolvedValue([]);
+    jest.spyOn(priceService, "fetchConsensusQuotes").mockResolvedValue({ ETH: { price: 1900 }, SOL: { price: 115 } });
+    jest.spyOn(priceService, "saveQuote").mockResolvedValue();
+    jest.spyOn(Portfolio, "findOneAndUpdate").mockImplementation(async () => ({ portfolioId: 7 }));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("prices both legs from a live quote and carries the margin position over", async () => {
+    const { swap } = await swapService.swapAsset(portfolio, { fromSymbol: "ETH", toSymbol: "SOL" });
+
+    expect(priceService.fetchConsensusQuotes).toHaveBeenCalledWith("DEFI", [
+      expect.objectContaining({ symbol: "ETH" }),
+      expect.objectContaining({ symbol: "SOL" }),
+    ]);
+    expect(priceService.saveQuote).toHaveBeenCalledTimes(2);
+    // SHORT x3 from 2000 to 1900: 20000 + 1000 * 3
+    expect(swap).toMatchObject({
+      fromPrice: 1900,
+      toPrice: 115,
+      value: 23000,
+      toTokenQty: 200,
+      portfolioValue: 103000,
+    });
+
+    const [, update] = Portfolio.findOneAndUpdate.mock.calls[0];
+    expect(update.$set["assets.$[swapped]"]).toEqual({
+      assetId: 3,
+      symbol: "SOL",
+      allocation: 23000,
+      direction: "SHORT",
+      leverage: 3,
+      entryPrice: 115,
+      tokenQty: 200,
+    });
+    expect(update.$set).toMatchObject({ currentValue: 103000, performancePercentage: 3 });
+  });
+
+  it("is not made without a live quote", async () => {
+    priceService.fetchConsensusQuotes.mockResolvedValue({ ETH: { price: 1900 } });
+
+    await expect(swapService.swapAsset(portfolio, { fromSymbol: "ETH", toSymbol: "SOL" })).rejects.toThrow(
+      "No live price for SOL - try again later"
+    );
+    expect(Portfolio.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("only applies to the portfolio it was checked against", async () => {
+    Portfolio.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(swapService.swapAsset(portfolio, { fromSymbol: "ETH", toSymbol: "SOL" })).rejects.toThrow(
+      "The portfolio changed while swapping"
+    );
+
+    const [filter] = Portfolio.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: "portfolio-1",
+      status: { $in: ["LOCKED", "ACTIVE"] },
+      "swaps.0": { $exists: false },
+      assets: { $elemMatch: { assetId: 1, tokenQty: 10, liquidatedAt: null } },
+      "assets.symbol": { $ne: "SOL" },
+    });
+  });
+
+  it("signs an audit record that verifies against the admin wallet", async () => {
+    const { swap } = await swapService.swapAsset(portfolio, { fromSymbol: "ETH", toSymbol: "SOL" });
+
+    const { message, signature, signer } = swap.audit;
+    const messageHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(message));
+    expect(signer).toBe(wallet.address);
+    expect(ethers.utils.verifyMessage(ethers.utils.arrayify(messageHash), signature)).toBe(signer);
+    expect(JSON.parse(message)).toEqual({
+      chainId: 97,
+      gameId: 3,
+      portfolioId: 7,
+      swapNumber: 1,
+      fromSymbol: "ETH",
+      fromTokenQty: 10,
+      fromPrice: 1900,
+      toSymbol: "SOL",
+      toTokenQty: 200,
+      toPrice: 115,
+      direction: "SHORT",
+      leverage: 3,
+      swappedAt: swap.swappedAt.toISOString(),
+    });
+  });
+});
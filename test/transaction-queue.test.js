@@ -0,0 +1,205 @@
+jest.mock("../src/services/gas-ledger.service", () => ({ recordJob: jest.fn() }));
+
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const config = require("../src/config");
+const transactionQueue = require("../src/services/transaction-queue.service");
+const TransactionJob = require("../src/models/TransactionJob");
+
+const CHAIN_ID = 97;
+const CONTRACT = "0x00000000000000000000000000000000000000cc";
+
+// ---------------------------------------------------------------------------
+// In-memory chain: every broadcast is mined in the next block
+// ---------------------------------------------------------------------------
+
+class FakeChain {
+  constructor() {
+    this.receipts = new Map();
+    this.broadcasts = [];
+  }
+
+  mine(hash) {
+    this.receipts.set(hash, {
+      transactionHash: hash,
+      blockNumber: this.receipts.size + 1,
+      gasUsed: ethers.BigNumber.from(100000),
+      effectiveGasPrice: ethers.BigNumber.from(5000000000),
+      status: 1,
+      logs: [],
+    });
+  }
+
+  // What a contract call returns once broadcast
+  send(wallet, walletNonce, data) {
+    const tx = {
+      hash: ethers.utils.id(`${wallet.address}:${walletNonce}`),
+      from: wallet.address,
+      to: CONTRACT,
+      data,
+      gasLimit: ethers.BigNumber.from(500000),
+      gasPrice: ethers.BigNumber.from(5000000000),
+    };
+    this.broadcasts.push(tx);
+    this.mine(tx.hash);
+    return tx;
+  }
+
+  get provider() {
+    return {
+      getTransactionReceipt: async (hash) => this.receipts.get(hash) || null,
+      getGasPrice: async () => ethers.BigNumber.from(5000000000),
+    };
+  }
+
+  wallet(address) {
+    return { address, getTransactionCount: async () => this.broadcasts.length };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// In-memory TransactionJob collection
+// ---------------------------------------------------------------------------
+
+let jobs;
+
+function addJob(data) {
+  const job = new TransactionJob({ chainId: CHAIN_ID, ...data });
+  jobs.push(job);
+  return job;
+}
+
+function mockJobs() {
+  jest
+    .spyOn(TransactionJob, "findOne")
+    .mockImplementation(
+      async ({ idempotencyKey }) => jobs.find((job) => job.idempotencyKey === idempotencyKey) || null
+    );
+  jest.spyOn(TransactionJob, "create").mockImplementation(async (data) => {
+    if (data.idempotencyKey && jobs.some((job) => job.idempotencyKey === data.idempotencyKey)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    return addJob(data);
+  });
+  jest
+    .spyOn(TransactionJob, "getUnfinishedJobs")
+    .mockImplementation(async (chainId) =>
+      jobs.filter((job) => job.chainId === chainId && ["QUEUED", "SENT"].includes(job.status))
+    );
+  jest.spyOn(mongoose.Model.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+}
+
+// Every job the queue is working on, settled
+function settled(queue) {
+  return Promise.allSettled([...queue.inFlight.values()]);
+}
+
+// ---------------------------------------------------------------------------
+
+describe("transaction queue", () => {
+  const ADMIN = "0x00000000000000000000000000000000000000aa";
+  let chain;
+  let queue;
+  let send;
+
+  beforeEach(() => {
+    jobs = [];
+    mockJobs();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    config.blockchain.txQueue.pollIntervalMs = 1;
+
+    chain = new FakeChain();
+    queue = new transactionQueue.constructor(CHAIN_ID);
+    queue.initialize(chain.provider, [chain.wallet(ADMIN)]);
+    send = jest.fn(async (walletNonce, wallet) => chain.send(wallet, walletNonce, "0x01"));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("sends a transaction once, however often it is added with the same idempotency key", async () => {
+    const options = { idempotencyKey: "REFUND_ENTRY_FEE:7" };
+
+    const [first, second] = await Promise.all([
+      queue.addTransaction(send, "Refund 7", options),
+      queue.addTransaction(send, "Refund 7", options),
+    ]);
+    const third = await queue.addTransaction(send, "Refund 7", options);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ status: "MINED", attempts: 1 });
+    expect(second.transactionHash).toBe(first.transactionHash);
+    expect(third.transactionHash).toBe(first.transactionHash);
+  });
+
+  it("waits for a SENT job to be mined instead of sending it again", async () => {
+    const hash = ethers.utils.id("sent-before-restart");
+    const job = addJob({
+      idempotencyKey: "REFUND_ENTRY_FEE:7",
+      status: "SENT",
+      fromAddress: ADMIN,
+      walletNonce: 0,
+      transactionHash: hash,
+      sentAt: new Date(),
+    });
+    chain.mine(hash);
+
+    const receipt = await queue.addTransaction(send, "Refund 7", { idempotencyKey: "REFUND_ENTRY_FEE:7" });
+
+    expect(send).not.toHaveBeenCalled();
+    expect(receipt.transactionHash).toBe(hash);
+    expect(job.status).toBe("MINED");
+  });
+
+  it.each(["QUEUED", "FAILED"])("sends a %s job again with the caller's callback", async (status) => {
+    const job = addJob({ idempotencyKey: "REFUND_ENTRY_FEE:7", status, error: status === "FAILED" ? "timeout" : null });
+
+    const receipt = await queue.addTransaction(send, "Refund 7", { idempotencyKey: "REFUND_ENTRY_FEE:7" });
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(jobs).toHaveLength(1);
+    expect(job).toMatchObject({ status: "MINED", error: null, transactionHash: receipt.transactionHash });
+  });
+
+  it("resumes unfinished jobs on boot", async () => {
+    const builder = jest.fn(async (walletNonce, params, wallet) => chain.send(wallet, walletNonce, params.data));
+    queue.registerJob("BATCH_ASSIGN_REWARDS", builder);
+
+    const rebuildable = addJob({ kind: "BATCH_ASSIGN_REWARDS", params: { data: "0x02" }, status: "QUEUED" });
+    const oneOff = addJob({ kind: null, status: "QUEUED" });
+    const sentHash = ethers.utils.id("sent-before-restart");
+    const sent = addJob({ status: "SENT", fromAddress: ADMIN, walletNonce: 0, transactionHash: sentHash });
+    chain.mine(sentHash);
+    const orphaned = addJob({
+      status: "SENT",
+      fromAddress: "0x00000000000000000000000000000000000000bb",
+      walletNonce: 0,
+      transactionHash: ethers.utils.id("sent-by-a-removed-wallet"),
+    });
+    const otherChain = addJob({ chainId: 1, kind: "BATCH_ASSIGN_REWARDS", status: "QUEUED" });
+
+    const result = await queue.resume();
+    await settled(queue);
+
+    expect(result).toEqual({ resumed: 2, dropped: 1 });
+    expect(builder).toHaveBeenCalledTimes(1);
+    expect(builder.mock.calls[0][1]).toEqual({ data: "0x02" });
+    expect(rebuildable.status).toBe("MINED");
+    expect(oneOff).toMatchObject({ status: "FAILED", error: expect.stringContaining("cannot be rebuilt") });
+    expect(sent).toMatchObject({ status: "MINED", transactionHash: sentHash });
+    expect(chain.broadcasts).toHaveLength(1);
+    // Left for monitorSentJobs(), and to the queue of its own chain
+    expect(orphaned.status).toBe("SENT");
+    expect(otherChain.status).toBe("QUEUED");
+
+    // A second boot finds nothing left to do
+    expect(await queue.resume()).toEqual({ resumed: 0, dropped: 0 });
+  });
+});